@@ -16,7 +16,7 @@ const authenticateToken = async (req, res, next) => {
     
     // Get fresh user data
     const result = await pool.query(
-      'SELECT id, username, full_name, role, active FROM users WHERE id = $1',
+      'SELECT id, username, full_name, role, sync_operator, active FROM users WHERE id = $1',
       [decoded.userId]
     );
 
@@ -46,6 +46,19 @@ const requireRole = (...roles) => {
   };
 };
 
+// Tally sync control and manual receipt mapping: admins and users granted sync_operator
+const requireSyncOperator = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (req.user.role !== 'ADMIN' && !req.user.sync_operator) {
+    return res.status(403).json({ error: 'Sync operator permission required' });
+  }
+
+  next();
+};
+
 // Active session requirement for cashier operations
 const requireActiveSession = async (req, res, next) => {
   try {
@@ -105,6 +118,7 @@ const verifyManagerPIN = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   requireRole,
+  requireSyncOperator,
   requireActiveSession,
   verifyManagerPIN,
 };
\ No newline at end of file
@@ -1,17 +1,20 @@
 const { pool } = require('../config/database');
+const syncHealth = require('../services/sync-health');
+const partyAdvance = require('../services/party-advance');
 
-// Check if bill can be released (payment and session rules)
+// Check if bill can be released (payment and session rules); expects req.company from resolveCompany
 const validateRelease = async (req, res, next) => {
-  const { bill_no } = req.params || req.body;
+  const bill_no = req.params.bill_no || req.body.bill_no;
+  const companyId = req.company.id;
 
   try {
     // Check if bill exists and get status
     const billStatus = await pool.query(`
       SELECT bs.*, b.amount 
       FROM bill_status bs
-      JOIN bill b ON bs.bill_no = b.bill_no
-      WHERE bs.bill_no = $1
-    `, [bill_no]);
+      JOIN bill b ON bs.company_id = b.company_id AND bs.bill_no = b.bill_no
+      WHERE bs.company_id = $2 AND bs.bill_no = $1
+    `, [bill_no, companyId]);
 
     if (billStatus.rows.length === 0) {
       return res.status(404).json({ error: 'Bill not found' });
@@ -19,12 +22,20 @@ const validateRelease = async (req, res, next) => {
 
     const bill = billStatus.rows[0];
 
+    // Goods must not leave against a voucher that was cancelled or deleted in Tally
+    if (bill.tally_status !== 'ACTIVE') {
+      return res.status(400).json({
+        error: `Bill is ${bill.tally_status.toLowerCase()} in Tally`,
+        tallyStatus: bill.tally_status
+      });
+    }
+
     // Check if already released
     const existingRelease = await pool.query(`
-      SELECT 'self' as type FROM release_self WHERE bill_no = $1
+      SELECT 'self' as type FROM release_self WHERE company_id = $2 AND bill_no = $1
       UNION ALL
-      SELECT 'transporter' as type FROM release_transporter WHERE bill_no = $1
-    `, [bill_no]);
+      SELECT 'transporter' as type FROM release_transporter WHERE company_id = $2 AND bill_no = $1
+    `, [bill_no, companyId]);
 
     if (existingRelease.rows.length > 0) {
       return res.status(400).json({ 
@@ -33,11 +44,29 @@ const validateRelease = async (req, res, next) => {
       });
     }
 
+    // The party's advance is settled on the bill at release, so only the due it does not
+    // cover needs a manager or the customer
+    const advance = bill.remaining_due > 0 ? await partyAdvance.forBill(companyId, bill) : null;
+    req.dueAfterAdvance = advance ? advance.due_after_advance : 0;
+
     // Check if there's remaining due and no manager approval
-    if (bill.remaining_due > 0 && !req.body.manager_pin && !req.body.otp_verified) {
+    if (req.dueAfterAdvance > 0 && !req.body.manager_pin && !req.body.otp_verified) {
       return res.status(400).json({ 
         error: 'Outstanding due requires manager PIN or customer OTP',
-        remainingDue: bill.remaining_due
+        remainingDue: bill.remaining_due,
+        advanceAvailable: advance.available,
+        dueAfterAdvance: req.dueAfterAdvance
+      });
+    }
+
+    // While bills or receipts have not synced from Tally for too long the due shown may
+    // already be paid or changed, so only a manager can release against it
+    req.syncStale = bill.remaining_due > 0 && await syncHealth.blocksReleases(companyId);
+    if (req.syncStale && !req.body.manager_pin) {
+      return res.status(409).json({
+        error: 'Tally sync is stale; releasing a bill with a due needs a manager override',
+        remainingDue: bill.remaining_due,
+        syncStale: true
       });
     }
 
@@ -72,9 +101,9 @@ const validateSessionClose = async (req, res, next) => {
     const unreleasedPaid = await pool.query(`
       SELECT ph.bill_no, bs.status
       FROM payment_hint ph
-      JOIN bill_status bs ON ph.bill_no = bs.bill_no
-      LEFT JOIN release_self rs ON ph.bill_no = rs.bill_no
-      LEFT JOIN release_transporter rt ON ph.bill_no = rt.bill_no
+      JOIN bill_status bs ON ph.company_id = bs.company_id AND ph.bill_no = bs.bill_no
+      LEFT JOIN release_self rs ON ph.company_id = rs.company_id AND ph.bill_no = rs.bill_no
+      LEFT JOIN release_transporter rt ON ph.company_id = rt.company_id AND ph.bill_no = rt.bill_no
       WHERE ph.cashier_id = $1
         AND ph.created_at BETWEEN $2 AND CURRENT_TIMESTAMP
         AND bs.status = 'PAID'
@@ -114,10 +143,10 @@ const validateCashVariance = async (req, res, next) => {
     const variance = parseFloat(counted_cash) - expectedCash;
     const varianceThreshold = parseFloat(process.env.CASH_VARIANCE_THRESHOLD || '100');
 
+    req.variance = variance;
+    req.expectedCash = expectedCash;
     if (Math.abs(variance) > varianceThreshold) {
       req.requiresApproval = true;
-      req.variance = variance;
-      req.expectedCash = expectedCash;
     }
 
     next();
@@ -154,7 +183,8 @@ const validateGatepassId = async (req, res, next) => {
 
 // Ensure unique release per bill (database constraint backup)
 const enforceUniqueRelease = async (req, res, next) => {
-  const { bill_no } = req.params || req.body;
+  const bill_no = req.params.bill_no || req.body.bill_no;
+  const companyId = req.company.id;
 
   try {
     const client = await pool.connect();
@@ -162,16 +192,16 @@ const enforceUniqueRelease = async (req, res, next) => {
     // Lock the bill row to prevent race conditions
     await client.query('BEGIN');
     await client.query(
-      'SELECT bill_no FROM bill WHERE bill_no = $1 FOR UPDATE',
-      [bill_no]
+      'SELECT bill_no FROM bill WHERE company_id = $2 AND bill_no = $1 FOR UPDATE',
+      [bill_no, companyId]
     );
 
     // Double-check no release exists
     const existing = await client.query(`
-      SELECT bill_no FROM release_self WHERE bill_no = $1
+      SELECT bill_no FROM release_self WHERE company_id = $2 AND bill_no = $1
       UNION ALL
-      SELECT bill_no FROM release_transporter WHERE bill_no = $1
-    `, [bill_no]);
+      SELECT bill_no FROM release_transporter WHERE company_id = $2 AND bill_no = $1
+    `, [bill_no, companyId]);
 
     if (existing.rows.length > 0) {
       await client.query('ROLLBACK');
@@ -0,0 +1,31 @@
+const companyService = require('../services/company');
+
+// Resolve the company a request works on from ?company=, body.company or the X-Company header
+// (id or code), falling back to the default company. Sets req.company.
+const resolveCompany = async (req, res, next) => {
+  const requested = req.query.company || (req.body && req.body.company) || req.headers['x-company'];
+
+  try {
+    const company = requested
+      ? await companyService.find(String(requested))
+      : await companyService.getDefault();
+
+    if (!company) {
+      return res.status(404).json({ error: requested ? 'Company not found' : 'No default company configured' });
+    }
+
+    if (!company.active) {
+      return res.status(400).json({ error: 'Company is inactive' });
+    }
+
+    req.company = company;
+    next();
+
+  } catch (error) {
+    res.status(500).json({ error: 'Company resolution failed' });
+  }
+};
+
+module.exports = {
+  resolveCompany
+};
@@ -1,14 +1,28 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { resolveCompany } = require('../middleware/company');
 const reportsService = require('../services/reports');
-const etlService = require('../services/tally-xml-etl');
+const syncEngine = require('../services/sync-engine');
+const companyService = require('../services/company');
+const voucherStatus = require('../services/voucher-status');
+const receiptExport = require('../services/receipt-export');
+const tallyStaging = require('../services/tally-staging');
+const outstandingReconciliation = require('../services/outstanding-reconciliation');
+const tallyBackfill = require('../services/tally-backfill');
+const voucherTypeMap = require('../services/voucher-type-map');
+const billTax = require('../services/bill-tax');
+const syncHealth = require('../services/sync-health');
+const receiptMapping = require('../services/receipt-mapping');
+const partyAdvance = require('../services/party-advance');
+const auditLog = require('../services/audit-log');
+const cashCount = require('../services/cash-count');
 const path = require('path');
 
 const router = express.Router();
 
 // Get dispatch board overview
-router.get('/dispatch-board', authenticateToken, requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+router.get('/dispatch-board', authenticateToken, requireRole('ADMIN', 'MANAGER'), resolveCompany, async (req, res) => {
   const { date = new Date().toISOString().split('T')[0] } = req.query;
 
   try {
@@ -16,12 +30,12 @@ router.get('/dispatch-board', authenticateToken, requireRole('ADMIN', 'MANAGER')
     const ready = await pool.query(`
       SELECT bs.*, ph.remaining_due as payment_due, u.full_name as cashier_name
       FROM bill_status bs
-      LEFT JOIN payment_hint ph ON bs.bill_no = ph.bill_no
+      LEFT JOIN payment_hint ph ON bs.company_id = ph.company_id AND bs.bill_no = ph.bill_no
       LEFT JOIN users u ON ph.cashier_id = u.id
-      LEFT JOIN release_status rs ON bs.bill_no = rs.bill_no
-      WHERE bs.bill_date = $1 AND rs.release_status = 'READY'
+      LEFT JOIN release_status rs ON bs.company_id = rs.company_id AND bs.bill_no = rs.bill_no
+      WHERE bs.company_id = $2 AND bs.bill_date = $1 AND rs.release_status = 'READY'
       ORDER BY bs.bill_no
-    `, [date]);
+    `, [date, req.company.id]);
 
     const released = await pool.query(`
       SELECT 
@@ -30,24 +44,25 @@ router.get('/dispatch-board', authenticateToken, requireRole('ADMIN', 'MANAGER')
         rs.release_ts,
         COALESCE(rself.receiver_name, rtrans.transporter_name) as receiver_name
       FROM bill_status bs
-      JOIN release_status rs ON bs.bill_no = rs.bill_no
-      LEFT JOIN release_self rself ON bs.bill_no = rself.bill_no
-      LEFT JOIN release_transporter rtrans ON bs.bill_no = rtrans.bill_no
-      WHERE bs.bill_date = $1 AND rs.release_status IN ('RELEASED_SELF', 'IN_TRANSIT', 'DELIVERED')
+      JOIN release_status rs ON bs.company_id = rs.company_id AND bs.bill_no = rs.bill_no
+      LEFT JOIN release_self rself ON bs.company_id = rself.company_id AND bs.bill_no = rself.bill_no
+      LEFT JOIN release_transporter rtrans ON bs.company_id = rtrans.company_id AND bs.bill_no = rtrans.bill_no
+      WHERE bs.company_id = $2 AND bs.bill_date = $1 AND rs.release_status IN ('RELEASED_SELF', 'IN_TRANSIT', 'DELIVERED')
       ORDER BY rs.release_ts DESC
-    `, [date]);
+    `, [date, req.company.id]);
 
     const flagged = await pool.query(`
       SELECT bs.*, ph.remaining_due, rs.release_status
       FROM bill_status bs
-      LEFT JOIN payment_hint ph ON bs.bill_no = ph.bill_no
-      LEFT JOIN release_status rs ON bs.bill_no = rs.bill_no
-      WHERE bs.bill_date = $1 AND bs.remaining_due > 0
+      LEFT JOIN payment_hint ph ON bs.company_id = ph.company_id AND bs.bill_no = ph.bill_no
+      LEFT JOIN release_status rs ON bs.company_id = rs.company_id AND bs.bill_no = rs.bill_no
+      WHERE bs.company_id = $2 AND bs.bill_date = $1 AND bs.remaining_due > 0
       ORDER BY bs.remaining_due DESC
-    `, [date]);
+    `, [date, req.company.id]);
 
     res.json({
       date,
+      company: req.company.code,
       ready: ready.rows,
       released: released.rows,
       flagged: flagged.rows,
@@ -65,16 +80,18 @@ router.get('/dispatch-board', authenticateToken, requireRole('ADMIN', 'MANAGER')
 });
 
 // Get exceptions report
-router.get('/exceptions', authenticateToken, requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+router.get('/exceptions', authenticateToken, requireRole('ADMIN', 'MANAGER'), resolveCompany, async (req, res) => {
   const { date = new Date().toISOString().split('T')[0] } = req.query;
 
   try {
-    // Unmatched receipts
+    // Unmatched receipts, including those only partly allocated
     const unmatchedReceipts = await pool.query(`
-      SELECT * FROM receipt 
-      WHERE receipt_date = $1 AND bill_reference IS NULL
-      ORDER BY amount DESC
-    `, [date]);
+      SELECT r.*, rb.allocated_amount, rb.on_account_amount, rb.unallocated_amount
+      FROM receipt r
+      JOIN receipt_balance rb ON r.company_id = rb.company_id AND r.receipt_id = rb.receipt_id
+      WHERE r.company_id = $2 AND r.receipt_date = $1 AND rb.unallocated_amount > 0
+      ORDER BY r.amount DESC
+    `, [date, req.company.id]);
 
     // Due releases (bills released with outstanding balance)
     const dueReleases = await pool.query(`
@@ -86,14 +103,14 @@ router.get('/exceptions', authenticateToken, requireRole('ADMIN', 'MANAGER'), as
         COALESCE(rself.approved_by_manager_id, rtrans.approved_by_manager_id) as manager_id,
         mgr.full_name as approved_by_name
       FROM bill_status bs
-      JOIN release_status rs ON bs.bill_no = rs.bill_no
-      LEFT JOIN release_self rself ON bs.bill_no = rself.bill_no
-      LEFT JOIN release_transporter rtrans ON bs.bill_no = rtrans.bill_no
+      JOIN release_status rs ON bs.company_id = rs.company_id AND bs.bill_no = rs.bill_no
+      LEFT JOIN release_self rself ON bs.company_id = rself.company_id AND bs.bill_no = rself.bill_no
+      LEFT JOIN release_transporter rtrans ON bs.company_id = rtrans.company_id AND bs.bill_no = rtrans.bill_no
       LEFT JOIN users mgr ON COALESCE(rself.approved_by_manager_id, rtrans.approved_by_manager_id) = mgr.id
-      WHERE bs.bill_date = $1 AND bs.remaining_due > 0 
+      WHERE bs.company_id = $2 AND bs.bill_date = $1 AND bs.remaining_due > 0 
         AND rs.release_status IN ('RELEASED_SELF', 'IN_TRANSIT', 'DELIVERED')
       ORDER BY bs.remaining_due DESC
-    `, [date]);
+    `, [date, req.company.id]);
 
     // Missing gate entries
     const missingGateEntries = await pool.query(`
@@ -104,15 +121,15 @@ router.get('/exceptions', authenticateToken, requireRole('ADMIN', 'MANAGER'), as
         r.release_ts,
         'Missing Gate Entry' as issue
       FROM (
-        SELECT bill_no, gatepass_id, released_ts as release_ts FROM release_self
+        SELECT company_id, bill_no, gatepass_id, released_ts as release_ts FROM release_self
         UNION ALL
-        SELECT bill_no, gatepass_id, pickup_ts as release_ts FROM release_transporter
+        SELECT company_id, bill_no, gatepass_id, pickup_ts as release_ts FROM release_transporter
       ) r
-      JOIN bill b ON r.bill_no = b.bill_no
+      JOIN bill b ON r.company_id = b.company_id AND r.bill_no = b.bill_no
       LEFT JOIN gate_log gl ON r.gatepass_id = gl.gatepass_id
-      WHERE b.bill_date = $1 AND gl.id IS NULL
+      WHERE b.company_id = $2 AND b.bill_date = $1 AND gl.id IS NULL
       ORDER BY r.release_ts DESC
-    `, [date]);
+    `, [date, req.company.id]);
 
     // High cash variance sessions
     const highVarianceSessions = await pool.query(`
@@ -161,24 +178,51 @@ router.get('/exceptions', authenticateToken, requireRole('ADMIN', 'MANAGER'), as
       ORDER BY created_at DESC
     `, [date]);
 
+    // Bills cancelled/deleted in Tally after money was taken or goods released
+    const voidedBills = await voucherStatus.voidedWithActivity(req.company.id, date);
+
+    // Tally rows held back by sync validation
+    const quarantinedRows = await tallyStaging.list({ companyId: req.company.id });
+
+    // Entities that stopped syncing from Tally (still open or raised that day)
+    const syncAlerts = await syncHealth.alerts(req.company.id, date);
+
+    // Released bills that lost a receipt when its mapping was undone that day
+    const undoneMappingReleases = await receiptMapping.releasedAfterUndo(req.company.id, date);
+
+    // Parties whose advance went below zero after settling bills (reversed by the next sync)
+    const overdrawnAdvances = await partyAdvance.overdrawn(req.company.id);
+
     res.json({
       date,
+      company: req.company.code,
       exceptions: {
         unmatchedReceipts: unmatchedReceipts.rows,
         dueReleases: dueReleases.rows,
         missingGateEntries: missingGateEntries.rows,
         highVarianceSessions: highVarianceSessions.rows,
-        unapprovedItems: unapprovedItems.rows
+        unapprovedItems: unapprovedItems.rows,
+        voidedBills,
+        quarantinedRows,
+        syncAlerts,
+        undoneMappingReleases,
+        overdrawnAdvances
       },
       summary: {
         total_exceptions: unmatchedReceipts.rows.length + dueReleases.rows.length + 
                          missingGateEntries.rows.length + highVarianceSessions.rows.length + 
-                         unapprovedItems.rows.length,
+                         unapprovedItems.rows.length + voidedBills.length + quarantinedRows.length +
+                         syncAlerts.length + undoneMappingReleases.length + overdrawnAdvances.length,
         unmatched_receipts: unmatchedReceipts.rows.length,
         due_releases: dueReleases.rows.length,
         missing_gates: missingGateEntries.rows.length,
         high_variance: highVarianceSessions.rows.length,
-        unapproved_items: unapprovedItems.rows.length
+        unapproved_items: unapprovedItems.rows.length,
+        voided_bills: voidedBills.length,
+        quarantined_rows: quarantinedRows.length,
+        sync_alerts: syncAlerts.length,
+        undone_mapping_releases: undoneMappingReleases.length,
+        overdrawn_advances: overdrawnAdvances.length
       }
     });
 
@@ -188,19 +232,17 @@ router.get('/exceptions', authenticateToken, requireRole('ADMIN', 'MANAGER'), as
   }
 });
 
-// Approve petty cash or till adjustment
+// Approve petty cash, till adjustment or payment hint (approved hints are posted to Tally)
 router.post('/approve/:type/:id', authenticateToken, requireRole('ADMIN', 'MANAGER'), async (req, res) => {
   const { type, id } = req.params;
 
-  if (!['petty_cash', 'till_adjustment'].includes(type)) {
+  if (!['petty_cash', 'till_adjustment', 'payment_hint'].includes(type)) {
     return res.status(400).json({ error: 'Invalid approval type' });
   }
 
   try {
-    const table = type === 'petty_cash' ? 'petty_cash' : 'till_adjustment';
-    
     const result = await pool.query(`
-      UPDATE ${table} 
+      UPDATE ${type} 
       SET approved_by = $1, approved_at = CURRENT_TIMESTAMP
       WHERE id = $2 AND approved_by IS NULL
       RETURNING *
@@ -222,13 +264,13 @@ router.post('/approve/:type/:id', authenticateToken, requireRole('ADMIN', 'MANAG
 });
 
 // Get cheque register with deposit batches
-router.get('/cheques', authenticateToken, requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+router.get('/cheques', authenticateToken, requireRole('ADMIN', 'MANAGER'), resolveCompany, async (req, res) => {
   const { status, date } = req.query;
 
   try {
-    let whereClause = 'WHERE 1=1';
-    const params = [];
-    let paramIndex = 1;
+    let whereClause = 'WHERE cr.company_id = $1';
+    const params = [req.company.id];
+    let paramIndex = 2;
 
     if (status) {
       whereClause += ` AND cr.status = $${paramIndex}`;
@@ -250,7 +292,7 @@ router.get('/cheques', authenticateToken, requireRole('ADMIN', 'MANAGER'), async
         db.bank_name as deposit_bank,
         db.deposit_date
       FROM cheque_register cr
-      JOIN bill b ON cr.bill_no = b.bill_no
+      JOIN bill b ON cr.company_id = b.company_id AND cr.bill_no = b.bill_no
       LEFT JOIN deposit_batch db ON cr.deposit_batch_id = db.id
       ${whereClause}
       ORDER BY cr.created_at DESC
@@ -342,7 +384,7 @@ router.post('/cheques/deposit-batch', authenticateToken, requireRole('ADMIN', 'M
 });
 
 // Generate EOD report
-router.post('/eod/prepare', authenticateToken, requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+router.post('/eod/prepare', authenticateToken, requireRole('ADMIN', 'MANAGER'), resolveCompany, async (req, res) => {
   const { business_date, format = 'pdf' } = req.body;
 
   if (!business_date) {
@@ -352,8 +394,8 @@ router.post('/eod/prepare', authenticateToken, requireRole('ADMIN', 'MANAGER'),
   try {
     // Check if EOD already exists
     const existing = await pool.query(
-      'SELECT id FROM eod_sheet WHERE business_date = $1',
-      [business_date]
+      'SELECT id FROM eod_sheet WHERE company_id = $1 AND business_date = $2',
+      [req.company.id, business_date]
     );
 
     let eodId;
@@ -362,19 +404,19 @@ router.post('/eod/prepare', authenticateToken, requireRole('ADMIN', 'MANAGER'),
     } else {
       // Create EOD record
       const eod = await pool.query(`
-        INSERT INTO eod_sheet (business_date, prepared_by)
-        VALUES ($1, $2)
+        INSERT INTO eod_sheet (company_id, business_date, prepared_by)
+        VALUES ($1, $2, $3)
         RETURNING id
-      `, [business_date, req.user.id]);
+      `, [req.company.id, business_date, req.user.id]);
       eodId = eod.rows[0].id;
     }
 
     // Generate report based on format
     let result;
     if (format === 'pdf') {
-      result = await reportsService.generateEODPDF(business_date, req.user.full_name);
+      result = await reportsService.generateEODPDF(business_date, req.user.full_name, req.company);
     } else if (format === 'csv') {
-      result = await reportsService.generateEODCSV(business_date);
+      result = await reportsService.generateEODCSV(business_date, req.company);
     } else {
       return res.status(400).json({ error: 'Invalid format. Use pdf or csv' });
     }
@@ -432,8 +474,8 @@ router.post('/eod/:id/approve', authenticateToken, requireRole('ADMIN', 'MANAGER
   }
 });
 
-// Get system statistics
-router.get('/statistics', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+// Get system statistics of the company
+router.get('/statistics', authenticateToken, requireRole('ADMIN'), resolveCompany, async (req, res) => {
   const { days = 7 } = req.query;
 
   try {
@@ -446,13 +488,13 @@ router.get('/statistics', authenticateToken, requireRole('ADMIN'), async (req, r
           COUNT(r.receipt_id) as receipts_count,
           SUM(r.amount) as receipts_amount
         FROM bill b
-        LEFT JOIN receipt r ON r.receipt_date = b.bill_date
-        WHERE b.bill_date >= CURRENT_DATE - INTERVAL '${days} days'
+        LEFT JOIN receipt r ON r.company_id = b.company_id AND r.receipt_date = b.bill_date
+        WHERE b.company_id = $1 AND b.bill_date >= CURRENT_DATE - INTERVAL '${days} days'
         GROUP BY b.bill_date
         ORDER BY b.bill_date DESC
       )
       SELECT * FROM daily_stats
-    `);
+    `, [req.company.id]);
 
     // Get user activity
     const userActivity = await pool.query(`
@@ -466,18 +508,22 @@ router.get('/statistics', authenticateToken, requireRole('ADMIN'), async (req, r
       LEFT JOIN cashier_session cs ON u.id = cs.cashier_id 
         AND cs.start_ts >= CURRENT_DATE - INTERVAL '${days} days'
       LEFT JOIN payment_hint ph ON u.id = ph.cashier_id 
+        AND ph.company_id = $1
         AND ph.created_at >= CURRENT_DATE - INTERVAL '${days} days'
       LEFT JOIN release_self relf ON u.id = relf.dispatcher_id 
+        AND relf.company_id = $1
         AND relf.released_ts >= CURRENT_DATE - INTERVAL '${days} days'
       LEFT JOIN release_transporter relt ON u.id = relt.dispatcher_id 
+        AND relt.company_id = $1
         AND relt.pickup_ts >= CURRENT_DATE - INTERVAL '${days} days'
       WHERE u.active = true
       GROUP BY u.id, u.full_name, u.role
       ORDER BY u.role, u.full_name
-    `);
+    `, [req.company.id]);
 
     res.json({
       period: `Last ${days} days`,
+      company: req.company.code,
       dailyStats: stats.rows,
       userActivity: userActivity.rows,
       summary: {
@@ -497,7 +543,14 @@ router.get('/statistics', authenticateToken, requireRole('ADMIN'), async (req, r
 // Manual ETL trigger for Tally data sync
 router.post('/etl/trigger', authenticateToken, requireRole('ADMIN', 'MANAGER'), async (req, res) => {
   try {
-    await etlService.runManual();
+    await auditLog.record({
+      tableName: 'tally_sync',
+      recordId: 'engine',
+      action: 'TRIGGER',
+      newValues: { triggerSource: 'admin' },
+      userId: req.user.id
+    });
+    await syncEngine.runCycle('admin');
     
     res.json({
       message: 'ETL process triggered successfully',
@@ -514,6 +567,494 @@ router.post('/etl/trigger', authenticateToken, requireRole('ADMIN', 'MANAGER'),
   }
 });
 
+// Grant or revoke the sync operator permission (Tally sync control and manual receipt
+// mapping), e.g. { "sync_operator": true }
+router.put('/users/:id/sync-operator', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  const { sync_operator } = req.body;
+
+  if (typeof sync_operator !== 'boolean') {
+    return res.status(400).json({ error: 'sync_operator must be true or false' });
+  }
+
+  if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const result = await pool.query(`
+      UPDATE users u SET sync_operator = $2, updated_at = CURRENT_TIMESTAMP
+      FROM (SELECT id, sync_operator FROM users WHERE id = $1 FOR UPDATE) previous
+      WHERE u.id = previous.id
+      RETURNING u.id, u.username, u.full_name, u.role, u.sync_operator, previous.sync_operator as previous_sync_operator
+    `, [req.params.id, sync_operator]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { previous_sync_operator, ...user } = result.rows[0];
+    await auditLog.record({
+      tableName: 'users',
+      recordId: user.id,
+      action: 'UPDATE',
+      oldValues: { sync_operator: previous_sync_operator },
+      newValues: { sync_operator },
+      userId: req.user.id
+    });
+
+    res.json({ user });
+
+  } catch (error) {
+    console.error('Sync operator update error:', error);
+    res.status(500).json({ error: 'Failed to update sync operator permission' });
+  }
+});
+
+// Approved payment hints with their Tally posting status
+router.get('/tally-postings', authenticateToken, requireRole('ADMIN', 'MANAGER'), resolveCompany, async (req, res) => {
+  const { status, date } = req.query;
+
+  if (status && !['PENDING', 'POSTED', 'FAILED'].includes(status)) {
+    return res.status(400).json({ error: 'Status must be PENDING, POSTED or FAILED' });
+  }
+
+  try {
+    const postings = await receiptExport.list({ companyId: req.company.id, status, date });
+
+    res.json({
+      company: req.company.code,
+      postings,
+      summary: {
+        pending: postings.filter(row => row.tally_post_status === 'PENDING').length,
+        posted: postings.filter(row => row.tally_post_status === 'POSTED').length,
+        failed: postings.filter(row => row.tally_post_status === 'FAILED').length
+      }
+    });
+
+  } catch (error) {
+    console.error('Tally postings error:', error);
+    res.status(500).json({ error: 'Failed to fetch Tally postings' });
+  }
+});
+
+// Retry every failed posting for the company
+router.post('/tally-postings/retry', authenticateToken, requireRole('ADMIN'), resolveCompany, async (req, res) => {
+  try {
+    const outcome = await receiptExport.postPending({ statuses: ['FAILED'], companyId: req.company.id });
+
+    res.json({
+      ...outcome,
+      message: `${outcome.posted} receipts posted, ${outcome.failed} still failing, ${outcome.pending} waiting for Tally`
+    });
+
+  } catch (error) {
+    console.error('Tally posting retry error:', error);
+    res.status(500).json({ error: 'Failed to retry Tally postings' });
+  }
+});
+
+// Post (or repost) one approved payment hint to Tally now
+router.post('/tally-postings/:id/repost', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const hint = await pool.query('SELECT approved_at FROM payment_hint WHERE id = $1', [id]);
+
+    if (hint.rows.length === 0) {
+      return res.status(404).json({ error: 'Payment hint not found' });
+    }
+    if (!hint.rows[0].approved_at) {
+      return res.status(400).json({ error: 'Payment hint must be approved before posting to Tally' });
+    }
+
+    const posting = await receiptExport.post(id);
+
+    res.status(posting.tally_post_status === 'POSTED' ? 200 : 502).json({
+      posting,
+      message: posting.tally_post_status === 'POSTED'
+        ? 'Receipt posted to Tally'
+        : posting.tally_post_status === 'PENDING'
+          ? `Tally could not be reached; the receipt will be posted on the next run: ${posting.tally_post_error}`
+          : `Tally rejected the receipt: ${posting.tally_post_error}`
+    });
+
+  } catch (error) {
+    console.error('Tally repost error:', error);
+    res.status(500).json({ error: 'Failed to post receipt to Tally' });
+  }
+});
+
+// Tally rows rejected by sync validation (status OPEN by default, ALL for every row)
+router.get('/quarantine', authenticateToken, requireRole('ADMIN', 'MANAGER'), resolveCompany, async (req, res) => {
+  const { status = 'OPEN', document } = req.query;
+
+  if (!['OPEN', 'PROMOTED', 'DISCARDED', 'ALL'].includes(status)) {
+    return res.status(400).json({ error: 'Status must be OPEN, PROMOTED, DISCARDED or ALL' });
+  }
+  if (document && !['bill', 'receipt', 'adjustment'].includes(document)) {
+    return res.status(400).json({ error: 'Document must be bill, receipt or adjustment' });
+  }
+
+  try {
+    const rows = await tallyStaging.list({
+      companyId: req.company.id,
+      status: status === 'ALL' ? null : status,
+      document: document || null
+    });
+
+    res.json({ company: req.company.code, rows, total: rows.length });
+
+  } catch (error) {
+    console.error('Quarantine list error:', error);
+    res.status(500).json({ error: 'Failed to fetch quarantined rows' });
+  }
+});
+
+// One quarantined row with its payload and rejection reasons
+router.get('/quarantine/:id', authenticateToken, requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+  try {
+    const entry = await tallyStaging.get(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Quarantined row not found' });
+    }
+
+    res.json(entry);
+
+  } catch (error) {
+    console.error('Quarantine fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch quarantined row' });
+  }
+});
+
+// Correct fields of a quarantined row (e.g. { "bill_date": "2024-01-15" }); returns the
+// row re-validated, without promoting it
+router.put('/quarantine/:id', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const entry = await tallyStaging.fix(req.params.id, req.body || {});
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Quarantined row not found' });
+    }
+    if (entry.status !== 'OPEN') {
+      return res.status(400).json({ error: `Quarantined row is already ${entry.status.toLowerCase()}` });
+    }
+
+    res.json({
+      entry,
+      message: entry.reasons.length === 0 ? 'Row is valid and can be promoted' : `Row is still invalid: ${entry.reasons.join('; ')}`
+    });
+
+  } catch (error) {
+    console.error('Quarantine fix error:', error);
+    res.status(500).json({ error: 'Failed to update quarantined row' });
+  }
+});
+
+// Promote a corrected quarantined row into bills/receipts
+router.post('/quarantine/:id/promote', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const { entry, reasons } = await tallyStaging.repromote(req.params.id, req.user.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Quarantined row not found' });
+    }
+    if (reasons.length > 0) {
+      return res.status(422).json({ error: 'Row cannot be promoted', reasons, entry });
+    }
+
+    res.json({ entry, message: `${entry.document === 'bill' ? 'Bill' : 'Receipt'} ${entry.voucher_number} promoted` });
+
+  } catch (error) {
+    console.error('Quarantine promote error:', error);
+    res.status(500).json({ error: 'Failed to promote quarantined row' });
+  }
+});
+
+// Close a quarantined row that should not be loaded
+router.post('/quarantine/:id/discard', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const entry = await tallyStaging.discard(req.params.id, req.user.id, req.body?.note || null);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Open quarantined row not found' });
+    }
+
+    res.json({ entry, message: 'Quarantined row discarded' });
+
+  } catch (error) {
+    console.error('Quarantine discard error:', error);
+    res.status(500).json({ error: 'Failed to discard quarantined row' });
+  }
+});
+
+// List registered companies
+router.get('/companies', authenticateToken, requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+  try {
+    const companies = await companyService.list();
+    res.json({ companies });
+  } catch (error) {
+    console.error('Companies fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch companies' });
+  }
+});
+
+// Register a company (tally_name selects the Tally company to sync from)
+router.post('/companies', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  const { code, name, tally_name, gstin, is_default = false } = req.body;
+
+  if (!code || !name) {
+    return res.status(400).json({ error: 'Company code and name are required' });
+  }
+
+  if (!/^[A-Z0-9_-]{1,20}$/.test(code)) {
+    return res.status(400).json({ error: 'Company code must be 1-20 uppercase letters, digits, - or _' });
+  }
+
+  try {
+    const existing = await companyService.find(code);
+    if (existing) {
+      return res.status(409).json({ error: 'Company code already exists' });
+    }
+
+    const company = await companyService.create({
+      code,
+      name,
+      tallyName: tally_name,
+      gstin,
+      isDefault: is_default === true
+    });
+
+    res.status(201).json({ company, message: 'Company registered successfully' });
+
+  } catch (error) {
+    console.error('Company creation error:', error);
+    res.status(500).json({ error: 'Failed to register company' });
+  }
+});
+
+// Update a company; the default can only move by making another company default
+router.put('/companies/:id', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  const { name, tally_name, gstin, active, is_default } = req.body;
+
+  try {
+    const company = await companyService.find(req.params.id);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    if (company.is_default && (is_default === false || active === false)) {
+      return res.status(400).json({ error: 'Make another company the default first' });
+    }
+
+    const updated = await companyService.update(company.id, {
+      name,
+      tallyName: tally_name,
+      gstin,
+      active,
+      isDefault: is_default === true ? true : undefined
+    });
+
+    res.json({ company: updated, message: 'Company updated successfully' });
+
+  } catch (error) {
+    console.error('Company update error:', error);
+    res.status(500).json({ error: 'Failed to update company' });
+  }
+});
+
+// Mismatches between Tally's bills outstanding and the dashboard's dues (latest run of the day)
+router.get('/reconciliation', authenticateToken, requireRole('ADMIN', 'MANAGER'), resolveCompany, async (req, res) => {
+  const { date = new Date().toISOString().split('T')[0], type } = req.query;
+
+  try {
+    const report = await outstandingReconciliation.report(req.company.id, date);
+    const mismatches = type ? report.mismatches.filter(mismatch => mismatch.mismatch_type === type) : report.mismatches;
+
+    res.json({
+      date,
+      company: req.company.code,
+      run: report.runs[0] || null,
+      mismatches,
+      summary: report.byType
+    });
+
+  } catch (error) {
+    console.error('Reconciliation report error:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliation report' });
+  }
+});
+
+// Reconcile the company's outstanding against Tally now
+router.post('/reconciliation/run', authenticateToken, requireRole('ADMIN', 'MANAGER'), resolveCompany, async (req, res) => {
+  try {
+    const run = await outstandingReconciliation.run(req.company, 'manual');
+
+    if (run.status === 'FAILED') {
+      return res.status(502).json({ error: 'Could not read bills outstanding from Tally', message: run.error_text, run });
+    }
+
+    res.json({ message: `${run.mismatch_count} mismatch(es) found`, run });
+
+  } catch (error) {
+    console.error('Reconciliation run error:', error);
+    res.status(500).json({ error: 'Failed to reconcile outstanding' });
+  }
+});
+
+// GST totals of the day's bills by place of supply
+router.get('/tax-summary', authenticateToken, requireRole('ADMIN', 'MANAGER'), resolveCompany, async (req, res) => {
+  const { date = new Date().toISOString().split('T')[0] } = req.query;
+
+  try {
+    const summary = await billTax.summary(req.company.id, date);
+
+    res.json({ date, company: req.company.code, ...summary });
+
+  } catch (error) {
+    console.error('Tax summary error:', error);
+    res.status(500).json({ error: 'Failed to fetch tax summary' });
+  }
+});
+
+// How each note and coins changed over the closed sessions between two dates (default the
+// last 30 days), per session and in total, next to the sessions' cash variance
+router.get('/cash-denominations', authenticateToken, requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+  const today = new Date().toISOString().split('T')[0];
+  const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const { from_date = monthAgo, to_date = today, cashier_id = null } = req.query;
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(value));
+
+  if (!isDate(from_date) || !isDate(to_date)) {
+    return res.status(400).json({ error: 'from_date and to_date must be dates (YYYY-MM-DD)' });
+  }
+
+  try {
+    const variance = await cashCount.variance({ fromDate: from_date, toDate: to_date, cashierId: cashier_id });
+
+    res.json({ from_date, to_date, ...variance });
+
+  } catch (error) {
+    console.error('Cash denomination variance error:', error);
+    res.status(500).json({ error: 'Failed to fetch denomination variance' });
+  }
+});
+
+// Start a historical backfill, e.g. { "from_date": "2023-04-01", "to_date": "2024-03-31",
+// "voucher_types": ["Sales", "Receipt"] } (every mapped voucher type when omitted)
+router.post('/backfill', authenticateToken, requireRole('ADMIN'), resolveCompany, async (req, res) => {
+  const { from_date, to_date } = req.body || {};
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(value));
+
+  if (!isDate(from_date) || !isDate(to_date)) {
+    return res.status(400).json({ error: 'from_date and to_date must be dates (YYYY-MM-DD)' });
+  }
+  if (from_date > to_date) {
+    return res.status(400).json({ error: 'from_date must not be after to_date' });
+  }
+
+  try {
+    const { entities } = await voucherTypeMap.forCompany(req.company.id);
+    const voucher_types = req.body.voucher_types || Object.keys(entities);
+    if (!Array.isArray(voucher_types) || voucher_types.length === 0 || voucher_types.some(type => !entities[type])) {
+      return res.status(400).json({ error: `Voucher types must be a list of: ${Object.keys(entities).join(', ')}` });
+    }
+
+    const active = await tallyBackfill.activeJob(req.company.id);
+    if (active) {
+      return res.status(409).json({ error: 'A backfill is already running for this company', jobId: active.id });
+    }
+
+    const job = await tallyBackfill.create(req.company, {
+      fromDate: from_date,
+      toDate: to_date,
+      voucherTypes: [...new Set(voucher_types)],
+      requestedBy: req.user.id
+    });
+    tallyBackfill.start(job.id);
+
+    res.status(202).json({ message: `Backfill queued in ${job.total_chunks} chunk(s)`, job });
+
+  } catch (error) {
+    console.error('Backfill start error:', error);
+    res.status(500).json({ error: 'Failed to start backfill' });
+  }
+});
+
+// Recent backfills of the company with their progress
+router.get('/backfill', authenticateToken, requireRole('ADMIN', 'MANAGER'), resolveCompany, async (req, res) => {
+  try {
+    const jobs = await tallyBackfill.list(req.company.id);
+    res.json({ company: req.company.code, jobs });
+  } catch (error) {
+    console.error('Backfill list error:', error);
+    res.status(500).json({ error: 'Failed to fetch backfills' });
+  }
+});
+
+// One backfill with the status of each month and voucher type
+router.get('/backfill/:id', authenticateToken, requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+  if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid backfill ID' });
+  }
+
+  try {
+    const job = await tallyBackfill.get(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Backfill not found' });
+    }
+
+    res.json(job);
+
+  } catch (error) {
+    console.error('Backfill fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch backfill' });
+  }
+});
+
+// Resume a failed or cancelled backfill from its first unfinished chunk
+router.post('/backfill/:id/resume', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid backfill ID' });
+  }
+
+  try {
+    const job = await tallyBackfill.resume(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'No failed or cancelled backfill with this ID' });
+    }
+
+    res.json({ message: `Backfill resumed at ${job.done_chunks} of ${job.total_chunks} chunk(s)`, job });
+
+  } catch (error) {
+    console.error('Backfill resume error:', error);
+    res.status(500).json({ error: 'Failed to resume backfill' });
+  }
+});
+
+// Stop a backfill after the chunk it is on
+router.post('/backfill/:id/cancel', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid backfill ID' });
+  }
+
+  try {
+    const job = await tallyBackfill.cancel(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'No running backfill with this ID' });
+    }
+
+    res.json({ message: 'Backfill cancelled', job });
+
+  } catch (error) {
+    console.error('Backfill cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel backfill' });
+  }
+});
+
 // Get ETL status and last sync information
 router.get('/etl/status', authenticateToken, requireRole('ADMIN', 'MANAGER'), async (req, res) => {
   try {
@@ -535,13 +1076,17 @@ router.get('/etl/status', authenticateToken, requireRole('ADMIN', 'MANAGER'), as
         (SELECT COUNT(*) FROM receipt) as total_receipts
     `);
 
+    const syncStatus = await syncEngine.getStatus();
+    const failingOver = Object.values(syncStatus.entities).some(entity => entity.failures.length > 0);
+
     res.json({
-      etl_running: etlService.isRunning || false,
+      etl_running: syncEngine.isRunning,
       last_bill_sync: lastBillSync.rows[0]?.last_sync,
       last_receipt_sync: lastReceiptSync.rows[0]?.last_sync,
       sync_stats: syncStats.rows[0],
-      tally_connection: etlService.connection ? 'connected' : 'disconnected',
-      next_scheduled_run: 'Every minute (automatic)',
+      tally_connection: failingOver ? 'failing over' : 'connected',
+      connectors: syncStatus.entities,
+      next_scheduled_run: `Every ${syncEngine.syncInterval} seconds (automatic)`,
       status: 'operational'
     });
 
@@ -12,7 +12,7 @@ router.post('/login', async (req, res) => {
 
   try {
     const result = await pool.query(
-      'SELECT id, username, password_hash, full_name, role, active FROM users WHERE username = $1',
+      'SELECT id, username, password_hash, full_name, role, sync_operator, active FROM users WHERE username = $1',
       [username]
     );
 
@@ -43,7 +43,8 @@ router.post('/login', async (req, res) => {
         id: user.id,
         username: user.username,
         fullName: user.full_name,
-        role: user.role
+        role: user.role,
+        syncOperator: user.role === 'ADMIN' || user.sync_operator
       }
     });
 
@@ -59,7 +60,8 @@ router.get('/me', authenticateToken, (req, res) => {
       id: req.user.id,
       username: req.user.username,
       fullName: req.user.full_name,
-      role: req.user.role
+      role: req.user.role,
+      syncOperator: req.user.role === 'ADMIN' || req.user.sync_operator
     }
   });
 });
@@ -1,11 +1,17 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { resolveCompany } = require('../middleware/company');
+const receiptAllocation = require('../services/receipt-allocation');
+const billAdjustment = require('../services/bill-adjustment');
+const billTax = require('../services/bill-tax');
+const partyAdvance = require('../services/party-advance');
+const syncHealth = require('../services/sync-health');
 
 const router = express.Router();
 
 // Get bills with filters and pagination
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, resolveCompany, async (req, res) => {
   const { 
     date, 
     party_name, 
@@ -16,9 +22,9 @@ router.get('/', authenticateToken, async (req, res) => {
   } = req.query;
 
   try {
-    let whereClause = 'WHERE 1=1';
-    const params = [];
-    let paramIndex = 1;
+    let whereClause = 'WHERE bs.company_id = $1';
+    const params = [req.company.id];
+    let paramIndex = 2;
 
     // Date filter
     if (date) {
@@ -62,7 +68,7 @@ router.get('/', authenticateToken, async (req, res) => {
           ELSE NULL
         END as release_method
       FROM bill_status bs
-      LEFT JOIN release_status rs ON bs.bill_no = rs.bill_no
+      LEFT JOIN release_status rs ON bs.company_id = rs.company_id AND bs.bill_no = rs.bill_no
       ${whereClause}
       ORDER BY bs.bill_date DESC, bs.bill_no DESC
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
@@ -76,7 +82,7 @@ router.get('/', authenticateToken, async (req, res) => {
     const countQuery = `
       SELECT COUNT(*) as total
       FROM bill_status bs
-      LEFT JOIN release_status rs ON bs.bill_no = rs.bill_no
+      LEFT JOIN release_status rs ON bs.company_id = rs.company_id AND bs.bill_no = rs.bill_no
       ${whereClause}
     `;
 
@@ -100,8 +106,9 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get specific bill details
-router.get('/:bill_no', authenticateToken, async (req, res) => {
+router.get('/:bill_no', authenticateToken, resolveCompany, async (req, res) => {
   const { bill_no } = req.params;
+  const companyId = req.company.id;
 
   try {
     // Get bill with status
@@ -112,9 +119,9 @@ router.get('/:bill_no', authenticateToken, async (req, res) => {
         rs.release_ts,
         rs.dispatcher_id
       FROM bill_status bs
-      LEFT JOIN release_status rs ON bs.bill_no = rs.bill_no
-      WHERE bs.bill_no = $1
-    `, [bill_no]);
+      LEFT JOIN release_status rs ON bs.company_id = rs.company_id AND bs.bill_no = rs.bill_no
+      WHERE bs.company_id = $2 AND bs.bill_no = $1
+    `, [bill_no, companyId]);
 
     if (billResult.rows.length === 0) {
       return res.status(404).json({ error: 'Bill not found' });
@@ -129,16 +136,21 @@ router.get('/:bill_no', authenticateToken, async (req, res) => {
         u.full_name as cashier_name
       FROM payment_hint ph
       LEFT JOIN users u ON ph.cashier_id = u.id
-      WHERE ph.bill_no = $1
+      WHERE ph.company_id = $2 AND ph.bill_no = $1
       ORDER BY ph.created_at DESC
-    `, [bill_no]);
+    `, [bill_no, companyId]);
 
-    // Get mapped receipts
-    const receiptsResult = await pool.query(`
-      SELECT * FROM receipt 
-      WHERE bill_reference = $1
-      ORDER BY receipt_date ASC
-    `, [bill_no]);
+    // Get receipts applied to this bill (Tally allocations or bill reference)
+    const receipts = await receiptAllocation.forBill(companyId, bill_no);
+
+    // Get credit notes, debit notes and journals applied to this bill (one line each)
+    const adjustments = await billAdjustment.forBill(companyId, bill_no);
+
+    // Get the GST breakdown (null when Tally sent none, e.g. over ODBC)
+    const tax = await billTax.forBill(companyId, bill_no);
+
+    // Get the party's advance and what was settled from it on this bill
+    const advance = await partyAdvance.forBill(companyId, bill);
 
     // Get release details if released
     let releaseDetails = null;
@@ -151,8 +163,8 @@ router.get('/:bill_no', authenticateToken, async (req, res) => {
         FROM release_self rs
         LEFT JOIN users u ON rs.dispatcher_id = u.id
         LEFT JOIN users m ON rs.approved_by_manager_id = m.id
-        WHERE rs.bill_no = $1
-      `, [bill_no]);
+        WHERE rs.company_id = $2 AND rs.bill_no = $1
+      `, [bill_no, companyId]);
 
       if (selfRelease.rows.length > 0) {
         releaseDetails = { type: 'self', ...selfRelease.rows[0] };
@@ -165,8 +177,8 @@ router.get('/:bill_no', authenticateToken, async (req, res) => {
           FROM release_transporter rt
           LEFT JOIN users u ON rt.dispatcher_id = u.id
           LEFT JOIN users m ON rt.approved_by_manager_id = m.id
-          WHERE rt.bill_no = $1
-        `, [bill_no]);
+          WHERE rt.company_id = $2 AND rt.bill_no = $1
+        `, [bill_no, companyId]);
 
         if (transportRelease.rows.length > 0) {
           releaseDetails = { type: 'transporter', ...transportRelease.rows[0] };
@@ -174,6 +186,16 @@ router.get('/:bill_no', authenticateToken, async (req, res) => {
       }
     }
 
+    // Get party master record (null when the party is not synced from Tally)
+    let party = null;
+    if (bill.party_id) {
+      const partyResult = await pool.query(`
+        SELECT id, party_name, party_type, group_path, gstin, phone, address, credit_limit, credit_period_days
+        FROM party WHERE id = $1
+      `, [bill.party_id]);
+      party = partyResult.rows[0] || null;
+    }
+
     // Get gate log
     const gateLogResult = await pool.query(`
       SELECT 
@@ -181,14 +203,19 @@ router.get('/:bill_no', authenticateToken, async (req, res) => {
         u.full_name as security_name
       FROM gate_log gl
       LEFT JOIN users u ON gl.security_id = u.id
-      WHERE gl.bill_no = $1
+      WHERE gl.company_id = $2 AND gl.bill_no = $1
       ORDER BY gl.gate_ts DESC
-    `, [bill_no]);
+    `, [bill_no, companyId]);
 
     res.json({
+      company: { id: req.company.id, code: req.company.code, name: req.company.name },
       bill,
+      party,
+      tax,
       payments: paymentsResult.rows,
-      receipts: receiptsResult.rows,
+      receipts,
+      adjustments,
+      advance,
       release: releaseDetails,
       gateLog: gateLogResult.rows
     });
@@ -200,7 +227,7 @@ router.get('/:bill_no', authenticateToken, async (req, res) => {
 });
 
 // Get dashboard summary
-router.get('/dashboard/summary', authenticateToken, async (req, res) => {
+router.get('/dashboard/summary', authenticateToken, resolveCompany, async (req, res) => {
   const { date = new Date().toISOString().split('T')[0] } = req.query;
 
   try {
@@ -214,8 +241,8 @@ router.get('/dashboard/summary', authenticateToken, async (req, res) => {
         COUNT(CASE WHEN status = 'DUE' THEN 1 END) as due_bills,
         SUM(remaining_due) as total_due
       FROM bill_status
-      WHERE bill_date = $1
-    `, [date]);
+      WHERE company_id = $2 AND bill_date = $1
+    `, [date, req.company.id]);
 
     // Release summary
     const releaseSummary = await pool.query(`
@@ -225,9 +252,9 @@ router.get('/dashboard/summary', authenticateToken, async (req, res) => {
         COUNT(CASE WHEN rs.release_status = 'IN_TRANSIT' THEN 1 END) as in_transit_count,
         COUNT(CASE WHEN rs.release_status = 'DELIVERED' THEN 1 END) as delivered_count
       FROM bill_status bs
-      LEFT JOIN release_status rs ON bs.bill_no = rs.bill_no
-      WHERE bs.bill_date = $1
-    `, [date]);
+      LEFT JOIN release_status rs ON bs.company_id = rs.company_id AND bs.bill_no = rs.bill_no
+      WHERE bs.company_id = $2 AND bs.bill_date = $1
+    `, [date, req.company.id]);
 
     // Active sessions
     const activeSessions = await pool.query(`
@@ -241,9 +268,12 @@ router.get('/dashboard/summary', authenticateToken, async (req, res) => {
 
     res.json({
       date,
+      company: req.company.code,
       bills: billsSummary.rows[0],
       releases: releaseSummary.rows[0],
-      activeSessions: activeSessions.rows
+      activeSessions: activeSessions.rows,
+      // Dues above are only as fresh as the last sync from Tally
+      syncHealth: await syncHealth.status(req.company.id)
     });
 
   } catch (error) {
@@ -2,11 +2,14 @@ const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken, requireRole, requireActiveSession } = require('../middleware/auth');
 const { validateSessionClose, validateCashVariance } = require('../middleware/businessRules');
+const { resolveCompany } = require('../middleware/company');
+const cashCount = require('../services/cash-count');
+const auditLog = require('../services/audit-log');
 
 const router = express.Router();
 
 // Create payment form/hint
-router.post('/payment-hint', authenticateToken, requireRole('CASHIER'), requireActiveSession, async (req, res) => {
+router.post('/payment-hint', authenticateToken, requireRole('CASHIER'), requireActiveSession, resolveCompany, async (req, res) => {
   const {
     bill_no,
     cash_amt = 0,
@@ -19,44 +22,52 @@ router.post('/payment-hint', authenticateToken, requireRole('CASHIER'), requireA
   } = req.body;
 
   try {
-    // Get bill amount to calculate remaining due
-    const billResult = await pool.query('SELECT amount FROM bill WHERE bill_no = $1', [bill_no]);
+    // Due left on the bill after receipts and the collections not yet posted to Tally; what
+    // this payment leaves below zero is the party's overpayment (see party_advance_credit)
+    const billResult = await pool.query(`
+      SELECT bs.remaining_due - COALESCE((
+        SELECT SUM(ph.cash_amt + ph.cheque_amt + ph.digital_amt)
+        FROM payment_hint ph
+        WHERE ph.company_id = bs.company_id AND ph.bill_no = bs.bill_no AND ph.tally_post_status <> 'POSTED'
+      ), 0) as remaining_due
+      FROM bill_status bs
+      WHERE bs.company_id = $1 AND bs.bill_no = $2
+    `, [req.company.id, bill_no]);
     
     if (billResult.rows.length === 0) {
       return res.status(404).json({ error: 'Bill not found' });
     }
 
-    const billAmount = parseFloat(billResult.rows[0].amount);
     const totalPaid = parseFloat(cash_amt) + parseFloat(cheque_amt) + parseFloat(digital_amt);
-    const remainingDue = billAmount - totalPaid;
+    const remainingDue = Math.round((parseFloat(billResult.rows[0].remaining_due) - totalPaid) * 100) / 100;
 
     // Insert payment hint
     const result = await pool.query(`
       INSERT INTO payment_hint (
         bill_no, cash_amt, cheque_amt, cheque_no, bank, 
-        digital_amt, digital_ref, remaining_due, cashier_id, notes
+        digital_amt, digital_ref, remaining_due, cashier_id, notes, company_id
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
       RETURNING *
     `, [
       bill_no, cash_amt, cheque_amt, cheque_no, bank,
-      digital_amt, digital_ref, remainingDue, req.user.id, notes
+      digital_amt, digital_ref, remainingDue, req.user.id, notes, req.company.id
     ]);
 
     // Create cheque register entry if cheque payment
     if (cheque_amt > 0 && cheque_no) {
       await pool.query(`
-        INSERT INTO cheque_register (bill_no, cheque_no, bank, amount)
-        VALUES ($1, $2, $3, $4)
-      `, [bill_no, cheque_no, bank, cheque_amt]);
+        INSERT INTO cheque_register (bill_no, cheque_no, bank, amount, company_id)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [bill_no, cheque_no, bank, cheque_amt, req.company.id]);
     }
 
     // Create digital payment reference if digital payment
     if (digital_amt > 0 && digital_ref) {
       await pool.query(`
-        INSERT INTO digital_payment_ref (bill_no, method, reference_no, amount)
-        VALUES ($1, $2, $3, $4)
-      `, [bill_no, 'UPI', digital_ref, digital_amt]);
+        INSERT INTO digital_payment_ref (bill_no, method, reference_no, amount, company_id)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [bill_no, 'UPI', digital_ref, digital_amt, req.company.id]);
     }
 
     res.json({
@@ -71,9 +82,16 @@ router.post('/payment-hint', authenticateToken, requireRole('CASHIER'), requireA
   }
 });
 
-// Open cashier session
+// Open cashier session; denominations (optional) count the float, e.g. { "500": 2, "100": 5 }
 router.post('/session/open', authenticateToken, requireRole('CASHIER'), async (req, res) => {
-  const { start_float, opened_by_pin } = req.body;
+  const { start_float, opened_by_pin, denominations } = req.body;
+
+  const floatCount = denominations === undefined ? null : cashCount.parse(denominations, start_float, 'start float');
+  if (floatCount && floatCount.reasons.length > 0) {
+    return res.status(422).json({ error: 'Float count does not match the start float', reasons: floatCount.reasons });
+  }
+
+  const client = await pool.connect();
 
   try {
     // Check if user already has active session
@@ -96,20 +114,32 @@ router.post('/session/open', authenticateToken, requireRole('CASHIER'), async (r
       return res.status(400).json({ error: 'No manager available for session approval' });
     }
 
-    const result = await pool.query(`
+    await client.query('BEGIN');
+
+    const result = await client.query(`
       INSERT INTO cashier_session (cashier_id, start_ts, start_float, opened_by, status)
       VALUES ($1, CURRENT_TIMESTAMP, $2, $3, 'ACTIVE')
       RETURNING *
     `, [req.user.id, start_float, managers.rows[0].id]);
 
+    const floatDenominations = floatCount
+      ? await cashCount.save(client, result.rows[0].id, 'OPEN', floatCount.counts, req.user.id)
+      : [];
+
+    await client.query('COMMIT');
+
     res.json({
       session: result.rows[0],
+      denominations: floatDenominations,
       message: 'Session opened successfully'
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Session open error:', error);
     res.status(500).json({ error: 'Failed to open session' });
+  } finally {
+    client.release();
   }
 });
 
@@ -167,6 +197,7 @@ router.get('/session/current', authenticateToken, requireRole('CASHIER'), async
 
     res.json({
       session,
+      denominations: await cashCount.forSession(session.id),
       totals: {
         ...totals.rows[0],
         total_petty: pettyCash.rows[0].total_petty,
@@ -228,7 +259,8 @@ router.post('/session/till-adjust', authenticateToken, requireRole('CASHIER'), r
   }
 });
 
-// Close session with cash count
+// Close session with cash count; denominations (optional) break the count down by note,
+// e.g. { "2000": 1, "500": 4, "coins": 37.5 }, and must add up to counted_cash
 router.post('/session/:session_id/close', 
   authenticateToken, 
   requireRole('CASHIER'), 
@@ -238,12 +270,21 @@ router.post('/session/:session_id/close',
     const { session_id } = req.params;
     const { counted_cash, denominations } = req.body;
 
+    const closeCount = denominations === undefined ? null : cashCount.parse(denominations, counted_cash, 'counted cash');
+    if (closeCount && closeCount.reasons.length > 0) {
+      return res.status(422).json({ error: 'Cash count does not match the counted cash', reasons: closeCount.reasons });
+    }
+
+    const client = await pool.connect();
+
     try {
       const expectedCash = req.expectedCash || 0;
       const variance = req.variance || 0;
 
+      await client.query('BEGIN');
+
       // Update session
-      const result = await pool.query(`
+      const result = await client.query(`
         UPDATE cashier_session 
         SET 
           end_ts = CURRENT_TIMESTAMP,
@@ -251,25 +292,29 @@ router.post('/session/:session_id/close',
           expected_cash = $2,
           variance = $3,
           closed_by = $4,
-          status = CASE 
-            WHEN ABS($3) > $5 THEN 'CLOSED'
-            ELSE 'CLOSED'
-          END
-        WHERE id = $6
+          status = 'CLOSED'
+        WHERE id = $5
         RETURNING *
-      `, [counted_cash, expectedCash, variance, req.user.id, 
-          parseFloat(process.env.CASH_VARIANCE_THRESHOLD || '100'), session_id]);
-
-      // Log denominations if provided
-      if (denominations && typeof denominations === 'object') {
-        await pool.query(`
-          INSERT INTO audit_log (table_name, record_id, action, new_values, user_id)
-          VALUES ('cashier_session', $1, 'CLOSE', $2, $3)
-        `, [session_id, JSON.stringify({ denominations, counted_cash, variance }), req.user.id]);
+      `, [counted_cash, expectedCash, variance, req.user.id, session_id]);
+
+      // Store and log the count by denomination if provided
+      let closeDenominations = [];
+      if (closeCount) {
+        closeDenominations = await cashCount.save(client, session_id, 'CLOSE', closeCount.counts, req.user.id);
+        await auditLog.record({
+          tableName: 'cashier_session',
+          recordId: session_id,
+          action: 'CLOSE',
+          newValues: { denominations: closeCount.counts, counted_cash, variance },
+          userId: req.user.id
+        }, client);
       }
 
+      await client.query('COMMIT');
+
       res.json({
         session: result.rows[0],
+        denominations: closeDenominations,
         variance,
         expectedCash,
         requiresApproval: req.requiresApproval || false,
@@ -277,8 +322,11 @@ router.post('/session/:session_id/close',
       });
 
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('Session close error:', error);
       res.status(500).json({ error: 'Failed to close session' });
+    } finally {
+      client.release();
     }
   }
 );
@@ -2,7 +2,11 @@ const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken, requireRole, verifyManagerPIN } = require('../middleware/auth');
 const { validateRelease, validateGatepassId, enforceUniqueRelease } = require('../middleware/businessRules');
+const { resolveCompany } = require('../middleware/company');
 const otpService = require('../services/otp');
+const billItem = require('../services/bill-item');
+const partyAdvance = require('../services/party-advance');
+const syncHealth = require('../services/sync-health');
 const multer = require('multer');
 const path = require('path');
 
@@ -36,26 +40,26 @@ const upload = multer({
 });
 
 // Get release queue (today's bills ready for dispatch)
-router.get('/queue', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), async (req, res) => {
+router.get('/queue', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), resolveCompany, async (req, res) => {
   const { date = new Date().toISOString().split('T')[0], status } = req.query;
 
   try {
-    let whereClause = 'WHERE bs.bill_date = $1';
-    const params = [date];
-    let paramIndex = 2;
+    let whereClause = 'WHERE bs.company_id = $1 AND bs.bill_date = $2';
+    const params = [req.company.id, date];
+    let paramIndex = 3;
 
     if (status && status !== 'all') {
       if (status === 'ready') {
-        whereClause += ' AND rs.release_status = $2';
+        whereClause += ` AND rs.release_status = $${paramIndex}`;
         params.push('READY');
+        paramIndex++;
       } else if (status === 'released') {
-        whereClause += ' AND rs.release_status IN ($2, $3, $4)';
+        whereClause += ` AND rs.release_status IN ($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2})`;
         params.push('RELEASED_SELF', 'IN_TRANSIT', 'DELIVERED');
-        paramIndex += 2;
+        paramIndex += 3;
       } else if (status === 'flagged') {
         whereClause += ' AND bs.remaining_due > 0';
       }
-      paramIndex++;
     }
 
     const query = `
@@ -71,10 +75,11 @@ router.get('/queue', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), asyn
         CASE 
           WHEN bs.remaining_due > 0 THEN true
           ELSE false
-        END as requires_approval
+        END as requires_approval,
+        bs.party_id IS NULL as unknown_party
       FROM bill_status bs
-      LEFT JOIN release_status rs ON bs.bill_no = rs.bill_no
-      LEFT JOIN payment_hint ph ON bs.bill_no = ph.bill_no
+      LEFT JOIN release_status rs ON bs.company_id = rs.company_id AND bs.bill_no = rs.bill_no
+      LEFT JOIN payment_hint ph ON bs.company_id = ph.company_id AND bs.bill_no = ph.bill_no
       LEFT JOIN users u ON ph.cashier_id = u.id
       ${whereClause}
       ORDER BY 
@@ -87,11 +92,14 @@ router.get('/queue', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), asyn
 
     res.json({
       date,
+      company: req.company.code,
       queue: result.rows,
       summary: {
         total: result.rows.length,
         ready: result.rows.filter(row => row.release_status === 'READY').length,
         flagged: result.rows.filter(row => row.remaining_due > 0).length,
+        unknown_party: result.rows.filter(row => row.unknown_party).length,
+        voided: result.rows.filter(row => row.tally_status !== 'ACTIVE').length,
         released: result.rows.filter(row => ['RELEASED_SELF', 'IN_TRANSIT', 'DELIVERED'].includes(row.release_status)).length
       }
     });
@@ -103,7 +111,7 @@ router.get('/queue', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), asyn
 });
 
 // Get bill details for dispatch
-router.get('/bill/:bill_no', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), async (req, res) => {
+router.get('/bill/:bill_no', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), resolveCompany, async (req, res) => {
   const { bill_no } = req.params;
 
   try {
@@ -118,14 +126,19 @@ router.get('/bill/:bill_no', authenticateToken, requireRole('DISPATCHER', 'ADMIN
         ph.digital_amt,
         ph.notes as payment_notes,
         u.full_name as cashier_name,
-        cs.status as session_status
+        cs.status as session_status,
+        p.phone as party_phone,
+        p.gstin as party_gstin,
+        p.address as party_address,
+        p.credit_limit as party_credit_limit
       FROM bill_status bs
-      LEFT JOIN release_status rs ON bs.bill_no = rs.bill_no
-      LEFT JOIN payment_hint ph ON bs.bill_no = ph.bill_no
+      LEFT JOIN release_status rs ON bs.company_id = rs.company_id AND bs.bill_no = rs.bill_no
+      LEFT JOIN payment_hint ph ON bs.company_id = ph.company_id AND bs.bill_no = ph.bill_no
       LEFT JOIN users u ON ph.cashier_id = u.id
       LEFT JOIN cashier_session cs ON ph.cashier_id = cs.cashier_id AND cs.status = 'ACTIVE'
-      WHERE bs.bill_no = $1
-    `, [bill_no]);
+      LEFT JOIN party p ON bs.party_id = p.id
+      WHERE bs.company_id = $2 AND bs.bill_no = $1
+    `, [bill_no, req.company.id]);
 
     if (billResult.rows.length === 0) {
       return res.status(404).json({ error: 'Bill not found' });
@@ -138,15 +151,35 @@ router.get('/bill/:bill_no', authenticateToken, requireRole('DISPATCHER', 'ADMIN
 
     // Get consignee phone if marked for transport dispatch
     const transportInfo = await pool.query(`
-      SELECT notes FROM payment_hint WHERE bill_no = $1 AND notes ILIKE '%transport%'
-    `, [bill_no]);
+      SELECT notes FROM payment_hint WHERE company_id = $2 AND bill_no = $1 AND notes ILIKE '%transport%'
+    `, [bill_no, req.company.id]);
+
+    // Goods to hand over
+    const items = await billItem.forBill(req.company.id, bill_no);
+
+    // The party's advance is settled at release before approval is asked for
+    const advance = await partyAdvance.forBill(req.company.id, bill);
+
+    // While Tally sync is stale a bill with a due needs a manager override, advance or not
+    // (see validateRelease)
+    const syncStale = parseFloat(bill.remaining_due) > 0 && await syncHealth.blocksReleases(req.company.id);
 
     res.json({
       bill,
-      canRelease: hasActiveSession && !['RELEASED_SELF', 'IN_TRANSIT', 'DELIVERED'].includes(bill.release_status),
-      requiresApproval: bill.remaining_due > 0,
+      items,
+      canRelease: hasActiveSession && bill.tally_status === 'ACTIVE' && !['RELEASED_SELF', 'IN_TRANSIT', 'DELIVERED'].includes(bill.release_status),
+      requiresApproval: advance.due_after_advance > 0 || syncStale,
+      // Only a manager PIN will do; customer OTP is not enough
+      syncStale,
+      advanceAvailable: advance.available,
+      dueAfterAdvance: advance.due_after_advance,
       hasActiveSession,
-      isTransportDispatch: transportInfo.rows.length > 0
+      // CANCELLED/DELETED/MISSING when the voucher is gone from Tally
+      tallyStatus: bill.tally_status,
+      isTransportDispatch: transportInfo.rows.length > 0,
+      // Pre-fill for OTP; unknown parties have no master record to verify the receiver against
+      receiverPhone: bill.party_phone,
+      unknownParty: !bill.party_id
     });
 
   } catch (error) {
@@ -155,16 +188,45 @@ router.get('/bill/:bill_no', authenticateToken, requireRole('DISPATCHER', 'ADMIN
   }
 });
 
-// Request customer OTP for due release
-router.post('/otp/request', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), async (req, res) => {
-  const { bill_no, phone } = req.body;
+// Picking list grouped by godown (one bill, or every unreleased bill of a date)
+router.get('/picking-list', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), resolveCompany, async (req, res) => {
+  const { date = new Date().toISOString().split('T')[0], bill_no } = req.query;
+
+  try {
+    const godowns = await billItem.pickingList(req.company.id, { date, billNo: bill_no || null });
+
+    res.json({
+      date: bill_no ? null : date,
+      billNo: bill_no || null,
+      company: req.company.code,
+      godowns
+    });
 
-  if (!phone || !/^\d{10}$/.test(phone)) {
-    return res.status(400).json({ error: 'Valid 10-digit phone number required' });
+  } catch (error) {
+    console.error('Picking list error:', error);
+    res.status(500).json({ error: 'Failed to build picking list' });
   }
+});
+
+// Request customer OTP for due release
+router.post('/otp/request', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), resolveCompany, async (req, res) => {
+  const { bill_no } = req.body;
+  let { phone } = req.body;
 
   try {
-    const result = await otpService.createOTP(bill_no, phone);
+    // Fall back to the party's phone from the master when none is entered
+    if (!phone) {
+      const partyResult = await pool.query(`
+        SELECT p.phone FROM bill b JOIN party p ON b.party_id = p.id WHERE b.company_id = $2 AND b.bill_no = $1
+      `, [bill_no, req.company.id]);
+      phone = partyResult.rows[0]?.phone;
+    }
+
+    if (!phone || !/^\d{10}$/.test(phone)) {
+      return res.status(400).json({ error: 'Valid 10-digit phone number required' });
+    }
+
+    const result = await otpService.createOTP(bill_no, phone, req.company.id);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: 'Failed to send OTP' });
@@ -172,11 +234,11 @@ router.post('/otp/request', authenticateToken, requireRole('DISPATCHER', 'ADMIN'
 });
 
 // Verify customer OTP
-router.post('/otp/verify', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), async (req, res) => {
+router.post('/otp/verify', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), resolveCompany, async (req, res) => {
   const { bill_no, otp_code } = req.body;
 
   try {
-    const result = await otpService.verifyOTP(bill_no, otp_code);
+    const result = await otpService.verifyOTP(bill_no, otp_code, req.company.id);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: 'Failed to verify OTP' });
@@ -187,6 +249,7 @@ router.post('/otp/verify', authenticateToken, requireRole('DISPATCHER', 'ADMIN')
 router.post('/release/self', 
   authenticateToken, 
   requireRole('DISPATCHER', 'ADMIN'),
+  resolveCompany,
   validateRelease,
   validateGatepassId,
   enforceUniqueRelease,
@@ -207,8 +270,15 @@ router.post('/release/self',
     try {
       let approvedBy = null;
 
-      // Check manager PIN if required and provided
-      if (req.billData.remaining_due > 0) {
+      // Settle what the party's advance covers; a manager PIN or OTP is only needed for the rest
+      const { settlement } = await partyAdvance.settle(req.dbClient, {
+        companyId: req.company.id, billNo: bill_no, method: 'RELEASE', userId: req.user.id
+      });
+      const advanceSettled = settlement ? parseFloat(settlement.amount) : 0;
+
+      // Check manager PIN if required and provided; while the sync is stale the PIN is
+      // verified even when the advance covers the due, as the due itself may be wrong
+      if (parseFloat(req.billData.remaining_due) - advanceSettled > 0 || req.syncStale) {
         if (manager_pin) {
           // Verify manager PIN
           const managers = await pool.query(
@@ -235,6 +305,13 @@ router.post('/release/self',
             req.dbClient.release();
             return res.status(400).json({ error: 'Invalid manager PIN' });
           }
+        } else if (req.syncStale) {
+          await req.dbClient.query('ROLLBACK');
+          req.dbClient.release();
+          return res.status(409).json({
+            error: 'Tally sync is stale; releasing a bill with a due needs a manager override',
+            syncStale: true
+          });
         } else if (!otp_verified) {
           await req.dbClient.query('ROLLBACK');
           req.dbClient.release();
@@ -252,13 +329,13 @@ router.post('/release/self',
       const result = await req.dbClient.query(`
         INSERT INTO release_self (
           bill_no, gatepass_id, approved_by_manager_id, dispatcher_id,
-          receiver_name, receiver_phone, signature_path, photo_path
+          receiver_name, receiver_phone, signature_path, photo_path, company_id, sync_stale
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
         RETURNING *
       `, [
         bill_no, gatepass_id, approvedBy, req.user.id,
-        receiver_name, receiver_phone, signaturePath, photoPath
+        receiver_name, receiver_phone, signaturePath, photoPath, req.company.id, req.syncStale
       ]);
 
       await req.dbClient.query('COMMIT');
@@ -266,6 +343,7 @@ router.post('/release/self',
 
       res.json({
         release: result.rows[0],
+        advanceSettled,
         message: 'Bill released to customer successfully'
       });
 
@@ -284,6 +362,7 @@ router.post('/release/self',
 router.post('/release/transporter',
   authenticateToken,
   requireRole('DISPATCHER', 'ADMIN'),
+  resolveCompany,
   validateRelease,
   validateGatepassId,
   enforceUniqueRelease,
@@ -308,8 +387,15 @@ router.post('/release/transporter',
     try {
       let approvedBy = null;
 
-      // Check manager PIN if required and provided
-      if (req.billData.remaining_due > 0) {
+      // Settle what the party's advance covers; a manager PIN or OTP is only needed for the rest
+      const { settlement } = await partyAdvance.settle(req.dbClient, {
+        companyId: req.company.id, billNo: bill_no, method: 'RELEASE', userId: req.user.id
+      });
+      const advanceSettled = settlement ? parseFloat(settlement.amount) : 0;
+
+      // Check manager PIN if required and provided; while the sync is stale the PIN is
+      // verified even when the advance covers the due, as the due itself may be wrong
+      if (parseFloat(req.billData.remaining_due) - advanceSettled > 0 || req.syncStale) {
         if (manager_pin) {
           const managers = await pool.query(
             'SELECT id FROM users WHERE role = $1 AND active = true',
@@ -335,6 +421,13 @@ router.post('/release/transporter',
             req.dbClient.release();
             return res.status(400).json({ error: 'Invalid manager PIN' });
           }
+        } else if (req.syncStale) {
+          await req.dbClient.query('ROLLBACK');
+          req.dbClient.release();
+          return res.status(409).json({
+            error: 'Tally sync is stale; releasing a bill with a due needs a manager override',
+            syncStale: true
+          });
         } else if (!otp_verified) {
           await req.dbClient.query('ROLLBACK');
           req.dbClient.release();
@@ -349,14 +442,14 @@ router.post('/release/transporter',
         INSERT INTO release_transporter (
           bill_no, gatepass_id, approved_by_manager_id, dispatcher_id,
           transporter_name, lr_no, vehicle_no, driver_name, driver_phone,
-          driver_id_type, driver_id_last4, pkg_count, gross_weight, net_weight
+          driver_id_type, driver_id_last4, pkg_count, gross_weight, net_weight, company_id, sync_stale
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
         RETURNING *
       `, [
         bill_no, gatepass_id, approvedBy, req.user.id,
         transporter_name, lr_no, vehicle_no, driver_name, driver_phone,
-        driver_id_type, driver_id_last4, pkg_count, gross_weight, net_weight
+        driver_id_type, driver_id_last4, pkg_count, gross_weight, net_weight, req.company.id, req.syncStale
       ]);
 
       await req.dbClient.query('COMMIT');
@@ -364,6 +457,7 @@ router.post('/release/transporter',
 
       res.json({
         release: result.rows[0],
+        advanceSettled,
         message: 'Bill released to transporter successfully'
       });
 
@@ -382,6 +476,7 @@ router.post('/release/transporter',
 router.post('/transport/:bill_no/pod', 
   authenticateToken,
   requireRole('DISPATCHER', 'ADMIN'),
+  resolveCompany,
   upload.single('pod'),
   async (req, res) => {
     const { bill_no } = req.params;
@@ -395,9 +490,9 @@ router.post('/transport/:bill_no/pod',
       const result = await pool.query(`
         UPDATE release_transporter 
         SET pod_uploaded = true, pod_path = $1, delivered_ts = CURRENT_TIMESTAMP
-        WHERE bill_no = $2
+        WHERE company_id = $3 AND bill_no = $2
         RETURNING *
-      `, [podPath, bill_no]);
+      `, [podPath, bill_no, req.company.id]);
 
       if (result.rows.length === 0) {
         return res.status(404).json({ error: 'Transport release not found' });
@@ -416,7 +511,7 @@ router.post('/transport/:bill_no/pod',
 );
 
 // Get transport status
-router.get('/transport/status', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), async (req, res) => {
+router.get('/transport/status', authenticateToken, requireRole('DISPATCHER', 'ADMIN'), resolveCompany, async (req, res) => {
   const { date = new Date().toISOString().split('T')[0] } = req.query;
 
   try {
@@ -431,11 +526,11 @@ router.get('/transport/status', authenticateToken, requireRole('DISPATCHER', 'AD
           ELSE 'IN_TRANSIT'
         END as status
       FROM release_transporter rt
-      JOIN bill b ON rt.bill_no = b.bill_no
+      JOIN bill b ON rt.company_id = b.company_id AND rt.bill_no = b.bill_no
       LEFT JOIN users u ON rt.dispatcher_id = u.id
-      WHERE b.bill_date = $1
+      WHERE b.company_id = $2 AND b.bill_date = $1
       ORDER BY rt.pickup_ts DESC
-    `, [date]);
+    `, [date, req.company.id]);
 
     res.json({
       date,
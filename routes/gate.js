@@ -13,11 +13,11 @@ router.post('/log', authenticateToken, requireRole('SECURITY', 'ADMIN'), async (
   }
 
   try {
-    // Validate gatepass_id exists in releases
+    // Validate gatepass_id exists in releases (the release also fixes the bill's company)
     const releaseCheck = await pool.query(`
-      SELECT bill_no FROM release_self WHERE gatepass_id = $1
+      SELECT company_id, bill_no FROM release_self WHERE gatepass_id = $1
       UNION ALL
-      SELECT bill_no FROM release_transporter WHERE gatepass_id = $1
+      SELECT company_id, bill_no FROM release_transporter WHERE gatepass_id = $1
     `, [gatepass_id]);
 
     if (releaseCheck.rows.length === 0) {
@@ -39,10 +39,10 @@ router.post('/log', authenticateToken, requireRole('SECURITY', 'ADMIN'), async (
 
     // Create gate log entry
     const result = await pool.query(`
-      INSERT INTO gate_log (bill_no, gatepass_id, vehicle_no, security_id)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO gate_log (company_id, bill_no, gatepass_id, vehicle_no, security_id)
+      VALUES ($1, $2, $3, $4, $5)
       RETURNING *
-    `, [finalBillNo, gatepass_id, vehicle_no, req.user.id]);
+    `, [releaseCheck.rows[0].company_id, finalBillNo, gatepass_id, vehicle_no, req.user.id]);
 
     // Get enhanced result with bill and security info
     const logDetails = await pool.query(`
@@ -57,10 +57,10 @@ router.post('/log', authenticateToken, requireRole('SECURITY', 'ADMIN'), async (
           ELSE 'Unknown'
         END as release_type
       FROM gate_log gl
-      LEFT JOIN bill b ON gl.bill_no = b.bill_no
+      LEFT JOIN bill b ON gl.company_id = b.company_id AND gl.bill_no = b.bill_no
       LEFT JOIN users u ON gl.security_id = u.id
-      LEFT JOIN release_self rs ON gl.bill_no = rs.bill_no
-      LEFT JOIN release_transporter rt ON gl.bill_no = rt.bill_no
+      LEFT JOIN release_self rs ON gl.company_id = rs.company_id AND gl.bill_no = rs.bill_no
+      LEFT JOIN release_transporter rt ON gl.company_id = rt.company_id AND gl.bill_no = rt.bill_no
       WHERE gl.id = $1
     `, [result.rows[0].id]);
 
@@ -93,10 +93,10 @@ router.get('/log', authenticateToken, requireRole('SECURITY', 'ADMIN'), async (r
         END as release_type,
         COALESCE(rs.receiver_name, rt.transporter_name) as receiver_name
       FROM gate_log gl
-      LEFT JOIN bill b ON gl.bill_no = b.bill_no
+      LEFT JOIN bill b ON gl.company_id = b.company_id AND gl.bill_no = b.bill_no
       LEFT JOIN users u ON gl.security_id = u.id
-      LEFT JOIN release_self rs ON gl.bill_no = rs.bill_no
-      LEFT JOIN release_transporter rt ON gl.bill_no = rt.bill_no
+      LEFT JOIN release_self rs ON gl.company_id = rs.company_id AND gl.bill_no = rs.bill_no
+      LEFT JOIN release_transporter rt ON gl.company_id = rt.company_id AND gl.bill_no = rt.bill_no
       WHERE DATE(gl.gate_ts) = $1
       ORDER BY gl.gate_ts DESC
       LIMIT $2
@@ -136,10 +136,10 @@ router.get('/log/:gatepass_id', authenticateToken, requireRole('SECURITY', 'ADMI
         rt.driver_name,
         rt.driver_phone
       FROM gate_log gl
-      LEFT JOIN bill b ON gl.bill_no = b.bill_no
+      LEFT JOIN bill b ON gl.company_id = b.company_id AND gl.bill_no = b.bill_no
       LEFT JOIN users u ON gl.security_id = u.id
-      LEFT JOIN release_self rs ON gl.bill_no = rs.bill_no
-      LEFT JOIN release_transporter rt ON gl.bill_no = rt.bill_no
+      LEFT JOIN release_self rs ON gl.company_id = rs.company_id AND gl.bill_no = rs.bill_no
+      LEFT JOIN release_transporter rt ON gl.company_id = rt.company_id AND gl.bill_no = rt.bill_no
       WHERE gl.gatepass_id = $1
     `, [gatepass_id]);
 
@@ -173,7 +173,7 @@ router.get('/validate/:gatepass_id', authenticateToken, requireRole('SECURITY',
         b.amount,
         rs.released_ts
       FROM release_self rs
-      JOIN bill b ON rs.bill_no = b.bill_no
+      JOIN bill b ON rs.company_id = b.company_id AND rs.bill_no = b.bill_no
       WHERE rs.gatepass_id = $1
       
       UNION ALL
@@ -187,7 +187,7 @@ router.get('/validate/:gatepass_id', authenticateToken, requireRole('SECURITY',
         b.amount,
         rt.pickup_ts as released_ts
       FROM release_transporter rt
-      JOIN bill b ON rt.bill_no = b.bill_no
+      JOIN bill b ON rt.company_id = b.company_id AND rt.bill_no = b.bill_no
       WHERE rt.gatepass_id = $1
     `, [gatepass_id]);
 
@@ -241,8 +241,8 @@ router.get('/summary', authenticateToken, requireRole('SECURITY', 'ADMIN'), asyn
         COUNT(DISTINCT gl.vehicle_no) as unique_vehicles,
         COUNT(DISTINCT gl.security_id) as active_security
       FROM gate_log gl
-      LEFT JOIN release_self rs ON gl.bill_no = rs.bill_no
-      LEFT JOIN release_transporter rt ON gl.bill_no = rt.bill_no
+      LEFT JOIN release_self rs ON gl.company_id = rs.company_id AND gl.bill_no = rs.bill_no
+      LEFT JOIN release_transporter rt ON gl.company_id = rt.company_id AND gl.bill_no = rt.bill_no
       WHERE DATE(gl.gate_ts) = $1
     `, [date]);
 
@@ -269,9 +269,9 @@ router.get('/summary', authenticateToken, requireRole('SECURITY', 'ADMIN'), asyn
           WHEN rt.bill_no IS NOT NULL THEN 'Transporter'
         END as type
       FROM gate_log gl
-      LEFT JOIN bill b ON gl.bill_no = b.bill_no
-      LEFT JOIN release_self rs ON gl.bill_no = rs.bill_no
-      LEFT JOIN release_transporter rt ON gl.bill_no = rt.bill_no
+      LEFT JOIN bill b ON gl.company_id = b.company_id AND gl.bill_no = b.bill_no
+      LEFT JOIN release_self rs ON gl.company_id = rs.company_id AND gl.bill_no = rs.bill_no
+      LEFT JOIN release_transporter rt ON gl.company_id = rt.company_id AND gl.bill_no = rt.bill_no
       WHERE DATE(gl.gate_ts) = $1
       ORDER BY gl.gate_ts DESC
       LIMIT 10
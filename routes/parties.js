@@ -0,0 +1,136 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { resolveCompany } = require('../middleware/company');
+const partyService = require('../services/party');
+const partyAdvance = require('../services/party-advance');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Search parties by name, GSTIN or phone
+router.get('/', authenticateToken, resolveCompany, async (req, res) => {
+  const { q, type, page = 1, limit = 20 } = req.query;
+
+  if (type && !['DEBTOR', 'CREDITOR'].includes(type)) {
+    return res.status(400).json({ error: 'Type must be DEBTOR or CREDITOR' });
+  }
+
+  try {
+    const result = await partyService.search({
+      companyId: req.company.id,
+      q,
+      type,
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Party search error:', error);
+    res.status(500).json({ error: 'Failed to search parties' });
+  }
+});
+
+// Parties with an advance left to settle bills from
+router.get('/advances', authenticateToken, resolveCompany, async (req, res) => {
+  try {
+    res.json({ advances: await partyAdvance.list(req.company.id) });
+  } catch (error) {
+    console.error('Party advances error:', error);
+    res.status(500).json({ error: 'Failed to fetch party advances' });
+  }
+});
+
+// A party's advance ledger: receipts, overpayments and the bills settled from them
+router.get('/advances/ledger', authenticateToken, resolveCompany, async (req, res) => {
+  const { party_name } = req.query;
+
+  if (!party_name) {
+    return res.status(400).json({ error: 'party_name is required' });
+  }
+
+  try {
+    res.json(await partyAdvance.ledger(req.company.id, party_name));
+  } catch (error) {
+    console.error('Party advance ledger error:', error);
+    res.status(500).json({ error: 'Failed to fetch party advance ledger' });
+  }
+});
+
+// Settle a bill from its party's advance ({ "bill_no": "S-1", "amount": 500 }; the most
+// the due and advance allow when amount is left out)
+router.post('/advances/settle', authenticateToken, requireRole('CASHIER', 'MANAGER', 'ADMIN'), resolveCompany, async (req, res) => {
+  const { bill_no, amount = null } = req.body;
+
+  if (!bill_no) {
+    return res.status(400).json({ error: 'bill_no is required' });
+  }
+
+  try {
+    const { found, reasons, settlement } = await partyAdvance.settleBill(req.company.id, bill_no, amount, req.user.id);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+    if (reasons.length > 0) {
+      return res.status(422).json({ error: 'Cannot settle bill from advance', reasons });
+    }
+
+    res.json({
+      settlement,
+      advance: await partyAdvance.balance(req.company.id, settlement.party_name),
+      message: `Settled ${parseFloat(settlement.amount).toFixed(2)} on bill ${bill_no} from the advance of ${settlement.party_name}`
+    });
+
+  } catch (error) {
+    console.error('Advance settlement error:', error);
+    res.status(500).json({ error: 'Failed to settle bill from advance' });
+  }
+});
+
+// Reverse a settlement made by mistake, giving the amount back to the advance
+router.post('/advances/settlements/:id/reverse', authenticateToken, requireRole('MANAGER', 'ADMIN'), resolveCompany, async (req, res) => {
+  try {
+    const settlement = await partyAdvance.reverse(req.company.id, parseInt(req.params.id) || 0, req.user.id);
+
+    if (!settlement) {
+      return res.status(404).json({ error: 'Settlement not found or already reversed' });
+    }
+
+    res.json({
+      settlement,
+      advance: await partyAdvance.balance(req.company.id, settlement.party_name)
+    });
+
+  } catch (error) {
+    console.error('Advance settlement reversal error:', error);
+    res.status(500).json({ error: 'Failed to reverse settlement' });
+  }
+});
+
+// Get party details with outstanding summary
+router.get('/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid party ID' });
+  }
+
+  try {
+    const detail = await partyService.getDetail(id);
+
+    if (!detail) {
+      return res.status(404).json({ error: 'Party not found' });
+    }
+
+    res.json(detail);
+
+  } catch (error) {
+    console.error('Party details error:', error);
+    res.status(500).json({ error: 'Failed to fetch party details' });
+  }
+});
+
+module.exports = router;
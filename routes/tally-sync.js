@@ -1,37 +1,69 @@
 const express = require('express');
 const router = express.Router();
-const tallyODBCService = require('../services/tally-odbc');
+const syncEngine = require('../services/sync-engine');
+const syncWatermark = require('../services/sync-watermark');
+const syncRun = require('../services/sync-run');
+const voucherTypeMap = require('../services/voucher-type-map');
+const syncHealth = require('../services/sync-health');
+const auditLog = require('../services/audit-log');
+const receiptAllocation = require('../services/receipt-allocation');
+const partyMatch = require('../services/party-match');
+const mappingRule = require('../services/mapping-rule');
+const receiptMapping = require('../services/receipt-mapping');
+const partyAdvance = require('../services/party-advance');
 const logger = require('../services/logger');
+const { authenticateToken, requireRole, requireSyncOperator } = require('../middleware/auth');
+const { resolveCompany } = require('../middleware/company');
 const { pool } = require('../config/database');
 
+// Record a sync control action (start, stop, trigger, ...) with the user who took it
+const recordControl = (req, action, recordId, newValues = null) => auditLog.record({
+  tableName: 'tally_sync',
+  recordId,
+  action,
+  newValues,
+  userId: req.user.id
+});
+
 // Initialize Tally connection and get status
-router.get('/status', async (req, res) => {
+router.get('/status', authenticateToken, resolveCompany, async (req, res) => {
   try {
-    const status = tallyODBCService.getSyncStatus();
+    const status = await syncEngine.getStatus();
+    const health = await syncHealth.status(req.company.id);
     
-    // Get last sync statistics from database
+    // Get last sync statistics of the company from database; receipts count as mapped once
+    // wholly applied to bills or kept on account, as in /unmatched-receipts
     const client = await pool.connect();
     const lastSyncStats = await client.query(`
       SELECT 
-        (SELECT COUNT(*) FROM bill WHERE last_sync_ts > CURRENT_TIMESTAMP - INTERVAL '1 hour') as bills_synced_hour,
-        (SELECT COUNT(*) FROM receipt WHERE last_sync_ts > CURRENT_TIMESTAMP - INTERVAL '1 hour') as receipts_synced_hour,
-        (SELECT COUNT(*) FROM bill) as total_bills,
-        (SELECT COUNT(*) FROM receipt) as total_receipts,
-        (SELECT COUNT(*) FROM receipt WHERE bill_reference IS NOT NULL) as mapped_receipts
-    `);
+        (SELECT COUNT(*) FROM bill WHERE company_id = $1 AND last_sync_ts > CURRENT_TIMESTAMP - INTERVAL '1 hour') as bills_synced_hour,
+        (SELECT COUNT(*) FROM receipt WHERE company_id = $1 AND last_sync_ts > CURRENT_TIMESTAMP - INTERVAL '1 hour') as receipts_synced_hour,
+        (SELECT COUNT(*) FROM bill WHERE company_id = $1) as total_bills,
+        (SELECT COUNT(*) FROM receipt WHERE company_id = $1) as total_receipts,
+        (SELECT COUNT(*) FROM receipt_balance WHERE company_id = $1 AND unallocated_amount <= 0) as mapped_receipts,
+        (SELECT COUNT(*) FROM receipt_balance WHERE company_id = $1 AND unallocated_amount > 0) as unmapped_receipts
+    `, [req.company.id]);
     client.release();
     
     const stats = lastSyncStats.rows[0];
+    const lastRun = await syncRun.latest(null, req.company.id);
+    const lastSuccessfulRun = await syncRun.latest('SUCCESS', req.company.id);
     
     res.json({
       ...status,
+      // Connector(s) that served the latest cycle; none while Tally cannot be reached
+      connectionMethod: lastRun && lastRun.status !== 'FAILED' ? lastRun.connection_method : null,
+      lastSyncTime: status.lastSyncTime || (lastSuccessfulRun && lastSuccessfulRun.finished_at),
+      lastRun,
+      // isRunning alone does not show a cycle stuck on a hung connector; health does
+      health,
       statistics: {
         bills_synced_last_hour: parseInt(stats.bills_synced_hour),
         receipts_synced_last_hour: parseInt(stats.receipts_synced_hour),
         total_bills: parseInt(stats.total_bills),
         total_receipts: parseInt(stats.total_receipts),
         mapped_receipts: parseInt(stats.mapped_receipts),
-        unmapped_receipts: parseInt(stats.total_receipts) - parseInt(stats.mapped_receipts)
+        unmapped_receipts: parseInt(stats.unmapped_receipts)
       }
     });
   } catch (error) {
@@ -40,14 +72,40 @@ router.get('/status', async (req, res) => {
   }
 });
 
-// Initialize Tally connection
-router.post('/initialize', async (req, res) => {
+// Age of the last successful sync per entity and the open stale sync alerts, for the
+// in-app banner
+router.get('/health', authenticateToken, resolveCompany, async (req, res) => {
+  try {
+    res.json({
+      company: req.company.code,
+      ...await syncHealth.status(req.company.id),
+      alerts: await syncHealth.alerts(req.company.id)
+    });
+  } catch (error) {
+    logger.error('Error getting sync health:', error);
+    res.status(500).json({ error: 'Failed to get sync health' });
+  }
+});
+
+// Check which connectors can reach Tally
+router.post('/initialize', authenticateToken, requireSyncOperator, async (req, res) => {
   try {
-    const connectionMethod = await tallyODBCService.initialize();
+    const connectors = await syncEngine.testConnections();
+    const available = Object.keys(connectors).filter(name => connectors[name]);
+    
+    if (available.length === 0) {
+      return res.status(503).json({ 
+        error: 'Failed to initialize Tally connection',
+        message: 'No Tally connector available. Please check Tally Prime configuration.',
+        connectors
+      });
+    }
+    
+    await recordControl(req, 'INITIALIZE', 'connectors', { connectors });
     res.json({ 
       success: true, 
-      connectionMethod,
-      message: `Tally connection initialized using ${connectionMethod}` 
+      connectors,
+      message: `Tally reachable via ${available.join(', ')}` 
     });
   } catch (error) {
     logger.error('Error initializing Tally connection:', error);
@@ -59,18 +117,14 @@ router.post('/initialize', async (req, res) => {
 });
 
 // Start real-time sync
-router.post('/start', async (req, res) => {
+router.post('/start', authenticateToken, requireSyncOperator, async (req, res) => {
   try {
-    // Initialize if not already done
-    if (!tallyODBCService.connectionMethod) {
-      await tallyODBCService.initialize();
-    }
-    
-    tallyODBCService.startRealTimeSync();
+    syncEngine.start();
+    await recordControl(req, 'START', 'engine', { syncInterval: syncEngine.syncInterval });
     res.json({ 
       success: true, 
       message: 'Real-time sync started',
-      syncInterval: tallyODBCService.syncInterval 
+      syncInterval: syncEngine.syncInterval 
     });
   } catch (error) {
     logger.error('Error starting real-time sync:', error);
@@ -82,9 +136,10 @@ router.post('/start', async (req, res) => {
 });
 
 // Stop sync
-router.post('/stop', (req, res) => {
+router.post('/stop', authenticateToken, requireSyncOperator, async (req, res) => {
   try {
-    tallyODBCService.stopSync();
+    await syncEngine.stop();
+    await recordControl(req, 'STOP', 'engine');
     res.json({ success: true, message: 'Sync stopped' });
   } catch (error) {
     logger.error('Error stopping sync:', error);
@@ -93,15 +148,12 @@ router.post('/stop', (req, res) => {
 });
 
 // Trigger manual sync
-router.post('/trigger', async (req, res) => {
+router.post('/trigger', authenticateToken, requireSyncOperator, async (req, res) => {
   try {
-    // Initialize if not already done
-    if (!tallyODBCService.connectionMethod) {
-      await tallyODBCService.initialize();
-    }
+    await recordControl(req, 'TRIGGER', 'engine', { triggerSource: 'manual' });
     
     // Run sync asynchronously
-    tallyODBCService.triggerManualSync().catch(error => {
+    syncEngine.runCycle('manual').catch(error => {
       logger.error('Manual sync error:', error);
     });
     
@@ -118,29 +170,15 @@ router.post('/trigger', async (req, res) => {
   }
 });
 
-// Test Tally connections
-router.get('/test-connections', async (req, res) => {
+// Test Tally connections (one entry per connector)
+router.get('/test-connections', authenticateToken, async (req, res) => {
   try {
-    const results = {
-      odbc: { available: false, error: null },
-      xml: { available: false, error: null }
-    };
-    
-    // Test ODBC
-    try {
-      const odbcConnectionString = await tallyODBCService.testODBCConnection();
-      results.odbc.available = !!odbcConnectionString;
-      results.odbc.connectionString = odbcConnectionString;
-    } catch (error) {
-      results.odbc.error = error.message;
-    }
-    
-    // Test XML API
-    try {
-      results.xml.available = await tallyODBCService.testXMLConnection();
-    } catch (error) {
-      results.xml.error = error.message;
+    const connectors = await syncEngine.testConnections();
+    const results = {};
+    for (const [name, available] of Object.entries(connectors)) {
+      results[name] = { available };
     }
+    results.odbc.connectionString = connectors.odbc ? syncEngine.connectors.odbc.odbcDsn : null;
     
     res.json(results);
   } catch (error) {
@@ -149,8 +187,51 @@ router.get('/test-connections', async (req, res) => {
   }
 });
 
-// Get sync history/logs
-router.get('/logs', async (req, res) => {
+// Connector order per entity with recent failovers
+router.get('/connectors', authenticateToken, async (req, res) => {
+  try {
+    const { entities } = await syncEngine.getStatus();
+    res.json({ available: Object.keys(syncEngine.connectors), entities });
+  } catch (error) {
+    logger.error('Error getting sync connectors:', error);
+    res.status(500).json({ error: 'Failed to get sync connectors' });
+  }
+});
+
+// Set the connector order for one entity, e.g. { "connectors": ["odbc", "xml"] }
+router.put('/connectors/:entity', authenticateToken, requireSyncOperator, async (req, res) => {
+  try {
+    const { entity } = req.params;
+    const { connectors } = req.body;
+    
+    if (!syncEngine.entities.includes(entity)) {
+      return res.status(404).json({ error: `Entity must be one of: ${syncEngine.entities.join(', ')}` });
+    }
+    
+    const known = Object.keys(syncEngine.connectors);
+    if (!Array.isArray(connectors) || connectors.length === 0 || connectors.some(name => !known.includes(name))) {
+      return res.status(400).json({ error: `Connectors must be a list of: ${known.join(', ')}` });
+    }
+    
+    const previous = (await syncEngine.connectorOrders())[entity];
+    const order = await syncEngine.setConnectorOrder(entity, connectors);
+    await auditLog.record({
+      tableName: 'sync_connector',
+      recordId: entity,
+      action: 'UPDATE',
+      oldValues: { connectors: previous },
+      newValues: { connectors: order },
+      userId: req.user.id
+    });
+    res.json({ success: true, entity, connectors: order });
+  } catch (error) {
+    logger.error('Error setting sync connectors:', error);
+    res.status(500).json({ error: 'Failed to set sync connectors' });
+  }
+});
+
+// Get the company's sync history/logs
+router.get('/logs', authenticateToken, resolveCompany, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
     const client = await pool.connect();
@@ -164,7 +245,7 @@ router.get('/logs', async (req, res) => {
         amount,
         last_sync_ts as sync_time
       FROM bill 
-      WHERE last_sync_ts IS NOT NULL
+      WHERE company_id = $2 AND last_sync_ts IS NOT NULL
       
       UNION ALL
       
@@ -175,11 +256,11 @@ router.get('/logs', async (req, res) => {
         amount,
         last_sync_ts as sync_time
       FROM receipt 
-      WHERE last_sync_ts IS NOT NULL
+      WHERE company_id = $2 AND last_sync_ts IS NOT NULL
       
       ORDER BY sync_time DESC
       LIMIT $1
-    `, [limit]);
+    `, [limit, req.company.id]);
     
     client.release();
     
@@ -193,37 +274,98 @@ router.get('/logs', async (req, res) => {
   }
 });
 
-// Get unmatched receipts for manual mapping
-router.get('/unmatched-receipts', async (req, res) => {
+// Get persisted sync run history of the company (paginated)
+router.get('/runs', authenticateToken, resolveCompany, async (req, res) => {
   try {
-    const client = await pool.connect();
+    const { page = 1, limit = 20, status, trigger } = req.query;
     
-    const unmatchedReceipts = await client.query(`
-      SELECT 
-        r.*,
-        COALESCE(
-          (SELECT COUNT(*) 
-           FROM bill_status bs 
-           WHERE bs.party_name = r.party_name 
-             AND bs.remaining_due > 0
-          ), 0
-        ) as potential_matches
-      FROM receipt r
-      WHERE r.bill_reference IS NULL OR r.bill_reference = ''
-      ORDER BY r.receipt_date DESC, r.party_name
-    `);
+    const result = await syncRun.list({
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 20, 200),
+      status,
+      triggerSource: trigger,
+      companyId: req.company.id
+    });
     
-    client.release();
+    res.json(result);
+  } catch (error) {
+    logger.error('Error getting sync runs:', error);
+    res.status(500).json({ error: 'Failed to get sync runs' });
+  }
+});
+
+// Get a single sync run with the company's per-entity counts
+router.get('/runs/:id', authenticateToken, resolveCompany, async (req, res) => {
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid run ID' });
+    }
+    
+    const run = await syncRun.get(req.params.id, req.company.id);
+    
+    if (!run) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
     
-    res.json(unmatchedReceipts.rows);
+    res.json(run);
+  } catch (error) {
+    logger.error('Error getting sync run:', error);
+    res.status(500).json({ error: 'Failed to get sync run' });
+  }
+});
+
+// Get the company's receipts with an amount not yet allocated to bills or kept on account,
+// for manual mapping, newest first (?page=&limit=, 100 a page); partly allocated receipts
+// show what is applied and what is left. Each comes with its best candidate bills
+// (?candidates=5), ranked by how well the party name matches
+router.get('/unmatched-receipts', authenticateToken, resolveCompany, async (req, res) => {
+  try {
+    const candidateLimit = Math.min(parseInt(req.query.candidates) || 5, 50);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const client = await pool.connect();
+    
+    try {
+      const unmatchedReceipts = await client.query(`
+        SELECT 
+          r.*,
+          c.code as company_code,
+          rb.allocated_amount,
+          rb.on_account_amount,
+          rb.unallocated_amount,
+          rb.bill_count
+        FROM receipt r
+        JOIN receipt_balance rb ON r.company_id = rb.company_id AND r.receipt_id = rb.receipt_id
+        JOIN company c ON r.company_id = c.id
+        WHERE r.company_id = $1 AND rb.unallocated_amount > 0
+        ORDER BY r.receipt_date DESC, r.party_name, r.receipt_id
+        LIMIT $2 OFFSET $3
+      `, [req.company.id, limit, (page - 1) * limit]);
+      
+      const receipts = [];
+      for (const receipt of unmatchedReceipts.rows) {
+        const candidates = await partyMatch.candidates(receipt.company_id, receipt.party_name, { limit: candidateLimit }, client);
+        receipts.push({
+          ...receipt,
+          potential_matches: candidates.length > 0 ? candidates[0].match_count : 0,
+          candidates: candidates.map(({ match_count, ...candidate }) => candidate)
+        });
+      }
+      
+      res.json(receipts);
+    } finally {
+      client.release();
+    }
   } catch (error) {
     logger.error('Error getting unmatched receipts:', error);
     res.status(500).json({ error: 'Failed to get unmatched receipts' });
   }
 });
 
-// Manual receipt mapping
-router.post('/map-receipt', async (req, res) => {
+// Manual receipt mapping (receipt and bill must belong to the same company), recorded in
+// audit_log with the previous reference and the user. A receipt larger than the bill's due
+// is split: the due goes to the bill and the rest is kept on account
+router.post('/map-receipt', authenticateToken, requireSyncOperator, resolveCompany, async (req, res) => {
   try {
     const { receiptId, billNo } = req.body;
     
@@ -233,43 +375,237 @@ router.post('/map-receipt', async (req, res) => {
     
     const client = await pool.connect();
     
-    // Verify bill exists
-    const billCheck = await client.query('SELECT bill_no FROM bill WHERE bill_no = $1', [billNo]);
-    if (billCheck.rows.length === 0) {
+    try {
+      await client.query('BEGIN');
+      
+      const refuse = async (status, error) => {
+        await client.query('ROLLBACK');
+        return res.status(status).json({ error });
+      };
+      
+      // Only receipts still live in Tally can be mapped
+      const found = await client.query(`
+        SELECT * FROM receipt
+        WHERE company_id = $1 AND receipt_id = $2 AND tally_status = 'ACTIVE'
+        FOR UPDATE
+      `, [req.company.id, receiptId]);
+      if (found.rows.length === 0) {
+        return refuse(404, 'Receipt not found');
+      }
+      const previous = found.rows[0];
+      
+      // A bill-wise allocation from Tally wins over any mapping made here
+      const tallyAllocation = await client.query(`
+        SELECT 1 FROM receipt_allocation WHERE company_id = $1 AND receipt_id = $2 AND source = 'TALLY' LIMIT 1
+      `, [req.company.id, receiptId]);
+      if (tallyAllocation.rows.length > 0) {
+        return refuse(409, 'Receipt is allocated in Tally; change the allocation there');
+      }
+      
+      // Verify bill exists and is still live in Tally; it may take its remaining due plus
+      // what this receipt already pays on it
+      const billCheck = await client.query(`
+        SELECT bs.bill_no, bs.party_name, bs.tally_status, bs.remaining_due,
+               COALESCE((
+                 SELECT SUM(ra.amount) FROM receipt_applied ra
+                 WHERE ra.company_id = bs.company_id AND ra.receipt_id = $3 AND ra.bill_no = bs.bill_no
+               ), 0) as applied_by_receipt
+        FROM bill_status bs
+        WHERE bs.company_id = $1 AND bs.bill_no = $2
+      `, [req.company.id, billNo, receiptId]);
+      if (billCheck.rows.length === 0) {
+        return refuse(404, 'Bill not found');
+      }
+      const bill = billCheck.rows[0];
+      if (bill.tally_status !== 'ACTIVE') {
+        return refuse(409, `Bill is ${bill.tally_status.toLowerCase()} in Tally; it cannot take receipts`);
+      }
+      const open = Math.round((parseFloat(bill.remaining_due) + parseFloat(bill.applied_by_receipt)) * 100) / 100;
+      if (open <= 0) {
+        return refuse(409, 'Bill has nothing due');
+      }
+      
+      const before = await receiptMapping.snapshot(client, req.company.id, receiptId);
+      const previousSplit = await receiptAllocation.allocations(req.company.id, receiptId, client);
+      const onAccount = Math.round((parseFloat(previous.amount) - open) * 100) / 100;
+      
+      // On-account money of the receipt that already settled bills stays where it is
+      const settled = await partyAdvance.withdraw(client, req.company.id, previous.party_name, async () => {
+        if (onAccount > 0) {
+          await receiptAllocation.split(client, req.company.id, receiptId, [
+            { bill_no: billNo, bill_type: 'Agst Ref', amount: open },
+            { bill_no: null, bill_type: 'On Account', amount: onAccount }
+          ], 'MANUAL', req.user.id);
+        } else {
+          // The whole receipt goes to the bill, in place of any split made here
+          await client.query(`
+            DELETE FROM receipt_allocation WHERE company_id = $1 AND receipt_id = $2 AND source <> 'TALLY'
+          `, [req.company.id, receiptId]);
+          await client.query(`
+            UPDATE receipt SET bill_reference = $3, mapping_rule_id = NULL WHERE company_id = $1 AND receipt_id = $2
+          `, [req.company.id, receiptId, billNo]);
+        }
+      });
+      if (settled > 0) {
+        return refuse(409, partyAdvance.settledReason(previous.party_name, settled));
+      }
+      
+      const receipt = (await client.query(
+        'SELECT * FROM receipt WHERE company_id = $1 AND receipt_id = $2',
+        [req.company.id, receiptId]
+      )).rows[0];
+      
+      // Receipts booked under another name for this party match its bills from now on,
+      // until the mapping is undone
+      const alias = await partyMatch.learn(req.company.id, receipt.party_name, bill.party_name, req.user.id, client);
+      await receiptMapping.record(client, {
+        companyId: req.company.id,
+        receiptId,
+        method: 'MANUAL',
+        before,
+        after: await receiptMapping.snapshot(client, req.company.id, receiptId),
+        userId: req.user.id,
+        partyAlias: alias && { id: alias.id, alias_name: alias.alias_name, party_name: alias.party_name, previous: alias.previous }
+      });
+      
+      await auditLog.record({
+        tableName: 'receipt',
+        recordId: receiptId,
+        action: 'MAP',
+        oldValues: { bill_reference: previous.bill_reference, allocations: previousSplit },
+        newValues: {
+          bill_reference: billNo,
+          company: req.company.code,
+          method: 'manual',
+          on_account: onAccount > 0 ? onAccount : undefined,
+          alias: alias ? alias.alias_name : undefined
+        },
+        userId: req.user.id
+      }, client);
+      
+      await client.query('COMMIT');
+      
+      logger.info(`Manual mapping: Receipt ${receiptId} mapped to Bill ${billNo}${onAccount > 0 ? `, ${onAccount.toFixed(2)} kept on account,` : ''} by ${req.user.username} (${req.company.code})`);
+      res.json({ 
+        success: true, 
+        message: onAccount > 0 ? `Receipt mapped; ${onAccount.toFixed(2)} above the bill's due kept on account` : 'Receipt mapped successfully',
+        receipt,
+        alias
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
       client.release();
-      return res.status(404).json({ error: 'Bill not found' });
     }
+  } catch (error) {
+    logger.error('Error mapping receipt:', error);
+    res.status(500).json({ error: 'Failed to map receipt' });
+  }
+});
+
+// Split a receipt across bills, e.g. { "receiptId": "R-101", "allocations": [{ "billNo":
+// "S-1", "amount": 1200 }, { "billNo": "S-2", "amount": 800 }] }; what is not allocated is
+// kept on account. Each bill may take at most its remaining due
+router.post('/allocate-receipt', authenticateToken, requireSyncOperator, resolveCompany, async (req, res) => {
+  try {
+    const { receiptId, allocations } = req.body;
     
-    // Update receipt
-    const result = await client.query(`
-      UPDATE receipt 
-      SET bill_reference = $1 
-      WHERE receipt_id = $2
-      RETURNING *
-    `, [billNo, receiptId]);
+    if (!receiptId) {
+      return res.status(400).json({ error: 'Receipt ID is required' });
+    }
     
-    client.release();
+    const { receipt, reasons } = await receiptAllocation.allocate(req.company.id, receiptId, allocations, req.user.id);
     
-    if (result.rows.length === 0) {
+    if (!receipt) {
       return res.status(404).json({ error: 'Receipt not found' });
     }
+    if (reasons.length > 0) {
+      return res.status(422).json({ error: 'Allocation refused', reasons });
+    }
     
-    logger.info(`Manual mapping: Receipt ${receiptId} mapped to Bill ${billNo}`);
+    logger.info(`Manual allocation: Receipt ${receiptId} split across ${receipt.bill_count} bill(s) by ${req.user.username} (${req.company.code})`);
     res.json({ 
       success: true, 
-      message: 'Receipt mapped successfully',
-      receipt: result.rows[0]
+      message: 'Receipt allocated successfully',
+      receipt
     });
   } catch (error) {
-    logger.error('Error mapping receipt:', error);
-    res.status(500).json({ error: 'Failed to map receipt' });
+    logger.error('Error allocating receipt:', error);
+    res.status(500).json({ error: 'Failed to allocate receipt' });
+  }
+});
+
+// A receipt with its bill allocations and the amount applied, on account and unallocated
+router.get('/receipts/:receiptId/allocations', authenticateToken, resolveCompany, async (req, res) => {
+  try {
+    const receipt = await receiptAllocation.forReceipt(req.company.id, req.params.receiptId);
+    
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+    
+    res.json(receipt);
+  } catch (error) {
+    logger.error('Error getting receipt allocations:', error);
+    res.status(500).json({ error: 'Failed to get receipt allocations' });
+  }
+});
+
+// Every mapping change of a receipt, newest first: old and new bill, method, user or rule
+router.get('/receipts/:receiptId/history', authenticateToken, resolveCompany, async (req, res) => {
+  try {
+    const history = await receiptMapping.history(req.company.id, req.params.receiptId);
+    res.json({ history });
+  } catch (error) {
+    logger.error('Error getting receipt mapping history:', error);
+    res.status(500).json({ error: 'Failed to get receipt mapping history' });
+  }
+});
+
+// Undo the latest mapping of a receipt ({ "reason": "..." }), restoring the one before it.
+// Bills that lose the receipt after being released are returned and go to the exceptions
+router.post('/receipts/:receiptId/unmap', authenticateToken, requireSyncOperator, resolveCompany, async (req, res) => {
+  try {
+    const { receiptId } = req.params;
+    const { found, reasons, entry, releasedBills } = await receiptMapping.undo(req.company.id, receiptId, req.body.reason, req.user.id);
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+    if (reasons.length > 0) {
+      return res.status(422).json({ error: 'Cannot undo mapping', reasons });
+    }
+    
+    logger.info(`Mapping undone: Receipt ${receiptId} back to ${entry.new_bill_no || 'unmapped'} by ${req.user.username} (${req.company.code}): ${entry.reason}`);
+    if (releasedBills.length > 0) {
+      logger.warn(`Undone mapping of receipt ${receiptId} took it off released bills ${releasedBills.map(bill => bill.bill_no).join(', ')}`);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Mapping undone',
+      receipt: await receiptAllocation.forReceipt(req.company.id, receiptId),
+      undone: entry,
+      releasedBills
+    });
+  } catch (error) {
+    logger.error('Error undoing receipt mapping:', error);
+    res.status(500).json({ error: 'Failed to undo receipt mapping' });
   }
 });
 
 // Auto-map receipts
-router.post('/auto-map', async (req, res) => {
+router.post('/auto-map', authenticateToken, requireSyncOperator, async (req, res) => {
   try {
-    const mappedCount = await tallyODBCService.autoMapReceipts();
+    const mappedCount = await syncEngine.autoMapReceipts();
+    await auditLog.record({
+      tableName: 'receipt',
+      recordId: 'auto-map',
+      action: 'MAP',
+      newValues: { method: 'auto', mappedCount },
+      userId: req.user.id
+    });
     res.json({ 
       success: true, 
       message: `${mappedCount} receipts auto-mapped`,
@@ -281,4 +617,307 @@ router.post('/auto-map', async (req, res) => {
   }
 });
 
+// Get the company's incremental sync watermarks
+router.get('/watermarks', authenticateToken, resolveCompany, async (req, res) => {
+  try {
+    const watermarks = await syncWatermark.list(req.company.code);
+    res.json({ watermarks });
+  } catch (error) {
+    logger.error('Error getting sync watermarks:', error);
+    res.status(500).json({ error: 'Failed to get sync watermarks' });
+  }
+});
+
+// Reset watermarks to force a full resync on the next cycle
+router.post('/watermarks/reset', authenticateToken, requireSyncOperator, resolveCompany, async (req, res) => {
+  try {
+    const { voucherType } = req.body;
+    
+    if (voucherType && !['Sales', 'Receipt', 'Adjustment', 'Ledger'].includes(voucherType)) {
+      return res.status(400).json({ error: 'Voucher type must be Sales, Receipt, Adjustment or Ledger' });
+    }
+    
+    const resetCount = await syncWatermark.reset(voucherType || null, req.company.code);
+    await auditLog.record({
+      tableName: 'sync_watermark',
+      recordId: req.company.code,
+      action: 'RESET',
+      newValues: { voucherType: voucherType || null, resetCount },
+      userId: req.user.id
+    });
+    res.json({ 
+      success: true, 
+      message: `${resetCount} watermark(s) reset, next sync will do a full resync`,
+      resetCount 
+    });
+  } catch (error) {
+    logger.error('Error resetting sync watermarks:', error);
+    res.status(500).json({ error: 'Failed to reset sync watermarks' });
+  }
+});
+
+// Voucher types of the company (predefined and discovered in Tally) with what each is
+// synced as, and the mapping rules
+router.get('/voucher-types', authenticateToken, resolveCompany, async (req, res) => {
+  try {
+    const voucherTypes = await voucherTypeMap.list(req.company.id);
+    const rules = await voucherTypeMap.rules(req.company.id);
+    
+    res.json({ company: req.company.code, voucherTypes, rules, targets: voucherTypeMap.targets });
+  } catch (error) {
+    logger.error('Error getting voucher types:', error);
+    res.status(500).json({ error: 'Failed to get voucher types' });
+  }
+});
+
+// Read the company's voucher types from Tally now
+router.post('/voucher-types/discover', authenticateToken, requireSyncOperator, resolveCompany, async (req, res) => {
+  try {
+    const discovered = await syncEngine.discoverVoucherTypes(req.company, null, true);
+    
+    if (!discovered) {
+      return res.status(502).json({ error: 'Could not read voucher types from Tally' });
+    }
+    await recordControl(req, 'DISCOVER', req.company.code, { voucherTypes: discovered.length });
+    
+    res.json({
+      success: true,
+      message: `${discovered.length} voucher type(s) read from Tally`,
+      voucherTypes: await voucherTypeMap.list(req.company.id)
+    });
+  } catch (error) {
+    logger.error('Error discovering voucher types:', error);
+    res.status(500).json({ error: 'Failed to discover voucher types' });
+  }
+});
+
+// Map a voucher type by name, or every type based on a predefined type (match_on PARENT),
+// e.g. { "voucher_type": "Sales - Counter", "maps_to": "bill" }
+router.put('/voucher-types/map', authenticateToken, requireSyncOperator, resolveCompany, async (req, res) => {
+  try {
+    const { voucher_type, match_on = 'NAME', maps_to } = req.body;
+    
+    if (!voucher_type || !String(voucher_type).trim()) {
+      return res.status(400).json({ error: 'Voucher type is required' });
+    }
+    if (!['NAME', 'PARENT'].includes(match_on)) {
+      return res.status(400).json({ error: 'match_on must be NAME or PARENT' });
+    }
+    if (!voucherTypeMap.targets.includes(maps_to)) {
+      return res.status(400).json({ error: `maps_to must be one of: ${voucherTypeMap.targets.join(', ')}` });
+    }
+    
+    const rule = await voucherTypeMap.setRule(req.company.id, {
+      matchOn: match_on,
+      voucherType: String(voucher_type).trim(),
+      mapsTo: maps_to,
+      userId: req.user.id
+    });
+    await auditLog.record({
+      tableName: 'voucher_type_map',
+      recordId: rule.id,
+      action: 'UPDATE',
+      newValues: rule,
+      userId: req.user.id
+    });
+    
+    // The regular sync only reads vouchers altered after the watermark, so older vouchers
+    // of the types this rule now brings in wait for a backfill
+    const voucherTypes = await voucherTypeMap.syncedBy(req.company.id, rule);
+    let message = `${rule.voucher_type} now syncs as ${rule.maps_to}`;
+    if (voucherTypes.length > 0) {
+      message += `. Vouchers of ${voucherTypes.join(', ')} already in Tally are not read by the regular sync; ` +
+        'run a backfill (POST /api/admin/backfill) for them to import the older ones';
+    }
+
+    res.json({
+      success: true,
+      rule,
+      message,
+      backfill: voucherTypes.length > 0 ? { voucher_types: voucherTypes } : null
+    });
+  } catch (error) {
+    logger.error('Error mapping voucher type:', error);
+    res.status(500).json({ error: 'Failed to map voucher type' });
+  }
+});
+
+// Remove a mapping rule
+router.delete('/voucher-types/map/:id', authenticateToken, requireSyncOperator, resolveCompany, async (req, res) => {
+  try {
+    const rule = await voucherTypeMap.deleteRule(req.company.id, parseInt(req.params.id) || 0);
+    
+    if (!rule) {
+      return res.status(404).json({ error: 'Voucher type rule not found' });
+    }
+    await auditLog.record({
+      tableName: 'voucher_type_map',
+      recordId: rule.id,
+      action: 'DELETE',
+      oldValues: rule,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, rule });
+  } catch (error) {
+    logger.error('Error removing voucher type rule:', error);
+    res.status(500).json({ error: 'Failed to remove voucher type rule' });
+  }
+});
+
+// Receipt mapping rules in the order they are tried, with how many receipts each mapped
+router.get('/mapping-rules', authenticateToken, resolveCompany, async (req, res) => {
+  try {
+    const rules = await mappingRule.list(req.company.id);
+    res.json({ rules, types: mappingRule.types });
+  } catch (error) {
+    logger.error('Error getting mapping rules:', error);
+    res.status(500).json({ error: 'Failed to get mapping rules' });
+  }
+});
+
+// Preview what the active rules, or the unsaved rule in the body ({ "rule": { ... } }),
+// would map among the unmapped receipts; nothing is mapped
+router.post('/mapping-rules/dry-run', authenticateToken, requireSyncOperator, resolveCompany, async (req, res) => {
+  try {
+    const { rule } = req.body;
+    
+    if (rule) {
+      const reasons = mappingRule.validate(rule);
+      if (reasons.length > 0) {
+        return res.status(422).json({ error: 'Invalid mapping rule', reasons });
+      }
+    }
+    
+    const preview = await mappingRule.dryRun(req.company.id, rule || null);
+    res.json(preview);
+  } catch (error) {
+    logger.error('Error previewing mapping rules:', error);
+    res.status(500).json({ error: 'Failed to preview mapping rules' });
+  }
+});
+
+// Add a rule, e.g. { "name": "Invoice no", "rule_type": "NARRATION", "pattern":
+// "inv(?:oice)?\\s*(?:no)?[:.\\s]*(\\d+)", "bill_prefix": "SB/", "priority": 10 }
+router.post('/mapping-rules', authenticateToken, requireRole('ADMIN'), resolveCompany, async (req, res) => {
+  try {
+    const reasons = mappingRule.validate(req.body);
+    if (reasons.length > 0) {
+      return res.status(422).json({ error: 'Invalid mapping rule', reasons });
+    }
+    
+    const rule = await mappingRule.save(req.company.id, { ...req.body, id: null }, req.user.id);
+    await auditLog.record({
+      tableName: 'mapping_rule',
+      recordId: rule.id,
+      action: 'INSERT',
+      newValues: rule,
+      userId: req.user.id
+    });
+    
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    logger.error('Error adding mapping rule:', error);
+    res.status(500).json({ error: 'Failed to add mapping rule' });
+  }
+});
+
+router.put('/mapping-rules/:id', authenticateToken, requireRole('ADMIN'), resolveCompany, async (req, res) => {
+  try {
+    const reasons = mappingRule.validate(req.body);
+    if (reasons.length > 0) {
+      return res.status(422).json({ error: 'Invalid mapping rule', reasons });
+    }
+    
+    const rule = await mappingRule.save(req.company.id, { ...req.body, id: parseInt(req.params.id) || 0 }, req.user.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Mapping rule not found' });
+    }
+    await auditLog.record({
+      tableName: 'mapping_rule',
+      recordId: rule.id,
+      action: 'UPDATE',
+      newValues: rule,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, rule });
+  } catch (error) {
+    logger.error('Error updating mapping rule:', error);
+    res.status(500).json({ error: 'Failed to update mapping rule' });
+  }
+});
+
+// Remove a rule; receipts it mapped keep their bill
+router.delete('/mapping-rules/:id', authenticateToken, requireRole('ADMIN'), resolveCompany, async (req, res) => {
+  try {
+    const rule = await mappingRule.remove(req.company.id, parseInt(req.params.id) || 0);
+    
+    if (!rule) {
+      return res.status(404).json({ error: 'Mapping rule not found' });
+    }
+    await auditLog.record({
+      tableName: 'mapping_rule',
+      recordId: rule.id,
+      action: 'DELETE',
+      oldValues: rule,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, rule });
+  } catch (error) {
+    logger.error('Error removing mapping rule:', error);
+    res.status(500).json({ error: 'Failed to remove mapping rule' });
+  }
+});
+
+// Receipt party names learned as aliases of bill parties from manual mappings
+router.get('/party-aliases', authenticateToken, resolveCompany, async (req, res) => {
+  try {
+    const aliases = await partyMatch.aliases(req.company.id);
+    res.json({ aliases });
+  } catch (error) {
+    logger.error('Error getting party aliases:', error);
+    res.status(500).json({ error: 'Failed to get party aliases' });
+  }
+});
+
+// Forget an alias learned from a wrong mapping
+router.delete('/party-aliases/:id', authenticateToken, requireSyncOperator, resolveCompany, async (req, res) => {
+  try {
+    const alias = await partyMatch.removeAlias(req.company.id, parseInt(req.params.id) || 0);
+    
+    if (!alias) {
+      return res.status(404).json({ error: 'Party alias not found' });
+    }
+    await auditLog.record({
+      tableName: 'party_alias',
+      recordId: alias.id,
+      action: 'DELETE',
+      oldValues: alias,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, alias });
+  } catch (error) {
+    logger.error('Error removing party alias:', error);
+    res.status(500).json({ error: 'Failed to remove party alias' });
+  }
+});
+
+// Manual receipt mappings and sync control actions, newest first, with the user
+router.get('/audit', authenticateToken, requireSyncOperator, async (req, res) => {
+  try {
+    const entries = await auditLog.list({
+      tableNames: ['tally_sync', 'receipt', 'sync_connector', 'sync_watermark', 'voucher_type_map', 'party_alias', 'mapping_rule'],
+      limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    });
+    
+    res.json({ entries });
+  } catch (error) {
+    logger.error('Error getting sync audit log:', error);
+    res.status(500).json({ error: 'Failed to get sync audit log' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,47 +2,134 @@ const fs = require('fs');
 const path = require('path');
 const { pool } = require('../config/database');
 
+const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
+// Upgrades for databases created from an older schema.sql, applied once each in name order
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Split a SQL script on the semicolons that end its statements, leaving alone those inside
+// comments, quoted strings and identifiers, and dollar-quoted function bodies. Statements
+// keep their leading comments; comment-only pieces are dropped
+function splitStatements(sql) {
+  const statements = [];
+  let start = 0;
+  let hasCode = false;
+  let i = 0;
+
+  const skipTo = (end, length) => {
+    i = end === -1 ? sql.length : end + length;
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (char === '-' && next === '-') {
+      skipTo(sql.indexOf('\n', i), 1);
+      continue;
+    }
+    if (char === '/' && next === '*') {
+      skipTo(sql.indexOf('*/', i + 2), 2);
+      continue;
+    }
+
+    if (char === ';') {
+      if (hasCode) statements.push(sql.slice(start, i).trim());
+      start = i + 1;
+      hasCode = false;
+      i++;
+      continue;
+    }
+
+    if (!/\s/.test(char)) hasCode = true;
+
+    if (char === "'" || char === '"') {
+      // A doubled quote inside reads as two strings back to back, which splits the same
+      skipTo(sql.indexOf(char, i + 1), 1);
+    } else if (char === '$') {
+      const tag = /^\$[A-Za-z_]*\$/.exec(sql.slice(i, i + 64));
+      if (tag) {
+        skipTo(sql.indexOf(tag[0], i + tag[0].length), tag[0].length);
+      } else {
+        i++;
+      }
+    } else {
+      i++;
+    }
+  }
+
+  if (hasCode) statements.push(sql.slice(start).trim());
+  return statements;
+}
+
+// First line of a statement that is not a comment, for the log
+const summary = (statement) =>
+  statement.split('\n').map(line => line.trim()).find(line => line && !line.startsWith('--')) || '';
+
+// Database-level statements are left to whoever creates the database
+const skipped = (statement) => /^(CREATE DATABASE|COMMENT ON DATABASE)\b/i.test(summary(statement));
+
+// Run a script's statements in one transaction; any failure rolls the whole script back
+async function runScript(client, name, sql) {
+  await client.query('BEGIN');
+
+  try {
+    for (const statement of splitStatements(sql).filter(statement => !skipped(statement))) {
+      try {
+        await client.query(statement);
+      } catch (error) {
+        error.message = `${name}: ${error.message} in "${summary(statement).substring(0, 80)}"`;
+        throw error;
+      }
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
 async function runMigration() {
   try {
     console.log('Running database migration...');
-    
-    const schemaPath = path.join(__dirname, 'schema.sql');
-    const schemaSql = fs.readFileSync(schemaPath, 'utf8');
-    
-    // Split by statements and filter out problematic ones
-    const statements = schemaSql
-      .split(';')
-      .map(stmt => stmt.trim())
-      .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'))
-      .filter(stmt => !stmt.includes('CREATE DATABASE')) // Skip database creation
-      .filter(stmt => !stmt.includes('COMMENT ON DATABASE')); // Skip database comments
-    
+
+    const migrations = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql')).sort();
     const client = await pool.connect();
-    
+
     try {
-      for (const statement of statements) {
-        try {
-          await client.query(statement);
-          console.log('✓ Executed:', statement.substring(0, 50) + '...');
-        } catch (statementError) {
-          // Continue with other statements, just log the error
-          if (statementError.code !== '42P07') { // Skip "already exists" errors
-            console.log('⚠ Warning:', statementError.message.substring(0, 80) + '...');
-          } else {
-            console.log('✓ Skipped existing:', statement.substring(0, 50) + '...');
-          }
+      const existing = await client.query("SELECT to_regclass('users') IS NOT NULL as found");
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migration (
+          name VARCHAR(200) PRIMARY KEY,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      const record = (name) => client.query('INSERT INTO schema_migration (name) VALUES ($1)', [name]);
+
+      if (!existing.rows[0].found) {
+        // A new database gets the current schema, which already has every migration in it
+        await runScript(client, 'schema.sql', fs.readFileSync(SCHEMA_PATH, 'utf8'));
+        for (const name of migrations) {
+          await record(name);
+        }
+        console.log('✓ Created schema');
+      } else {
+        const applied = await client.query('SELECT name FROM schema_migration');
+        const done = new Set(applied.rows.map(row => row.name));
+
+        for (const name of migrations.filter(name => !done.has(name))) {
+          await runScript(client, name, fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf8'));
+          await record(name);
+          console.log('✓ Applied:', name);
         }
       }
-      
+
       console.log('Migration completed successfully!');
-      
-    } catch (error) {
-      console.error('Migration failed:', error);
-      throw error;
+
     } finally {
       client.release();
     }
-    
+
   } catch (error) {
     console.error('Migration error:', error);
     process.exit(1);
@@ -60,4 +147,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { runMigration };
\ No newline at end of file
+module.exports = { runMigration, splitStatements };
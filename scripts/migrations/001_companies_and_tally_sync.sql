@@ -0,0 +1,916 @@
+-- Brings a database created from the original single-company schema up to date with
+-- schema.sql: companies, party master, Tally voucher status, receipt allocation and
+-- mapping history, adjustments, party advances, sync bookkeeping and cash counts. Rows
+-- already there belong to the default company, which is created here
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+-- Views are rebuilt at the end over the new keys
+DROP VIEW IF EXISTS party_advance;
+DROP VIEW IF EXISTS party_advance_credit;
+DROP VIEW IF EXISTS release_status;
+DROP VIEW IF EXISTS bill_status;
+DROP VIEW IF EXISTS adjustment_applied;
+DROP VIEW IF EXISTS receipt_balance;
+DROP VIEW IF EXISTS receipt_applied;
+DROP VIEW IF EXISTS cash_denomination_variance;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sync_operator BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Company registry (one row per Tally company synced into this dashboard)
+CREATE TABLE IF NOT EXISTS company (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(20) UNIQUE NOT NULL, -- short key used in filters, watermarks and report names
+    name VARCHAR(200) NOT NULL,
+    tally_name VARCHAR(200), -- SVCURRENTCOMPANY value; NULL means whichever company is loaded in Tally
+    gstin VARCHAR(15),
+    is_default BOOLEAN DEFAULT FALSE,
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_company_default ON company(is_default) WHERE is_default;
+
+INSERT INTO company (code, name, is_default)
+SELECT 'DEFAULT', 'Default Company', TRUE
+WHERE NOT EXISTS (SELECT 1 FROM company WHERE is_default);
+
+-- Rows written without an explicit company belong to the default company
+CREATE OR REPLACE FUNCTION default_company_id()
+RETURNS UUID AS $$
+    SELECT id FROM company WHERE is_default LIMIT 1
+$$ LANGUAGE sql STABLE;
+
+-- Party master synced from Tally ledgers under Sundry Debtors/Creditors
+CREATE TABLE IF NOT EXISTS party (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL DEFAULT default_company_id() REFERENCES company(id),
+    party_name VARCHAR(200) NOT NULL,
+    party_type VARCHAR(10) NOT NULL CHECK (party_type IN ('DEBTOR', 'CREDITOR')),
+    parent_group VARCHAR(200),
+    group_path TEXT, -- e.g. 'Sundry Debtors > North Zone'
+    gstin VARCHAR(15),
+    phone VARCHAR(20), -- 10-digit mobile, used to pre-fill OTP
+    email VARCHAR(100),
+    address TEXT,
+    state VARCHAR(50),
+    pincode VARCHAR(10),
+    credit_limit DECIMAL(15,2),
+    credit_period_days INTEGER,
+    opening_balance DECIMAL(15,2) DEFAULT 0,
+    closing_balance DECIMAL(15,2) DEFAULT 0,
+    tally_guid VARCHAR(100),
+    alter_id BIGINT DEFAULT 0,
+    last_sync_ts TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (company_id, party_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_party_name_trgm ON party USING gin (party_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_party_gstin ON party(gstin);
+
+-- Party name reduced for matching: lower case, '&' as 'and', no M/s prefix, punctuation or
+-- trailing Pvt/Private/Ltd/Limited/LLP, so 'M/s. Sharma Traders Pvt. Ltd.' is 'sharma traders'
+CREATE OR REPLACE FUNCTION normalize_party_name(name TEXT)
+RETURNS TEXT AS $$
+    SELECT btrim(regexp_replace(
+        regexp_replace(
+            regexp_replace(
+                regexp_replace(replace(lower(COALESCE(name, '')), '&', ' and '), '^\s*m\s*/\s*s\.?\s*', ''),
+                '[^a-z0-9]+', ' ', 'g'),
+            '(\s+(pvt|private|ltd|limited|llp))+\s*$', ''),
+        '\s+', ' ', 'g'))
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Receipt party names that stand for a bill party, learned when a user maps a receipt to a
+-- bill of a differently named party; matched on the normalized name
+CREATE TABLE IF NOT EXISTS party_alias (
+    id BIGSERIAL PRIMARY KEY,
+    company_id UUID NOT NULL REFERENCES company(id) ON DELETE CASCADE,
+    alias_name VARCHAR(200) NOT NULL, -- as on the receipt
+    party_name VARCHAR(200) NOT NULL, -- as on the bill
+    times_used INTEGER NOT NULL DEFAULT 1,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_party_alias_name ON party_alias(company_id, normalize_party_name(alias_name));
+
+-- Rules that map receipts Tally did not allocate to a bill, tried in priority order (lowest
+-- first) before FIFO:
+--   NARRATION     pattern's first capture group, after bill_prefix, is the bill number
+--   PARTY_AMOUNT  a due bill of the receipt's party (or only party_name) within amount_tolerance
+--   CHEQUE        a cheque number in the narration found in cheque_register against a bill
+--   DIGITAL_REF   a payment reference in the narration found in digital_payment_ref
+CREATE TABLE IF NOT EXISTS mapping_rule (
+    id BIGSERIAL PRIMARY KEY,
+    company_id UUID NOT NULL REFERENCES company(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('NARRATION', 'PARTY_AMOUNT', 'CHEQUE', 'DIGITAL_REF')),
+    priority INTEGER NOT NULL DEFAULT 100,
+    pattern TEXT, -- NARRATION, case-insensitive, e.g. 'against\s+SB/(\d+)'
+    bill_prefix VARCHAR(20), -- NARRATION, e.g. 'SB/' when the narration only has '1234'
+    party_name VARCHAR(200), -- PARTY_AMOUNT, NULL for any party
+    amount_tolerance DECIMAL(15,2) NOT NULL DEFAULT 0 CHECK (amount_tolerance >= 0),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_mapping_rule_company ON mapping_rule(company_id, priority);
+
+-- Bills and receipts are keyed by company. The tables pointing at a bill lose their
+-- bill_no foreign keys here and get (company_id, bill_no) ones below
+ALTER TABLE payment_hint DROP CONSTRAINT IF EXISTS payment_hint_bill_no_fkey;
+ALTER TABLE release_self DROP CONSTRAINT IF EXISTS release_self_bill_no_fkey;
+ALTER TABLE release_self DROP CONSTRAINT IF EXISTS release_self_bill_no_key;
+ALTER TABLE release_transporter DROP CONSTRAINT IF EXISTS release_transporter_bill_no_fkey;
+ALTER TABLE release_transporter DROP CONSTRAINT IF EXISTS release_transporter_bill_no_key;
+ALTER TABLE gate_log DROP CONSTRAINT IF EXISTS gate_log_bill_no_fkey;
+ALTER TABLE cheque_register DROP CONSTRAINT IF EXISTS cheque_register_bill_no_fkey;
+ALTER TABLE digital_payment_ref DROP CONSTRAINT IF EXISTS digital_payment_ref_bill_no_fkey;
+ALTER TABLE customer_otp DROP CONSTRAINT IF EXISTS customer_otp_bill_no_fkey;
+
+-- Adding company_id with its default fills it in on the rows already there
+ALTER TABLE bill
+    ADD COLUMN IF NOT EXISTS company_id UUID NOT NULL DEFAULT default_company_id() REFERENCES company(id),
+    ADD COLUMN IF NOT EXISTS party_id UUID REFERENCES party(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS tally_status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE' CHECK (tally_status IN ('ACTIVE', 'CANCELLED', 'DELETED', 'MISSING')),
+    ADD COLUMN IF NOT EXISTS tally_status_ts TIMESTAMP;
+ALTER TABLE bill DROP CONSTRAINT bill_pkey;
+ALTER TABLE bill ADD PRIMARY KEY (company_id, bill_no);
+
+CREATE INDEX IF NOT EXISTS idx_bill_party_id ON bill(party_id);
+CREATE INDEX IF NOT EXISTS idx_bill_no ON bill(bill_no);
+CREATE INDEX IF NOT EXISTS idx_bill_voided ON bill(company_id, tally_status_ts) WHERE tally_status <> 'ACTIVE';
+
+ALTER TABLE receipt
+    ADD COLUMN IF NOT EXISTS company_id UUID NOT NULL DEFAULT default_company_id() REFERENCES company(id),
+    ADD COLUMN IF NOT EXISTS mapping_rule_id BIGINT REFERENCES mapping_rule(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS party_id UUID REFERENCES party(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS tally_status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE' CHECK (tally_status IN ('ACTIVE', 'CANCELLED', 'DELETED', 'MISSING')),
+    ADD COLUMN IF NOT EXISTS tally_status_ts TIMESTAMP;
+ALTER TABLE receipt DROP CONSTRAINT receipt_pkey;
+ALTER TABLE receipt ADD PRIMARY KEY (company_id, receipt_id);
+
+DROP INDEX IF EXISTS idx_receipt_bill_ref;
+CREATE INDEX idx_receipt_bill_ref ON receipt(company_id, bill_reference);
+CREATE INDEX IF NOT EXISTS idx_receipt_party_id ON receipt(party_id);
+
+ALTER TABLE payment_hint
+    ADD COLUMN IF NOT EXISTS company_id UUID NOT NULL DEFAULT default_company_id(),
+    ADD COLUMN IF NOT EXISTS approved_by UUID REFERENCES users(id),
+    ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS tally_post_status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (tally_post_status IN ('PENDING', 'POSTED', 'FAILED')),
+    ADD COLUMN IF NOT EXISTS tally_voucher_id VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS tally_post_error TEXT,
+    ADD COLUMN IF NOT EXISTS tally_post_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS tally_posted_at TIMESTAMP,
+    ADD FOREIGN KEY (company_id, bill_no) REFERENCES bill(company_id, bill_no);
+
+DROP INDEX IF EXISTS idx_payment_hint_bill;
+CREATE INDEX idx_payment_hint_bill ON payment_hint(company_id, bill_no);
+CREATE INDEX IF NOT EXISTS idx_payment_hint_tally_post ON payment_hint(tally_post_status) WHERE approved_at IS NOT NULL;
+
+ALTER TABLE release_self
+    ADD COLUMN IF NOT EXISTS company_id UUID NOT NULL DEFAULT default_company_id(),
+    ADD COLUMN IF NOT EXISTS sync_stale BOOLEAN NOT NULL DEFAULT FALSE,
+    ALTER COLUMN bill_no SET NOT NULL,
+    ADD UNIQUE (company_id, bill_no),
+    ADD FOREIGN KEY (company_id, bill_no) REFERENCES bill(company_id, bill_no);
+
+ALTER TABLE release_transporter
+    ADD COLUMN IF NOT EXISTS company_id UUID NOT NULL DEFAULT default_company_id(),
+    ADD COLUMN IF NOT EXISTS sync_stale BOOLEAN NOT NULL DEFAULT FALSE,
+    ALTER COLUMN bill_no SET NOT NULL,
+    ADD UNIQUE (company_id, bill_no),
+    ADD FOREIGN KEY (company_id, bill_no) REFERENCES bill(company_id, bill_no);
+
+ALTER TABLE gate_log
+    ADD COLUMN IF NOT EXISTS company_id UUID NOT NULL DEFAULT default_company_id(),
+    ADD FOREIGN KEY (company_id, bill_no) REFERENCES bill(company_id, bill_no);
+
+ALTER TABLE cheque_register
+    ADD COLUMN IF NOT EXISTS company_id UUID NOT NULL DEFAULT default_company_id(),
+    ADD FOREIGN KEY (company_id, bill_no) REFERENCES bill(company_id, bill_no);
+
+ALTER TABLE digital_payment_ref
+    ADD COLUMN IF NOT EXISTS company_id UUID NOT NULL DEFAULT default_company_id(),
+    ADD FOREIGN KEY (company_id, bill_no) REFERENCES bill(company_id, bill_no);
+
+ALTER TABLE customer_otp
+    ADD COLUMN IF NOT EXISTS company_id UUID NOT NULL DEFAULT default_company_id(),
+    ADD FOREIGN KEY (company_id, bill_no) REFERENCES bill(company_id, bill_no);
+
+-- One EOD sheet per company and day
+ALTER TABLE eod_sheet DROP CONSTRAINT IF EXISTS eod_sheet_business_date_key;
+ALTER TABLE eod_sheet
+    ADD COLUMN IF NOT EXISTS company_id UUID NOT NULL DEFAULT default_company_id() REFERENCES company(id),
+    ADD UNIQUE (company_id, business_date);
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check CHECK (action IN (
+    'INSERT', 'UPDATE', 'DELETE', 'CLOSE', 'MAP', 'UNMAP',
+    'INITIALIZE', 'START', 'STOP', 'TRIGGER', 'DISCOVER', 'RESET'
+));
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_table ON audit_log(table_name, created_at);
+
+-- Stock lines of a bill from Tally (ALLINVENTORYENTRIES.LIST, one row per godown/batch allocation)
+CREATE TABLE IF NOT EXISTS bill_item (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL,
+    bill_no VARCHAR(50) NOT NULL,
+    line_no INTEGER NOT NULL,
+    stock_item VARCHAR(200) NOT NULL,
+    godown VARCHAR(100),
+    batch VARCHAR(100),
+    quantity DECIMAL(15,3),
+    unit VARCHAR(20),
+    rate DECIMAL(15,2),
+    amount DECIMAL(15,2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (company_id, bill_no) REFERENCES bill(company_id, bill_no) ON DELETE CASCADE,
+    UNIQUE (company_id, bill_no, line_no)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bill_item_godown ON bill_item(company_id, godown);
+
+-- GST breakdown of a bill from the ledger entries of its Tally voucher (duty ledgers by
+-- head, round-off; the taxable value is the stock lines and the other ledgers)
+CREATE TABLE IF NOT EXISTS bill_tax (
+    company_id UUID NOT NULL,
+    bill_no VARCHAR(50) NOT NULL,
+    taxable_value DECIMAL(15,2) NOT NULL DEFAULT 0,
+    cgst_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    sgst_amount DECIMAL(15,2) NOT NULL DEFAULT 0, -- SGST or UTGST
+    igst_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    cess_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    round_off DECIMAL(15,2) NOT NULL DEFAULT 0,
+    place_of_supply VARCHAR(50),
+    party_gstin VARCHAR(15), -- as on the voucher; the party master's GSTIN is used when NULL
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (company_id, bill_no),
+    FOREIGN KEY (company_id, bill_no) REFERENCES bill(company_id, bill_no) ON DELETE CASCADE
+);
+
+-- Bill-wise allocations of a receipt: from Tally (BILLALLOCATIONS.LIST on the party ledger
+-- line), or, for receipts Tally did not allocate, split here by hand or by the FIFO allocator.
+-- A receipt only has rows of one kind; allocations arriving from Tally replace a split
+CREATE TABLE IF NOT EXISTS receipt_allocation (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL,
+    receipt_id VARCHAR(50) NOT NULL,
+    bill_no VARCHAR(50), -- NULL for On Account
+    bill_type VARCHAR(20) NOT NULL DEFAULT 'Agst Ref',
+    amount DECIMAL(15,2) NOT NULL,
+    source VARCHAR(10) NOT NULL DEFAULT 'TALLY' CHECK (source IN ('TALLY', 'MANUAL', 'FIFO')),
+    allocated_by UUID REFERENCES users(id), -- MANUAL splits
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (company_id, receipt_id) REFERENCES receipt(company_id, receipt_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_receipt_allocation_receipt ON receipt_allocation(company_id, receipt_id);
+CREATE INDEX IF NOT EXISTS idx_receipt_allocation_bill ON receipt_allocation(company_id, bill_no);
+
+-- Every change made here to the bill(s) a receipt is mapped to (allocations from Tally are
+-- not mappings): manual mappings and splits, FIFO, mapping rules, and undos of them
+CREATE TABLE IF NOT EXISTS receipt_mapping_history (
+    id BIGSERIAL PRIMARY KEY,
+    company_id UUID NOT NULL,
+    receipt_id VARCHAR(50) NOT NULL,
+    method VARCHAR(10) NOT NULL CHECK (method IN ('MANUAL', 'SPLIT', 'FIFO', 'RULE', 'UNDO')),
+    old_bill_no VARCHAR(50),
+    new_bill_no VARCHAR(50),
+    old_allocations JSONB NOT NULL DEFAULT '[]', -- split rows before: [{ bill_no, bill_type, amount, source }]
+    new_allocations JSONB NOT NULL DEFAULT '[]', -- and after
+    mapping_rule_id BIGINT REFERENCES mapping_rule(id) ON DELETE SET NULL, -- RULE
+    user_id UUID REFERENCES users(id), -- NULL for FIFO and rules
+    reason TEXT, -- UNDO
+    undoes_id BIGINT REFERENCES receipt_mapping_history(id), -- UNDO: the mapping it reverted
+    affected_bills TEXT[] NOT NULL DEFAULT '{}', -- UNDO: bills the reverted mapping paid that lost the receipt
+    undone_at TIMESTAMP, -- set on a mapping once it is reverted
+    party_alias JSONB, -- MANUAL: alias learned { id, alias_name, party_name, previous }, UNDO: what the undo did to it { ..., action }
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (company_id, receipt_id) REFERENCES receipt(company_id, receipt_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_receipt_mapping_history_receipt ON receipt_mapping_history(company_id, receipt_id, id);
+CREATE INDEX IF NOT EXISTS idx_receipt_mapping_history_undo ON receipt_mapping_history(company_id, created_at) WHERE method = 'UNDO';
+
+-- Credit Notes (sales returns), Debit Notes and Journals from Tally that adjust bill balances.
+-- Voucher numbers are only unique per voucher type in Tally
+CREATE TABLE IF NOT EXISTS adjustment (
+    company_id UUID NOT NULL DEFAULT default_company_id() REFERENCES company(id),
+    voucher_type VARCHAR(100) NOT NULL, -- Tally voucher type, e.g. 'Credit Note' or 'Credit Note - GST'
+    adjustment_kind VARCHAR(20) NOT NULL CHECK (adjustment_kind IN ('Credit Note', 'Debit Note', 'Journal')), -- from voucher_type_map
+    voucher_no VARCHAR(50) NOT NULL,
+    voucher_date DATE NOT NULL,
+    party_name VARCHAR(200) NOT NULL,
+    amount DECIMAL(15,2) NOT NULL, -- credit to the party: positive for credit notes, negative for debit notes
+    narration TEXT,
+    party_id UUID REFERENCES party(id) ON DELETE SET NULL,
+    tally_status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE' CHECK (tally_status IN ('ACTIVE', 'CANCELLED', 'DELETED', 'MISSING')),
+    tally_status_ts TIMESTAMP,
+    last_sync_ts TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (company_id, voucher_type, voucher_no)
+);
+
+CREATE INDEX IF NOT EXISTS idx_adjustment_party_id ON adjustment(party_id);
+
+-- Bill-wise allocations of an adjustment on the party ledger line
+CREATE TABLE IF NOT EXISTS adjustment_allocation (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL,
+    voucher_type VARCHAR(100) NOT NULL,
+    voucher_no VARCHAR(50) NOT NULL,
+    bill_no VARCHAR(50), -- NULL for On Account
+    bill_type VARCHAR(20) NOT NULL DEFAULT 'Agst Ref',
+    amount DECIMAL(15,2) NOT NULL, -- positive reduces the bill's due, negative adds to it
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (company_id, voucher_type, voucher_no) REFERENCES adjustment(company_id, voucher_type, voucher_no) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_adjustment_allocation_voucher ON adjustment_allocation(company_id, voucher_type, voucher_no);
+CREATE INDEX IF NOT EXISTS idx_adjustment_allocation_bill ON adjustment_allocation(company_id, bill_no);
+
+-- Bills settled from a party's advance (see party_advance): automatically oldest first, by
+-- hand, or at release. A reversed settlement is kept with reversed_at set, and without
+-- reversed_by when the sync reversed it because the advance was taken back
+CREATE TABLE IF NOT EXISTS advance_settlement (
+    id BIGSERIAL PRIMARY KEY,
+    company_id UUID NOT NULL REFERENCES company(id),
+    party_name VARCHAR(200) NOT NULL,
+    bill_no VARCHAR(50) NOT NULL,
+    amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+    method VARCHAR(10) NOT NULL CHECK (method IN ('AUTO', 'MANUAL', 'RELEASE')),
+    settled_by UUID REFERENCES users(id), -- NULL for AUTO
+    reversed_at TIMESTAMP,
+    reversed_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (company_id, bill_no) REFERENCES bill(company_id, bill_no)
+);
+
+CREATE INDEX IF NOT EXISTS idx_advance_settlement_bill ON advance_settlement(company_id, bill_no) WHERE reversed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_advance_settlement_party ON advance_settlement(company_id, party_name);
+
+-- Notes and coins in the till when a session opens (the float) and when it closes (the
+-- count); coins are counted by value, so quantity is NULL for them
+CREATE TABLE IF NOT EXISTS cash_denomination_count (
+    id BIGSERIAL PRIMARY KEY,
+    session_id UUID NOT NULL REFERENCES cashier_session(id) ON DELETE CASCADE,
+    count_type VARCHAR(10) NOT NULL CHECK (count_type IN ('OPEN', 'CLOSE')),
+    denomination VARCHAR(10) NOT NULL CHECK (denomination IN ('2000', '500', '200', '100', '50', '20', '10', 'COINS')),
+    quantity INTEGER CHECK (quantity >= 0),
+    amount DECIMAL(15,2) NOT NULL CHECK (amount >= 0),
+    counted_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (session_id, count_type, denomination),
+    CHECK (CASE WHEN denomination = 'COINS' THEN quantity IS NULL
+                ELSE quantity IS NOT NULL AND amount = quantity * denomination::INTEGER END)
+);
+
+-- Incremental sync watermarks (highest Tally AlterID/MasterID synced per company and voucher type)
+CREATE TABLE IF NOT EXISTS sync_watermark (
+    company_name VARCHAR(200) NOT NULL, -- company.code
+    voucher_type VARCHAR(50) NOT NULL, -- Sales, Receipt, Adjustment (each covering every voucher type mapped to it), or Ledger for party masters
+    last_alter_id BIGINT NOT NULL DEFAULT 0,
+    last_master_id BIGINT NOT NULL DEFAULT 0,
+    last_success_ts TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (company_name, voucher_type)
+);
+
+-- Sync run history (one row per ETL/ODBC cycle)
+CREATE TABLE IF NOT EXISTS sync_run (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    connection_method VARCHAR(10) CHECK (connection_method IN ('odbc', 'xml', 'file', 'hybrid')),
+    trigger_source VARCHAR(10) NOT NULL CHECK (trigger_source IN ('cron', 'manual', 'admin')),
+    status VARCHAR(10) NOT NULL DEFAULT 'RUNNING' CHECK (status IN ('RUNNING', 'SUCCESS', 'FAILED')),
+    mapped_count INTEGER DEFAULT 0,
+    error_text TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_run_started ON sync_run(started_at);
+
+-- Per-entity row counts for each sync run
+CREATE TABLE IF NOT EXISTS sync_run_entity (
+    run_id UUID REFERENCES sync_run(id) ON DELETE CASCADE,
+    entity VARCHAR(30) NOT NULL,
+    inserted_count INTEGER DEFAULT 0,
+    updated_count INTEGER DEFAULT 0,
+    unchanged_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    connector VARCHAR(30), -- connector(s) that served the entity, e.g. 'xml' or 'xml,odbc'
+    PRIMARY KEY (run_id, entity)
+);
+
+-- The same counts for each company pulled in the run (sync_run_entity holds their totals)
+CREATE TABLE IF NOT EXISTS sync_run_company (
+    run_id UUID REFERENCES sync_run(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES company(id) ON DELETE CASCADE,
+    entity VARCHAR(30) NOT NULL,
+    inserted_count INTEGER DEFAULT 0,
+    updated_count INTEGER DEFAULT 0,
+    unchanged_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    connector VARCHAR(30),
+    PRIMARY KEY (run_id, company_id, entity)
+);
+
+-- Connector order per synced entity: the first is preferred, the rest take over
+-- when it fails. Entities without a row use TALLY_CONNECTORS
+CREATE TABLE IF NOT EXISTS sync_connector (
+    entity VARCHAR(20) PRIMARY KEY CHECK (entity IN ('parties', 'bills', 'receipts', 'adjustments')),
+    connectors TEXT[] NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Voucher types read from each company's Tally
+CREATE TABLE IF NOT EXISTS tally_voucher_type (
+    company_id UUID NOT NULL REFERENCES company(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    parent VARCHAR(100), -- predefined type it is based on (Sales, Receipt, Credit Note, ...)
+    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (company_id, name)
+);
+
+-- What Tally voucher types are synced as, by the type's name or by the predefined type it is
+-- based on ($$IsSales etc.); name rules win. Types without a rule follow their predefined type
+CREATE TABLE IF NOT EXISTS voucher_type_map (
+    id BIGSERIAL PRIMARY KEY,
+    company_id UUID NOT NULL REFERENCES company(id) ON DELETE CASCADE,
+    match_on VARCHAR(10) NOT NULL CHECK (match_on IN ('NAME', 'PARENT')),
+    voucher_type VARCHAR(100) NOT NULL,
+    maps_to VARCHAR(20) NOT NULL CHECK (maps_to IN ('bill', 'receipt', 'credit_note', 'debit_note', 'journal', 'ignore')),
+    updated_by UUID REFERENCES users(id),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (company_id, match_on, voucher_type)
+);
+
+-- Raw bill/receipt/adjustment rows received from Tally, validated before promotion
+CREATE TABLE IF NOT EXISTS tally_staging (
+    id BIGSERIAL PRIMARY KEY,
+    company_id UUID NOT NULL REFERENCES company(id) ON DELETE CASCADE,
+    document VARCHAR(10) NOT NULL CHECK (document IN ('bill', 'receipt', 'adjustment')),
+    voucher_number TEXT, -- as received; may not fit bill/receipt
+    source VARCHAR(10) NOT NULL CHECK (source IN ('odbc', 'xml', 'file')),
+    payload JSONB NOT NULL,
+    status VARCHAR(12) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'PROMOTED', 'QUARANTINED')),
+    staged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tally_staging_status ON tally_staging(status, staged_at);
+
+-- Staged rows that failed validation or promotion, kept for an admin to fix and re-promote
+CREATE TABLE IF NOT EXISTS tally_quarantine (
+    id BIGSERIAL PRIMARY KEY,
+    company_id UUID NOT NULL REFERENCES company(id) ON DELETE CASCADE,
+    document VARCHAR(10) NOT NULL CHECK (document IN ('bill', 'receipt', 'adjustment')),
+    voucher_number TEXT, -- as received; may not fit bill/receipt
+    source VARCHAR(10) NOT NULL CHECK (source IN ('odbc', 'xml', 'file')),
+    staging_id BIGINT REFERENCES tally_staging(id) ON DELETE SET NULL,
+    payload JSONB NOT NULL,
+    reasons TEXT[] NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'PROMOTED', 'DISCARDED')),
+    attempts INTEGER DEFAULT 0,
+    note TEXT,
+    quarantined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP,
+    resolved_by UUID REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tally_quarantine_company ON tally_quarantine(company_id, status);
+-- One open entry per voucher; a later bad version replaces it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tally_quarantine_open ON tally_quarantine(company_id, document, voucher_number) WHERE status = 'OPEN';
+
+-- Comparison of Tally's own bills outstanding (DashboardOutstandingBills) with bill_status,
+-- one row per company and run
+CREATE TABLE IF NOT EXISTS outstanding_reconciliation (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES company(id) ON DELETE CASCADE,
+    business_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    trigger_source VARCHAR(20) NOT NULL DEFAULT 'cron' CHECK (trigger_source IN ('cron', 'manual')),
+    status VARCHAR(10) NOT NULL DEFAULT 'RUNNING' CHECK (status IN ('RUNNING', 'SUCCESS', 'FAILED')),
+    connector VARCHAR(10),
+    tally_bill_count INTEGER DEFAULT 0,
+    tally_outstanding DECIMAL(15,2) DEFAULT 0,
+    dashboard_outstanding DECIMAL(15,2) DEFAULT 0,
+    mismatch_count INTEGER DEFAULT 0,
+    error_text TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_outstanding_reconciliation_company ON outstanding_reconciliation(company_id, business_date);
+
+-- Bills whose outstanding differs between Tally and the dashboard in a reconciliation run
+CREATE TABLE IF NOT EXISTS outstanding_mismatch (
+    id BIGSERIAL PRIMARY KEY,
+    reconciliation_id UUID NOT NULL REFERENCES outstanding_reconciliation(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES company(id) ON DELETE CASCADE,
+    bill_no TEXT NOT NULL, -- Tally bill name; may not exist in bill
+    bill_date DATE,
+    party_name VARCHAR(200),
+    mismatch_type VARCHAR(20) NOT NULL CHECK (mismatch_type IN ('MISSING_BILL', 'AMOUNT_DIFFERS', 'PAID_IN_TALLY', 'DUE_IN_TALLY')),
+    tally_pending DECIMAL(15,2), -- NULL when Tally shows nothing outstanding
+    dashboard_due DECIMAL(15,2), -- NULL when the bill is not synced
+    difference DECIMAL(15,2) NOT NULL -- Tally pending less dashboard due
+);
+
+CREATE INDEX IF NOT EXISTS idx_outstanding_mismatch_run ON outstanding_mismatch(reconciliation_id);
+
+-- Historical backfill of Tally vouchers over a date range, admin-triggered and run
+-- month by month alongside the regular sync
+CREATE TABLE IF NOT EXISTS backfill_job (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES company(id) ON DELETE CASCADE,
+    from_date DATE NOT NULL,
+    to_date DATE NOT NULL,
+    voucher_types TEXT[] NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'QUEUED' CHECK (status IN ('QUEUED', 'RUNNING', 'SUCCESS', 'FAILED', 'CANCELLED')),
+    total_chunks INTEGER NOT NULL DEFAULT 0,
+    done_chunks INTEGER NOT NULL DEFAULT 0,
+    inserted_count INTEGER DEFAULT 0,
+    updated_count INTEGER DEFAULT 0,
+    unchanged_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    error_text TEXT,
+    requested_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    CHECK (from_date <= to_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_backfill_job_company ON backfill_job(company_id, created_at);
+
+-- One voucher type over one month of a backfill job; DONE chunks are skipped on resume
+CREATE TABLE IF NOT EXISTS backfill_chunk (
+    id BIGSERIAL PRIMARY KEY,
+    job_id UUID NOT NULL REFERENCES backfill_job(id) ON DELETE CASCADE,
+    voucher_type VARCHAR(100) NOT NULL,
+    from_date DATE NOT NULL,
+    to_date DATE NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'RUNNING', 'DONE', 'FAILED')),
+    connector VARCHAR(10),
+    inserted_count INTEGER DEFAULT 0,
+    updated_count INTEGER DEFAULT 0,
+    unchanged_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    error_text TEXT,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    UNIQUE (job_id, voucher_type, from_date)
+);
+
+-- Freshness of each synced entity per company; failing_since is set from the first
+-- failure after a success
+CREATE TABLE IF NOT EXISTS sync_health (
+    company_id UUID NOT NULL REFERENCES company(id) ON DELETE CASCADE,
+    entity VARCHAR(20) NOT NULL,
+    last_success_at TIMESTAMP,
+    last_attempt_at TIMESTAMP,
+    failing_since TIMESTAMP,
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    PRIMARY KEY (company_id, entity)
+);
+
+-- Stale sync alerts, open until the entity syncs again
+CREATE TABLE IF NOT EXISTS sync_alert (
+    id BIGSERIAL PRIMARY KEY,
+    company_id UUID NOT NULL REFERENCES company(id) ON DELETE CASCADE,
+    entity VARCHAR(20) NOT NULL,
+    last_success_at TIMESTAMP,
+    last_error TEXT,
+    raised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    cleared_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_alert_raised ON sync_alert(raised_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_alert_open ON sync_alert(company_id, entity) WHERE cleared_at IS NULL;
+
+-- Amount of each active receipt applied to each bill: its bill allocations (from Tally, or a
+-- manual or FIFO split) where it has any, otherwise the whole receipt against its bill_reference
+CREATE VIEW receipt_applied AS
+SELECT
+    r.company_id,
+    r.receipt_id,
+    ra.bill_no,
+    ra.amount,
+    CASE WHEN ra.source = 'TALLY' THEN 'ALLOCATION' ELSE ra.source END AS source
+FROM receipt r
+JOIN receipt_allocation ra ON r.company_id = ra.company_id AND r.receipt_id = ra.receipt_id
+WHERE r.tally_status = 'ACTIVE' AND ra.bill_no IS NOT NULL
+UNION ALL
+SELECT
+    r.company_id,
+    r.receipt_id,
+    r.bill_reference AS bill_no,
+    r.amount,
+    'REFERENCE' AS source
+FROM receipt r
+WHERE r.tally_status = 'ACTIVE'
+  AND r.bill_reference IS NOT NULL AND r.bill_reference <> ''
+  AND NOT EXISTS (
+      SELECT 1 FROM receipt_allocation ra
+      WHERE ra.company_id = r.company_id AND ra.receipt_id = r.receipt_id AND ra.bill_no IS NOT NULL
+  );
+
+-- How much of each active receipt is applied to bills, kept on account, or not yet allocated
+CREATE VIEW receipt_balance AS
+SELECT
+    r.company_id,
+    r.receipt_id,
+    r.amount,
+    COALESCE(applied.amount, 0) AS allocated_amount,
+    COALESCE(on_account.amount, 0) AS on_account_amount,
+    r.amount - COALESCE(applied.amount, 0) - COALESCE(on_account.amount, 0) AS unallocated_amount,
+    COALESCE(applied.bill_count, 0) AS bill_count
+FROM receipt r
+LEFT JOIN (
+    SELECT company_id, receipt_id, SUM(amount) AS amount, COUNT(*) AS bill_count
+    FROM receipt_applied
+    GROUP BY company_id, receipt_id
+) applied ON r.company_id = applied.company_id AND r.receipt_id = applied.receipt_id
+LEFT JOIN (
+    SELECT company_id, receipt_id, SUM(amount) AS amount
+    FROM receipt_allocation
+    WHERE bill_no IS NULL
+    GROUP BY company_id, receipt_id
+) on_account ON r.company_id = on_account.company_id AND r.receipt_id = on_account.receipt_id
+WHERE r.tally_status = 'ACTIVE';
+
+-- Amount of each active credit note, debit note or journal applied to each bill
+CREATE VIEW adjustment_applied AS
+SELECT
+    a.company_id,
+    a.voucher_type,
+    a.voucher_no,
+    aa.bill_no,
+    aa.amount
+FROM adjustment a
+JOIN adjustment_allocation aa
+  ON a.company_id = aa.company_id AND a.voucher_type = aa.voucher_type AND a.voucher_no = aa.voucher_no
+WHERE a.tally_status = 'ACTIVE' AND aa.bill_no IS NOT NULL;
+
+-- Bill status view (PAID, PART-PAID, DUE); receipts, adjustments and settlements from the
+-- party's advance all settle the bill
+CREATE VIEW bill_status AS
+SELECT 
+    b.company_id,
+    b.bill_no,
+    b.bill_date,
+    b.party_name,
+    b.amount AS bill_amount,
+    COALESCE(r.receipt_total, 0) AS receipt_total,
+    COALESCE(adj.adjustment_total, 0) AS adjustment_total,
+    COALESCE(adv.advance_total, 0) AS advance_total,
+    -- Cancelled/deleted bills owe nothing
+    CASE
+        WHEN b.tally_status = 'ACTIVE' THEN b.amount - COALESCE(r.receipt_total, 0) - COALESCE(adj.adjustment_total, 0) - COALESCE(adv.advance_total, 0)
+        ELSE 0
+    END AS remaining_due,
+    CASE 
+        WHEN b.tally_status <> 'ACTIVE' THEN b.tally_status
+        WHEN COALESCE(r.receipt_total, 0) + COALESCE(adj.adjustment_total, 0) + COALESCE(adv.advance_total, 0) <= 0 THEN 'DUE'
+        WHEN COALESCE(r.receipt_total, 0) + COALESCE(adj.adjustment_total, 0) + COALESCE(adv.advance_total, 0) >= b.amount THEN 'PAID'
+        ELSE 'PART-PAID'
+    END AS status,
+    b.party_id,
+    b.tally_status
+FROM bill b
+LEFT JOIN (
+    SELECT 
+        company_id,
+        bill_no,
+        SUM(amount) as receipt_total
+    FROM receipt_applied
+    GROUP BY company_id, bill_no
+) r ON b.company_id = r.company_id AND b.bill_no = r.bill_no
+LEFT JOIN (
+    SELECT
+        company_id,
+        bill_no,
+        SUM(amount) as adjustment_total
+    FROM adjustment_applied
+    GROUP BY company_id, bill_no
+) adj ON b.company_id = adj.company_id AND b.bill_no = adj.bill_no
+LEFT JOIN (
+    SELECT
+        company_id,
+        bill_no,
+        SUM(amount) as advance_total
+    FROM advance_settlement
+    WHERE reversed_at IS NULL
+    GROUP BY company_id, bill_no
+) adv ON b.company_id = adv.company_id AND b.bill_no = adv.bill_no;
+
+-- Release status view
+CREATE VIEW release_status AS
+SELECT 
+    b.company_id,
+    b.bill_no,
+    CASE 
+        WHEN rs.release_id IS NOT NULL THEN 'RELEASED_SELF'
+        WHEN rt.release_id IS NOT NULL AND rt.delivered_ts IS NOT NULL THEN 'DELIVERED'
+        WHEN rt.release_id IS NOT NULL THEN 'IN_TRANSIT'
+        ELSE 'READY'
+    END AS release_status,
+    COALESCE(rs.released_ts, rt.pickup_ts) AS release_ts,
+    COALESCE(rs.dispatcher_id, rt.dispatcher_id) AS dispatcher_id
+FROM bill b
+LEFT JOIN release_self rs ON b.company_id = rs.company_id AND b.bill_no = rs.bill_no
+LEFT JOIN release_transporter rt ON b.company_id = rt.company_id AND b.bill_no = rt.bill_no;
+
+-- Money a party has paid beyond its bills, one row per source: receipts kept on account
+-- (not those still waiting to be mapped), bills paid more than they owe, and approved
+-- counter collections above the bill's due not yet posted to Tally (once posted they come
+-- back as a receipt on the bill)
+CREATE VIEW party_advance_credit AS
+SELECT
+    r.company_id,
+    r.party_name,
+    'RECEIPT' AS source,
+    r.receipt_id AS reference,
+    r.receipt_date AS credit_date,
+    rb.on_account_amount AS amount
+FROM receipt r
+JOIN receipt_balance rb ON r.company_id = rb.company_id AND r.receipt_id = rb.receipt_id
+WHERE rb.on_account_amount > 0
+UNION ALL
+SELECT
+    bs.company_id,
+    bs.party_name,
+    'BILL' AS source,
+    bs.bill_no AS reference,
+    bs.bill_date AS credit_date,
+    -bs.remaining_due AS amount
+FROM bill_status bs
+WHERE bs.remaining_due < 0
+UNION ALL
+SELECT
+    ph.company_id,
+    b.party_name,
+    'PAYMENT_HINT' AS source,
+    ph.id::text AS reference,
+    DATE(ph.created_at) AS credit_date,
+    -- remaining_due is what the bill still owed after this collection, so at most the
+    -- collection itself is overpaid
+    LEAST(-ph.remaining_due, ph.cash_amt + ph.cheque_amt + ph.digital_amt) AS amount
+FROM payment_hint ph
+JOIN bill b ON ph.company_id = b.company_id AND ph.bill_no = b.bill_no
+WHERE ph.remaining_due < 0 AND ph.approved_at IS NOT NULL AND ph.tally_post_status <> 'POSTED'
+  AND b.tally_status = 'ACTIVE';
+
+-- Each party's advance: its credits less what was settled from them (settlements reversed or
+-- of voided bills give the amount back), and its net due, negative while in advance
+CREATE VIEW party_advance AS
+SELECT
+    p.company_id,
+    p.party_name,
+    COALESCE(c.amount, 0) AS credit_total,
+    COALESCE(s.amount, 0) AS settled_total,
+    COALESCE(c.amount, 0) - COALESCE(s.amount, 0) AS available,
+    COALESCE(d.amount, 0) AS outstanding,
+    COALESCE(d.amount, 0) - (COALESCE(c.amount, 0) - COALESCE(s.amount, 0)) AS net_due
+FROM (
+    SELECT company_id, party_name FROM party_advance_credit
+    UNION
+    SELECT company_id, party_name FROM advance_settlement
+) p
+LEFT JOIN (
+    SELECT company_id, party_name, SUM(amount) AS amount
+    FROM party_advance_credit
+    GROUP BY company_id, party_name
+) c ON p.company_id = c.company_id AND p.party_name = c.party_name
+LEFT JOIN (
+    SELECT s.company_id, s.party_name, SUM(s.amount) AS amount
+    FROM advance_settlement s
+    JOIN bill b ON s.company_id = b.company_id AND s.bill_no = b.bill_no
+    WHERE s.reversed_at IS NULL AND b.tally_status = 'ACTIVE'
+    GROUP BY s.company_id, s.party_name
+) s ON p.company_id = s.company_id AND p.party_name = s.party_name
+LEFT JOIN (
+    SELECT company_id, party_name, SUM(remaining_due) AS amount
+    FROM bill_status
+    WHERE remaining_due > 0
+    GROUP BY company_id, party_name
+) d ON p.company_id = d.company_id AND p.party_name = d.party_name;
+
+-- Change in each denomination over a closed session (close count less opening float),
+-- next to the session's cash variance, to compare across sessions which notes go short
+CREATE VIEW cash_denomination_variance AS
+WITH counted AS (
+    SELECT session_id, denomination,
+           MAX(quantity) FILTER (WHERE count_type = 'OPEN') as open_quantity,
+           COALESCE(SUM(amount) FILTER (WHERE count_type = 'OPEN'), 0) as open_amount,
+           MAX(quantity) FILTER (WHERE count_type = 'CLOSE') as close_quantity,
+           COALESCE(SUM(amount) FILTER (WHERE count_type = 'CLOSE'), 0) as close_amount
+    FROM cash_denomination_count
+    GROUP BY session_id, denomination
+)
+SELECT
+    cs.id as session_id,
+    cs.cashier_id,
+    DATE(cs.start_ts) as business_date,
+    c.denomination,
+    CASE WHEN c.denomination <> 'COINS' THEN COALESCE(c.open_quantity, 0) END as open_quantity,
+    c.open_amount,
+    CASE WHEN c.denomination <> 'COINS' THEN COALESCE(c.close_quantity, 0) END as close_quantity,
+    c.close_amount,
+    CASE WHEN c.denomination <> 'COINS' THEN COALESCE(c.close_quantity, 0) - COALESCE(c.open_quantity, 0) END as quantity_change,
+    c.close_amount - c.open_amount as amount_change,
+    cs.variance as session_variance
+FROM cashier_session cs
+JOIN counted c ON c.session_id = cs.id
+WHERE cs.status <> 'ACTIVE'
+  AND EXISTS (
+      SELECT 1 FROM cash_denomination_count cdc
+      WHERE cdc.session_id = cs.id AND cdc.count_type = 'CLOSE'
+  );
+
+-- The session parameter was renamed, which CREATE OR REPLACE cannot do
+DROP FUNCTION IF EXISTS calculate_expected_cash(UUID);
+
+-- Function to calculate expected cash
+CREATE OR REPLACE FUNCTION calculate_expected_cash(p_session_id UUID)
+RETURNS DECIMAL AS $$
+DECLARE
+    expected DECIMAL := 0;
+    start_float DECIMAL := 0;
+    cash_in DECIMAL := 0;
+    petty_out DECIMAL := 0;
+    adjustments DECIMAL := 0;
+BEGIN
+    -- Get start float
+    SELECT cs.start_float INTO start_float
+    FROM cashier_session cs WHERE cs.id = p_session_id;
+    
+    -- Get cash payments
+    SELECT COALESCE(SUM(ph.cash_amt), 0) INTO cash_in
+    FROM payment_hint ph
+    JOIN cashier_session cs ON ph.cashier_id = cs.cashier_id
+    WHERE cs.id = p_session_id 
+    AND ph.created_at BETWEEN cs.start_ts AND COALESCE(cs.end_ts, CURRENT_TIMESTAMP);
+    
+    -- Get petty cash
+    SELECT COALESCE(SUM(amount), 0) INTO petty_out
+    FROM petty_cash pc WHERE pc.session_id = p_session_id;
+    
+    -- Get till adjustments
+    SELECT COALESCE(SUM(CASE 
+        WHEN type = 'ADD_TO_TILL' THEN amount 
+        ELSE -amount 
+    END), 0) INTO adjustments
+    FROM till_adjustment ta WHERE ta.session_id = p_session_id;
+    
+    expected := start_float + cash_in - petty_out + adjustments;
+    
+    RETURN expected;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Triggers for audit logging; the key column is the trigger argument, id when none is given
+CREATE OR REPLACE FUNCTION audit_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        INSERT INTO audit_log(table_name, record_id, action, old_values)
+        VALUES (TG_TABLE_NAME, to_jsonb(OLD) ->> COALESCE(TG_ARGV[0], 'id'), 'DELETE', to_jsonb(OLD));
+        RETURN OLD;
+    ELSIF TG_OP = 'UPDATE' THEN
+        INSERT INTO audit_log(table_name, record_id, action, old_values, new_values)
+        VALUES (TG_TABLE_NAME, to_jsonb(NEW) ->> COALESCE(TG_ARGV[0], 'id'), 'UPDATE', to_jsonb(OLD), to_jsonb(NEW));
+        RETURN NEW;
+    ELSIF TG_OP = 'INSERT' THEN
+        INSERT INTO audit_log(table_name, record_id, action, new_values)
+        VALUES (TG_TABLE_NAME, to_jsonb(NEW) ->> COALESCE(TG_ARGV[0], 'id'), 'INSERT', to_jsonb(NEW));
+        RETURN NEW;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Releases are keyed by release_id
+DROP TRIGGER IF EXISTS audit_release_self ON release_self;
+CREATE TRIGGER audit_release_self AFTER INSERT OR UPDATE OR DELETE ON release_self
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger('release_id');
+
+DROP TRIGGER IF EXISTS audit_release_transporter ON release_transporter;
+CREATE TRIGGER audit_release_transporter AFTER INSERT OR UPDATE OR DELETE ON release_transporter
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger('release_id');
+
+DROP TRIGGER IF EXISTS audit_advance_settlement ON advance_settlement;
+CREATE TRIGGER audit_advance_settlement AFTER INSERT OR UPDATE OR DELETE ON advance_settlement
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger();
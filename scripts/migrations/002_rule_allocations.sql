@@ -0,0 +1,6 @@
+-- Rule mappings larger than the bill's due are split like FIFO ones, with the excess kept
+-- on account, and their allocation rows are marked RULE
+
+ALTER TABLE receipt_allocation DROP CONSTRAINT receipt_allocation_source_check;
+ALTER TABLE receipt_allocation ADD CONSTRAINT receipt_allocation_source_check
+    CHECK (source IN ('TALLY', 'MANUAL', 'FIFO', 'RULE'));
@@ -0,0 +1,6 @@
+-- Changes Tally makes to a receipt's mapping (its bill reference or allocations) are kept
+-- in the mapping history as TALLY entries
+
+ALTER TABLE receipt_mapping_history DROP CONSTRAINT receipt_mapping_history_method_check;
+ALTER TABLE receipt_mapping_history ADD CONSTRAINT receipt_mapping_history_method_check
+    CHECK (method IN ('MANUAL', 'SPLIT', 'FIFO', 'RULE', 'UNDO', 'TALLY'));
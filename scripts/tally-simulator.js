@@ -0,0 +1,538 @@
+// Tally Prime XML server stand-in for development and tests.
+// Serves companies, groups, voucher types, ledgers, sales, receipt, credit/debit note and journal
+// vouchers and the bills outstanding they leave from a JSON fixture,
+// answers the collection exports the ETL sends, accepts Import Data requests and can
+// inject errors and latency. Run: node scripts/tally-simulator.js [--port 9000] [--fixture file] [--latency ms]
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const tallyXMLParser = require('../services/tally-xml-parser');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'tally-simulator.json');
+
+// $$Group... names used in IsBelongsTo filters
+const RESERVED_GROUPS = {
+  GroupSundryDebtors: 'Sundry Debtors',
+  GroupSundryCreditors: 'Sundry Creditors'
+};
+
+const escapeXML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXML = (value) => String(value ?? '')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+const tallyDate = (date) => String(date).replace(/-/g, '');
+const amount = (value) => (Math.round((parseFloat(value) || 0) * 100) / 100).toFixed(2);
+const tag = (name, value) => (value === undefined || value === null || value === '' ? '' : `<${name}>${escapeXML(value)}</${name}>`);
+
+class TallySimulator {
+  constructor({ fixture = DEFAULT_FIXTURE, latency = 0 } = {}) {
+    this.server = null;
+    this.port = null;
+    this.latency = latency;
+    this.faults = [];
+    this.requests = [];
+    this.imports = [];
+    this.load(fixture);
+  }
+
+  // Load companies from a fixture file path or object; AlterIDs/MasterIDs are assigned in order
+  load(fixture) {
+    const data = typeof fixture === 'string' ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : JSON.parse(JSON.stringify(fixture));
+
+    this.companies = (data.companies || []).map(company => ({
+      name: company.name,
+      groups: company.groups || [],
+      voucherTypes: company.voucherTypes || [],
+      ledgers: [],
+      vouchers: [],
+      nextAlterId: 1,
+      nextMasterId: 1,
+      nextNumber: {}
+    }));
+
+    (data.companies || []).forEach((company, index) => {
+      for (const ledger of company.ledgers || []) this.addLedger(ledger, this.companies[index].name);
+      for (const voucher of company.vouchers || []) this.addVoucher(voucher, this.companies[index].name);
+    });
+
+    this.faults = [];
+    this.requests = [];
+    this.imports = [];
+  }
+
+  // Company by Tally name; the first company is the one "loaded" when no SVCURRENTCOMPANY is sent
+  company(name = null) {
+    if (!name) return this.companies[0] || null;
+    return this.companies.find(company => company.name === name) || null;
+  }
+
+  requireCompany(name) {
+    const company = this.company(name);
+    if (!company) throw new Error(`Company '${name}' is not loaded`);
+    return company;
+  }
+
+  stamp(company, record) {
+    record.alterId = company.nextAlterId++;
+    return record;
+  }
+
+  addLedger(ledger, companyName = null) {
+    const company = this.requireCompany(companyName);
+    const record = this.stamp(company, { ...ledger, masterId: company.nextMasterId++, guid: ledger.guid || `sim-ledger-${company.nextMasterId}` });
+    company.ledgers.push(record);
+    return record;
+  }
+
+  alterLedger(name, changes, companyName = null) {
+    const company = this.requireCompany(companyName);
+    const ledger = company.ledgers.find(item => item.name === name);
+    if (!ledger) throw new Error(`Ledger '${name}' not found`);
+    return this.stamp(company, Object.assign(ledger, changes));
+  }
+
+  // Add a voucher ({ type, number, date, party, amount, narration, allocations, items, and for
+  // sales ledgers, gstin, placeOfSupply }) of type Sales, Receipt, Credit Note, Debit Note or Journal
+  addVoucher(voucher, companyName = null) {
+    const company = this.requireCompany(companyName);
+    const masterId = company.nextMasterId++;
+    const number = voucher.number || this.nextVoucherNumber(company, voucher.type);
+    const record = this.stamp(company, {
+      cancelled: false,
+      deleted: false,
+      allocations: [],
+      items: [],
+      ...voucher,
+      number,
+      masterId,
+      guid: voucher.guid || `sim-voucher-${masterId}`
+    });
+    company.vouchers.push(record);
+    return record;
+  }
+
+  nextVoucherNumber(company, type) {
+    company.nextNumber[type] = (company.nextNumber[type] || 0) + 1;
+    return `${type === 'Receipt' ? 'RCPT' : 'SIM'}-${company.nextNumber[type]}`;
+  }
+
+  findVoucher(number, companyName = null) {
+    const voucher = this.requireCompany(companyName).vouchers.find(item => item.number === number && !item.deleted);
+    if (!voucher) throw new Error(`Voucher '${number}' not found`);
+    return voucher;
+  }
+
+  // Alter a voucher in place (bumps its AlterID like an edit in Tally)
+  alterVoucher(number, changes, companyName = null) {
+    return this.stamp(this.requireCompany(companyName), Object.assign(this.findVoucher(number, companyName), changes));
+  }
+
+  cancelVoucher(number, companyName = null) {
+    return this.alterVoucher(number, { cancelled: true }, companyName);
+  }
+
+  // Deleted vouchers disappear from every export, as in Tally
+  deleteVoucher(number, companyName = null) {
+    const voucher = this.findVoucher(number, companyName);
+    voucher.deleted = true;
+    return voucher;
+  }
+
+  setLatency(ms) {
+    this.latency = ms;
+  }
+
+  // Queue a fault for the next request(s) whose collection ID (or 'Import') matches `request`:
+  // { lineError } answers with a LINEERROR, { status } with an HTTP error, { malformed: true }
+  // with broken XML and { drop: true } closes the connection
+  injectError({ request = null, times = 1, ...fault }) {
+    this.faults.push({ request, times, ...fault });
+  }
+
+  takeFault(requestId) {
+    const fault = this.faults.find(item => !item.request || item.request === requestId);
+    if (!fault) return null;
+    fault.times--;
+    if (fault.times <= 0) this.faults.splice(this.faults.indexOf(fault), 1);
+    return fault;
+  }
+
+  // Start listening; resolves with the bound port (pass 0 for a free one)
+  start(port = 9000) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  async handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks).toString('utf8');
+
+    if (this.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+
+    if (req.method === 'GET') {
+      return this.send(res, 200, '<RESPONSE>TallyPrime Server is Running</RESPONSE>');
+    }
+
+    const request = this.parseRequest(body);
+    this.requests.push({ id: request.id, type: request.tallyRequest, company: request.companyName });
+
+    const fault = this.takeFault(request.id);
+    if (fault) {
+      if (fault.drop) return req.socket.destroy();
+      if (fault.status) return this.send(res, fault.status, 'Simulated Tally failure');
+      if (fault.malformed) return this.send(res, 200, '<ENVELOPE><BODY><DATA><VOUCHER>');
+      return this.send(res, 200, this.envelope(`<LINEERROR>${escapeXML(fault.lineError)}</LINEERROR>`, 0));
+    }
+
+    const company = this.company(request.companyName);
+    if (!company) {
+      return this.send(res, 200, this.envelope(`<LINEERROR>Could not set &apos;SVCurrentCompany&apos; to &apos;${escapeXML(request.companyName)}&apos;</LINEERROR>`, 0));
+    }
+
+    try {
+      if (/^Import/i.test(request.tallyRequest)) {
+        return this.send(res, 200, await this.importVouchers(company, body));
+      }
+      return this.send(res, 200, this.exportCollection(company, request));
+    } catch (error) {
+      return this.send(res, 200, this.envelope(`<LINEERROR>${escapeXML(error.message)}</LINEERROR>`, 0));
+    }
+  }
+
+  send(res, status, xml) {
+    res.writeHead(status, { 'Content-Type': 'text/xml; charset=utf-8' });
+    res.end(xml);
+  }
+
+  envelope(data, status = 1) {
+    return `<ENVELOPE>\n <HEADER>\n  <VERSION>1</VERSION>\n  <STATUS>${status}</STATUS>\n </HEADER>\n <BODY>\n  <DATA>\n${data}\n  </DATA>\n </BODY>\n</ENVELOPE>`;
+  }
+
+  // Pull what the simulator understands out of an ETL request
+  parseRequest(body) {
+    const first = (pattern) => {
+      const match = body.match(pattern);
+      return match ? unescapeXML(match[1].trim()) : null;
+    };
+
+    const formulas = {};
+    for (const match of body.matchAll(/<SYSTEM TYPE="Formulae" NAME="([^"]+)">([\s\S]*?)<\/SYSTEM>/g)) {
+      formulas[match[1]] = unescapeXML(match[2].trim());
+    }
+    const filterNames = (first(/<FILTER>([^<]*)<\/FILTER>/) || '').split(',').map(name => name.trim()).filter(Boolean);
+
+    return {
+      tallyRequest: first(/<TALLYREQUEST>([^<]*)<\/TALLYREQUEST>/) || '',
+      id: first(/<ID>([^<]*)<\/ID>/) || (/<TALLYREQUEST>\s*Import/i.test(body) ? 'Import' : null),
+      companyName: first(/<SVCURRENTCOMPANY>([^<]*)<\/SVCURRENTCOMPANY>/),
+      fromDate: first(/<SVFROMDATE>([^<]*)<\/SVFROMDATE>/),
+      toDate: first(/<SVTODATE>([^<]*)<\/SVTODATE>/),
+      collectionType: first(/<COLLECTION[^>]*>\s*<TYPE>([^<]*)<\/TYPE>/),
+      filters: filterNames.map(name => formulas[name]).filter(Boolean)
+    };
+  }
+
+  // Evaluate the filter formulas the ETL uses; anything else lets the record through
+  matches(record, filters, company) {
+    return filters.every(formula => {
+      const types = [...formula.matchAll(/\$VoucherTypeName\s*=\s*"([^"]*)"/g)].map(match => match[1]);
+      if (types.length > 0) return types.includes(record.type);
+
+      const altered = formula.match(/\$AlterID\s*>\s*(\d+)/);
+      if (altered) return record.alterId > parseInt(altered[1]);
+
+      const groups = [...formula.matchAll(/\$\$IsBelongsTo:\$\$(\w+)/g)].map(match => RESERVED_GROUPS[match[1]]).filter(Boolean);
+      if (groups.length > 0) return groups.some(group => this.belongsTo(company, record.parent, group));
+
+      return true;
+    });
+  }
+
+  belongsTo(company, groupName, target) {
+    const seen = new Set();
+    let current = groupName;
+    while (current && !seen.has(current)) {
+      if (current === target) return true;
+      seen.add(current);
+      const group = company.groups.find(item => item.name === current);
+      current = group ? group.parent : null;
+    }
+    return false;
+  }
+
+  exportCollection(company, request) {
+    const type = (request.collectionType || '').toLowerCase();
+    let records = '';
+
+    if (type === 'voucher') {
+      const from = request.fromDate;
+      const to = request.toDate;
+      records = company.vouchers
+        .filter(voucher => !voucher.deleted)
+        .filter(voucher => (!from || tallyDate(voucher.date) >= from) && (!to || tallyDate(voucher.date) <= to))
+        .filter(voucher => this.matches(voucher, request.filters, company))
+        .map(voucher => this.voucherXML(voucher, this.baseType(company, voucher.type)))
+        .join('\n');
+    } else if (type === 'ledger') {
+      records = company.ledgers
+        .filter(ledger => this.matches(ledger, request.filters, company))
+        .map(ledger => this.ledgerXML(ledger))
+        .join('\n');
+    } else if (type === 'bill') {
+      records = this.outstandingBills(company)
+        .map(bill => this.billXML(bill))
+        .join('\n');
+    } else if (type === 'group') {
+      records = company.groups
+        .map(group => `    <GROUP NAME="${escapeXML(group.name)}">\n     ${tag('PARENT', group.parent)}\n    </GROUP>`)
+        .join('\n');
+    } else if (type === 'vouchertype') {
+      records = this.voucherTypes(company)
+        .map(voucherType => `    <VOUCHERTYPE NAME="${escapeXML(voucherType.name)}">\n     ${tag('PARENT', voucherType.parent)}\n    </VOUCHERTYPE>`)
+        .join('\n');
+    } else {
+      throw new Error(`Could not find Collection '${request.id}'!`);
+    }
+
+    return this.envelope(`   <COLLECTION>\n${records}\n   </COLLECTION>`);
+  }
+
+  // Voucher types of the company: those declared in the fixture ({ name, parent }) and any
+  // other type its vouchers use, which are taken as predefined (their own parent)
+  voucherTypes(company) {
+    const types = new Map(company.voucherTypes.map(voucherType => [voucherType.name, voucherType]));
+    for (const voucher of company.vouchers) {
+      if (!types.has(voucher.type)) {
+        types.set(voucher.type, { name: voucher.type, parent: voucher.type });
+      }
+    }
+    return [...types.values()];
+  }
+
+  // Predefined type a voucher type is based on
+  baseType(company, type) {
+    const voucherType = company.voucherTypes.find(item => item.name === type);
+    return (voucherType && voucherType.parent) || type;
+  }
+
+  // Bill-wise outstanding as Tally keeps it: each sales bill less what receipts, credit
+  // notes and journals allocate against it, plus debit notes; settled bills are left out
+  outstandingBills(company) {
+    const active = company.vouchers.filter(voucher => !voucher.deleted && !voucher.cancelled);
+    const bills = new Map();
+
+    const isSales = (voucher) => this.baseType(company, voucher.type) === 'Sales';
+
+    for (const voucher of active.filter(isSales)) {
+      bills.set(voucher.number, { name: voucher.number, date: voucher.date, party: voucher.party, amount: parseFloat(voucher.amount), pending: parseFloat(voucher.amount) });
+    }
+    for (const voucher of active.filter(item => !isSales(item))) {
+      const sign = this.baseType(company, voucher.type) === 'Debit Note' ? 1 : -1;
+      for (const allocation of voucher.allocations || []) {
+        const bill = bills.get(allocation.bill);
+        if (bill) bill.pending += sign * parseFloat(allocation.amount);
+      }
+    }
+
+    return [...bills.values()].filter(bill => Math.abs(bill.pending) >= 0.005);
+  }
+
+  // Receivable balances are debits, so negative
+  billXML(bill) {
+    return `    <BILL NAME="${escapeXML(bill.name)}">
+     <BILLDATE>${tallyDate(bill.date)}</BILLDATE>
+     ${tag('PARTYLEDGERNAME', bill.party)}
+     <BILLCREDITAMOUNT>${amount(-bill.amount)}</BILLCREDITAMOUNT>
+     <CLOSINGBALANCE>${amount(-bill.pending)}</CLOSINGBALANCE>
+    </BILL>`;
+  }
+
+  ledgerXML(ledger) {
+    return `    <LEDGER NAME="${escapeXML(ledger.name)}">
+     ${tag('PARENT', ledger.parent)}
+     ${tag('PARTYGSTIN', ledger.gstin)}
+     ${tag('LEDGERMOBILE', ledger.phone)}
+     ${tag('EMAIL', ledger.email)}
+     ${tag('LEDSTATENAME', ledger.state)}
+     ${ledger.creditLimit ? tag('CREDITLIMIT', `-${amount(ledger.creditLimit)}`) : ''}
+     ${tag('BILLCREDITPERIOD', ledger.creditPeriod)}
+     ${ledger.address ? `<ADDRESS.LIST>${tag('ADDRESS', ledger.address)}</ADDRESS.LIST>` : ''}
+     ${tag('OPENINGBALANCE', ledger.openingBalance === undefined ? undefined : amount(ledger.openingBalance))}
+     ${tag('GUID', ledger.guid)}
+     <ALTERID>${ledger.alterId}</ALTERID>
+     <MASTERID>${ledger.masterId}</MASTERID>
+    </LEDGER>`;
+  }
+
+  // Sales debit the party with a New Ref; receipts, credit notes and journals credit it
+  // against the bills they settle, debit notes debit it against the bills they add to
+  voucherXML(voucher, baseType = voucher.type) {
+    const isSales = baseType === 'Sales';
+    const sign = isSales || baseType === 'Debit Note' ? '-' : '';
+    const allocations = isSales
+      ? [{ bill: voucher.number, type: 'New Ref', amount: voucher.amount }]
+      : voucher.allocations;
+
+    const allocationXML = allocations.map(allocation => `
+       <BILLALLOCATIONS.LIST>
+        ${tag('NAME', allocation.bill)}
+        <BILLTYPE>${escapeXML(allocation.type || (allocation.bill ? 'Agst Ref' : 'On Account'))}</BILLTYPE>
+        <AMOUNT>${sign}${amount(allocation.amount)}</AMOUNT>
+       </BILLALLOCATIONS.LIST>`).join('');
+
+    const itemXML = (voucher.items || []).map(item => `
+      <ALLINVENTORYENTRIES.LIST>
+       ${tag('STOCKITEMNAME', item.stockItem)}
+       ${item.rate !== undefined ? tag('RATE', `${amount(item.rate)}/${item.unit || ''}`) : ''}
+       <AMOUNT>${amount(item.amount ?? item.quantity * item.rate)}</AMOUNT>
+       <BILLEDQTY> ${item.quantity} ${escapeXML(item.unit || '')}</BILLEDQTY>${item.godown || item.batch ? `
+       <BATCHALLOCATIONS.LIST>
+        ${tag('GODOWNNAME', item.godown)}
+        ${tag('BATCHNAME', item.batch)}
+        <AMOUNT>${amount(item.amount ?? item.quantity * item.rate)}</AMOUNT>
+        <BILLEDQTY> ${item.quantity} ${escapeXML(item.unit || '')}</BILLEDQTY>
+       </BATCHALLOCATIONS.LIST>` : ''}
+      </ALLINVENTORYENTRIES.LIST>`).join('');
+
+    // The other side of a sale: the fixture's ledgers ({ ledger, amount }, e.g. sales,
+    // CGST, SGST, round-off), else one Sales ledger for the whole amount when there are no stock lines
+    const ledgers = isSales
+      ? voucher.ledgers || ((voucher.items || []).length === 0 ? [{ ledger: 'Sales', amount: voucher.amount }] : [])
+      : [];
+    const ledgerXML = ledgers.map(entry => `
+     <ALLLEDGERENTRIES.LIST>
+      ${tag('LEDGERNAME', entry.ledger)}
+      <ISPARTYLEDGER>No</ISPARTYLEDGER>
+      <AMOUNT>${amount(entry.amount)}</AMOUNT>
+     </ALLLEDGERENTRIES.LIST>`).join('');
+
+    return `    <VOUCHER REMOTEID="${escapeXML(voucher.guid)}" VCHTYPE="${escapeXML(voucher.type)}" ACTION="${voucher.alterId > voucher.masterId ? 'Alter' : 'Create'}">
+     <DATE>${tallyDate(voucher.date)}</DATE>
+     ${tag('GUID', voucher.guid)}
+     ${tag('VOUCHERTYPENAME', voucher.type)}
+     ${tag('VOUCHERNUMBER', voucher.number)}
+     ${tag('PARTYLEDGERNAME', voucher.party)}
+     ${tag('PARTYGSTIN', voucher.gstin)}
+     ${tag('PLACEOFSUPPLY', voucher.placeOfSupply)}
+     <AMOUNT>${amount(voucher.amount)}</AMOUNT>
+     ${tag('REFERENCE', voucher.reference)}
+     ${tag('NARRATION', voucher.narration)}
+     <ISCANCELLED>${voucher.cancelled ? 'Yes' : 'No'}</ISCANCELLED>
+     <ISDELETED>No</ISDELETED>
+     <ALTERID>${voucher.alterId}</ALTERID>
+     <MASTERID>${voucher.masterId}</MASTERID>
+     <ALLLEDGERENTRIES.LIST>
+      ${tag('LEDGERNAME', voucher.party)}
+      <ISPARTYLEDGER>Yes</ISPARTYLEDGER>
+      <AMOUNT>${sign}${amount(voucher.amount)}</AMOUNT>${allocationXML}
+     </ALLLEDGERENTRIES.LIST>${ledgerXML}${itemXML}
+    </VOUCHER>`;
+  }
+
+  // Create (or, for a known REMOTEID, alter) the imported vouchers; unknown ledgers are rejected
+  async importVouchers(company, body) {
+    const vouchers = await tallyXMLParser.parseVouchers(body);
+    const result = { created: 0, altered: 0, errors: 0, lastVoucherId: 0, lineErrors: [] };
+
+    for (const voucher of vouchers) {
+      const unknownLedger = voucher.ledgerEntries
+        .map(entry => entry.ledgerName)
+        .find(name => !company.ledgers.some(ledger => ledger.name === name));
+
+      if (unknownLedger) {
+        result.errors++;
+        result.lineErrors.push(`Ledger '${unknownLedger}' does not exist!`);
+        continue;
+      }
+
+      const partyEntry = voucher.ledgerEntries.find(entry => entry.ledgerName === voucher.partyName) || { amount: 0, billAllocations: [] };
+      const fields = {
+        type: voucher.voucherType,
+        date: voucher.date,
+        party: voucher.partyName,
+        amount: Math.abs(partyEntry.amount || 0),
+        narration: voucher.narration,
+        allocations: partyEntry.billAllocations.map(allocation => ({
+          bill: allocation.name || null,
+          type: allocation.billType,
+          amount: Math.abs(allocation.amount || 0)
+        }))
+      };
+
+      const existing = voucher.guid && company.vouchers.find(item => item.guid === voucher.guid && !item.deleted);
+      const record = existing
+        ? this.alterVoucher(existing.number, fields, company.name)
+        : this.addVoucher({ ...fields, guid: voucher.guid || undefined }, company.name);
+
+      if (existing) result.altered++; else result.created++;
+      result.lastVoucherId = record.masterId;
+      this.imports.push(record);
+    }
+
+    const lineErrors = result.lineErrors.map(error => `   <LINEERROR>${escapeXML(error)}</LINEERROR>`).join('\n');
+    return this.envelope(`${lineErrors}
+   <IMPORTRESULT>
+    <CREATED>${result.created}</CREATED>
+    <ALTERED>${result.altered}</ALTERED>
+    <DELETED>0</DELETED>
+    <LASTVCHID>${result.lastVoucherId}</LASTVCHID>
+    <LASTMID>0</LASTMID>
+    <COMBINED>0</COMBINED>
+    <IGNORED>0</IGNORED>
+    <ERRORS>${result.errors}</ERRORS>
+    <CANCELLED>0</CANCELLED>
+    <EXCEPTIONS>0</EXCEPTIONS>
+   </IMPORTRESULT>`, result.errors > 0 ? 0 : 1);
+  }
+}
+
+// Run standalone
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : fallback;
+  };
+
+  const simulator = new TallySimulator({
+    fixture: option('fixture', DEFAULT_FIXTURE),
+    latency: parseInt(option('latency', '0'))
+  });
+
+  simulator.start(parseInt(option('port', process.env.TALLY_PORT || '9000'))).then((port) => {
+    const companies = simulator.companies.map(company => `${company.name} (${company.vouchers.length} vouchers)`).join(', ');
+    console.log(`Tally simulator listening on http://127.0.0.1:${port} - ${companies}`);
+  }).catch((error) => {
+    console.error('Tally simulator failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = TallySimulator;
@@ -6,8 +6,10 @@ const path = require('path');
 require('dotenv').config();
 
 const logger = require('./services/logger');
-const etlService = require('./services/tally-xml-etl');
-const tallyODBCService = require('./services/tally-odbc');
+const syncEngine = require('./services/sync-engine');
+const outstandingReconciliation = require('./services/outstanding-reconciliation');
+const tallyBackfill = require('./services/tally-backfill');
+const syncHealth = require('./services/sync-health');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -52,6 +54,7 @@ app.use('/api/cashier', require('./routes/cashier'));
 app.use('/api/dispatch', require('./routes/dispatch'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/gate', require('./routes/gate'));
+app.use('/api/parties', require('./routes/parties'));
 app.use('/api/tally-sync', require('./routes/tally-sync'));
 
 // Health check
@@ -105,30 +108,32 @@ if (process.env.NODE_ENV !== 'test' && require.main === module) {
   app.listen(PORT, async () => {
     logger.info(`Tally Dashboard server running on port ${PORT}`);
     
-    // Initialize and start Tally ODBC service
-    try {
-      await tallyODBCService.initialize();
-      tallyODBCService.startRealTimeSync();
-      logger.info('Tally ODBC service initialized and started');
-    } catch (error) {
-      logger.warn('Failed to initialize ODBC service, falling back to XML ETL:', error.message);
-      // Start ETL service as fallback
-      etlService.startScheduled();
-      logger.info('XML ETL service started as fallback');
-    }
+    // Start the Tally sync; connectors that cannot reach Tally fail over each cycle
+    const connectors = await syncEngine.testConnections();
+    logger.info(`Tally connectors available: ${Object.keys(connectors).filter(name => connectors[name]).join(', ') || 'none'}`);
+    syncEngine.start();
+    outstandingReconciliation.start();
+    // Alerts when an entity has not synced from Tally for TALLY_STALE_MINUTES
+    syncHealth.start();
+    // Backfills interrupted by the last shutdown carry on from their last finished month
+    await tallyBackfill.resumeInterrupted();
   });
 }
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Shutting down gracefully...');
-  tallyODBCService.stopSync();
+  outstandingReconciliation.stop();
+  syncHealth.stop();
+  await syncEngine.stop();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   logger.info('Shutting down gracefully...');
-  tallyODBCService.stopSync();
+  outstandingReconciliation.stop();
+  syncHealth.stop();
+  await syncEngine.stop();
   process.exit(0);
 });
 
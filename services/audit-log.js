@@ -0,0 +1,37 @@
+const { pool } = require('../config/database');
+
+// Actions taken by users that are not plain row changes (which the audit_trigger covers),
+// written to audit_log with the user
+class AuditLogService {
+  // Record an action; pass the client of an open transaction to commit it with the change
+  async record({ tableName, recordId, action, oldValues = null, newValues = null, userId = null }, client = pool) {
+    const result = await client.query(`
+      INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, user_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [
+      tableName,
+      String(recordId),
+      action,
+      oldValues === null ? null : JSON.stringify(oldValues),
+      newValues === null ? null : JSON.stringify(newValues),
+      userId
+    ]);
+    return result.rows[0];
+  }
+
+  // Recent entries for some tables, newest first, with who made them
+  async list({ tableNames, limit = 50 }) {
+    const result = await pool.query(`
+      SELECT a.*, u.username, u.full_name
+      FROM audit_log a
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE a.table_name = ANY($1)
+      ORDER BY a.created_at DESC
+      LIMIT $2
+    `, [tableNames, limit]);
+    return result.rows;
+  }
+}
+
+module.exports = new AuditLogService();
@@ -0,0 +1,117 @@
+const { pool } = require('../config/database');
+
+// Kinds of bill adjustment; Tally voucher types are mapped to one of these (the
+// predefined types of the same name by default)
+const ADJUSTMENT_KINDS = ['Credit Note', 'Debit Note', 'Journal'];
+
+class BillAdjustmentService {
+  get kinds() {
+    return ADJUSTMENT_KINDS;
+  }
+
+  // Kind of a voucher type: its mapping, else the predefined type of that name (null otherwise)
+  kindOf(voucherType, kinds = {}) {
+    return kinds[voucherType] || (ADJUSTMENT_KINDS.includes(voucherType) ? voucherType : null);
+  }
+
+  // Party ledger line(s) of a parsed voucher. Journals often carry no party ledger
+  // name, so any line with bill-wise allocations counts there
+  partyEntries(voucher, kind = voucher.voucherType) {
+    return voucher.ledgerEntries.filter(entry =>
+      entry.isPartyLedger ||
+      (voucher.partyName && entry.ledgerName === voucher.partyName) ||
+      (kind === 'Journal' && entry.billAllocations.length > 0)
+    );
+  }
+
+  // Bill-wise allocations of a parsed credit note, debit note or journal; repeated
+  // references are merged. Amounts keep Tally's sign: a credit to the party is
+  // positive and reduces the bill's due, a debit is negative and adds to it
+  fromVoucher(voucher, kind = voucher.voucherType) {
+    const merged = new Map();
+
+    for (const entry of this.partyEntries(voucher, kind)) {
+      for (const allocation of entry.billAllocations) {
+        if (!allocation.amount) continue;
+
+        const billType = allocation.billType || 'Agst Ref';
+        const billNo = billType === 'On Account' ? null : (allocation.name || null);
+        const key = `${billType}|${billNo}`;
+        const existing = merged.get(key) || { bill_no: billNo, bill_type: billType, amount: 0 };
+        existing.amount = Math.round((existing.amount + allocation.amount) * 100) / 100;
+        merged.set(key, existing);
+      }
+    }
+
+    return [...merged.values()];
+  }
+
+  // Journals that allocate nothing to a named bill (expenses, provisions) do not adjust bills
+  isUnallocatedJournal(row) {
+    return row.adjustment_kind === 'Journal' && !(row.allocations || []).some(allocation => allocation.bill_no);
+  }
+
+  // Signed amount credited to the party, from the party line(s); the voucher amount
+  // when Tally sent no ledger entries
+  partyAmount(voucher, kind = voucher.voucherType) {
+    const entries = this.partyEntries(voucher, kind).filter(entry => entry.amount !== null);
+    if (entries.length === 0) {
+      return voucher.amount;
+    }
+    return Math.round(entries.reduce((total, entry) => total + entry.amount, 0) * 100) / 100;
+  }
+
+  // Replace the stored allocations of an adjustment; returns true when they changed
+  async replace(client, companyId, voucherType, voucherNo, allocations) {
+    const existing = await client.query(`
+      SELECT bill_no, bill_type, amount FROM adjustment_allocation
+      WHERE company_id = $1 AND voucher_type = $2 AND voucher_no = $3
+    `, [companyId, voucherType, voucherNo]);
+
+    const signature = (rows) => rows
+      .map(row => `${row.bill_type}|${row.bill_no}|${parseFloat(row.amount).toFixed(2)}`)
+      .sort()
+      .join(';');
+
+    if (signature(existing.rows) === signature(allocations)) {
+      return false;
+    }
+
+    await client.query(
+      'DELETE FROM adjustment_allocation WHERE company_id = $1 AND voucher_type = $2 AND voucher_no = $3',
+      [companyId, voucherType, voucherNo]
+    );
+
+    for (const allocation of allocations) {
+      await client.query(`
+        INSERT INTO adjustment_allocation (company_id, voucher_type, voucher_no, bill_no, bill_type, amount)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [companyId, voucherType, voucherNo, allocation.bill_no, allocation.bill_type, allocation.amount]);
+    }
+
+    return true;
+  }
+
+  // Active adjustments applied to a bill, one line per voucher
+  async forBill(companyId, billNo) {
+    const result = await pool.query(`
+      SELECT
+        a.voucher_type,
+        a.adjustment_kind,
+        a.voucher_no,
+        a.voucher_date,
+        a.narration,
+        SUM(aa.amount) as applied_amount
+      FROM adjustment_applied aa
+      JOIN adjustment a
+        ON aa.company_id = a.company_id AND aa.voucher_type = a.voucher_type AND aa.voucher_no = a.voucher_no
+      WHERE aa.company_id = $1 AND aa.bill_no = $2
+      GROUP BY a.voucher_type, a.adjustment_kind, a.voucher_no, a.voucher_date, a.narration
+      ORDER BY a.voucher_date ASC, a.voucher_no ASC
+    `, [companyId, billNo]);
+
+    return result.rows;
+  }
+}
+
+module.exports = new BillAdjustmentService();
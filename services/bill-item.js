@@ -0,0 +1,117 @@
+const { pool } = require('../config/database');
+
+class BillItemService {
+  // Stock lines of a parsed sales voucher, one per batch allocation (godown/batch),
+  // or one per inventory entry when Tally sent no batch allocation
+  fromVoucher(voucher) {
+    const items = [];
+
+    for (const entry of voucher.inventoryEntries) {
+      if (!entry.stockItem) continue;
+
+      const batches = entry.batchAllocations.length > 0 ? entry.batchAllocations : [{}];
+      for (const batch of batches) {
+        const quantity = batch.quantity ?? entry.quantity;
+        const amount = batch.amount ?? (batches.length === 1 ? entry.amount : null);
+
+        items.push({
+          line_no: items.length + 1,
+          stock_item: entry.stockItem,
+          godown: batch.godown || null,
+          batch: batch.batch || null,
+          quantity,
+          unit: batch.unit || entry.unit || null,
+          rate: entry.rate,
+          amount: amount === null ? null : Math.abs(amount)
+        });
+      }
+    }
+
+    return items;
+  }
+
+  // Replace the stored lines of a bill; returns true when they changed
+  async replace(client, companyId, billNo, items) {
+    const existing = await client.query(`
+      SELECT line_no, stock_item, godown, batch, quantity, unit, rate, amount
+      FROM bill_item
+      WHERE company_id = $1 AND bill_no = $2
+    `, [companyId, billNo]);
+
+    const number = (value) => value === null || value === undefined ? '' : parseFloat(value).toString();
+    const signature = (rows) => rows
+      .map(row => [row.line_no, row.stock_item, row.godown, row.batch, number(row.quantity), row.unit, number(row.rate), number(row.amount)].join('|'))
+      .sort()
+      .join(';');
+
+    if (signature(existing.rows) === signature(items)) {
+      return false;
+    }
+
+    await client.query('DELETE FROM bill_item WHERE company_id = $1 AND bill_no = $2', [companyId, billNo]);
+
+    for (const item of items) {
+      await client.query(`
+        INSERT INTO bill_item (company_id, bill_no, line_no, stock_item, godown, batch, quantity, unit, rate, amount)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `, [companyId, billNo, item.line_no, item.stock_item, item.godown, item.batch, item.quantity, item.unit, item.rate, item.amount]);
+    }
+
+    return true;
+  }
+
+  // Stock lines of one bill in voucher order
+  async forBill(companyId, billNo) {
+    const result = await pool.query(`
+      SELECT line_no, stock_item, godown, batch, quantity, unit, rate, amount
+      FROM bill_item
+      WHERE company_id = $1 AND bill_no = $2
+      ORDER BY line_no
+    `, [companyId, billNo]);
+
+    return result.rows;
+  }
+
+  // Quantities to pick per godown, for one bill or for every unreleased active bill of a date
+  async pickingList(companyId, { date = null, billNo = null }) {
+    const result = await pool.query(`
+      SELECT
+        bi.godown,
+        bi.stock_item,
+        bi.batch,
+        bi.unit,
+        SUM(bi.quantity) as quantity,
+        ARRAY_AGG(DISTINCT bi.bill_no ORDER BY bi.bill_no) as bills
+      FROM bill_item bi
+      JOIN bill b ON bi.company_id = b.company_id AND bi.bill_no = b.bill_no
+      JOIN release_status rs ON bi.company_id = rs.company_id AND bi.bill_no = rs.bill_no
+      WHERE bi.company_id = $1
+        AND (
+          bi.bill_no = $3
+          OR ($3::varchar IS NULL AND b.bill_date = $2 AND b.tally_status = 'ACTIVE' AND rs.release_status = 'READY')
+        )
+      GROUP BY bi.godown, bi.stock_item, bi.batch, bi.unit
+      ORDER BY bi.godown NULLS LAST, bi.stock_item, bi.batch NULLS FIRST
+    `, [companyId, date, billNo]);
+
+    const godowns = [];
+    for (const row of result.rows) {
+      let group = godowns[godowns.length - 1];
+      if (!group || group.godown !== row.godown) {
+        group = { godown: row.godown, items: [] };
+        godowns.push(group);
+      }
+      group.items.push({
+        stock_item: row.stock_item,
+        batch: row.batch,
+        quantity: row.quantity,
+        unit: row.unit,
+        bills: row.bills
+      });
+    }
+
+    return godowns;
+  }
+}
+
+module.exports = new BillItemService();
@@ -0,0 +1,153 @@
+const { pool } = require('../config/database');
+
+// Duty and round-off ledgers by name, e.g. "Output CGST 9%", "IGST @ 18%", "Round Off".
+// IGST is tried before SGST so "Integrated" names are not read as state tax
+const TAX_HEADS = [
+  { head: 'igst_amount', pattern: /\bIGST\b|integrated tax/i },
+  { head: 'cgst_amount', pattern: /\bCGST\b|central tax/i },
+  { head: 'sgst_amount', pattern: /\b(SGST|UTGST)\b|state tax|UT tax/i },
+  { head: 'cess_amount', pattern: /\bcess\b/i },
+  { head: 'round_off', pattern: /round(ed|ing)?[\s-]*off/i }
+];
+
+const AMOUNTS = ['taxable_value', 'cgst_amount', 'sgst_amount', 'igst_amount', 'cess_amount', 'round_off'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class BillTaxService {
+  // Tax head a ledger posts to (null for sales, freight and other ledgers)
+  headOf(ledgerName) {
+    const match = TAX_HEADS.find(({ pattern }) => pattern.test(ledgerName || ''));
+    return match ? match.head : null;
+  }
+
+  // GST breakdown of a parsed sales voucher from its ledger entries: duty ledgers by
+  // head, round-off, and the taxable value from the stock lines and the remaining
+  // ledgers (sales, freight, discounts). Credits are positive in Tally, so a negative
+  // round-off reduces the bill. Null when Tally sent no entries to break down
+  fromVoucher(voucher) {
+    if (voucher.ledgerEntries.length === 0 && voucher.inventoryEntries.length === 0) {
+      return null;
+    }
+
+    const tax = Object.fromEntries(AMOUNTS.map(field => [field, 0]));
+
+    for (const entry of voucher.inventoryEntries) {
+      tax.taxable_value += entry.amount || 0;
+    }
+    for (const entry of voucher.ledgerEntries) {
+      if (entry.isPartyLedger || (voucher.partyName && entry.ledgerName === voucher.partyName)) continue;
+
+      tax[this.headOf(entry.ledgerName) || 'taxable_value'] += entry.amount || 0;
+    }
+
+    for (const field of AMOUNTS) {
+      tax[field] = round(tax[field]);
+    }
+
+    return {
+      ...tax,
+      place_of_supply: voucher.placeOfSupply || null,
+      party_gstin: voucher.partyGSTIN ? voucher.partyGSTIN.toUpperCase() : null
+    };
+  }
+
+  // Store the breakdown of a bill; returns true when it changed
+  async replace(client, companyId, billNo, tax) {
+    const result = await client.query(`
+      WITH previous AS (
+        SELECT taxable_value, cgst_amount, sgst_amount, igst_amount, cess_amount, round_off, place_of_supply, party_gstin
+        FROM bill_tax WHERE company_id = $1 AND bill_no = $2
+      )
+      INSERT INTO bill_tax (
+        company_id, bill_no, taxable_value, cgst_amount, sgst_amount, igst_amount, cess_amount, round_off, place_of_supply, party_gstin
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (company_id, bill_no)
+      DO UPDATE SET
+        taxable_value = EXCLUDED.taxable_value,
+        cgst_amount = EXCLUDED.cgst_amount,
+        sgst_amount = EXCLUDED.sgst_amount,
+        igst_amount = EXCLUDED.igst_amount,
+        cess_amount = EXCLUDED.cess_amount,
+        round_off = EXCLUDED.round_off,
+        place_of_supply = EXCLUDED.place_of_supply,
+        party_gstin = EXCLUDED.party_gstin,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING NOT EXISTS (
+        SELECT 1 FROM previous p
+        WHERE (p.taxable_value, p.cgst_amount, p.sgst_amount, p.igst_amount, p.cess_amount, p.round_off, p.place_of_supply, p.party_gstin)
+          IS NOT DISTINCT FROM (bill_tax.taxable_value, bill_tax.cgst_amount, bill_tax.sgst_amount, bill_tax.igst_amount,
+                                bill_tax.cess_amount, bill_tax.round_off, bill_tax.place_of_supply, bill_tax.party_gstin)
+      ) as changed
+    `, [
+      companyId, billNo, tax.taxable_value, tax.cgst_amount, tax.sgst_amount, tax.igst_amount,
+      tax.cess_amount, tax.round_off, tax.place_of_supply, tax.party_gstin
+    ]);
+
+    return result.rows[0].changed;
+  }
+
+  // Breakdown of one bill (null when it was not synced with one); the party's GSTIN
+  // from the master stands in when the voucher carried none
+  async forBill(companyId, billNo) {
+    const result = await pool.query(`
+      SELECT
+        bt.taxable_value,
+        bt.cgst_amount,
+        bt.sgst_amount,
+        bt.igst_amount,
+        bt.cess_amount,
+        bt.round_off,
+        bt.cgst_amount + bt.sgst_amount + bt.igst_amount + bt.cess_amount as total_tax,
+        bt.place_of_supply,
+        COALESCE(bt.party_gstin, p.gstin) as party_gstin
+      FROM bill_tax bt
+      JOIN bill b ON bt.company_id = b.company_id AND bt.bill_no = b.bill_no
+      LEFT JOIN party p ON b.party_id = p.id
+      WHERE bt.company_id = $1 AND bt.bill_no = $2
+    `, [companyId, billNo]);
+
+    return result.rows[0] || null;
+  }
+
+  // Tax totals of the active bills of a date (all companies when companyId is null),
+  // one line per place of supply, with the bills synced without a breakdown
+  async summary(companyId, businessDate) {
+    const result = await pool.query(`
+      SELECT
+        bt.place_of_supply,
+        COUNT(*) as bill_count,
+        COUNT(*) FILTER (WHERE COALESCE(bt.party_gstin, p.gstin) IS NOT NULL) as b2b_count,
+        SUM(bt.taxable_value) as taxable_value,
+        SUM(bt.cgst_amount) as cgst_amount,
+        SUM(bt.sgst_amount) as sgst_amount,
+        SUM(bt.igst_amount) as igst_amount,
+        SUM(bt.cess_amount) as cess_amount,
+        SUM(bt.round_off) as round_off,
+        SUM(b.amount) as bill_amount
+      FROM bill b
+      JOIN bill_tax bt ON b.company_id = bt.company_id AND b.bill_no = bt.bill_no
+      LEFT JOIN party p ON b.party_id = p.id
+      WHERE b.bill_date = $2 AND b.tally_status = 'ACTIVE' AND ($1::uuid IS NULL OR b.company_id = $1)
+      GROUP BY bt.place_of_supply
+      ORDER BY bt.place_of_supply NULLS LAST
+    `, [companyId, businessDate]);
+
+    const missing = await pool.query(`
+      SELECT COUNT(*) as count
+      FROM bill b
+      WHERE b.bill_date = $2 AND b.tally_status = 'ACTIVE' AND ($1::uuid IS NULL OR b.company_id = $1)
+        AND NOT EXISTS (SELECT 1 FROM bill_tax bt WHERE bt.company_id = b.company_id AND bt.bill_no = b.bill_no)
+    `, [companyId, businessDate]);
+
+    const totals = Object.fromEntries([...AMOUNTS, 'bill_amount'].map(field => [
+      field,
+      round(result.rows.reduce((total, row) => total + parseFloat(row[field]), 0))
+    ]));
+    totals.bill_count = result.rows.reduce((total, row) => total + parseInt(row.bill_count), 0);
+
+    return { byPlaceOfSupply: result.rows, totals, withoutBreakdown: parseInt(missing.rows[0].count) };
+  }
+}
+
+module.exports = new BillTaxService();
@@ -0,0 +1,143 @@
+const { pool } = require('../config/database');
+
+// Notes by face value, largest first, then coins (counted by value)
+const DENOMINATIONS = ['2000', '500', '200', '100', '50', '20', '10', 'COINS'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const label = (denomination) => denomination === 'COINS' ? 'Coins' : `₹${denomination} notes`;
+
+// Denomination-wise till counts of cashier sessions (cash_denomination_count): the
+// opening float and the close count, each adding up to the session's figure
+class CashCountService {
+  // How a denomination reads in messages and reports, e.g. "₹500 notes"
+  label(denomination) {
+    return label(denomination);
+  }
+
+  // Read a count sent as { "2000": 1, "500": 4, ..., "coins": 37.5 } (notes by number,
+  // coins by value) and check it adds up to total. Returns { reasons, counts, amount }
+  parse(denominations, total, totalName) {
+    if (!denominations || typeof denominations !== 'object' || Array.isArray(denominations)) {
+      return { reasons: ['Denominations must be counts by note, e.g. { "500": 4, "coins": 20 }'], counts: [], amount: 0 };
+    }
+
+    const reasons = [];
+    const counts = [];
+    for (const [key, value] of Object.entries(denominations)) {
+      const denomination = String(key).trim().toUpperCase();
+      const number = Number(value);
+
+      if (!DENOMINATIONS.includes(denomination)) {
+        reasons.push(`Unknown denomination ${key}; use ${DENOMINATIONS.slice(0, -1).join(', ')} or coins`);
+      } else if (denomination === 'COINS') {
+        if (value === null || value === '' || !Number.isFinite(number) || number < 0 || round(number) !== number) {
+          reasons.push('Coins must be an amount in rupees and paise');
+        } else if (number > 0) {
+          counts.push({ denomination, quantity: null, amount: number });
+        }
+      } else if (value === null || value === '' || !Number.isInteger(number) || number < 0) {
+        reasons.push(`Count of ${label(denomination)} must be a whole number`);
+      } else if (number > 0) {
+        counts.push({ denomination, quantity: number, amount: number * Number(denomination) });
+      }
+    }
+
+    const amount = round(counts.reduce((sum, count) => sum + count.amount, 0));
+    const expected = round(parseFloat(total));
+    if (reasons.length === 0 && amount !== expected) {
+      reasons.push(`Denominations add up to ${amount.toFixed(2)}, not the ${totalName} of ${Number.isFinite(expected) ? expected.toFixed(2) : total}`);
+    }
+
+    counts.sort((a, b) => DENOMINATIONS.indexOf(a.denomination) - DENOMINATIONS.indexOf(b.denomination));
+    return { reasons, counts, amount };
+  }
+
+  // Store a parsed count of a session inside the caller's transaction
+  async save(client, sessionId, countType, counts, userId) {
+    const saved = [];
+    for (const count of counts) {
+      const result = await client.query(`
+        INSERT INTO cash_denomination_count (session_id, count_type, denomination, quantity, amount, counted_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [sessionId, countType, count.denomination, count.quantity, count.amount, userId]);
+      saved.push(result.rows[0]);
+    }
+    return saved;
+  }
+
+  // A session's counts, { open: [...], close: [...] }, largest note first
+  async forSession(sessionId) {
+    const result = await pool.query(`
+      SELECT count_type, denomination, quantity, amount
+      FROM cash_denomination_count
+      WHERE session_id = $1
+      ORDER BY array_position($2::text[], denomination)
+    `, [sessionId, DENOMINATIONS]);
+
+    return {
+      open: result.rows.filter(row => row.count_type === 'OPEN'),
+      close: result.rows.filter(row => row.count_type === 'CLOSE')
+    };
+  }
+
+  // Opening and closing counts of the sessions started on a day, by denomination
+  async dayBreakdown(businessDate) {
+    const result = await pool.query(`
+      SELECT
+        cdc.denomination,
+        SUM(cdc.quantity) FILTER (WHERE cdc.count_type = 'OPEN') as open_quantity,
+        COALESCE(SUM(cdc.amount) FILTER (WHERE cdc.count_type = 'OPEN'), 0) as open_amount,
+        SUM(cdc.quantity) FILTER (WHERE cdc.count_type = 'CLOSE') as close_quantity,
+        COALESCE(SUM(cdc.amount) FILTER (WHERE cdc.count_type = 'CLOSE'), 0) as close_amount
+      FROM cash_denomination_count cdc
+      JOIN cashier_session cs ON cdc.session_id = cs.id
+      WHERE DATE(cs.start_ts) = $1
+      GROUP BY cdc.denomination
+      ORDER BY array_position($2::text[], cdc.denomination)
+    `, [businessDate, DENOMINATIONS]);
+    return result.rows;
+  }
+
+  // Denomination changes of the closed sessions started between two dates (optionally of
+  // one cashier), per session and totalled by denomination
+  async variance({ fromDate, toDate, cashierId = null }) {
+    const result = await pool.query(`
+      SELECT v.*, u.full_name as cashier_name
+      FROM cash_denomination_variance v
+      LEFT JOIN users u ON v.cashier_id = u.id
+      WHERE v.business_date BETWEEN $1 AND $2 AND ($3::uuid IS NULL OR v.cashier_id = $3)
+      ORDER BY v.business_date, v.session_id, array_position($4::text[], v.denomination)
+    `, [fromDate, toDate, cashierId, DENOMINATIONS]);
+
+    const totals = new Map();
+    for (const row of result.rows) {
+      const total = totals.get(row.denomination) || {
+        denomination: row.denomination,
+        sessions: 0,
+        short_sessions: 0,
+        open_amount: 0,
+        close_amount: 0,
+        amount_change: 0,
+        amount_change_when_short: 0
+      };
+      total.sessions += 1;
+      total.open_amount = round(total.open_amount + parseFloat(row.open_amount));
+      total.close_amount = round(total.close_amount + parseFloat(row.close_amount));
+      total.amount_change = round(total.amount_change + parseFloat(row.amount_change));
+      if (parseFloat(row.session_variance) < 0) {
+        total.short_sessions += 1;
+        total.amount_change_when_short = round(total.amount_change_when_short + parseFloat(row.amount_change));
+      }
+      totals.set(row.denomination, total);
+    }
+
+    return {
+      sessions: result.rows,
+      byDenomination: [...totals.values()].sort((a, b) => DENOMINATIONS.indexOf(a.denomination) - DENOMINATIONS.indexOf(b.denomination))
+    };
+  }
+}
+
+module.exports = new CashCountService();
@@ -0,0 +1,93 @@
+const { pool } = require('../config/database');
+
+class CompanyService {
+  // All registered companies, default first
+  async list({ activeOnly = false } = {}) {
+    const result = await pool.query(`
+      SELECT * FROM company
+      WHERE ($1::boolean = false OR active = true)
+      ORDER BY is_default DESC, code
+    `, [activeOnly]);
+    return result.rows;
+  }
+
+  // Look a company up by id or code
+  async find(idOrCode) {
+    const isUUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(idOrCode);
+    const result = await pool.query(
+      `SELECT * FROM company WHERE ${isUUID ? 'id' : 'code'} = $1`,
+      [idOrCode]
+    );
+    return result.rows[0] || null;
+  }
+
+  // The company used when a request or sync does not name one
+  async getDefault() {
+    const result = await pool.query('SELECT * FROM company WHERE is_default LIMIT 1');
+    return result.rows[0] || null;
+  }
+
+  // Register a company
+  async create({ code, name, tallyName = null, gstin = null, isDefault = false }) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (isDefault) {
+        await client.query('UPDATE company SET is_default = false WHERE is_default');
+      }
+
+      const result = await client.query(`
+        INSERT INTO company (code, name, tally_name, gstin, is_default)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [code, name, tallyName, gstin, isDefault]);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Update registry fields; only supplied fields change
+  async update(id, { name, tallyName, gstin, active, isDefault }) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (isDefault === true) {
+        await client.query('UPDATE company SET is_default = false WHERE is_default AND id <> $1', [id]);
+      }
+
+      const result = await client.query(`
+        UPDATE company SET
+          name = COALESCE($2, name),
+          tally_name = CASE WHEN $3::boolean THEN $4 ELSE tally_name END,
+          gstin = COALESCE($5, gstin),
+          active = COALESCE($6, active),
+          is_default = COALESCE($7, is_default),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [id, name, tallyName !== undefined, tallyName || null, gstin, active, isDefault]);
+
+      await client.query('COMMIT');
+      return result.rows[0] || null;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new CompanyService();
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const tallyXMLParser = require('../tally-xml-parser');
+const billAdjustment = require('../bill-adjustment');
+const TallyConnector = require('./tally-connector');
+const xmlConnector = require('./xml-connector');
+
+// Imports XML files exported from Tally (Export > XML) dropped in
+// TALLY_IMPORT_DIR/<company code>/. Used where Tally cannot be reached over the
+// network, or as the last failover. Files are moved to processed/ once every
+// entity of the company has synced from them.
+class FileConnector extends TallyConnector {
+  constructor() {
+    super('file', { selectsCompany: true });
+    this.importDir = process.env.TALLY_IMPORT_DIR || path.join(__dirname, '../../imports/tally');
+    // Files read per company during the current cycle, archived by complete()
+    this.pending = new Map();
+  }
+
+  async connect() {
+    return fs.existsSync(this.importDir);
+  }
+
+  companyDir(company) {
+    return path.join(this.importDir, company.code);
+  }
+
+  // Export files waiting in the company folder, oldest name first
+  files(company) {
+    const dir = this.companyDir(company);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    const files = fs.readdirSync(dir)
+      .filter(name => name.toLowerCase().endsWith('.xml'))
+      .sort()
+      .map(name => path.join(dir, name));
+
+    const pending = this.pending.get(company.code) || new Set();
+    files.forEach(file => pending.add(file));
+    this.pending.set(company.code, pending);
+    return files;
+  }
+
+  // Parse every waiting file with the given record callbacks
+  async readFiles(company, callbacks) {
+    for (const file of this.files(company)) {
+      try {
+        await tallyXMLParser.parse(fs.createReadStream(file), callbacks);
+      } catch (error) {
+        throw new Error(`${path.basename(file)}: ${error.message}`);
+      }
+    }
+  }
+
+  // Files carry whatever was exported, so every voucher of the type(s) is imported;
+  // unchanged rows are counted as such by the upsert
+  async fetchVouchers(company, voucherTypes, toRow) {
+    const rows = [];
+    await this.readFiles(company, {
+      onVoucher: (voucher) => {
+        if ([].concat(voucherTypes).includes(voucher.voucherType)) {
+          rows.push(toRow(voucher));
+        }
+      }
+    });
+    return rows;
+  }
+
+  async fetchBills(company, { voucherTypes = ['Sales'] } = {}) {
+    return this.fetchVouchers(company, voucherTypes, voucher => xmlConnector.billFromVoucher(voucher));
+  }
+
+  async fetchReceipts(company, { voucherTypes = ['Receipt'] } = {}) {
+    return this.fetchVouchers(company, voucherTypes, voucher => xmlConnector.receiptFromVoucher(voucher));
+  }
+
+  async fetchAdjustments(company, { voucherTypes = billAdjustment.kinds, kinds = {} } = {}) {
+    return this.fetchVouchers(company, voucherTypes, voucher => xmlConnector.adjustmentFromVoucher(voucher, kinds));
+  }
+
+  async fetchParties(company) {
+    const ledgers = [];
+    const groups = [];
+
+    await this.readFiles(company, {
+      onLedger: (ledger) => {
+        const row = xmlConnector.ledgerFromRecord(ledger);
+        if (row) {
+          ledgers.push(row);
+        }
+      },
+      onGroup: (group) => groups.push(group)
+    });
+
+    return { ledgers, groups };
+  }
+
+  // Move the files imported this cycle to processed/ so they are not read again
+  async complete(company) {
+    const pending = this.pending.get(company.code);
+    if (!pending || pending.size === 0) {
+      return;
+    }
+
+    const processedDir = path.join(this.companyDir(company), 'processed');
+    fs.mkdirSync(processedDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    for (const file of pending) {
+      if (fs.existsSync(file)) {
+        fs.renameSync(file, path.join(processedDir, `${stamp}-${path.basename(file)}`));
+      }
+    }
+
+    logger.info(`Archived ${pending.size} Tally export file(s) for ${company.code}`);
+    this.pending.delete(company.code);
+  }
+}
+
+module.exports = new FileConnector();
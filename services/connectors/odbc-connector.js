@@ -0,0 +1,228 @@
+const logger = require('../logger');
+const voucherStatus = require('../voucher-status');
+const TallyConnector = require('./tally-connector');
+
+// Reads Tally through its ODBC driver. ODBC only sees the company currently loaded
+// in Tally, so companies that name a Tally company (tally_name) are left to other
+// connectors. Vouchers are paged by AlterID so each page can advance the watermark.
+class ODBCConnector extends TallyConnector {
+  constructor() {
+    super('odbc', { readsPeriods: true, pageSize: parseInt(process.env.SYNC_BATCH_SIZE) || 1000 });
+    this.connection = null;
+    this.odbcDsn = process.env.TALLY_DSN || 'DSN=TallyPrime;';
+
+    // Connection strings to try, the configured DSN first
+    this.connectionStrings = [
+      this.odbcDsn,
+      'DRIVER={Tally ODBC Driver};SERVER=localhost;PORT=9000;',
+      'DRIVER={Tally 9.0 ODBC Driver};SERVER=localhost;PORT=9000;',
+      'DSN=TallyPrime;',
+      `DRIVER={Tally ODBC Driver};SERVER=${process.env.TALLY_HOST || 'localhost'};PORT=${process.env.TALLY_PORT || 9000};`
+    ];
+  }
+
+  async connect() {
+    if (this.connection) {
+      return true;
+    }
+
+    let odbc;
+    try {
+      // Native driver bindings; only loaded when the ODBC connector is used
+      odbc = require('odbc');
+    } catch (error) {
+      logger.warn(`ODBC driver unavailable: ${error.message}`);
+      return false;
+    }
+
+    for (const connectionString of this.connectionStrings) {
+      try {
+        this.connection = await odbc.connect(connectionString);
+        this.odbcDsn = connectionString;
+        logger.info(`Connected to Tally Prime via ODBC (${connectionString})`);
+        return true;
+      } catch (error) {
+        logger.warn(`ODBC connection failed for ${connectionString}: ${error.message}`);
+      }
+    }
+    return false;
+  }
+
+  // Run a query, dropping the connection on failure so the next cycle reconnects
+  async query(sql) {
+    if (!await this.connect()) {
+      throw new Error('Could not connect to Tally via ODBC');
+    }
+
+    try {
+      return await this.connection.query(sql);
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+  }
+
+  // Voucher type condition matching any of the types
+  typeClause(voucherTypes) {
+    return `$VoucherTypeName IN (${voucherTypes.map(type => `'${String(type).replace(/'/g, "''")}'`).join(', ')})`;
+  }
+
+  // Date conditions for a voucher query (ODBC date literals); empty without a period
+  periodClause(fromDate, toDate) {
+    return [
+      fromDate ? `AND $Date >= {d '${fromDate}'}` : '',
+      toDate ? `AND $Date <= {d '${toDate}'}` : ''
+    ].join(' ');
+  }
+
+  // Sales vouchers altered since the watermark, one page in AlterID order
+  async fetchBills(company, { afterAlterId = 0, voucherTypes = ['Sales'], fromDate = null, toDate = null }) {
+    const results = await this.query(`
+      SELECT TOP ${this.pageSize}
+        $VoucherNumber as bill_no,
+        $Date as bill_date,
+        $PartyLedgerName as party_name,
+        $Amount as amount,
+        $VoucherTypeName as voucher_type,
+        $IsCancelled as is_cancelled,
+        $IsDeleted as is_deleted,
+        $AlterID as alter_id,
+        $MasterID as master_id
+      FROM Voucher
+      WHERE ${this.typeClause(voucherTypes)}
+        AND $AlterID > ${afterAlterId}
+        ${this.periodClause(fromDate, toDate)}
+      ORDER BY $AlterID ASC
+    `);
+
+    return results.map(row => ({
+      bill_no: row.bill_no || null,
+      bill_date: this.formatTallyDate(row.bill_date),
+      party_name: row.party_name || null,
+      amount: this.parseAmount(row.amount),
+      tally_status: voucherStatus.statusOf({ isCancelled: row.is_cancelled, isDeleted: row.is_deleted }),
+      alter_id: row.alter_id,
+      master_id: row.master_id
+    }));
+  }
+
+  // Receipt vouchers altered since the watermark, one page in AlterID order
+  async fetchReceipts(company, { afterAlterId = 0, voucherTypes = ['Receipt'], fromDate = null, toDate = null }) {
+    const results = await this.query(`
+      SELECT TOP ${this.pageSize}
+        $VoucherNumber as receipt_id,
+        $Date as receipt_date,
+        $PartyLedgerName as party_name,
+        $Amount as amount,
+        $Reference as reference,
+        $Narration as narration,
+        $VoucherTypeName as voucher_type,
+        $IsCancelled as is_cancelled,
+        $IsDeleted as is_deleted,
+        $AlterID as alter_id,
+        $MasterID as master_id
+      FROM Voucher
+      WHERE ${this.typeClause(voucherTypes)}
+        AND $AlterID > ${afterAlterId}
+        ${this.periodClause(fromDate, toDate)}
+      ORDER BY $AlterID ASC
+    `);
+
+    return results.map(row => {
+      const narration = row.narration || '';
+      const { mode, billReference } = this.narrationDetails(narration);
+
+      return {
+        receipt_id: row.receipt_id || null,
+        receipt_date: this.formatTallyDate(row.receipt_date),
+        party_name: row.party_name || null,
+        amount: this.parseAmount(row.amount),
+        mode,
+        ref_text: narration || row.reference || '',
+        bill_reference: billReference,
+        tally_status: voucherStatus.statusOf({ isCancelled: row.is_cancelled, isDeleted: row.is_deleted }),
+        alter_id: row.alter_id,
+        master_id: row.master_id
+      };
+    });
+  }
+
+  // Bills with a pending amount from the DashboardOutstandingBills table that
+  // tally-integration.tdl exposes over ODBC
+  async fetchOutstandingBills(company) {
+    const results = await this.query(`
+      SELECT BillName, BillDate, PartyName, BillAmount, PendingAmount
+      FROM DashboardOutstandingBills
+    `);
+
+    // Receivables are debit (negative) balances in Tally
+    return results.filter(row => row.BillName).map(row => ({
+      bill_no: row.BillName,
+      bill_date: this.formatTallyDate(row.BillDate),
+      party_name: row.PartyName || null,
+      bill_amount: row.BillAmount === null || row.BillAmount === undefined ? null : Math.abs(this.parseAmount(row.BillAmount)),
+      pending_amount: -(this.parseAmount(row.PendingAmount) || 0)
+    }));
+  }
+
+  // Party ledgers (Sundry Debtors/Creditors) altered since the watermark
+  async fetchParties(company, { afterAlterId }) {
+    const results = await this.query(`
+      SELECT
+        $Name as ledger_name,
+        $Parent as parent_group,
+        $OpeningBalance as opening_balance,
+        $ClosingBalance as closing_balance,
+        $PartyGSTIN as gstin,
+        $LedgerMobile as mobile,
+        $LedgerPhone as phone,
+        $Email as email,
+        $_Address1 as address1,
+        $_Address2 as address2,
+        $LedStateName as state,
+        $Pincode as pincode,
+        $CreditLimit as credit_limit,
+        $BillCreditPeriod as credit_period,
+        $GUID as tally_guid,
+        $AlterID as alter_id,
+        $MasterID as master_id
+      FROM Ledger
+      WHERE ($_PrimaryGroup = 'Sundry Debtors' OR $_PrimaryGroup = 'Sundry Creditors')
+        AND $AlterID > ${afterAlterId}
+      ORDER BY $AlterID ASC
+    `);
+
+    if (results.length === 0) {
+      return { ledgers: [], groups: [] };
+    }
+
+    const ledgers = results.map(row => ({
+      ...row,
+      phone: row.mobile || row.phone,
+      address: [row.address1, row.address2].filter(Boolean).join(', ')
+    }));
+
+    // Group masters are needed to build each party's group hierarchy
+    const groups = await this.query('SELECT $Name as name, $Parent as parent FROM Group');
+    return { ledgers, groups };
+  }
+
+  // Voucher type masters with the predefined type each is based on
+  async fetchVoucherTypes(company) {
+    return this.query('SELECT $Name as name, $Parent as parent FROM VoucherType');
+  }
+
+  async close() {
+    if (this.connection) {
+      const connection = this.connection;
+      this.connection = null;
+      try {
+        await connection.close();
+      } catch (error) {
+        logger.warn(`Failed to close ODBC connection: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new ODBCConnector();
@@ -0,0 +1,120 @@
+const tallyXMLParser = require('../tally-xml-parser');
+
+// The fetch that reads each sync entity
+const FETCHES = {
+  parties: 'fetchParties',
+  bills: 'fetchBills',
+  receipts: 'fetchReceipts',
+  adjustments: 'fetchAdjustments'
+};
+
+// Base class for the ways the sync engine can read Tally. A connector only fetches
+// rows for an entity (parties, bills, receipts, adjustments); staging, promotion, watermarks
+// and auto-mapping are shared in the sync engine.
+class TallyConnector {
+  constructor(name, { selectsCompany = false, listsVouchers = false, readsPeriods = false, pageSize = null } = {}) {
+    this.name = name;
+    // selectsCompany: can pull a named Tally company (company.tally_name)
+    // listsVouchers: can list voucher numbers in a date window (deletion check)
+    // readsPeriods: can limit voucher fetches to a date period (historical backfill)
+    this.capabilities = { selectsCompany, listsVouchers, readsPeriods };
+    // Rows per fetch when the connector pages by AlterID (null = one fetch returns everything)
+    this.pageSize = pageSize;
+  }
+
+  // Whether Tally (or the import folder) can be reached
+  async connect() {
+    return false;
+  }
+
+  // Whether this connector can pull a company at all
+  serves(company) {
+    return !company.tally_name || this.capabilities.selectsCompany;
+  }
+
+  // Whether this connector reads an entity at all, i.e. implements its fetch
+  syncs(entity) {
+    return this[FETCHES[entity]] !== TallyConnector.prototype[FETCHES[entity]];
+  }
+
+  // Party ledgers altered after the watermark with the group masters: { ledgers, groups }
+  async fetchParties(company, { afterAlterId }) {
+    throw new Error(`The ${this.name} connector cannot sync parties`);
+  }
+
+  // Voucher fetches take { afterAlterId, voucherTypes } (the Tally voucher types mapped to
+  // the entity, the predefined type when omitted) and, on connectors that read periods,
+  // an optional fromDate/toDate (YYYY-MM-DD) limiting them to vouchers dated in that period
+
+  // Sales vouchers altered after the watermark as bill rows
+  async fetchBills(company, { afterAlterId, voucherTypes }) {
+    throw new Error(`The ${this.name} connector cannot sync bills`);
+  }
+
+  // Receipt vouchers altered after the watermark as receipt rows
+  async fetchReceipts(company, { afterAlterId, voucherTypes }) {
+    throw new Error(`The ${this.name} connector cannot sync receipts`);
+  }
+
+  // Credit Note, Debit Note and Journal vouchers altered after the watermark as adjustment
+  // rows; kinds gives the adjustment kind of each custom voucher type
+  async fetchAdjustments(company, { afterAlterId, voucherTypes, kinds }) {
+    throw new Error(`The ${this.name} connector cannot sync bill adjustments`);
+  }
+
+  // Voucher type masters of the company as { name, parent } rows
+  async fetchVoucherTypes(company) {
+    throw new Error(`The ${this.name} connector cannot list voucher types`);
+  }
+
+  // Tally's own bill-wise outstanding (the DashboardOutstandingBills collection) as
+  // { bill_no, bill_date, party_name, bill_amount, pending_amount } rows, receivables positive
+  async fetchOutstandingBills(company) {
+    throw new Error(`The ${this.name} connector cannot read bills outstanding`);
+  }
+
+  // Numbers of the vouchers of one type dated in a window
+  async listVoucherNumbers(company, voucherType, fromDate, toDate) {
+    throw new Error(`The ${this.name} connector cannot list vouchers`);
+  }
+
+  // Called once every entity of a company synced through this connector
+  async complete(company) {}
+
+  // Release any open connection
+  async close() {}
+
+  // Format a Tally date (text or driver Date) for PostgreSQL; null when Tally sent no
+  // usable date (staging quarantines the voucher instead of guessing one)
+  formatTallyDate(tallyDate) {
+    if (tallyDate instanceof Date) {
+      return Number.isNaN(tallyDate.getTime()) ? null : tallyDate.toISOString().split('T')[0];
+    }
+    return tallyXMLParser.parseDate(tallyDate);
+  }
+
+  // Amount as a number; null when nothing numeric was returned
+  parseAmount(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+    return tallyXMLParser.parseAmount(value === null || value === undefined ? '' : String(value));
+  }
+
+  // Payment mode and bill reference read from a receipt narration
+  narrationDetails(narration) {
+    const text = (narration || '').toLowerCase();
+    let mode = 'CASH';
+
+    if (text.includes('cheque') || text.includes('chq')) {
+      mode = 'CHEQUE';
+    } else if (text.includes('upi') || text.includes('digital') || text.includes('neft')) {
+      mode = 'DIGITAL';
+    }
+
+    const billMatch = (narration || '').match(/bill[:\s]*([A-Z0-9-]+)/i);
+    return { mode, billReference: billMatch ? billMatch[1] : null };
+  }
+}
+
+module.exports = TallyConnector;
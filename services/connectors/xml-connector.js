@@ -0,0 +1,524 @@
+const axios = require('axios');
+const logger = require('../logger');
+const tallyXMLParser = require('../tally-xml-parser');
+const voucherStatus = require('../voucher-status');
+const receiptAllocation = require('../receipt-allocation');
+const billAdjustment = require('../bill-adjustment');
+const billItem = require('../bill-item');
+const billTax = require('../bill-tax');
+const TallyConnector = require('./tally-connector');
+
+// Reads Tally over its XML API (HTTP on the Tally port). Selects the company per
+// request and can list vouchers in a date window, so it also serves the deletion check.
+class XMLConnector extends TallyConnector {
+  constructor() {
+    super('xml', { selectsCompany: true, listsVouchers: true, readsPeriods: true });
+    this.tallyURL = `http://${process.env.TALLY_HOST || 'localhost'}:${process.env.TALLY_PORT || 9000}`;
+    this.requestTimeout = parseInt(process.env.TALLY_TIMEOUT_MS) || 30000;
+  }
+
+  async connect() {
+    try {
+      const response = await axios.get(this.tallyURL, { timeout: 5000 });
+      if (response.data.includes('TallyPrime Server is Running')) {
+        logger.info('Connected to Tally Prime via XML API');
+        return true;
+      }
+      return false;
+    } catch (error) {
+      logger.error('Failed to connect to Tally:', error);
+      return false;
+    }
+  }
+
+  // Returns the response body as a stream so large exports are parsed incrementally
+  async sendTallyRequest(xmlRequest) {
+    try {
+      const response = await axios.post(this.tallyURL, xmlRequest, {
+        headers: {
+          'Content-Type': 'application/xml',
+          'Accept': 'application/xml'
+        },
+        responseType: 'stream',
+        timeout: this.requestTimeout
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Tally XML request failed:', error);
+      throw error;
+    }
+  }
+
+  // Escape text for an XML element or attribute value
+  escapeXML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Select the Tally company for a request (omitted when the company has no Tally name)
+  companyVariable(company) {
+    if (!company || !company.tally_name) {
+      return '';
+    }
+    return `<SVCURRENTCOMPANY>${this.escapeXML(company.tally_name)}</SVCURRENTCOMPANY>`;
+  }
+
+  // Limit a voucher export to a period (omitted when no period is given)
+  periodVariables(fromDate, toDate) {
+    return [
+      fromDate ? `<SVFROMDATE>${fromDate.replace(/-/g, '')}</SVFROMDATE>` : '',
+      toDate ? `<SVTODATE>${toDate.replace(/-/g, '')}</SVTODATE>` : ''
+    ].join('');
+  }
+
+  // Filter formula matching any of the voucher types
+  typeFilter(voucherTypes) {
+    return voucherTypes.map(type => `$VoucherTypeName = "${this.escapeXML(type)}"`).join(' OR ');
+  }
+
+  // Sales vouchers (bills) altered since the watermark
+  async fetchBills(company, { afterAlterId = 0, voucherTypes = ['Sales'], fromDate = null, toDate = null }) {
+    const xmlRequest = `<ENVELOPE>
+        <HEADER>
+          <VERSION>1</VERSION>
+          <TALLYREQUEST>Export</TALLYREQUEST>
+          <TYPE>Collection</TYPE>
+          <ID>Sales Vouchers</ID>
+        </HEADER>
+        <BODY>
+          <DESC>
+            <STATICVARIABLES>
+              <EXPLODEFLAG>Yes</EXPLODEFLAG>
+              ${this.periodVariables(fromDate, toDate)}
+              ${this.companyVariable(company)}
+            </STATICVARIABLES>
+            <TDL>
+              <TDLMESSAGE>
+                <COLLECTION NAME="Sales Vouchers">
+                  <TYPE>Voucher</TYPE>
+                  <FETCH>$VoucherNumber, $Date, $PartyLedgerName, $PartyGSTIN, $PlaceOfSupply, $Amount, $VoucherTypeName, $IsCancelled, $IsDeleted, $AlterID, $MasterID, AllLedgerEntries, AllInventoryEntries, AllInventoryEntries.BatchAllocations</FETCH>
+                  <FILTER>SalesFilter, AlteredFilter</FILTER>
+                </COLLECTION>
+                <SYSTEM TYPE="Formulae" NAME="SalesFilter">${this.typeFilter(voucherTypes)}</SYSTEM>
+                <SYSTEM TYPE="Formulae" NAME="AlteredFilter">$AlterID > ${afterAlterId}</SYSTEM>
+              </TDLMESSAGE>
+            </TDL>
+          </DESC>
+        </BODY>
+      </ENVELOPE>`;
+
+    return this.parseVouchersFromXML(await this.sendTallyRequest(xmlRequest));
+  }
+
+  // Receipt vouchers (payments) altered since the watermark
+  async fetchReceipts(company, { afterAlterId = 0, voucherTypes = ['Receipt'], fromDate = null, toDate = null }) {
+    const xmlRequest = `<ENVELOPE>
+        <HEADER>
+          <VERSION>1</VERSION>
+          <TALLYREQUEST>Export</TALLYREQUEST>
+          <TYPE>Collection</TYPE>
+          <ID>Receipt Vouchers</ID>
+        </HEADER>
+        <BODY>
+          <DESC>
+            <STATICVARIABLES>
+              <EXPLODEFLAG>Yes</EXPLODEFLAG>
+              ${this.periodVariables(fromDate, toDate)}
+              ${this.companyVariable(company)}
+            </STATICVARIABLES>
+            <TDL>
+              <TDLMESSAGE>
+                <COLLECTION NAME="Receipt Vouchers">
+                  <TYPE>Voucher</TYPE>
+                  <FETCH>$VoucherNumber, $Date, $PartyLedgerName, $Amount, $Reference, $Narration, $IsCancelled, $IsDeleted, $AlterID, $MasterID, AllLedgerEntries, AllLedgerEntries.BillAllocations</FETCH>
+                  <FILTER>ReceiptFilter, AlteredFilter</FILTER>
+                </COLLECTION>
+                <SYSTEM TYPE="Formulae" NAME="ReceiptFilter">${this.typeFilter(voucherTypes)}</SYSTEM>
+                <SYSTEM TYPE="Formulae" NAME="AlteredFilter">$AlterID > ${afterAlterId}</SYSTEM>
+              </TDLMESSAGE>
+            </TDL>
+          </DESC>
+        </BODY>
+      </ENVELOPE>`;
+
+    return this.parseReceiptsFromXML(await this.sendTallyRequest(xmlRequest));
+  }
+
+  // Credit Note, Debit Note and Journal vouchers (bill adjustments) altered since the watermark
+  async fetchAdjustments(company, { afterAlterId = 0, voucherTypes = billAdjustment.kinds, kinds = {}, fromDate = null, toDate = null }) {
+    const xmlRequest = `<ENVELOPE>
+        <HEADER>
+          <VERSION>1</VERSION>
+          <TALLYREQUEST>Export</TALLYREQUEST>
+          <TYPE>Collection</TYPE>
+          <ID>Adjustment Vouchers</ID>
+        </HEADER>
+        <BODY>
+          <DESC>
+            <STATICVARIABLES>
+              <EXPLODEFLAG>Yes</EXPLODEFLAG>
+              ${this.periodVariables(fromDate, toDate)}
+              ${this.companyVariable(company)}
+            </STATICVARIABLES>
+            <TDL>
+              <TDLMESSAGE>
+                <COLLECTION NAME="Adjustment Vouchers">
+                  <TYPE>Voucher</TYPE>
+                  <FETCH>$VoucherNumber, $Date, $PartyLedgerName, $Amount, $VoucherTypeName, $Narration, $IsCancelled, $IsDeleted, $AlterID, $MasterID, AllLedgerEntries, AllLedgerEntries.BillAllocations</FETCH>
+                  <FILTER>AdjustmentFilter, AlteredFilter</FILTER>
+                </COLLECTION>
+                <SYSTEM TYPE="Formulae" NAME="AdjustmentFilter">${this.typeFilter(voucherTypes)}</SYSTEM>
+                <SYSTEM TYPE="Formulae" NAME="AlteredFilter">$AlterID > ${afterAlterId}</SYSTEM>
+              </TDLMESSAGE>
+            </TDL>
+          </DESC>
+        </BODY>
+      </ENVELOPE>`;
+
+    return this.parseAdjustmentsFromXML(await this.sendTallyRequest(xmlRequest), kinds);
+  }
+
+  // Voucher type masters with the predefined type each is based on
+  async fetchVoucherTypes(company) {
+    const xmlRequest = `<ENVELOPE>
+        <HEADER>
+          <VERSION>1</VERSION>
+          <TALLYREQUEST>Export</TALLYREQUEST>
+          <TYPE>Collection</TYPE>
+          <ID>Voucher Types</ID>
+        </HEADER>
+        <BODY>
+          <DESC>
+            <STATICVARIABLES>
+              ${this.companyVariable(company)}
+            </STATICVARIABLES>
+            <TDL>
+              <TDLMESSAGE>
+                <COLLECTION NAME="Voucher Types">
+                  <TYPE>VoucherType</TYPE>
+                  <FETCH>$Name, $Parent</FETCH>
+                </COLLECTION>
+              </TDLMESSAGE>
+            </TDL>
+          </DESC>
+        </BODY>
+      </ENVELOPE>`;
+
+    return tallyXMLParser.parseVoucherTypes(await this.sendTallyRequest(xmlRequest));
+  }
+
+  // Bills with a pending amount, as defined by the Dashboard Outstanding Bills collection
+  // of tally-integration.tdl (sent inline so the TDL need not be loaded in Tally)
+  async fetchOutstandingBills(company) {
+    const xmlRequest = `<ENVELOPE>
+        <HEADER>
+          <VERSION>1</VERSION>
+          <TALLYREQUEST>Export</TALLYREQUEST>
+          <TYPE>Collection</TYPE>
+          <ID>Dashboard Outstanding Bills</ID>
+        </HEADER>
+        <BODY>
+          <DESC>
+            <STATICVARIABLES>
+              ${this.companyVariable(company)}
+            </STATICVARIABLES>
+            <TDL>
+              <TDLMESSAGE>
+                <COLLECTION NAME="Dashboard Outstanding Bills">
+                  <TYPE>Bill</TYPE>
+                  <FETCH>$Name, $BillDate, $PartyLedgerName, $Parent, $BillCreditAmount, $ClosingBalance</FETCH>
+                  <FILTER>BillsWithBalance</FILTER>
+                </COLLECTION>
+                <SYSTEM TYPE="Formulae" NAME="BillsWithBalance">NOT $ClosingBalance = 0</SYSTEM>
+              </TDLMESSAGE>
+            </TDL>
+          </DESC>
+        </BODY>
+      </ENVELOPE>`;
+
+    const bills = await tallyXMLParser.parseBills(await this.sendTallyRequest(xmlRequest));
+
+    // Receivables are debit (negative) balances in Tally
+    return bills.filter(bill => bill.name).map(bill => ({
+      bill_no: bill.name,
+      bill_date: bill.billDate,
+      party_name: bill.partyName || null,
+      bill_amount: bill.billAmount === null ? null : Math.abs(bill.billAmount),
+      pending_amount: -(bill.closingBalance || 0)
+    }));
+  }
+
+  // Party ledgers (Sundry Debtors/Creditors) altered since the watermark
+  async fetchParties(company, { afterAlterId }) {
+    const ledgerRequest = `<ENVELOPE>
+        <HEADER>
+          <VERSION>1</VERSION>
+          <TALLYREQUEST>Export</TALLYREQUEST>
+          <TYPE>Collection</TYPE>
+          <ID>Party Ledgers</ID>
+        </HEADER>
+        <BODY>
+          <DESC>
+            <STATICVARIABLES>
+              <EXPLODEFLAG>Yes</EXPLODEFLAG>
+              ${this.companyVariable(company)}
+            </STATICVARIABLES>
+            <TDL>
+              <TDLMESSAGE>
+                <COLLECTION NAME="Party Ledgers">
+                  <TYPE>Ledger</TYPE>
+                  <FETCH>$Name, $Parent, $OpeningBalance, $ClosingBalance, $PartyGSTIN, $LedgerMobile, $LedgerPhone, $Email, $Address, $LedStateName, $Pincode, $CreditLimit, $BillCreditPeriod, $GUID, $AlterID, $MasterID</FETCH>
+                  <FILTER>PartyFilter, AlteredFilter</FILTER>
+                </COLLECTION>
+                <SYSTEM TYPE="Formulae" NAME="PartyFilter">$$IsBelongsTo:$$GroupSundryDebtors OR $$IsBelongsTo:$$GroupSundryCreditors</SYSTEM>
+                <SYSTEM TYPE="Formulae" NAME="AlteredFilter">$AlterID > ${afterAlterId}</SYSTEM>
+              </TDLMESSAGE>
+            </TDL>
+          </DESC>
+        </BODY>
+      </ENVELOPE>`;
+
+    const ledgers = await this.parseLedgersFromXML(await this.sendTallyRequest(ledgerRequest));
+
+    if (ledgers.length === 0) {
+      return { ledgers, groups: [] };
+    }
+
+    // Group masters are needed to build each party's group hierarchy
+    const groupRequest = `<ENVELOPE>
+        <HEADER>
+          <VERSION>1</VERSION>
+          <TALLYREQUEST>Export</TALLYREQUEST>
+          <TYPE>Collection</TYPE>
+          <ID>Party Groups</ID>
+        </HEADER>
+        <BODY>
+          <DESC>
+            <STATICVARIABLES>
+              ${this.companyVariable(company)}
+            </STATICVARIABLES>
+            <TDL>
+              <TDLMESSAGE>
+                <COLLECTION NAME="Party Groups">
+                  <TYPE>Group</TYPE>
+                  <FETCH>$Name, $Parent</FETCH>
+                </COLLECTION>
+              </TDLMESSAGE>
+            </TDL>
+          </DESC>
+        </BODY>
+      </ENVELOPE>`;
+
+    const groups = await tallyXMLParser.parseGroups(await this.sendTallyRequest(groupRequest));
+    return { ledgers, groups };
+  }
+
+  // Numbers of every voucher of one type dated in the window
+  async listVoucherNumbers(company, voucherType, fromDate, toDate) {
+    const xmlRequest = `<ENVELOPE>
+        <HEADER>
+          <VERSION>1</VERSION>
+          <TALLYREQUEST>Export</TALLYREQUEST>
+          <TYPE>Collection</TYPE>
+          <ID>Window Vouchers</ID>
+        </HEADER>
+        <BODY>
+          <DESC>
+            <STATICVARIABLES>
+              ${this.periodVariables(fromDate, toDate)}
+              ${this.companyVariable(company)}
+            </STATICVARIABLES>
+            <TDL>
+              <TDLMESSAGE>
+                <COLLECTION NAME="Window Vouchers">
+                  <TYPE>Voucher</TYPE>
+                  <FETCH>$VoucherNumber, $Date, $IsCancelled</FETCH>
+                  <FILTER>TypeFilter</FILTER>
+                </COLLECTION>
+                <SYSTEM TYPE="Formulae" NAME="TypeFilter">${this.typeFilter([voucherType])}</SYSTEM>
+              </TDLMESSAGE>
+            </TDL>
+          </DESC>
+        </BODY>
+      </ENVELOPE>`;
+
+    const vouchers = await tallyXMLParser.parseVouchers(await this.sendTallyRequest(xmlRequest));
+    return vouchers.map(voucher => voucher.voucherNumber).filter(Boolean);
+  }
+
+  // Party row from a parsed ledger; null for ledgers without a name or group
+  ledgerFromRecord(ledger) {
+    if (!ledger.name || !ledger.parent) {
+      return null;
+    }
+
+    return {
+      ledger_name: ledger.name,
+      parent_group: ledger.parent,
+      opening_balance: ledger.openingBalance || 0,
+      closing_balance: ledger.closingBalance || 0,
+      gstin: ledger.gstin,
+      phone: ledger.phone,
+      email: ledger.email,
+      address: ledger.address,
+      state: ledger.state,
+      pincode: ledger.pincode,
+      credit_limit: ledger.creditLimit,
+      credit_period: ledger.creditPeriod,
+      tally_guid: ledger.guid,
+      alter_id: ledger.alterId,
+      master_id: ledger.masterId
+    };
+  }
+
+  // Bill row from a parsed Sales voucher
+  billFromVoucher(voucher) {
+    const tallyStatus = voucherStatus.statusOf(voucher);
+
+    // Cancelled vouchers lose their amount/party in Tally; the number is enough to void the bill
+    if (tallyStatus !== 'ACTIVE' && voucher.voucherNumber) {
+      return {
+        bill_no: voucher.voucherNumber,
+        tally_status: tallyStatus,
+        alter_id: voucher.alterId,
+        master_id: voucher.masterId
+      };
+    }
+
+    // Incomplete vouchers are kept so staging can quarantine them
+    return {
+      bill_no: voucher.voucherNumber || null,
+      bill_date: this.formatTallyDate(voucher.rawDate),
+      party_name: voucher.partyName || null,
+      amount: voucher.amount,
+      items: billItem.fromVoucher(voucher),
+      tax: billTax.fromVoucher(voucher),
+      tally_status: tallyStatus,
+      alter_id: voucher.alterId,
+      master_id: voucher.masterId
+    };
+  }
+
+  // Receipt row from a parsed Receipt voucher
+  receiptFromVoucher(voucher) {
+    const tallyStatus = voucherStatus.statusOf(voucher);
+
+    if (tallyStatus !== 'ACTIVE' && voucher.voucherNumber) {
+      return {
+        receipt_id: voucher.voucherNumber,
+        tally_status: tallyStatus,
+        alter_id: voucher.alterId,
+        master_id: voucher.masterId
+      };
+    }
+
+    const narration = voucher.narration;
+    const { mode, billReference } = this.narrationDetails(narration);
+
+    // Bill-wise allocations are exact; the narration is only a fallback
+    const allocations = receiptAllocation.fromVoucher(voucher);
+
+    return {
+      receipt_id: voucher.voucherNumber || null,
+      receipt_date: this.formatTallyDate(voucher.rawDate),
+      party_name: voucher.partyName || null,
+      amount: voucher.amount,
+      mode,
+      ref_text: narration || voucher.reference || '',
+      bill_reference: receiptAllocation.primaryBill(allocations) || billReference,
+      allocations,
+      tally_status: tallyStatus,
+      alter_id: voucher.alterId,
+      master_id: voucher.masterId
+    };
+  }
+
+  // Adjustment row from a parsed Credit Note, Debit Note or Journal voucher; kinds maps
+  // custom voucher types to their adjustment kind
+  adjustmentFromVoucher(voucher, kinds = {}) {
+    const tallyStatus = voucherStatus.statusOf(voucher);
+    const kind = billAdjustment.kindOf(voucher.voucherType, kinds);
+
+    if (tallyStatus !== 'ACTIVE' && voucher.voucherNumber) {
+      return {
+        voucher_type: voucher.voucherType || null,
+        adjustment_kind: kind,
+        voucher_no: voucher.voucherNumber,
+        tally_status: tallyStatus,
+        alter_id: voucher.alterId,
+        master_id: voucher.masterId
+      };
+    }
+
+    // Journals often name no party ledger; the line carrying the bill allocations is the party
+    const [partyEntry] = billAdjustment.partyEntries(voucher, kind);
+
+    return {
+      voucher_type: voucher.voucherType || null,
+      adjustment_kind: kind,
+      voucher_no: voucher.voucherNumber || null,
+      voucher_date: this.formatTallyDate(voucher.rawDate),
+      party_name: voucher.partyName || (partyEntry && partyEntry.ledgerName) || null,
+      amount: billAdjustment.partyAmount(voucher, kind),
+      narration: voucher.narration || '',
+      allocations: billAdjustment.fromVoucher(voucher, kind),
+      tally_status: tallyStatus,
+      alter_id: voucher.alterId,
+      master_id: voucher.masterId
+    };
+  }
+
+  // Parse ledgers from XML response
+  async parseLedgersFromXML(xmlData) {
+    const ledgers = [];
+
+    await tallyXMLParser.parse(xmlData, {
+      onLedger: (ledger) => {
+        const row = this.ledgerFromRecord(ledger);
+        if (row) {
+          ledgers.push(row);
+        }
+      }
+    });
+
+    return ledgers;
+  }
+
+  // Parse XML response to extract bill/voucher data
+  async parseVouchersFromXML(xmlData) {
+    const bills = [];
+
+    await tallyXMLParser.parse(xmlData, {
+      onVoucher: (voucher) => bills.push(this.billFromVoucher(voucher))
+    });
+
+    return bills;
+  }
+
+  // Parse XML response to extract receipt data
+  async parseReceiptsFromXML(xmlData) {
+    const receipts = [];
+
+    await tallyXMLParser.parse(xmlData, {
+      onVoucher: (voucher) => receipts.push(this.receiptFromVoucher(voucher))
+    });
+
+    return receipts;
+  }
+
+  // Parse XML response to extract credit note, debit note and journal data
+  async parseAdjustmentsFromXML(xmlData, kinds = {}) {
+    const adjustments = [];
+
+    await tallyXMLParser.parse(xmlData, {
+      onVoucher: (voucher) => adjustments.push(this.adjustmentFromVoucher(voucher, kinds))
+    });
+
+    return adjustments;
+  }
+}
+
+module.exports = new XMLConnector();
@@ -0,0 +1,269 @@
+const { pool } = require('../config/database');
+const partyMatch = require('./party-match');
+
+const RULE_TYPES = ['NARRATION', 'PARTY_AMOUNT', 'CHEQUE', 'DIGITAL_REF'];
+
+// Admin-configured rules that map receipts to bills before FIFO: a narration regex, the
+// party with an amount tolerance, or a cheque or payment reference registered at the counter
+class MappingRuleService {
+  get types() {
+    return RULE_TYPES;
+  }
+
+  // Receipts left to map: active, with no bill reference and no allocation from Tally or a
+  // split; all companies when companyId is null. A receipt whose mapping a user just undid
+  // is left for them to map, so the same mapping is not made again
+  async unmapped(companyId = null, client = pool) {
+    const result = await client.query(`
+      SELECT * FROM receipt r
+      WHERE ($1::uuid IS NULL OR r.company_id = $1)
+        AND (r.bill_reference IS NULL OR r.bill_reference = '') AND r.tally_status = 'ACTIVE'
+        AND NOT EXISTS (
+          SELECT 1 FROM receipt_allocation ra WHERE ra.company_id = r.company_id AND ra.receipt_id = r.receipt_id
+        )
+        AND COALESCE((
+          SELECT h.method FROM receipt_mapping_history h
+          WHERE h.company_id = r.company_id AND h.receipt_id = r.receipt_id
+          ORDER BY h.id DESC
+          LIMIT 1
+        ), '') <> 'UNDO'
+      ORDER BY r.receipt_date, r.receipt_id
+    `, [companyId]);
+    return result.rows;
+  }
+
+  // Why a rule cannot be saved; empty when it is valid
+  validate(rule) {
+    const reasons = [];
+
+    if (!rule.name || !String(rule.name).trim()) {
+      reasons.push('Rule name is required');
+    }
+    if (!RULE_TYPES.includes(rule.rule_type)) {
+      reasons.push(`rule_type must be one of: ${RULE_TYPES.join(', ')}`);
+    }
+    if (rule.priority !== undefined && rule.priority !== null && !(Number.isInteger(Number(rule.priority)) && Number(rule.priority) >= 0)) {
+      reasons.push('Priority must be a whole number, lowest tried first');
+    }
+    if (rule.amount_tolerance !== undefined && rule.amount_tolerance !== null &&
+        !(Number.isFinite(Number(rule.amount_tolerance)) && Number(rule.amount_tolerance) >= 0)) {
+      reasons.push('Amount tolerance must be zero or more');
+    }
+
+    if (rule.rule_type === 'NARRATION') {
+      if (!rule.pattern) {
+        reasons.push('A narration rule needs a pattern');
+      } else {
+        try {
+          // A pattern alternated with an empty match reports its capture groups
+          if (new RegExp(`${rule.pattern}|`).exec('').length < 2) {
+            reasons.push('Pattern needs a capture group around the bill number, e.g. inv\\s*(\\d+)');
+          }
+        } catch (error) {
+          reasons.push(`Pattern is not a valid regular expression: ${error.message}`);
+        }
+      }
+    }
+
+    return reasons;
+  }
+
+  // Rules of a company in the order they are tried, with the receipts each has mapped
+  async list(companyId) {
+    const result = await pool.query(`
+      SELECT m.*,
+             (SELECT COUNT(*) FROM receipt r WHERE r.mapping_rule_id = m.id)::int as receipts_mapped
+      FROM mapping_rule m
+      WHERE m.company_id = $1
+      ORDER BY m.priority, m.id
+    `, [companyId]);
+    return result.rows;
+  }
+
+  async active(companyId, client = pool) {
+    const result = await client.query(`
+      SELECT * FROM mapping_rule
+      WHERE company_id = $1 AND active
+      ORDER BY priority, id
+    `, [companyId]);
+    return result.rows;
+  }
+
+  // Create a rule, or update the rule with id; returns null when id is not found
+  async save(companyId, rule, userId = null) {
+    const values = [
+      companyId,
+      String(rule.name).trim(),
+      rule.rule_type,
+      rule.priority === undefined || rule.priority === null ? 100 : Number(rule.priority),
+      rule.rule_type === 'NARRATION' ? rule.pattern : null,
+      rule.rule_type === 'NARRATION' ? rule.bill_prefix || null : null,
+      rule.rule_type === 'PARTY_AMOUNT' ? rule.party_name || null : null,
+      Number(rule.amount_tolerance) || 0,
+      rule.active !== false,
+      userId
+    ];
+
+    const result = rule.id
+      ? await pool.query(`
+          UPDATE mapping_rule
+          SET name = $2, rule_type = $3, priority = $4, pattern = $5, bill_prefix = $6, party_name = $7,
+              amount_tolerance = $8, active = $9, updated_by = $10, updated_at = CURRENT_TIMESTAMP
+          WHERE company_id = $1 AND id = $11
+          RETURNING *
+        `, [...values, rule.id])
+      : await pool.query(`
+          INSERT INTO mapping_rule (company_id, name, rule_type, priority, pattern, bill_prefix, party_name, amount_tolerance, active, updated_by)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING *
+        `, values);
+
+    return result.rows[0] || null;
+  }
+
+  // Remove a rule; receipts it mapped keep their bill
+  async remove(companyId, id) {
+    const result = await pool.query(
+      'DELETE FROM mapping_rule WHERE company_id = $1 AND id = $2 RETURNING *',
+      [companyId, id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Whether a receipt's party is the bill's party: the same name, or the party its name
+  // is matched to
+  async sameParty(client, receipt, partyName) {
+    const same = await client.query(
+      'SELECT normalize_party_name($1) = normalize_party_name($2) as same',
+      [receipt.party_name || '', partyName]
+    );
+    if (same.rows[0].same) {
+      return true;
+    }
+
+    const party = await partyMatch.matchParty(receipt.company_id, receipt.party_name, client);
+    return party !== null && party.party_name === partyName;
+  }
+
+  // A bill found from a number the receipt carries (narration, cheque or payment reference)
+  // is only trusted when it is a due bill of the receipt's party: { billNo, remainingDue },
+  // or { billNo, rejection } when it is not
+  async checked(client, receipt, bill) {
+    const { bill_no: billNo, party_name: partyName, remaining_due: remainingDue } = bill;
+    if (parseFloat(remainingDue) <= 0) {
+      return { billNo, rejection: `Bill ${billNo} has nothing due` };
+    }
+    if (!(await this.sameParty(client, receipt, partyName))) {
+      return { billNo, rejection: `Bill ${billNo} is of ${partyName}, not ${receipt.party_name}` };
+    }
+    return { billNo, remainingDue: parseFloat(remainingDue) };
+  }
+
+  // Bill a rule maps a receipt to, { billNo, remainingDue }, or null when it does not apply.
+  // A bill the rule found but may not map to comes with the rejection: { billNo, rejection }
+  async match(client, rule, receipt) {
+    const tolerance = parseFloat(rule.amount_tolerance) || 0;
+
+    if (rule.rule_type === 'NARRATION') {
+      const found = new RegExp(rule.pattern, 'i').exec(receipt.ref_text || '');
+      if (!found || !found[1]) {
+        return null;
+      }
+
+      const bill = await client.query(`
+        SELECT bill_no, party_name, remaining_due FROM bill_status
+        WHERE company_id = $1 AND upper(bill_no) = upper($2::text) AND tally_status = 'ACTIVE'
+        ORDER BY bill_no = $2::text DESC
+        LIMIT 1
+      `, [receipt.company_id, `${rule.bill_prefix || ''}${found[1].trim()}`]);
+      return bill.rows.length > 0 ? this.checked(client, receipt, bill.rows[0]) : null;
+    }
+
+    if (rule.rule_type === 'PARTY_AMOUNT') {
+      const party = await partyMatch.matchParty(receipt.company_id, receipt.party_name, client);
+      if (!party) {
+        return null;
+      }
+
+      const bill = await client.query(`
+        SELECT bs.bill_no, bs.remaining_due FROM bill_status bs
+        WHERE bs.company_id = $1 AND bs.party_name = $2 AND bs.remaining_due > 0
+          AND ABS(bs.remaining_due - $3) <= $4
+          AND ($5::text IS NULL OR normalize_party_name(bs.party_name) = normalize_party_name($5))
+        ORDER BY bs.bill_date, bs.bill_no
+        LIMIT 1
+      `, [receipt.company_id, party.party_name, receipt.amount, tolerance, rule.party_name]);
+      return bill.rows.length > 0 ? { billNo: bill.rows[0].bill_no, remainingDue: parseFloat(bill.rows[0].remaining_due) } : null;
+    }
+
+    // A registered cheque number or payment reference appearing as a word of the narration
+    const [table, column] = rule.rule_type === 'CHEQUE'
+      ? ['cheque_register', 'cheque_no']
+      : ['digital_payment_ref', 'reference_no'];
+    const registered = await client.query(`
+      SELECT bs.bill_no, bs.party_name, bs.remaining_due FROM ${table} p
+      JOIN bill_status bs ON p.company_id = bs.company_id AND p.bill_no = bs.bill_no
+      WHERE p.company_id = $1 AND bs.tally_status = 'ACTIVE'
+        AND regexp_split_to_array(lower(p.${column}), '[^a-z0-9]+') <@ regexp_split_to_array(lower($2), '[^a-z0-9]+')
+        AND ABS(p.amount - $3) <= $4
+        ${rule.rule_type === 'CHEQUE' ? "AND p.status <> 'BOUNCED'" : ''}
+      ORDER BY p.created_at
+      LIMIT 1
+    `, [receipt.company_id, receipt.ref_text || '', receipt.amount, tolerance]);
+    return registered.rows.length > 0 ? this.checked(client, receipt, registered.rows[0]) : null;
+  }
+
+  // First rule, in order, that maps the receipt: { rule, billNo, remainingDue }, or null.
+  // Bills rules found but rejected are added to rejected as { rule, billNo, rejection }
+  async evaluate(client, rules, receipt, rejected = []) {
+    for (const rule of rules) {
+      const result = await this.match(client, rule, receipt);
+      if (result && result.rejection) {
+        rejected.push({ rule, ...result });
+      } else if (result) {
+        return { rule, ...result };
+      }
+    }
+    return null;
+  }
+
+  // What the active rules (or one unsaved rule) would map among the company's unmapped
+  // receipts, without mapping anything: each rule with the receipts it would take, in
+  // order (with what it would keep on account over the bill's due), and the receipts whose
+  // bill it found but rejected, with why
+  async dryRun(companyId, rule = null) {
+    const rules = rule ? [{ id: null, ...rule, company_id: companyId }] : await this.active(companyId);
+    const preview = rules.map(candidate => ({ rule: candidate, receipts: [], rejected: [] }));
+    let unmatched = 0;
+
+    for (const receipt of await this.unmapped(companyId)) {
+      const rejected = [];
+      const result = await this.evaluate(pool, rules, receipt, rejected);
+      const entry = (billNo) => ({
+        receipt_id: receipt.receipt_id,
+        receipt_date: receipt.receipt_date,
+        party_name: receipt.party_name,
+        amount: receipt.amount,
+        ref_text: receipt.ref_text,
+        bill_no: billNo
+      });
+
+      for (const rejection of rejected) {
+        preview[rules.indexOf(rejection.rule)].rejected.push({ ...entry(rejection.billNo), reason: rejection.rejection });
+      }
+      if (!result) {
+        unmatched++;
+        continue;
+      }
+
+      preview[rules.indexOf(result.rule)].receipts.push({
+        ...entry(result.billNo),
+        on_account: Math.max(Math.round((parseFloat(receipt.amount) - result.remainingDue) * 100) / 100, 0)
+      });
+    }
+
+    return { rules: preview, unmatched };
+  }
+}
+
+module.exports = new MappingRuleService();
@@ -13,24 +13,24 @@ class OTPService {
     return crypto.randomInt(100000, 999999).toString();
   }
 
-  // Create OTP for customer verification
-  async createOTP(billNo, phone) {
+  // Create OTP for customer verification (bill numbers are unique per company)
+  async createOTP(billNo, phone, companyId) {
     try {
       const otp = this.generateOTP();
       const expiresAt = new Date(Date.now() + this.expiryMinutes * 60 * 1000);
 
       // Invalidate any existing OTPs for this bill
       await pool.query(
-        'DELETE FROM customer_otp WHERE bill_no = $1',
-        [billNo]
+        'DELETE FROM customer_otp WHERE company_id = $2 AND bill_no = $1',
+        [billNo, companyId]
       );
 
       // Insert new OTP
       const result = await pool.query(`
-        INSERT INTO customer_otp (bill_no, phone, otp_code, expires_at)
-        VALUES ($1, $2, $3, $4)
+        INSERT INTO customer_otp (bill_no, phone, otp_code, expires_at, company_id)
+        VALUES ($1, $2, $3, $4, $5)
         RETURNING id
-      `, [billNo, phone, otp, expiresAt]);
+      `, [billNo, phone, otp, expiresAt, companyId]);
 
       // In production, send SMS here
       logger.info(`OTP generated for bill ${billNo}: ${otp} (expires: ${expiresAt})`);
@@ -52,13 +52,13 @@ class OTPService {
   }
 
   // Verify OTP
-  async verifyOTP(billNo, otpCode) {
+  async verifyOTP(billNo, otpCode, companyId) {
     try {
       const result = await pool.query(`
         SELECT id, phone, expires_at, verified
         FROM customer_otp 
-        WHERE bill_no = $1 AND otp_code = $2
-      `, [billNo, otpCode]);
+        WHERE company_id = $3 AND bill_no = $1 AND otp_code = $2
+      `, [billNo, otpCode, companyId]);
 
       if (result.rows.length === 0) {
         return { valid: false, error: 'Invalid OTP' };
@@ -95,19 +95,19 @@ class OTPService {
   }
 
   // Resend OTP
-  async resendOTP(billNo) {
+  async resendOTP(billNo, companyId) {
     try {
       // Get existing OTP record
       const existing = await pool.query(
-        'SELECT phone FROM customer_otp WHERE bill_no = $1 ORDER BY created_at DESC LIMIT 1',
-        [billNo]
+        'SELECT phone FROM customer_otp WHERE company_id = $2 AND bill_no = $1 ORDER BY created_at DESC LIMIT 1',
+        [billNo, companyId]
       );
 
       if (existing.rows.length === 0) {
         throw new Error('No OTP request found for this bill');
       }
 
-      return await this.createOTP(billNo, existing.rows[0].phone);
+      return await this.createOTP(billNo, existing.rows[0].phone, companyId);
 
     } catch (error) {
       logger.error('OTP resend failed:', error);
@@ -0,0 +1,223 @@
+const cron = require('node-cron');
+const { pool } = require('../config/database');
+const logger = require('./logger');
+const companyService = require('./company');
+
+// Compares the dashboard's dues (bill_status.remaining_due) with Tally's own Bills
+// Outstanding once a day and stores every bill where the two disagree, so drift
+// between the dashboard and the books shows up before it reaches a release decision.
+class OutstandingReconciliationService {
+  constructor() {
+    // Daily at 21:00 unless set (node-cron expression)
+    this.schedule = process.env.TALLY_OUTSTANDING_CRON || '0 21 * * *';
+    // Differences up to this amount are treated as rounding
+    this.tolerance = parseFloat(process.env.TALLY_OUTSTANDING_TOLERANCE || '1');
+    this.task = null;
+  }
+
+  // Tally's outstanding bills for a company, read through the first bills connector
+  // that can; returns { bills, connector }
+  async fetchTallyOutstanding(company) {
+    const syncEngine = require('./sync-engine');
+    const orders = await syncEngine.connectorOrders();
+    const errors = [];
+
+    for (const connector of syncEngine.candidates('bills', orders.bills, company)) {
+      try {
+        return { bills: await connector.fetchOutstandingBills(company), connector: connector.name };
+      } catch (error) {
+        errors.push(`${connector.name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`Could not read bills outstanding for ${company.code} (${errors.join('; ') || 'no connector'})`);
+  }
+
+  // Classify the bills where Tally and the dashboard disagree:
+  // MISSING_BILL   - outstanding in Tally, not synced here
+  // DUE_IN_TALLY   - outstanding in Tally, paid (or voided) here
+  // PAID_IN_TALLY  - due here, nothing outstanding in Tally
+  // AMOUNT_DIFFERS - outstanding in both, by different amounts
+  compare(tallyBills, dashboardBills) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const tally = new Map();
+    for (const bill of tallyBills) {
+      // A bill name under two ledgers is one amount for our purposes
+      const existing = tally.get(bill.bill_no);
+      tally.set(bill.bill_no, existing
+        ? { ...existing, pending_amount: existing.pending_amount + bill.pending_amount }
+        : { ...bill });
+    }
+    const dashboard = new Map(dashboardBills.map(bill => [bill.bill_no, bill]));
+    const mismatches = [];
+
+    const add = (type, bill, tallyPending, dashboardDue) => mismatches.push({
+      bill_no: bill.bill_no,
+      bill_date: bill.bill_date || null,
+      party_name: bill.party_name || null,
+      mismatch_type: type,
+      tally_pending: tallyPending === null ? null : round(tallyPending),
+      dashboard_due: dashboardDue === null ? null : round(dashboardDue),
+      difference: round((tallyPending || 0) - (dashboardDue || 0))
+    });
+
+    for (const bill of tally.values()) {
+      const pending = bill.pending_amount;
+      const ours = dashboard.get(bill.bill_no);
+
+      if (!ours) {
+        if (Math.abs(pending) > this.tolerance) {
+          add('MISSING_BILL', bill, pending, null);
+        }
+        continue;
+      }
+
+      const due = parseFloat(ours.remaining_due);
+      const dueInTally = pending > this.tolerance;
+      const dueHere = due > this.tolerance;
+
+      if (dueInTally && !dueHere) {
+        add('DUE_IN_TALLY', ours, pending, due);
+      } else if (!dueInTally && dueHere) {
+        add('PAID_IN_TALLY', ours, pending, due);
+      } else if (Math.abs(pending - due) > this.tolerance) {
+        add('AMOUNT_DIFFERS', ours, pending, due);
+      }
+    }
+
+    // Tally only lists bills with a balance, so a bill due here that it leaves out is settled there
+    for (const bill of dashboard.values()) {
+      if (!tally.has(bill.bill_no) && parseFloat(bill.remaining_due) > this.tolerance) {
+        add('PAID_IN_TALLY', bill, null, parseFloat(bill.remaining_due));
+      }
+    }
+
+    return mismatches;
+  }
+
+  // Reconcile one company and store the run with its mismatches; returns the run
+  // (status FAILED with error_text when Tally could not be read)
+  async run(company, triggerSource = 'cron') {
+    const started = await pool.query(`
+      INSERT INTO outstanding_reconciliation (company_id, trigger_source)
+      VALUES ($1, $2)
+      RETURNING *
+    `, [company.id, triggerSource]);
+    const runId = started.rows[0].id;
+
+    let tallyResult;
+    try {
+      tallyResult = await this.fetchTallyOutstanding(company);
+    } catch (error) {
+      logger.error('Outstanding reconciliation failed:', error);
+      const failed = await pool.query(`
+        UPDATE outstanding_reconciliation
+        SET status = 'FAILED', error_text = $2, finished_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [runId, error.message]);
+      return failed.rows[0];
+    }
+
+    const dashboard = await pool.query(`
+      SELECT bill_no, bill_date, party_name, remaining_due
+      FROM bill_status
+      WHERE company_id = $1
+    `, [company.id]);
+
+    const mismatches = this.compare(tallyResult.bills, dashboard.rows);
+    const tallyOutstanding = tallyResult.bills.reduce((total, bill) => total + Math.max(bill.pending_amount, 0), 0);
+    const dashboardOutstanding = dashboard.rows.reduce((total, bill) => total + Math.max(parseFloat(bill.remaining_due), 0), 0);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const mismatch of mismatches) {
+        await client.query(`
+          INSERT INTO outstanding_mismatch (
+            reconciliation_id, company_id, bill_no, bill_date, party_name, mismatch_type, tally_pending, dashboard_due, difference
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [
+          runId, company.id, mismatch.bill_no, mismatch.bill_date, mismatch.party_name,
+          mismatch.mismatch_type, mismatch.tally_pending, mismatch.dashboard_due, mismatch.difference
+        ]);
+      }
+
+      const finished = await client.query(`
+        UPDATE outstanding_reconciliation
+        SET status = 'SUCCESS', connector = $2, tally_bill_count = $3, tally_outstanding = $4,
+            dashboard_outstanding = $5, mismatch_count = $6, finished_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [runId, tallyResult.connector, tallyResult.bills.length, tallyOutstanding, dashboardOutstanding, mismatches.length]);
+
+      await client.query('COMMIT');
+      logger.info(`Outstanding reconciliation (${company.code}): ${mismatches.length} mismatch(es) against ${tallyResult.bills.length} Tally bills`);
+      return finished.rows[0];
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Reconcile every active company
+  async runAll(triggerSource = 'cron') {
+    const runs = [];
+    for (const company of await companyService.list({ activeOnly: true })) {
+      try {
+        runs.push(await this.run(company, triggerSource));
+      } catch (error) {
+        logger.error(`Outstanding reconciliation failed for ${company.code}:`, error);
+      }
+    }
+    return runs;
+  }
+
+  // Latest run per company on a business date with its mismatches (all companies when
+  // companyId is null)
+  async report(companyId, businessDate) {
+    const runs = await pool.query(`
+      SELECT DISTINCT ON (r.company_id) r.*, c.code as company_code
+      FROM outstanding_reconciliation r
+      JOIN company c ON r.company_id = c.id
+      WHERE r.business_date = $2 AND ($1::uuid IS NULL OR r.company_id = $1)
+      ORDER BY r.company_id, r.started_at DESC
+    `, [companyId, businessDate]);
+
+    const mismatches = await pool.query(`
+      SELECT * FROM outstanding_mismatch
+      WHERE reconciliation_id = ANY($1::uuid[])
+      ORDER BY ABS(difference) DESC, bill_no
+    `, [runs.rows.map(run => run.id)]);
+
+    const byType = {};
+    for (const mismatch of mismatches.rows) {
+      byType[mismatch.mismatch_type] = (byType[mismatch.mismatch_type] || 0) + 1;
+    }
+
+    return { runs: runs.rows, mismatches: mismatches.rows, byType };
+  }
+
+  // Schedule the daily reconciliation
+  start() {
+    if (this.task) {
+      return;
+    }
+
+    this.task = cron.schedule(this.schedule, () => this.runAll('cron'));
+    logger.info(`Outstanding reconciliation scheduled (${this.schedule})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+}
+
+module.exports = new OutstandingReconciliationService();
@@ -0,0 +1,312 @@
+const { pool } = require('../config/database');
+const logger = require('./logger');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// A party's advance (party_advance): receipts kept on account, overpaid bills and counter
+// overpayments, settling its later bills automatically, by hand or at release
+class PartyAdvanceService {
+  constructor() {
+    // Each sync cycle settles due bills from advances unless turned off
+    this.autoSettle = process.env.ADVANCE_AUTO_SETTLE !== 'false';
+  }
+
+  // A party's advance; zeros when it has none
+  async balance(companyId, partyName, client = pool) {
+    const result = await client.query(`
+      SELECT * FROM party_advance WHERE company_id = $1 AND party_name = $2
+    `, [companyId, partyName]);
+
+    const row = result.rows[0] || { credit_total: 0, settled_total: 0, available: 0, outstanding: 0, net_due: 0 };
+    return {
+      party_name: partyName,
+      credit_total: parseFloat(row.credit_total),
+      settled_total: parseFloat(row.settled_total),
+      available: parseFloat(row.available),
+      outstanding: parseFloat(row.outstanding),
+      net_due: parseFloat(row.net_due)
+    };
+  }
+
+  // Parties of a company with an advance left, largest first
+  async list(companyId) {
+    const result = await pool.query(`
+      SELECT * FROM party_advance
+      WHERE company_id = $1 AND available > 0
+      ORDER BY available DESC, party_name
+    `, [companyId]);
+    return result.rows;
+  }
+
+  // What fed a party's advance and the bills settled from it, oldest first
+  async ledger(companyId, partyName) {
+    const credits = await pool.query(`
+      SELECT source, reference, credit_date, amount
+      FROM party_advance_credit
+      WHERE company_id = $1 AND party_name = $2
+      ORDER BY credit_date, reference
+    `, [companyId, partyName]);
+
+    const settlements = await pool.query(`
+      SELECT s.*, u.full_name as settled_by_name, b.tally_status as bill_tally_status
+      FROM advance_settlement s
+      JOIN bill b ON s.company_id = b.company_id AND s.bill_no = b.bill_no
+      LEFT JOIN users u ON s.settled_by = u.id
+      WHERE s.company_id = $1 AND s.party_name = $2
+      ORDER BY s.created_at, s.id
+    `, [companyId, partyName]);
+
+    return {
+      ...await this.balance(companyId, partyName),
+      credits: credits.rows,
+      settlements: settlements.rows
+    };
+  }
+
+  // The advance of a bill's party and what was settled from it on the bill
+  async forBill(companyId, bill) {
+    const settlements = await pool.query(`
+      SELECT s.*, u.full_name as settled_by_name
+      FROM advance_settlement s
+      LEFT JOIN users u ON s.settled_by = u.id
+      WHERE s.company_id = $1 AND s.bill_no = $2 AND s.reversed_at IS NULL
+      ORDER BY s.created_at
+    `, [companyId, bill.bill_no]);
+
+    const { available } = await this.balance(companyId, bill.party_name);
+    const due = parseFloat(bill.remaining_due);
+
+    return {
+      available,
+      // What would be left to pay were the advance settled on this bill
+      due_after_advance: due > 0 ? round(Math.max(due - Math.max(available, 0), 0)) : due,
+      settlements: settlements.rows
+    };
+  }
+
+  // Hold a party's advance for the rest of the caller's transaction, so it is not spent twice
+  async lock(client, companyId, partyName) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1::text || $2::text))', [companyId, partyName]);
+  }
+
+  // Run apply(), a change that may take money off a party's advance such as allocating its
+  // on-account receipts to bills, inside the caller's transaction. Returns how much of what
+  // it took was already settled on bills from the advance: 0 when the change can stand,
+  // otherwise the caller rolls it back
+  async withdraw(client, companyId, partyName, apply) {
+    await this.lock(client, companyId, partyName);
+    const before = (await this.balance(companyId, partyName, client)).available;
+    await apply();
+    const after = (await this.balance(companyId, partyName, client)).available;
+
+    return after < 0 && after < before ? round(Math.min(before, 0) - after) : 0;
+  }
+
+  // Why a change withdraw() found spending settled money was refused
+  settledReason(partyName, amount) {
+    return `${amount.toFixed(2)} of the receipt's money on account already settled bills from the advance of ${partyName}; reverse those settlements first`;
+  }
+
+  // Settle a bill from its party's advance inside the caller's transaction: amount, or as
+  // much as both the due and the advance allow when null. Returns { found, reasons, settlement }
+  async settle(client, { companyId, billNo, amount = null, method, userId = null }) {
+    const found = await client.query(
+      'SELECT party_name FROM bill WHERE company_id = $1 AND bill_no = $2',
+      [companyId, billNo]
+    );
+    if (found.rows.length === 0) {
+      return { found: false, reasons: [], settlement: null };
+    }
+
+    // One settlement per party at a time
+    const partyName = found.rows[0].party_name;
+    await this.lock(client, companyId, partyName);
+
+    const bill = await client.query(
+      'SELECT remaining_due, tally_status FROM bill_status WHERE company_id = $1 AND bill_no = $2',
+      [companyId, billNo]
+    );
+    const due = round(parseFloat(bill.rows[0].remaining_due));
+    const { available } = await this.balance(companyId, partyName, client);
+
+    const reasons = [];
+    if (bill.rows[0].tally_status !== 'ACTIVE') {
+      reasons.push(`Bill is ${bill.rows[0].tally_status.toLowerCase()} in Tally`);
+    } else if (due <= 0) {
+      reasons.push('Bill has nothing due');
+    }
+    if (available <= 0) {
+      reasons.push(`${partyName} has no advance available`);
+    }
+    if (amount !== null) {
+      const value = Number(amount);
+      if (!Number.isFinite(value) || value <= 0 || round(value) !== value) {
+        reasons.push('Amount must be a positive amount in rupees and paise');
+      } else if (due > 0 && available > 0) {
+        if (value > due) reasons.push(`Bill has only ${due.toFixed(2)} due`);
+        if (value > available) reasons.push(`${partyName} has only ${available.toFixed(2)} in advance`);
+      }
+    }
+    if (reasons.length > 0) {
+      return { found: true, reasons, settlement: null };
+    }
+
+    const result = await client.query(`
+      INSERT INTO advance_settlement (company_id, party_name, bill_no, amount, method, settled_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [companyId, partyName, billNo, amount === null ? round(Math.min(due, available)) : Number(amount), method, userId]);
+
+    return { found: true, reasons: [], settlement: result.rows[0] };
+  }
+
+  // Settle a bill by hand in its own transaction; same result as settle()
+  async settleBill(companyId, billNo, amount, userId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const outcome = await this.settle(client, { companyId, billNo, amount, method: 'MANUAL', userId });
+      await client.query(outcome.settlement ? 'COMMIT' : 'ROLLBACK');
+      return outcome;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Give a settlement back to the advance; null when not found or already reversed
+  async reverse(companyId, id, userId) {
+    const result = await pool.query(`
+      UPDATE advance_settlement
+      SET reversed_at = CURRENT_TIMESTAMP, reversed_by = $3
+      WHERE company_id = $1 AND id = $2 AND reversed_at IS NULL
+      RETURNING *
+    `, [companyId, id, userId]);
+    return result.rows[0] || null;
+  }
+
+  // Parties of a company whose advance was spent on bills and then taken back, e.g. a receipt
+  // kept on account that Tally later allocated to a bill; reclaim() reverses the settlements
+  async overdrawn(companyId) {
+    const result = await pool.query(`
+      SELECT pa.*,
+             (SELECT COUNT(*) FROM advance_settlement s
+              WHERE s.company_id = pa.company_id AND s.party_name = pa.party_name AND s.reversed_at IS NULL) as settlement_count
+      FROM party_advance pa
+      WHERE pa.company_id = $1 AND pa.available < 0
+      ORDER BY pa.available, pa.party_name
+    `, [companyId]);
+    return result.rows;
+  }
+
+  // Reverse settlements, newest first, of each party whose advance went below zero until it
+  // is back at zero or above (all companies when companyId is null); settlePending() then
+  // settles what is left. Returns the number of settlements reversed
+  async reclaim(companyId = null) {
+    const parties = await pool.query(`
+      SELECT company_id, party_name FROM party_advance
+      WHERE ($1::uuid IS NULL OR company_id = $1) AND available < 0
+      ORDER BY company_id, party_name
+    `, [companyId]);
+
+    let reversedCount = 0;
+    for (const party of parties.rows) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+        await this.lock(client, party.company_id, party.party_name);
+
+        const settlements = await client.query(`
+          SELECT s.id, s.bill_no, s.amount, rs.release_status
+          FROM advance_settlement s
+          JOIN bill b ON s.company_id = b.company_id AND s.bill_no = b.bill_no
+          JOIN release_status rs ON s.company_id = rs.company_id AND s.bill_no = rs.bill_no
+          WHERE s.company_id = $1 AND s.party_name = $2 AND s.reversed_at IS NULL AND b.tally_status = 'ACTIVE'
+          ORDER BY s.created_at DESC, s.id DESC
+        `, [party.company_id, party.party_name]);
+
+        let { available } = await this.balance(party.company_id, party.party_name, client);
+        const reversed = [];
+        for (const settlement of settlements.rows) {
+          if (available >= 0) break;
+
+          await client.query('UPDATE advance_settlement SET reversed_at = CURRENT_TIMESTAMP WHERE id = $1', [settlement.id]);
+          available = round(available + parseFloat(settlement.amount));
+          reversed.push(settlement);
+        }
+
+        await client.query('COMMIT');
+        if (reversed.length > 0) {
+          logger.warn(`Advance of ${party.party_name} was overdrawn; reversed settlements of ${reversed.map(settlement => settlement.bill_no).join(', ')}`);
+          const released = reversed.filter(settlement => settlement.release_status !== 'READY');
+          if (released.length > 0) {
+            logger.warn(`Bills ${released.map(settlement => settlement.bill_no).join(', ')} were released on an advance that is no longer there`);
+          }
+          reversedCount += reversed.length;
+        }
+
+      } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error(`Reclaiming the overdrawn advance of ${party.party_name} failed:`, error);
+      } finally {
+        client.release();
+      }
+    }
+
+    return reversedCount;
+  }
+
+  // Settle due bills, oldest first, from the advance of each party that has one (all
+  // companies when companyId is null); returns the number of bills settled
+  async settlePending(companyId = null) {
+    const parties = await pool.query(`
+      SELECT pa.company_id, pa.party_name
+      FROM party_advance pa
+      WHERE ($1::uuid IS NULL OR pa.company_id = $1) AND pa.available > 0 AND pa.outstanding > 0
+      ORDER BY pa.company_id, pa.party_name
+    `, [companyId]);
+
+    let settledCount = 0;
+    for (const party of parties.rows) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const dueBills = await client.query(`
+          SELECT bill_no FROM bill_status
+          WHERE company_id = $1 AND party_name = $2 AND remaining_due > 0
+          ORDER BY bill_date, bill_no
+        `, [party.company_id, party.party_name]);
+
+        const settled = [];
+        for (const { bill_no } of dueBills.rows) {
+          const { settlement } = await this.settle(client, { companyId: party.company_id, billNo: bill_no, method: 'AUTO' });
+          if (!settlement) break;
+          settled.push(`${bill_no} (${parseFloat(settlement.amount).toFixed(2)})`);
+        }
+
+        await client.query('COMMIT');
+        if (settled.length > 0) {
+          logger.info(`Settled ${settled.join(', ')} from the advance of ${party.party_name}`);
+          settledCount += settled.length;
+        }
+
+      } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error(`Settling bills of ${party.party_name} from its advance failed:`, error);
+      } finally {
+        client.release();
+      }
+    }
+
+    return settledCount;
+  }
+}
+
+module.exports = new PartyAdvanceService();
@@ -0,0 +1,170 @@
+const { pool } = require('../config/database');
+const logger = require('./logger');
+
+// How a bill's party matches a receipt's ($2) party name, and the confidence of it: the
+// same name, a learned alias, the same normalized name, or trigram similarity of the
+// normalized names (capped below a normalized match)
+const MATCH_SQL = `
+  CASE
+    WHEN bs.party_name = $2 THEN 'EXACT'
+    WHEN alias.id IS NOT NULL THEN 'ALIAS'
+    WHEN normalize_party_name(bs.party_name) = normalize_party_name($2) THEN 'NORMALIZED'
+    ELSE 'FUZZY'
+  END
+`;
+const CONFIDENCE_SQL = `
+  CASE
+    WHEN bs.party_name = $2 THEN 1.00
+    WHEN alias.id IS NOT NULL THEN 0.95
+    WHEN normalize_party_name(bs.party_name) = normalize_party_name($2) THEN 0.90
+    ELSE ROUND(LEAST(similarity(normalize_party_name(bs.party_name), normalize_party_name($2)), 0.85)::numeric, 2)
+  END
+`;
+const ALIAS_JOIN_SQL = `
+  LEFT JOIN party_alias alias
+    ON alias.company_id = bs.company_id
+   AND alias.party_name = bs.party_name
+   AND normalize_party_name(alias.alias_name) = normalize_party_name($2)
+`;
+
+// Matches receipts to bills whose party is named differently ('Sharma Traders' against
+// 'SHARMA TRADERS ' or 'Sharma Traders Pvt Ltd'), learning aliases from manual mappings
+class PartyMatchService {
+  constructor() {
+    // Candidate bills below this are not offered
+    this.minConfidence = parseFloat(process.env.PARTY_MATCH_MIN_CONFIDENCE) || 0.4;
+    // Auto-mapping only trusts exact, alias and normalized matches unless lowered
+    this.autoMapConfidence = parseFloat(process.env.PARTY_AUTO_MAP_CONFIDENCE) || 0.9;
+  }
+
+  // Due bills that may settle a receipt of the party, best match first then oldest; each
+  // carries match_count, the number of candidates before the limit
+  async candidates(companyId, partyName, { minConfidence = this.minConfidence, limit = null } = {}, client = pool) {
+    const result = await client.query(`
+      SELECT *, COUNT(*) OVER () as match_count FROM (
+        SELECT
+          bs.bill_no,
+          bs.bill_date,
+          bs.party_name,
+          bs.remaining_due,
+          ${MATCH_SQL} as match,
+          ${CONFIDENCE_SQL} as confidence
+        FROM bill_status bs
+        ${ALIAS_JOIN_SQL}
+        WHERE bs.company_id = $1 AND bs.remaining_due > 0
+      ) candidate
+      WHERE confidence >= $3
+      ORDER BY confidence DESC, bill_date, bill_no
+      LIMIT $4
+    `, [companyId, partyName, minConfidence, limit]);
+
+    return result.rows.map(row => ({ ...row, confidence: parseFloat(row.confidence), match_count: parseInt(row.match_count) }));
+  }
+
+  // Bill party a receipt's party name stands for when auto-mapping: { party_name, match,
+  // confidence }, or null when none is confident enough or two parties match equally well
+  async matchParty(companyId, partyName, client = pool) {
+    const result = await client.query(`
+      SELECT party_name, match, confidence FROM (
+        SELECT DISTINCT ON (bs.party_name)
+          bs.party_name,
+          ${MATCH_SQL} as match,
+          ${CONFIDENCE_SQL} as confidence
+        FROM bill_status bs
+        ${ALIAS_JOIN_SQL}
+        WHERE bs.company_id = $1 AND bs.remaining_due > 0
+        ORDER BY bs.party_name
+      ) party
+      WHERE confidence >= $3
+      ORDER BY confidence DESC
+      LIMIT 2
+    `, [companyId, partyName, this.autoMapConfidence]);
+
+    const [best, next] = result.rows;
+    if (!best) {
+      return null;
+    }
+    if (next && next.confidence === best.confidence) {
+      logger.warn(`Receipt party ${partyName} matches both ${best.party_name} and ${next.party_name}; left for manual mapping`);
+      return null;
+    }
+
+    return { ...best, confidence: parseFloat(best.confidence) };
+  }
+
+  // Remember that receipts of aliasName are for the bill party partyName; a name that only
+  // differs in case, punctuation or suffix is already matched and is not stored. Returns
+  // the alias with previous, the party and uses it had before ({ party_name, times_used }
+  // or null when new), or null when none was needed
+  async learn(companyId, aliasName, partyName, userId = null, client = pool) {
+    const result = await client.query(`
+      WITH previous AS (
+        SELECT party_name, times_used FROM party_alias
+        WHERE company_id = $1 AND normalize_party_name(alias_name) = normalize_party_name($2)
+      )
+      INSERT INTO party_alias (company_id, alias_name, party_name, created_by)
+      SELECT $1::uuid, $2::text, $3::text, $4::uuid
+      WHERE normalize_party_name($2) <> normalize_party_name($3)
+      ON CONFLICT (company_id, normalize_party_name(alias_name))
+      DO UPDATE SET
+        party_name = EXCLUDED.party_name,
+        times_used = CASE WHEN party_alias.party_name = EXCLUDED.party_name THEN party_alias.times_used + 1 ELSE 1 END,
+        last_used_at = CURRENT_TIMESTAMP
+      RETURNING *, (SELECT row_to_json(previous) FROM previous) as previous
+    `, [companyId, aliasName, partyName, userId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Take back an alias learned by a mapping that is undone ({ id, party_name, previous }
+  // as learn returned it): one use less, and once no other mapping used it, removed or
+  // pointed back at the party it named before. Returns the change, null when the alias
+  // has since been removed or learned for another party
+  async unlearn(companyId, learned, client = pool) {
+    const current = await client.query(
+      'SELECT * FROM party_alias WHERE company_id = $1 AND id = $2 FOR UPDATE',
+      [companyId, learned.id]
+    );
+    const alias = current.rows[0];
+    if (!alias || alias.party_name !== learned.party_name) {
+      return null;
+    }
+    const change = { id: alias.id, alias_name: alias.alias_name, party_name: alias.party_name };
+
+    if (alias.times_used > 1) {
+      await client.query('UPDATE party_alias SET times_used = times_used - 1 WHERE id = $1', [alias.id]);
+      return { ...change, action: 'DECREMENTED', times_used: alias.times_used - 1 };
+    }
+    if (learned.previous) {
+      await client.query(
+        'UPDATE party_alias SET party_name = $2, times_used = $3 WHERE id = $1',
+        [alias.id, learned.previous.party_name, learned.previous.times_used]
+      );
+      return { ...change, action: 'RESTORED', party_name: learned.previous.party_name, times_used: learned.previous.times_used };
+    }
+    await client.query('DELETE FROM party_alias WHERE id = $1', [alias.id]);
+    return { ...change, action: 'REMOVED' };
+  }
+
+  async aliases(companyId) {
+    const result = await pool.query(`
+      SELECT a.*, u.username as created_by_username
+      FROM party_alias a
+      LEFT JOIN users u ON a.created_by = u.id
+      WHERE a.company_id = $1
+      ORDER BY a.party_name, a.alias_name
+    `, [companyId]);
+    return result.rows;
+  }
+
+  // Forget an alias learned by mistake; returns the removed alias, null when not found
+  async removeAlias(companyId, id) {
+    const result = await pool.query(
+      'DELETE FROM party_alias WHERE company_id = $1 AND id = $2 RETURNING *',
+      [companyId, id]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new PartyMatchService();
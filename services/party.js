@@ -0,0 +1,295 @@
+const { pool } = require('../config/database');
+const logger = require('./logger');
+const syncWatermark = require('./sync-watermark');
+const syncRun = require('./sync-run');
+const companyService = require('./company');
+const partyAdvance = require('./party-advance');
+
+// Tally primary groups that hold party ledgers
+const PARTY_GROUPS = {
+  'Sundry Debtors': 'DEBTOR',
+  'Sundry Creditors': 'CREDITOR'
+};
+
+class PartyService {
+  // Build "Primary > ... > Group" paths from Tally group masters ({ name, parent })
+  buildGroupPaths(groups) {
+    const parents = new Map(groups.map(group => [group.name, group.parent]));
+    const paths = new Map();
+
+    for (const group of groups) {
+      const chain = [group.name];
+      let parent = parents.get(group.name);
+      // Stop at Tally's root (Primary) and guard against cycles
+      while (parent && parent !== 'Primary' && !chain.includes(parent)) {
+        chain.unshift(parent);
+        parent = parents.get(parent);
+      }
+      paths.set(group.name, chain.join(' > '));
+    }
+
+    return paths;
+  }
+
+  // DEBTOR/CREDITOR from a group path, null when the ledger is not a party
+  partyType(groupPath) {
+    const partyGroup = (groupPath || '').split(' > ').find(group => PARTY_GROUPS[group]);
+    return partyGroup ? PARTY_GROUPS[partyGroup] : null;
+  }
+
+  // Reduce a Tally phone field to the 10-digit mobile number OTP needs
+  normalizePhone(phone) {
+    const digits = (phone || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : null;
+  }
+
+  // Parse Tally's credit period ("30 Days") to a day count
+  parseCreditPeriod(value) {
+    const match = String(value || '').match(/\d+/);
+    return match ? parseInt(match[0]) : null;
+  }
+
+  // Map a ledger row (from ODBC or the XML parser) plus its group path to party columns
+  toParty(ledger, groupPath) {
+    const gstin = (ledger.gstin || '').trim().toUpperCase();
+    const creditLimit = parseFloat(ledger.credit_limit);
+
+    return {
+      party_name: ledger.ledger_name,
+      party_type: this.partyType(groupPath),
+      parent_group: ledger.parent_group,
+      group_path: groupPath,
+      gstin: /^[0-9A-Z]{15}$/.test(gstin) ? gstin : null,
+      phone: this.normalizePhone(ledger.phone),
+      email: ledger.email,
+      address: ledger.address,
+      state: ledger.state,
+      pincode: ledger.pincode,
+      // Tally stores debtor credit limits as negative (debit) amounts
+      credit_limit: Number.isNaN(creditLimit) ? null : Math.abs(creditLimit),
+      credit_period_days: this.parseCreditPeriod(ledger.credit_period),
+      opening_balance: parseFloat(ledger.opening_balance) || 0,
+      closing_balance: parseFloat(ledger.closing_balance) || 0,
+      tally_guid: ledger.tally_guid,
+      alter_id: parseInt(ledger.alter_id) || 0
+    };
+  }
+
+  // Save synced party ledgers, advance the Ledger watermark and link bills/receipts in one transaction
+  async saveLedgers(ledgers, groups, counts = syncRun.newCounts(), company = null) {
+    company = company || await companyService.getDefault();
+    const groupPaths = this.buildGroupPaths(groups);
+    const client = await pool.connect();
+    const batchCounts = syncRun.newCounts();
+
+    try {
+      await client.query('BEGIN');
+
+      let savedCount = 0;
+      for (const ledger of ledgers) {
+        const groupPath = groupPaths.get(ledger.parent_group) || ledger.parent_group;
+        const party = this.toParty(ledger, groupPath);
+
+        if (!party.party_name || !party.party_type) {
+          logger.warn(`Skipping ledger ${ledger.ledger_name || '(no name)'}: not under Sundry Debtors/Creditors`);
+          continue;
+        }
+
+        const upsert = await this.upsert(client, party, company.id);
+        syncRun.countUpsert(batchCounts, upsert);
+        savedCount++;
+      }
+
+      const { alterId, masterId } = syncWatermark.highestIds(ledgers);
+      await syncWatermark.advance(client, 'Ledger', alterId, masterId, company.code);
+      const linked = await this.linkDocuments(client);
+
+      await client.query('COMMIT');
+      syncRun.mergeCounts(counts, batchCounts);
+      logger.info(`Synced ${savedCount} parties for ${company.code} (linked ${linked.bills} bills, ${linked.receipts} receipts)`);
+      return savedCount;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      counts.failed += ledgers.length;
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Insert or update one party, classifying the result for sync_run counts
+  async upsert(client, party, companyId) {
+    return client.query(`
+      WITH previous AS (
+        SELECT party_type, parent_group, group_path, gstin, phone, email, address, state, pincode,
+               credit_limit, credit_period_days, opening_balance, closing_balance
+        FROM party WHERE company_id = $17 AND party_name = $1
+      )
+      INSERT INTO party (
+        party_name, party_type, parent_group, group_path, gstin, phone, email, address, state, pincode,
+        credit_limit, credit_period_days, opening_balance, closing_balance, tally_guid, alter_id, company_id, last_sync_ts
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, CURRENT_TIMESTAMP)
+      ON CONFLICT (company_id, party_name)
+      DO UPDATE SET
+        party_type = EXCLUDED.party_type,
+        parent_group = EXCLUDED.parent_group,
+        group_path = EXCLUDED.group_path,
+        gstin = EXCLUDED.gstin,
+        phone = EXCLUDED.phone,
+        email = EXCLUDED.email,
+        address = EXCLUDED.address,
+        state = EXCLUDED.state,
+        pincode = EXCLUDED.pincode,
+        credit_limit = EXCLUDED.credit_limit,
+        credit_period_days = EXCLUDED.credit_period_days,
+        opening_balance = EXCLUDED.opening_balance,
+        closing_balance = EXCLUDED.closing_balance,
+        tally_guid = EXCLUDED.tally_guid,
+        alter_id = EXCLUDED.alter_id,
+        last_sync_ts = CURRENT_TIMESTAMP
+      RETURNING
+        NOT EXISTS (SELECT 1 FROM previous) as inserted,
+        EXISTS (
+          SELECT 1 FROM previous p
+          WHERE (p.party_type, p.parent_group, p.group_path, p.gstin, p.phone, p.email, p.address, p.state, p.pincode,
+                 p.credit_limit, p.credit_period_days, p.opening_balance, p.closing_balance)
+            IS DISTINCT FROM (party.party_type, party.parent_group, party.group_path, party.gstin, party.phone, party.email,
+                 party.address, party.state, party.pincode, party.credit_limit, party.credit_period_days,
+                 party.opening_balance, party.closing_balance)
+        ) as changed
+    `, [
+      party.party_name,
+      party.party_type,
+      party.parent_group,
+      party.group_path,
+      party.gstin || null,
+      party.phone || null,
+      party.email || null,
+      party.address || null,
+      party.state || null,
+      party.pincode || null,
+      party.credit_limit,
+      party.credit_period_days,
+      party.opening_balance || 0,
+      party.closing_balance || 0,
+      party.tally_guid || null,
+      party.alter_id || 0,
+      companyId
+    ]);
+  }
+
+  // Point bills and receipts synced before their party at the party master
+  async linkDocuments(client = pool) {
+    const bills = await client.query(`
+      UPDATE bill SET party_id = p.id
+      FROM party p
+      WHERE bill.party_id IS NULL AND bill.company_id = p.company_id AND bill.party_name = p.party_name
+    `);
+    const receipts = await client.query(`
+      UPDATE receipt SET party_id = p.id
+      FROM party p
+      WHERE receipt.party_id IS NULL AND receipt.company_id = p.company_id AND receipt.party_name = p.party_name
+    `);
+
+    return { bills: bills.rowCount, receipts: receipts.rowCount };
+  }
+
+  // Search parties by name, GSTIN or phone
+  async search({ companyId, q, type, page = 1, limit = 20 } = {}) {
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (companyId) {
+      whereClause += ` AND p.company_id = $${paramIndex}`;
+      params.push(companyId);
+      paramIndex++;
+    }
+
+    if (q) {
+      whereClause += ` AND (p.party_name ILIKE $${paramIndex} OR p.gstin ILIKE $${paramIndex} OR p.phone ILIKE $${paramIndex})`;
+      params.push(`%${q}%`);
+      paramIndex++;
+    }
+
+    if (type) {
+      whereClause += ` AND p.party_type = $${paramIndex}`;
+      params.push(type);
+      paramIndex++;
+    }
+
+    const offset = (page - 1) * limit;
+
+    const parties = await pool.query(`
+      SELECT
+        p.id, p.party_name, p.party_type, p.group_path, p.gstin, p.phone, p.state,
+        p.credit_limit, p.credit_period_days, p.closing_balance
+      FROM party p
+      ${whereClause}
+      ORDER BY p.party_name
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...params, limit, offset]);
+
+    const count = await pool.query(`SELECT COUNT(*) as total FROM party p ${whereClause}`, params);
+    const total = parseInt(count.rows[0].total);
+
+    return {
+      parties: parties.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Party with outstanding summary, advance and recent bills/receipts
+  async getDetail(partyId) {
+    const party = await pool.query('SELECT * FROM party WHERE id = $1', [partyId]);
+
+    if (party.rows.length === 0) {
+      return null;
+    }
+
+    const outstanding = await pool.query(`
+      SELECT
+        COUNT(*) as bill_count,
+        COALESCE(SUM(bill_amount), 0) as billed_total,
+        COALESCE(SUM(receipt_total), 0) as received_total,
+        COALESCE(SUM(adjustment_total), 0) as adjusted_total,
+        COALESCE(SUM(remaining_due) FILTER (WHERE remaining_due > 0), 0) as outstanding,
+        MIN(bill_date) FILTER (WHERE remaining_due > 0) as oldest_due_date
+      FROM bill_status
+      WHERE party_id = $1
+    `, [partyId]);
+
+    const bills = await pool.query(`
+      SELECT bill_no, bill_date, bill_amount, receipt_total, adjustment_total, remaining_due, status
+      FROM bill_status
+      WHERE party_id = $1
+      ORDER BY bill_date DESC, bill_no DESC
+      LIMIT 20
+    `, [partyId]);
+
+    const receipts = await pool.query(`
+      SELECT receipt_id, receipt_date, amount, mode, bill_reference
+      FROM receipt
+      WHERE party_id = $1
+      ORDER BY receipt_date DESC, receipt_id DESC
+      LIMIT 20
+    `, [partyId]);
+
+    return {
+      party: party.rows[0],
+      outstanding: outstanding.rows[0],
+      advance: await partyAdvance.balance(party.rows[0].company_id, party.rows[0].party_name),
+      recentBills: bills.rows,
+      recentReceipts: receipts.rows
+    };
+  }
+}
+
+module.exports = new PartyService();
@@ -0,0 +1,300 @@
+const { pool } = require('../config/database');
+const auditLog = require('./audit-log');
+const receiptMapping = require('./receipt-mapping');
+const partyAdvance = require('./party-advance');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class ReceiptAllocationService {
+  // Bill-wise allocations on the party ledger line(s) of a parsed receipt voucher;
+  // repeated references are merged and amounts stored unsigned
+  fromVoucher(voucher) {
+    const merged = new Map();
+
+    const partyEntries = voucher.ledgerEntries.filter(entry =>
+      entry.isPartyLedger || (voucher.partyName && entry.ledgerName === voucher.partyName)
+    );
+
+    for (const entry of partyEntries) {
+      for (const allocation of entry.billAllocations) {
+        if (!allocation.amount) continue;
+
+        const billType = allocation.billType || 'Agst Ref';
+        // On Account allocations carry no bill name
+        const billNo = billType === 'On Account' ? null : (allocation.name || null);
+        const key = `${billType}|${billNo}`;
+        const existing = merged.get(key) || { bill_no: billNo, bill_type: billType, amount: 0 };
+        existing.amount = Math.round((existing.amount + Math.abs(allocation.amount)) * 100) / 100;
+        merged.set(key, existing);
+      }
+    }
+
+    return [...merged.values()];
+  }
+
+  // Bill a receipt mainly settles: the largest named allocation, null when none
+  primaryBill(allocations) {
+    const named = allocations.filter(allocation => allocation.bill_no);
+    if (named.length === 0) return null;
+    return named.reduce((largest, allocation) => allocation.amount > largest.amount ? allocation : largest).bill_no;
+  }
+
+  // Replace the Tally allocations of a receipt; returns true when they changed. Allocations
+  // from Tally also replace a split made here, as Tally's decide
+  async replace(client, companyId, receiptId, allocations) {
+    if (allocations.length > 0) {
+      const split = await client.query(`
+        DELETE FROM receipt_allocation WHERE company_id = $1 AND receipt_id = $2 AND source <> 'TALLY'
+      `, [companyId, receiptId]);
+      // Splits are only made for receipts Tally had not allocated, so there are no
+      // Tally rows to compare with
+      if (split.rowCount > 0) {
+        await this.insert(client, companyId, receiptId, allocations);
+        return true;
+      }
+    }
+
+    const existing = await client.query(`
+      SELECT bill_no, bill_type, amount FROM receipt_allocation
+      WHERE company_id = $1 AND receipt_id = $2 AND source = 'TALLY'
+    `, [companyId, receiptId]);
+
+    const signature = (rows) => rows
+      .map(row => `${row.bill_type}|${row.bill_no}|${parseFloat(row.amount).toFixed(2)}`)
+      .sort()
+      .join(';');
+
+    if (signature(existing.rows) === signature(allocations)) {
+      return false;
+    }
+
+    await client.query(`
+      DELETE FROM receipt_allocation WHERE company_id = $1 AND receipt_id = $2 AND source = 'TALLY'
+    `, [companyId, receiptId]);
+    await this.insert(client, companyId, receiptId, allocations);
+
+    return true;
+  }
+
+  async insert(client, companyId, receiptId, allocations, source = 'TALLY', userId = null) {
+    for (const allocation of allocations) {
+      await client.query(`
+        INSERT INTO receipt_allocation (company_id, receipt_id, bill_no, bill_type, amount, source, allocated_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [companyId, receiptId, allocation.bill_no, allocation.bill_type, allocation.amount, source, userId]);
+    }
+  }
+
+  // Fill bills oldest-first (rows of bill_no and remaining_due in that order); what is left
+  // of the amount stays on account
+  fifo(bills, amount) {
+    const allocations = [];
+    let left = round(amount);
+
+    for (const bill of bills) {
+      if (left <= 0) break;
+
+      const applied = Math.min(left, round(parseFloat(bill.remaining_due)));
+      if (applied <= 0) continue;
+
+      allocations.push({ bill_no: bill.bill_no, bill_type: 'Agst Ref', amount: applied });
+      left = round(left - applied);
+    }
+
+    if (left > 0) {
+      allocations.push({ bill_no: null, bill_type: 'On Account', amount: left });
+    }
+    return allocations;
+  }
+
+  // Store a split of a receipt made here (MANUAL, FIFO or by the mapping rule ruleId) in
+  // place of any earlier one, with bill_reference pointing at the bill it mainly settles
+  async split(client, companyId, receiptId, allocations, source, userId = null, ruleId = null) {
+    await client.query(`
+      DELETE FROM receipt_allocation WHERE company_id = $1 AND receipt_id = $2 AND source <> 'TALLY'
+    `, [companyId, receiptId]);
+    await this.insert(client, companyId, receiptId, allocations, source, userId);
+    await client.query(`
+      UPDATE receipt SET bill_reference = $3, mapping_rule_id = $4 WHERE company_id = $1 AND receipt_id = $2
+    `, [companyId, receiptId, this.primaryBill(allocations), ruleId]);
+  }
+
+  // Why a manual split cannot be stored; bills may take up to their remaining due plus what
+  // this receipt already pays on them
+  async validateSplit(client, receipt, allocations) {
+    const reasons = [];
+
+    const tally = await client.query(`
+      SELECT 1 FROM receipt_allocation WHERE company_id = $1 AND receipt_id = $2 AND source = 'TALLY' LIMIT 1
+    `, [receipt.company_id, receipt.receipt_id]);
+    if (tally.rows.length > 0) {
+      return ['Receipt is allocated in Tally; change the allocation there'];
+    }
+
+    if (!Array.isArray(allocations) || allocations.length === 0) {
+      return ['At least one bill allocation is required'];
+    }
+
+    const seen = new Set();
+    for (const allocation of allocations) {
+      const billNo = allocation && allocation.billNo;
+      const amount = allocation ? Number(allocation.amount) : NaN;
+
+      if (!billNo) {
+        reasons.push('Every allocation needs a bill number');
+        continue;
+      }
+      if (seen.has(billNo)) {
+        reasons.push(`Bill ${billNo} is allocated more than once`);
+        continue;
+      }
+      seen.add(billNo);
+
+      if (!Number.isFinite(amount) || amount <= 0 || round(amount) !== amount) {
+        reasons.push(`Amount for bill ${billNo} must be a positive amount in rupees and paise`);
+        continue;
+      }
+
+      const bill = await client.query(`
+        SELECT bs.remaining_due, bs.tally_status, bs.party_name,
+               COALESCE((
+                 SELECT SUM(ra.amount) FROM receipt_applied ra
+                 WHERE ra.company_id = bs.company_id AND ra.receipt_id = $3 AND ra.bill_no = bs.bill_no
+               ), 0) as applied_by_receipt
+        FROM bill_status bs
+        WHERE bs.company_id = $1 AND bs.bill_no = $2
+      `, [receipt.company_id, billNo, receipt.receipt_id]);
+
+      if (bill.rows.length === 0) {
+        reasons.push(`Bill ${billNo} not found`);
+      } else if (bill.rows[0].tally_status !== 'ACTIVE') {
+        reasons.push(`Bill ${billNo} is ${bill.rows[0].tally_status.toLowerCase()} in Tally`);
+      } else {
+        const open = round(parseFloat(bill.rows[0].remaining_due) + parseFloat(bill.rows[0].applied_by_receipt));
+        if (amount > open) {
+          reasons.push(`Bill ${billNo} has only ${open.toFixed(2)} due`);
+        }
+      }
+    }
+
+    const total = round(allocations.reduce((sum, allocation) => sum + (Number(allocation && allocation.amount) || 0), 0));
+    if (total > parseFloat(receipt.amount)) {
+      reasons.push(`Allocations total ${total.toFixed(2)}, more than the receipt amount ${parseFloat(receipt.amount).toFixed(2)}`);
+    }
+
+    return reasons;
+  }
+
+  // Split a receipt across bills by hand ([{ billNo, amount }]); the remainder is kept on
+  // account. Returns { receipt, reasons }: receipt null when not found, reasons when the
+  // split was refused
+  async allocate(companyId, receiptId, allocations, userId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const found = await client.query(`
+        SELECT * FROM receipt
+        WHERE company_id = $1 AND receipt_id = $2 AND tally_status = 'ACTIVE'
+        FOR UPDATE
+      `, [companyId, receiptId]);
+      if (found.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { receipt: null, reasons: [] };
+      }
+
+      const receipt = found.rows[0];
+      const reasons = await this.validateSplit(client, receipt, allocations);
+      if (reasons.length > 0) {
+        await client.query('ROLLBACK');
+        return { receipt, reasons };
+      }
+
+      const previous = await this.allocations(companyId, receiptId, client);
+      const before = await receiptMapping.snapshot(client, companyId, receiptId);
+      const split = allocations.map(allocation => ({ bill_no: allocation.billNo, bill_type: 'Agst Ref', amount: Number(allocation.amount) }));
+      const remainder = round(parseFloat(receipt.amount) - split.reduce((sum, allocation) => sum + allocation.amount, 0));
+      if (remainder > 0) {
+        split.push({ bill_no: null, bill_type: 'On Account', amount: remainder });
+      }
+
+      // On-account money of the receipt that already settled bills stays where it is
+      const settled = await partyAdvance.withdraw(client, companyId, receipt.party_name, () =>
+        this.split(client, companyId, receiptId, split, 'MANUAL', userId)
+      );
+      if (settled > 0) {
+        await client.query('ROLLBACK');
+        return { receipt, reasons: [partyAdvance.settledReason(receipt.party_name, settled)] };
+      }
+
+      await receiptMapping.record(client, {
+        companyId,
+        receiptId,
+        method: 'SPLIT',
+        before,
+        after: await receiptMapping.snapshot(client, companyId, receiptId),
+        userId
+      });
+      await auditLog.record({
+        tableName: 'receipt',
+        recordId: receiptId,
+        action: 'MAP',
+        oldValues: { bill_reference: receipt.bill_reference, allocations: previous },
+        newValues: { method: 'split', allocations: split },
+        userId
+      }, client);
+
+      await client.query('COMMIT');
+      return { receipt: await this.forReceipt(companyId, receiptId), reasons: [] };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Stored allocations of a receipt, bills first
+  async allocations(companyId, receiptId, client = pool) {
+    const result = await client.query(`
+      SELECT bill_no, bill_type, amount, source, allocated_by, created_at
+      FROM receipt_allocation
+      WHERE company_id = $1 AND receipt_id = $2
+      ORDER BY bill_no NULLS LAST
+    `, [companyId, receiptId]);
+    return result.rows;
+  }
+
+  // A receipt with its allocations and how much is applied, on account and unallocated
+  async forReceipt(companyId, receiptId) {
+    const result = await pool.query(`
+      SELECT r.*, rb.allocated_amount, rb.on_account_amount, rb.unallocated_amount, rb.bill_count
+      FROM receipt r
+      LEFT JOIN receipt_balance rb ON r.company_id = rb.company_id AND r.receipt_id = rb.receipt_id
+      WHERE r.company_id = $1 AND r.receipt_id = $2
+    `, [companyId, receiptId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return { ...result.rows[0], allocations: await this.allocations(companyId, receiptId) };
+  }
+
+  // Receipts applied to a bill, with the amount applied and whether it came from Tally
+  // allocations, a manual, FIFO or rule split, or the receipt's bill reference
+  async forBill(companyId, billNo) {
+    const result = await pool.query(`
+      SELECT r.*, ra.amount as applied_amount, ra.source as applied_from
+      FROM receipt_applied ra
+      JOIN receipt r ON ra.company_id = r.company_id AND ra.receipt_id = r.receipt_id
+      WHERE ra.company_id = $1 AND ra.bill_no = $2
+      ORDER BY r.receipt_date ASC
+    `, [companyId, billNo]);
+
+    return result.rows;
+  }
+}
+
+module.exports = new ReceiptAllocationService();
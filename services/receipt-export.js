@@ -0,0 +1,256 @@
+const { pool } = require('../config/database');
+const logger = require('./logger');
+const xmlConnector = require('./connectors/xml-connector');
+const tallyXMLParser = require('./tally-xml-parser');
+
+// Payment hints with their bill's party ledger and company
+const HINT_QUERY = `
+  SELECT
+    ph.*,
+    TO_CHAR(ph.created_at, 'YYYYMMDD') as voucher_date,
+    b.party_name,
+    b.tally_status as bill_tally_status,
+    c.code as company_code,
+    c.tally_name as company_tally_name,
+    u.full_name as cashier_name
+  FROM payment_hint ph
+  JOIN bill b ON ph.company_id = b.company_id AND ph.bill_no = b.bill_no
+  JOIN company c ON ph.company_id = c.id
+  LEFT JOIN users u ON ph.cashier_id = u.id
+`;
+
+// Line error of an Alter naming a voucher Tally does not hold
+const MISSING_VOUCHER = /voucher.*(does not exist|not found)/i;
+
+class ReceiptExportService {
+  constructor() {
+    this.isPosting = false;
+    // Tally ledgers debited for each collection mode
+    this.ledgers = {
+      cash: process.env.TALLY_CASH_LEDGER || 'Cash',
+      cheque: process.env.TALLY_CHEQUE_LEDGER || 'Bank',
+      digital: process.env.TALLY_DIGITAL_LEDGER || 'Bank'
+    };
+    this.voucherType = process.env.TALLY_RECEIPT_VOUCHER_TYPE || 'Receipt';
+  }
+
+  // Total collected on a hint across cash, cheque and digital
+  totalOf(hint) {
+    return ['cash_amt', 'cheque_amt', 'digital_amt']
+      .reduce((sum, column) => sum + (parseFloat(hint[column]) || 0), 0);
+  }
+
+  // Import Data envelope with one Receipt voucher: party credited against the bill up to
+  // its due and on account for any overpayment, one debit line per collection mode.
+  // REMOTEID is fixed per hint so an Alter of a repost finds the voucher Tally already holds.
+  buildVoucherXML(hint, action = 'Create') {
+    const escape = (value) => xmlConnector.escapeXML(value);
+    const total = this.totalOf(hint);
+    // The hint's remaining_due went below zero by what the party paid over the bill's due
+    const overpaid = Math.min(Math.max(-(parseFloat(hint.remaining_due) || 0), 0), total);
+    const company = { tally_name: hint.company_tally_name };
+
+    const narration = [
+      `Counter collection for bill ${hint.bill_no}`,
+      hint.cheque_no ? `Chq ${hint.cheque_no}${hint.bank ? ` (${hint.bank})` : ''}` : null,
+      hint.digital_ref ? `Ref ${hint.digital_ref}` : null,
+      hint.cashier_name ? `Cashier ${hint.cashier_name}` : null
+    ].filter(Boolean).join(', ');
+
+    const debitLines = [
+      { ledger: this.ledgers.cash, amount: parseFloat(hint.cash_amt) || 0 },
+      { ledger: this.ledgers.cheque, amount: parseFloat(hint.cheque_amt) || 0 },
+      { ledger: this.ledgers.digital, amount: parseFloat(hint.digital_amt) || 0 }
+    ].filter(line => line.amount > 0).map(line => `
+            <ALLLEDGERENTRIES.LIST>
+              <LEDGERNAME>${escape(line.ledger)}</LEDGERNAME>
+              <ISDEEMEDPOSITIVE>Yes</ISDEEMEDPOSITIVE>
+              <AMOUNT>-${line.amount.toFixed(2)}</AMOUNT>
+            </ALLLEDGERENTRIES.LIST>`).join('');
+
+    // Tally holds the overpayment as the party's advance, as the dashboard does
+    const billLines = [
+      { name: hint.bill_no, type: 'Agst Ref', amount: Math.round((total - overpaid) * 100) / 100 },
+      { name: null, type: 'On Account', amount: overpaid }
+    ].filter(line => line.amount > 0).map(line => `
+              <BILLALLOCATIONS.LIST>${line.name ? `
+                <NAME>${escape(line.name)}</NAME>` : ''}
+                <BILLTYPE>${line.type}</BILLTYPE>
+                <AMOUNT>${line.amount.toFixed(2)}</AMOUNT>
+              </BILLALLOCATIONS.LIST>`).join('');
+
+    return `<ENVELOPE>
+  <HEADER>
+    <TALLYREQUEST>Import Data</TALLYREQUEST>
+  </HEADER>
+  <BODY>
+    <IMPORTDATA>
+      <REQUESTDESC>
+        <REPORTNAME>Vouchers</REPORTNAME>
+        <STATICVARIABLES>
+          ${xmlConnector.companyVariable(company)}
+        </STATICVARIABLES>
+      </REQUESTDESC>
+      <REQUESTDATA>
+        <TALLYMESSAGE xmlns:UDF="TallyUDF">
+          <VOUCHER REMOTEID="dashboard-hint-${hint.id}" VCHTYPE="${escape(this.voucherType)}" ACTION="${action}" OBJVIEW="Accounting Voucher View">
+            <DATE>${hint.voucher_date}</DATE>
+            <VOUCHERTYPENAME>${escape(this.voucherType)}</VOUCHERTYPENAME>
+            <PARTYLEDGERNAME>${escape(hint.party_name)}</PARTYLEDGERNAME>
+            <NARRATION>${escape(narration)}</NARRATION>
+            <ALLLEDGERENTRIES.LIST>
+              <LEDGERNAME>${escape(hint.party_name)}</LEDGERNAME>
+              <ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
+              <ISPARTYLEDGER>Yes</ISPARTYLEDGER>
+              <AMOUNT>${total.toFixed(2)}</AMOUNT>${billLines}
+            </ALLLEDGERENTRIES.LIST>${debitLines}
+          </VOUCHER>
+        </TALLYMESSAGE>
+      </REQUESTDATA>
+    </IMPORTDATA>
+  </BODY>
+</ENVELOPE>`;
+  }
+
+  // Record the outcome of one posting attempt and return the updated hint
+  async recordAttempt(hintId, { status, voucherId = null, error = null }) {
+    const result = await pool.query(`
+      UPDATE payment_hint
+      SET tally_post_status = $2::varchar,
+          tally_voucher_id = COALESCE($3, tally_voucher_id),
+          tally_post_error = $4,
+          tally_post_attempts = tally_post_attempts + 1,
+          tally_posted_at = CASE WHEN $2 = 'POSTED' THEN CURRENT_TIMESTAMP ELSE tally_posted_at END
+      WHERE id = $1
+      RETURNING *
+    `, [hintId, status, voucherId, error]);
+
+    return result.rows[0];
+  }
+
+  // Send the hint's voucher with the given action and read Tally's import counts
+  async importVoucher(hint, action) {
+    const response = await xmlConnector.sendTallyRequest(this.buildVoucherXML(hint, action));
+    return tallyXMLParser.parseImportResult(response);
+  }
+
+  // Post one approved hint to Tally; failures are recorded on the hint, not thrown. Tally
+  // rejecting the voucher fails the posting; when Tally cannot be reached the hint stays
+  // PENDING for the next run
+  async post(hintId) {
+    const hintResult = await pool.query(`${HINT_QUERY} WHERE ph.id = $1`, [hintId]);
+    const hint = hintResult.rows[0];
+
+    if (!hint) {
+      return null;
+    }
+    if (!hint.approved_at) {
+      throw new Error('Payment hint is not approved');
+    }
+
+    if (this.totalOf(hint) <= 0) {
+      return this.recordAttempt(hint.id, { status: 'FAILED', error: 'Nothing collected on this payment hint' });
+    }
+    if (hint.bill_tally_status !== 'ACTIVE') {
+      return this.recordAttempt(hint.id, { status: 'FAILED', error: `Bill is ${hint.bill_tally_status.toLowerCase()} in Tally` });
+    }
+
+    try {
+      // A hint tried before may already be in Tally (Tally took it but the answer timed
+      // out, or it is a repost), so it is altered, and created only when Tally has none
+      let importResult = null;
+      if (hint.tally_post_attempts > 0 || hint.tally_voucher_id) {
+        importResult = await this.importVoucher(hint, 'Alter');
+        if (importResult.altered === 0 &&
+            (importResult.lineErrors.length === 0 || importResult.lineErrors.some(line => MISSING_VOUCHER.test(line)))) {
+          importResult = null;
+        }
+      }
+      if (!importResult) {
+        importResult = await this.importVoucher(hint, 'Create');
+      }
+
+      if (importResult.errors > 0 || importResult.lineErrors.length > 0 || importResult.created + importResult.altered === 0) {
+        const error = importResult.lineErrors.join('; ') || 'Tally did not import the voucher';
+        logger.warn(`Receipt for payment hint ${hint.id} (${hint.company_code} ${hint.bill_no}) rejected by Tally: ${error}`);
+        return this.recordAttempt(hint.id, { status: 'FAILED', error });
+      }
+
+      logger.info(`Posted receipt for ${hint.company_code} ${hint.bill_no} to Tally (voucher ${importResult.lastVoucherId})`);
+      return this.recordAttempt(hint.id, { status: 'POSTED', voucherId: importResult.lastVoucherId });
+
+    } catch (error) {
+      logger.warn(`Posting payment hint ${hint.id} to Tally failed, will retry: ${error.message}`);
+      return this.recordAttempt(hint.id, { status: 'PENDING', error: error.message });
+    }
+  }
+
+  // Post every approved hint in the given states (PENDING for the scheduled run,
+  // FAILED for an admin retry); returns { posted, failed, pending }, pending being
+  // those Tally could not be reached for
+  async postPending({ statuses = ['PENDING'], companyId = null } = {}) {
+    if (this.isPosting) {
+      logger.warn('Receipt posting already running, skipping');
+      return { posted: 0, failed: 0, pending: 0 };
+    }
+
+    this.isPosting = true;
+    const outcome = { posted: 0, failed: 0, pending: 0 };
+
+    try {
+      const pending = await pool.query(`
+        SELECT ph.id FROM payment_hint ph
+        JOIN bill b ON ph.company_id = b.company_id AND ph.bill_no = b.bill_no
+        WHERE ph.approved_at IS NOT NULL
+          AND ph.tally_post_status = ANY($1::varchar[])
+          AND b.tally_status = 'ACTIVE'
+          AND ($2::uuid IS NULL OR ph.company_id = $2)
+        ORDER BY ph.created_at
+      `, [statuses, companyId]);
+
+      for (const { id } of pending.rows) {
+        const hint = await this.post(id);
+        if (hint.tally_post_status === 'POSTED') {
+          outcome.posted++;
+        } else if (hint.tally_post_status === 'PENDING') {
+          outcome.pending++;
+        } else {
+          outcome.failed++;
+        }
+      }
+
+      if (pending.rows.length > 0) {
+        logger.info(`Receipt posting: ${outcome.posted} posted, ${outcome.failed} failed, ${outcome.pending} left pending`);
+      }
+      return outcome;
+
+    } finally {
+      this.isPosting = false;
+    }
+  }
+
+  // Approved hints and their posting state for the admin screen
+  async list({ companyId, status, date }) {
+    const params = [companyId];
+    let whereClause = 'WHERE ph.company_id = $1 AND ph.approved_at IS NOT NULL';
+
+    if (status) {
+      params.push(status);
+      whereClause += ` AND ph.tally_post_status = $${params.length}`;
+    }
+    if (date) {
+      params.push(date);
+      whereClause += ` AND DATE(ph.created_at) = $${params.length}`;
+    }
+
+    const result = await pool.query(`
+      ${HINT_QUERY}
+      ${whereClause}
+      ORDER BY ph.created_at DESC
+    `, params);
+
+    return result.rows;
+  }
+}
+
+module.exports = new ReceiptExportService();
@@ -0,0 +1,242 @@
+const { pool } = require('../config/database');
+const auditLog = require('./audit-log');
+const partyMatch = require('./party-match');
+const partyAdvance = require('./party-advance');
+
+// History of the bills receipts are mapped to here, whoever or whatever mapped them, and
+// undo. Each entry keeps the mapping before and after it: bill_reference and split rows
+class ReceiptMappingService {
+  // A receipt's current mapping, { bill_reference, allocations }; null when not found.
+  // Allocations from Tally are left out, they are not changed here
+  async snapshot(client, companyId, receiptId) {
+    const result = await client.query(`
+      SELECT
+        r.bill_reference,
+        COALESCE(
+          json_agg(json_build_object('bill_no', ra.bill_no, 'bill_type', ra.bill_type, 'amount', ra.amount, 'source', ra.source)
+                   ORDER BY ra.bill_no NULLS LAST) FILTER (WHERE ra.id IS NOT NULL),
+          '[]'
+        ) as allocations
+      FROM receipt r
+      LEFT JOIN receipt_allocation ra
+        ON ra.company_id = r.company_id AND ra.receipt_id = r.receipt_id AND ra.source <> 'TALLY'
+      WHERE r.company_id = $1 AND r.receipt_id = $2
+      GROUP BY r.bill_reference
+    `, [companyId, receiptId]);
+    return result.rows[0] || null;
+  }
+
+  // Whether two mappings ({ bill_reference, allocations }, from snapshot or a history
+  // entry) are the same
+  sameMapping(one, other) {
+    const signature = (mapping) => [
+      mapping.bill_reference || '',
+      ...mapping.allocations
+        .map(allocation => `${allocation.bill_type}|${allocation.bill_no}|${parseFloat(allocation.amount).toFixed(2)}|${allocation.source}`)
+        .sort()
+    ].join(';');
+    return signature(one) === signature(other);
+  }
+
+  // Store a mapping change from the snapshots before and after it
+  async record(client, { companyId, receiptId, method, before, after, ruleId = null, userId = null, reason = null, undoesId = null, affectedBills = [], partyAlias = null }) {
+    const result = await client.query(`
+      INSERT INTO receipt_mapping_history
+        (company_id, receipt_id, method, old_bill_no, new_bill_no, old_allocations, new_allocations,
+         mapping_rule_id, user_id, reason, undoes_id, affected_bills, party_alias)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `, [
+      companyId,
+      receiptId,
+      method,
+      before.bill_reference,
+      after.bill_reference,
+      JSON.stringify(before.allocations),
+      JSON.stringify(after.allocations),
+      ruleId,
+      userId,
+      reason,
+      undoesId,
+      affectedBills,
+      partyAlias && JSON.stringify(partyAlias)
+    ]);
+    return result.rows[0];
+  }
+
+  // Mapping changes of a receipt, newest first, with who or which rule made them
+  async history(companyId, receiptId) {
+    const result = await pool.query(`
+      SELECT h.*, u.username, u.full_name, m.name as rule_name
+      FROM receipt_mapping_history h
+      LEFT JOIN users u ON h.user_id = u.id
+      LEFT JOIN mapping_rule m ON h.mapping_rule_id = m.id
+      WHERE h.company_id = $1 AND h.receipt_id = $2
+      ORDER BY h.id DESC
+    `, [companyId, receiptId]);
+    return result.rows;
+  }
+
+  // Amount the receipt pays on each bill, as bill_status sees it
+  async applied(client, companyId, receiptId) {
+    const result = await client.query(
+      'SELECT bill_no, amount FROM receipt_applied WHERE company_id = $1 AND receipt_id = $2',
+      [companyId, receiptId]
+    );
+    return new Map(result.rows.map(row => [row.bill_no, parseFloat(row.amount)]));
+  }
+
+  // Revert the latest mapping made here, restoring the mapping before it; refused when
+  // Tally has changed the receipt's mapping since. Returns { found, reasons, entry,
+  // releasedBills }: releasedBills are bills that lost the receipt and had already been
+  // released
+  async undo(companyId, receiptId, reason, userId) {
+    if (!reason || !String(reason).trim()) {
+      return { found: true, reasons: ['A reason is required to undo a mapping'], entry: null, releasedBills: [] };
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const receipt = await client.query(`
+        SELECT receipt_id, party_name FROM receipt
+        WHERE company_id = $1 AND receipt_id = $2 AND tally_status = 'ACTIVE'
+        FOR UPDATE
+      `, [companyId, receiptId]);
+      if (receipt.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { found: false, reasons: [], entry: null, releasedBills: [] };
+      }
+
+      const refuse = async (message) => {
+        await client.query('ROLLBACK');
+        return { found: true, reasons: [message], entry: null, releasedBills: [] };
+      };
+
+      const tally = await client.query(`
+        SELECT 1 FROM receipt_allocation WHERE company_id = $1 AND receipt_id = $2 AND source = 'TALLY' LIMIT 1
+      `, [companyId, receiptId]);
+      if (tally.rows.length > 0) {
+        return refuse('Receipt is allocated in Tally; change the allocation there');
+      }
+
+      const latest = await client.query(`
+        SELECT * FROM receipt_mapping_history
+        WHERE company_id = $1 AND receipt_id = $2 AND method NOT IN ('UNDO', 'TALLY') AND undone_at IS NULL
+        ORDER BY id DESC
+        LIMIT 1
+      `, [companyId, receiptId]);
+      if (latest.rows.length === 0) {
+        return refuse('Receipt has no mapping to undo');
+      }
+
+      const target = latest.rows[0];
+      const before = await this.snapshot(client, companyId, receiptId);
+      if (!this.sameMapping(before, { bill_reference: target.new_bill_no, allocations: target.new_allocations })) {
+        return refuse(`Receipt's mapping has changed in Tally since the ${target.method.toLowerCase()} mapping; map it again instead of undoing`);
+      }
+      const paidBefore = await this.applied(client, companyId, receiptId);
+
+      // Undoing a mapping that kept money on account takes it off the party's advance, which
+      // may have settled bills since
+      const partyName = receipt.rows[0].party_name;
+      const settled = await partyAdvance.withdraw(client, companyId, partyName, async () => {
+        await client.query(`
+          DELETE FROM receipt_allocation WHERE company_id = $1 AND receipt_id = $2 AND source <> 'TALLY'
+        `, [companyId, receiptId]);
+        for (const allocation of target.old_allocations) {
+          await client.query(`
+            INSERT INTO receipt_allocation (company_id, receipt_id, bill_no, bill_type, amount, source)
+            VALUES ($1, $2, $3, $4, $5, $6)
+          `, [companyId, receiptId, allocation.bill_no, allocation.bill_type, allocation.amount, allocation.source]);
+        }
+        await client.query(`
+          UPDATE receipt SET bill_reference = $3, mapping_rule_id = NULL WHERE company_id = $1 AND receipt_id = $2
+        `, [companyId, receiptId, target.old_bill_no]);
+      });
+      if (settled > 0) {
+        return refuse(partyAdvance.settledReason(partyName, settled));
+      }
+      await client.query('UPDATE receipt_mapping_history SET undone_at = CURRENT_TIMESTAMP WHERE id = $1', [target.id]);
+
+      // The alias the mapping taught is taken back with it
+      const partyAlias = target.party_alias && await partyMatch.unlearn(companyId, target.party_alias, client);
+
+      // Bills now paid less by this receipt than under the mapping undone
+      const paidAfter = await this.applied(client, companyId, receiptId);
+      const affectedBills = [...paidBefore.keys()].filter(billNo => (paidAfter.get(billNo) || 0) < paidBefore.get(billNo));
+
+      const entry = await this.record(client, {
+        companyId,
+        receiptId,
+        method: 'UNDO',
+        before,
+        after: await this.snapshot(client, companyId, receiptId),
+        userId,
+        reason: String(reason).trim(),
+        undoesId: target.id,
+        affectedBills,
+        partyAlias
+      });
+      await auditLog.record({
+        tableName: 'receipt',
+        recordId: receiptId,
+        action: 'UNMAP',
+        oldValues: { bill_reference: before.bill_reference, allocations: before.allocations },
+        newValues: { bill_reference: target.old_bill_no, allocations: target.old_allocations, reason: entry.reason, undoes: target.method, alias: partyAlias || undefined },
+        userId
+      }, client);
+
+      const released = await client.query(`
+        SELECT bs.bill_no, bs.party_name, bs.remaining_due, rs.release_status, rs.release_ts
+        FROM bill_status bs
+        JOIN release_status rs ON bs.company_id = rs.company_id AND bs.bill_no = rs.bill_no
+        WHERE bs.company_id = $1 AND bs.bill_no = ANY($2) AND rs.release_status <> 'READY'
+        ORDER BY bs.bill_no
+      `, [companyId, affectedBills]);
+
+      await client.query('COMMIT');
+      return { found: true, reasons: [], entry, releasedBills: released.rows };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Bills released before a mapping they were paid by was undone, by the date of the undo
+  // (all companies when companyId is null)
+  async releasedAfterUndo(companyId, date) {
+    const result = await pool.query(`
+      SELECT
+        h.receipt_id,
+        h.reason,
+        h.created_at as undone_at,
+        u.full_name as undone_by_name,
+        bs.bill_no,
+        bs.party_name,
+        bs.bill_amount,
+        bs.remaining_due,
+        rs.release_status,
+        rs.release_ts
+      FROM receipt_mapping_history h
+      CROSS JOIN LATERAL unnest(h.affected_bills) as affected(bill_no)
+      JOIN bill_status bs ON bs.company_id = h.company_id AND bs.bill_no = affected.bill_no
+      JOIN release_status rs ON rs.company_id = h.company_id AND rs.bill_no = affected.bill_no
+      LEFT JOIN users u ON h.user_id = u.id
+      WHERE h.method = 'UNDO'
+        AND ($1::uuid IS NULL OR h.company_id = $1)
+        AND DATE(h.created_at) = $2
+        AND rs.release_status <> 'READY'
+        AND rs.release_ts <= h.created_at
+      ORDER BY h.created_at DESC, bs.bill_no
+    `, [companyId, date]);
+    return result.rows;
+  }
+}
+
+module.exports = new ReceiptMappingService();
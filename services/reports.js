@@ -4,6 +4,12 @@ const fs = require('fs');
 const path = require('path');
 const { pool } = require('../config/database');
 const logger = require('./logger');
+const voucherStatus = require('./voucher-status');
+const outstandingReconciliation = require('./outstanding-reconciliation');
+const billTax = require('./bill-tax');
+const syncHealth = require('./sync-health');
+const receiptMapping = require('./receipt-mapping');
+const cashCount = require('./cash-count');
 
 class ReportsService {
   constructor() {
@@ -17,10 +23,17 @@ class ReportsService {
     }
   }
 
-  // Generate EOD (End of Day) PDF Report
-  async generateEODPDF(businessDate, preparedBy) {
+  // File name for an EOD export; company reports carry the company code
+  eodFileName(businessDate, company, extension) {
+    const prefix = company ? `EOD_${company.code}_` : 'EOD_';
+    return `${prefix}${businessDate.replace(/-/g, '')}.${extension}`;
+  }
+
+  // Generate EOD (End of Day) PDF Report for one company, or all companies when none is given
+  async generateEODPDF(businessDate, preparedBy, company = null) {
     try {
-      const fileName = `EOD_${businessDate.replace(/-/g, '')}.pdf`;
+      const fileName = this.eodFileName(businessDate, company, 'pdf');
+      const companyId = company ? company.id : null;
       const filePath = path.join(this.reportsDir, fileName);
 
       const doc = new PDFDocument({ margin: 50, size: 'A4' });
@@ -33,6 +46,7 @@ class ReportsService {
       
       doc.fontSize(12).font('Helvetica');
       doc.text(`Business Date: ${businessDate}`, { align: 'center' });
+      doc.text(`Company: ${company ? company.name : 'All companies'}`, { align: 'center' });
       doc.text(`Generated: ${new Date().toLocaleString()}`, { align: 'center' });
       doc.text(`Prepared By: ${preparedBy}`, { align: 'center' });
       
@@ -41,25 +55,31 @@ class ReportsService {
       doc.moveDown(0.5);
 
       // 1. Bills Summary
-      await this.addBillsSummaryToPDF(doc, businessDate);
+      await this.addBillsSummaryToPDF(doc, businessDate, companyId);
       
       // 2. Cash Counter Summary
       await this.addCashSummaryToPDF(doc, businessDate);
       
       // 3. Receipts Summary
-      await this.addReceiptsSummaryToPDF(doc, businessDate);
+      await this.addReceiptsSummaryToPDF(doc, businessDate, companyId);
       
       // 4. Dispatch Summary
-      await this.addDispatchSummaryToPDF(doc, businessDate);
+      await this.addDispatchSummaryToPDF(doc, businessDate, companyId);
       
       // 5. Cheque Register
-      await this.addChequeRegisterToPDF(doc, businessDate);
+      await this.addChequeRegisterToPDF(doc, businessDate, companyId);
       
       // 6. Digital Payments
-      await this.addDigitalPaymentsToPDF(doc, businessDate);
+      await this.addDigitalPaymentsToPDF(doc, businessDate, companyId);
       
-      // 7. Exception Report
-      await this.addExceptionsToPDF(doc, businessDate);
+      // 7. Tally Outstanding Reconciliation
+      await this.addReconciliationToPDF(doc, businessDate, companyId);
+
+      // 8. Tax Summary
+      await this.addTaxSummaryToPDF(doc, businessDate, companyId);
+
+      // 9. Exception Report
+      await this.addExceptionsToPDF(doc, businessDate, companyId);
 
       doc.end();
       
@@ -71,7 +91,7 @@ class ReportsService {
     }
   }
 
-  async addBillsSummaryToPDF(doc, businessDate) {
+  async addBillsSummaryToPDF(doc, businessDate, companyId = null) {
     const summary = await pool.query(`
       SELECT 
         COUNT(*) as total_bills,
@@ -81,8 +101,8 @@ class ReportsService {
         COUNT(CASE WHEN status = 'DUE' THEN 1 END) as due_bills,
         SUM(remaining_due) as total_due
       FROM bill_status
-      WHERE bill_date = $1
-    `, [businessDate]);
+      WHERE bill_date = $1 AND ($2::uuid IS NULL OR company_id = $2)
+    `, [businessDate, companyId]);
 
     const data = summary.rows[0];
     
@@ -135,11 +155,25 @@ class ReportsService {
     doc.text(`Expected Cash: ₹${parseFloat(data.total_expected || 0).toFixed(2)}`, 300);
     doc.text(`Counted Cash: ₹${parseFloat(data.total_counted || 0).toFixed(2)}`, 70);
     doc.text(`Variance: ₹${parseFloat(data.total_variance || 0).toFixed(2)}`, 300);
+
+    // Notes and coins counted at opening and close, for sessions that recorded them
+    const denominations = await cashCount.dayBreakdown(businessDate);
+    if (denominations.length > 0) {
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').text('Denominations (opening float / close count):', 70);
+      doc.font('Helvetica');
+      for (const row of denominations) {
+        const count = (quantity, amount) => row.denomination === 'COINS'
+          ? `₹${parseFloat(amount).toFixed(2)}`
+          : `${quantity || 0} (₹${parseFloat(amount).toFixed(2)})`;
+        doc.text(`${cashCount.label(row.denomination)}: ${count(row.open_quantity, row.open_amount)} / ${count(row.close_quantity, row.close_amount)}`, 90);
+      }
+    }
     
     doc.moveDown(1);
   }
 
-  async addReceiptsSummaryToPDF(doc, businessDate) {
+  async addReceiptsSummaryToPDF(doc, businessDate, companyId = null) {
     const summary = await pool.query(`
       SELECT 
         COUNT(*) as total_receipts,
@@ -151,8 +185,8 @@ class ReportsService {
         COUNT(CASE WHEN mode = 'DIGITAL' THEN 1 END) as digital_count,
         SUM(CASE WHEN mode = 'DIGITAL' THEN amount ELSE 0 END) as digital_amount
       FROM receipt
-      WHERE receipt_date = $1
-    `, [businessDate]);
+      WHERE receipt_date = $1 AND ($2::uuid IS NULL OR company_id = $2)
+    `, [businessDate, companyId]);
 
     const data = summary.rows[0];
     
@@ -170,7 +204,7 @@ class ReportsService {
     doc.moveDown(1);
   }
 
-  async addDispatchSummaryToPDF(doc, businessDate) {
+  async addDispatchSummaryToPDF(doc, businessDate, companyId = null) {
     const summary = await pool.query(`
       SELECT 
         COUNT(CASE WHEN rs.release_status = 'READY' THEN 1 END) as ready_count,
@@ -179,9 +213,9 @@ class ReportsService {
         COUNT(CASE WHEN rs.release_status = 'DELIVERED' THEN 1 END) as delivered,
         COUNT(CASE WHEN bs.remaining_due > 0 THEN 1 END) as flagged_releases
       FROM bill_status bs
-      LEFT JOIN release_status rs ON bs.bill_no = rs.bill_no
-      WHERE bs.bill_date = $1
-    `, [businessDate]);
+      LEFT JOIN release_status rs ON bs.company_id = rs.company_id AND bs.bill_no = rs.bill_no
+      WHERE bs.bill_date = $1 AND ($2::uuid IS NULL OR bs.company_id = $2)
+    `, [businessDate, companyId]);
 
     const data = summary.rows[0];
     
@@ -199,7 +233,7 @@ class ReportsService {
     doc.moveDown(1);
   }
 
-  async addChequeRegisterToPDF(doc, businessDate) {
+  async addChequeRegisterToPDF(doc, businessDate, companyId = null) {
     const cheques = await pool.query(`
       SELECT 
         cr.cheque_no,
@@ -208,10 +242,10 @@ class ReportsService {
         cr.status,
         b.party_name
       FROM cheque_register cr
-      JOIN bill b ON cr.bill_no = b.bill_no
-      WHERE b.bill_date = $1
+      JOIN bill b ON cr.company_id = b.company_id AND cr.bill_no = b.bill_no
+      WHERE b.bill_date = $1 AND ($2::uuid IS NULL OR b.company_id = $2)
       ORDER BY cr.created_at
-    `, [businessDate]);
+    `, [businessDate, companyId]);
 
     doc.fontSize(14).font('Helvetica-Bold');
     doc.text('5. CHEQUE REGISTER', 50, doc.y);
@@ -247,7 +281,7 @@ class ReportsService {
     doc.moveDown(1);
   }
 
-  async addDigitalPaymentsToPDF(doc, businessDate) {
+  async addDigitalPaymentsToPDF(doc, businessDate, companyId = null) {
     const digital = await pool.query(`
       SELECT 
         dpr.method,
@@ -256,10 +290,10 @@ class ReportsService {
         dpr.status,
         b.party_name
       FROM digital_payment_ref dpr
-      JOIN bill b ON dpr.bill_no = b.bill_no
-      WHERE b.bill_date = $1
+      JOIN bill b ON dpr.company_id = b.company_id AND dpr.bill_no = b.bill_no
+      WHERE b.bill_date = $1 AND ($2::uuid IS NULL OR b.company_id = $2)
       ORDER BY dpr.created_at
-    `, [businessDate]);
+    `, [businessDate, companyId]);
 
     doc.fontSize(14).font('Helvetica-Bold');
     doc.text('6. DIGITAL PAYMENTS', 50, doc.y);
@@ -280,31 +314,172 @@ class ReportsService {
     doc.moveDown(1);
   }
 
-  async addExceptionsToPDF(doc, businessDate) {
+  async addReconciliationToPDF(doc, businessDate, companyId = null) {
+    const { runs, mismatches, byType } = await outstandingReconciliation.report(companyId, businessDate);
+
+    doc.fontSize(14).font('Helvetica-Bold');
+    doc.text('7. TALLY OUTSTANDING RECONCILIATION', 50, doc.y);
+    doc.moveDown(0.5);
+
+    doc.fontSize(10).font('Helvetica');
+    if (runs.length === 0) {
+      doc.text('Not reconciled against Tally for this date', 70);
+      doc.moveDown(1);
+      return;
+    }
+
+    for (const run of runs) {
+      if (run.status === 'FAILED') {
+        doc.text(`${run.company_code}: could not read Tally (${run.error_text})`, 70);
+        continue;
+      }
+      doc.text(`${run.company_code}: Tally ₹${parseFloat(run.tally_outstanding).toFixed(2)} / Dashboard ₹${parseFloat(run.dashboard_outstanding).toFixed(2)} outstanding, ${run.mismatch_count} mismatch(es)`, 70);
+    }
+
+    doc.text(`Missing Bills: ${byType.MISSING_BILL || 0}`, 70);
+    doc.text(`Amount Differs: ${byType.AMOUNT_DIFFERS || 0}`, 300);
+    doc.text(`Paid in Tally, Due Here: ${byType.PAID_IN_TALLY || 0}`, 70);
+    doc.text(`Due in Tally, Paid Here: ${byType.DUE_IN_TALLY || 0}`, 300);
+
+    // Largest differences first
+    if (mismatches.length > 0) {
+      doc.moveDown(0.5);
+      doc.fontSize(9).font('Helvetica');
+
+      // Table header
+      doc.text('Bill No', 70, doc.y);
+      doc.text('Party', 170, doc.y);
+      doc.text('Issue', 300, doc.y);
+      doc.text('Tally', 400, doc.y);
+      doc.text('Dashboard', 470, doc.y);
+      doc.moveDown(0.3);
+
+      doc.moveTo(70, doc.y).lineTo(545, doc.y).stroke();
+      doc.moveDown(0.3);
+
+      for (const mismatch of mismatches.slice(0, 15)) {
+        doc.text(mismatch.bill_no, 70, doc.y);
+        doc.text((mismatch.party_name || '').substring(0, 20), 170, doc.y);
+        doc.text(mismatch.mismatch_type.replace(/_/g, ' '), 300, doc.y);
+        doc.text(mismatch.tally_pending === null ? '-' : `₹${parseFloat(mismatch.tally_pending).toFixed(2)}`, 400, doc.y);
+        doc.text(mismatch.dashboard_due === null ? '-' : `₹${parseFloat(mismatch.dashboard_due).toFixed(2)}`, 470, doc.y);
+        doc.moveDown(0.3);
+      }
+      if (mismatches.length > 15) {
+        doc.text(`... and ${mismatches.length - 15} more`, 70);
+      }
+    }
+
+    doc.moveDown(1);
+  }
+
+  async addTaxSummaryToPDF(doc, businessDate, companyId = null) {
+    const { byPlaceOfSupply, totals, withoutBreakdown } = await billTax.summary(companyId, businessDate);
+
+    doc.fontSize(14).font('Helvetica-Bold');
+    doc.text('8. TAX SUMMARY', 50, doc.y);
+    doc.moveDown(0.5);
+
+    doc.fontSize(10).font('Helvetica');
+    doc.text(`Bills: ${totals.bill_count}`, 70);
+    doc.text(`Taxable Value: ₹${totals.taxable_value.toFixed(2)}`, 300);
+    doc.text(`CGST: ₹${totals.cgst_amount.toFixed(2)}`, 70);
+    doc.text(`SGST/UTGST: ₹${totals.sgst_amount.toFixed(2)}`, 300);
+    doc.text(`IGST: ₹${totals.igst_amount.toFixed(2)}`, 70);
+    doc.text(`Cess: ₹${totals.cess_amount.toFixed(2)}`, 300);
+    doc.text(`Round Off: ₹${totals.round_off.toFixed(2)}`, 70);
+    doc.text(`Invoice Value: ₹${totals.bill_amount.toFixed(2)}`, 300);
+    if (withoutBreakdown > 0) {
+      doc.text(`Bills without a tax breakdown: ${withoutBreakdown}`, 70);
+    }
+
+    if (byPlaceOfSupply.length > 0) {
+      doc.moveDown(0.5);
+      doc.fontSize(9).font('Helvetica');
+
+      // Table header
+      doc.text('Place of Supply', 70, doc.y);
+      doc.text('Bills (B2B)', 190, doc.y);
+      doc.text('Taxable', 260, doc.y);
+      doc.text('CGST+SGST', 340, doc.y);
+      doc.text('IGST', 420, doc.y);
+      doc.text('Cess', 480, doc.y);
+      doc.moveDown(0.3);
+
+      doc.moveTo(70, doc.y).lineTo(545, doc.y).stroke();
+      doc.moveDown(0.3);
+
+      for (const row of byPlaceOfSupply) {
+        doc.text((row.place_of_supply || 'Not set').substring(0, 20), 70, doc.y);
+        doc.text(`${row.bill_count} (${row.b2b_count})`, 190, doc.y);
+        doc.text(`₹${parseFloat(row.taxable_value).toFixed(2)}`, 260, doc.y);
+        doc.text(`₹${(parseFloat(row.cgst_amount) + parseFloat(row.sgst_amount)).toFixed(2)}`, 340, doc.y);
+        doc.text(`₹${parseFloat(row.igst_amount).toFixed(2)}`, 420, doc.y);
+        doc.text(`₹${parseFloat(row.cess_amount).toFixed(2)}`, 480, doc.y);
+        doc.moveDown(0.3);
+      }
+    }
+
+    doc.moveDown(1);
+  }
+
+  async addExceptionsToPDF(doc, businessDate, companyId = null) {
     // Get various exceptions
     const unmatched = await pool.query(`
-      SELECT COUNT(*) as count FROM receipt 
-      WHERE receipt_date = $1 AND bill_reference IS NULL
-    `, [businessDate]);
+      SELECT COUNT(*) as count
+      FROM receipt r
+      JOIN receipt_balance rb ON r.company_id = rb.company_id AND r.receipt_id = rb.receipt_id
+      WHERE r.receipt_date = $1 AND rb.unallocated_amount > 0 AND ($2::uuid IS NULL OR r.company_id = $2)
+    `, [businessDate, companyId]);
 
     const dueReleases = await pool.query(`
       SELECT COUNT(*) as count 
       FROM bill_status bs
       JOIN (
-        SELECT bill_no FROM release_self 
+        SELECT company_id, bill_no FROM release_self 
         UNION ALL 
-        SELECT bill_no FROM release_transporter
-      ) r ON bs.bill_no = r.bill_no
-      WHERE bs.bill_date = $1 AND bs.remaining_due > 0
-    `, [businessDate]);
+        SELECT company_id, bill_no FROM release_transporter
+      ) r ON bs.company_id = r.company_id AND bs.bill_no = r.bill_no
+      WHERE bs.bill_date = $1 AND bs.remaining_due > 0 AND ($2::uuid IS NULL OR bs.company_id = $2)
+    `, [businessDate, companyId]);
+
+    const voidedBills = await voucherStatus.voidedWithActivity(companyId, businessDate);
+    const syncAlerts = await syncHealth.alerts(companyId, businessDate);
+    const undoneReleases = await receiptMapping.releasedAfterUndo(companyId, businessDate);
+
+    const staleReleases = await pool.query(`
+      SELECT COUNT(*) as count
+      FROM bill b
+      JOIN (
+        SELECT company_id, bill_no FROM release_self WHERE sync_stale
+        UNION ALL
+        SELECT company_id, bill_no FROM release_transporter WHERE sync_stale
+      ) r ON b.company_id = r.company_id AND b.bill_no = r.bill_no
+      WHERE b.bill_date = $1 AND ($2::uuid IS NULL OR b.company_id = $2)
+    `, [businessDate, companyId]);
 
     doc.fontSize(14).font('Helvetica-Bold');
-    doc.text('7. EXCEPTIONS REPORT', 50, doc.y);
+    doc.text('9. EXCEPTIONS REPORT', 50, doc.y);
     doc.moveDown(0.5);
     
     doc.fontSize(10).font('Helvetica');
     doc.text(`Unmatched Receipts: ${unmatched.rows[0].count}`, 70);
     doc.text(`Due Releases (Outstanding): ${dueReleases.rows[0].count}`, 70);
+    doc.text(`Bills Voided in Tally with Activity: ${voidedBills.length}`, 70);
+    doc.text(`Stale Tally Sync Alerts: ${syncAlerts.length}`, 70);
+    doc.text(`Releases with Dues While Sync Was Stale: ${staleReleases.rows[0].count}`, 70);
+
+    for (const alert of syncAlerts) {
+      doc.text(`  ${alert.company_code} ${alert.entity}: raised ${new Date(alert.raised_at).toLocaleTimeString()}, ` +
+        `${alert.cleared_at ? `cleared ${new Date(alert.cleared_at).toLocaleTimeString()}` : 'still open'}` +
+        `${alert.last_error ? ` (${alert.last_error})` : ''}`, 70);
+    }
+
+    doc.text(`Released Bills with a Receipt Mapping Undone: ${undoneReleases.length}`, 70);
+    for (const release of undoneReleases) {
+      doc.text(`  ${release.bill_no} (${release.party_name}): receipt ${release.receipt_id} unmapped by ` +
+        `${release.undone_by_name || 'unknown'}, due now ₹${parseFloat(release.remaining_due).toFixed(2)} - ${release.reason}`, 70);
+    }
     
     doc.moveDown(2);
     
@@ -319,10 +494,10 @@ class ReportsService {
     doc.text('Date: ________________', 350);
   }
 
-  // Generate EOD CSV Export
-  async generateEODCSV(businessDate) {
+  // Generate EOD CSV Export for one company, or all companies when none is given
+  async generateEODCSV(businessDate, company = null) {
     try {
-      const fileName = `EOD_${businessDate.replace(/-/g, '')}.csv`;
+      const fileName = this.eodFileName(businessDate, company, 'csv');
       const filePath = path.join(this.reportsDir, fileName);
 
       // Get comprehensive data
@@ -333,8 +508,17 @@ class ReportsService {
           bs.party_name,
           bs.bill_amount,
           bs.receipt_total,
+          bs.adjustment_total,
           bs.remaining_due,
           bs.status as bill_status,
+          bt.taxable_value,
+          bt.cgst_amount,
+          bt.sgst_amount,
+          bt.igst_amount,
+          bt.cess_amount,
+          bt.round_off,
+          bt.place_of_supply,
+          COALESCE(bt.party_gstin, p.gstin) as party_gstin,
           ph.cash_amt,
           ph.cheque_amt,
           ph.digital_amt,
@@ -346,13 +530,16 @@ class ReportsService {
           END as release_type,
           COALESCE(rs.released_ts, rt.pickup_ts) as release_time
         FROM bill_status bs
-        LEFT JOIN payment_hint ph ON bs.bill_no = ph.bill_no
+        JOIN bill b ON bs.company_id = b.company_id AND bs.bill_no = b.bill_no
+        LEFT JOIN party p ON b.party_id = p.id
+        LEFT JOIN bill_tax bt ON bs.company_id = bt.company_id AND bs.bill_no = bt.bill_no
+        LEFT JOIN payment_hint ph ON bs.company_id = ph.company_id AND bs.bill_no = ph.bill_no
         LEFT JOIN users u ON ph.cashier_id = u.id
-        LEFT JOIN release_self rs ON bs.bill_no = rs.bill_no
-        LEFT JOIN release_transporter rt ON bs.bill_no = rt.bill_no
-        WHERE bs.bill_date = $1
+        LEFT JOIN release_self rs ON bs.company_id = rs.company_id AND bs.bill_no = rs.bill_no
+        LEFT JOIN release_transporter rt ON bs.company_id = rt.company_id AND bs.bill_no = rt.bill_no
+        WHERE bs.bill_date = $1 AND ($2::uuid IS NULL OR bs.company_id = $2)
         ORDER BY bs.bill_no
-      `, [businessDate]);
+      `, [businessDate, company ? company.id : null]);
 
       const csvWriter = createCsvWriter({
         path: filePath,
@@ -361,8 +548,17 @@ class ReportsService {
           { id: 'party_name', title: 'Party Name' },
           { id: 'bill_amount', title: 'Bill Amount' },
           { id: 'receipt_total', title: 'Receipt Total' },
+          { id: 'adjustment_total', title: 'Adjustments' },
           { id: 'remaining_due', title: 'Remaining Due' },
           { id: 'bill_status', title: 'Status' },
+          { id: 'party_gstin', title: 'Party GSTIN' },
+          { id: 'place_of_supply', title: 'Place of Supply' },
+          { id: 'taxable_value', title: 'Taxable Value' },
+          { id: 'cgst_amount', title: 'CGST' },
+          { id: 'sgst_amount', title: 'SGST/UTGST' },
+          { id: 'igst_amount', title: 'IGST' },
+          { id: 'cess_amount', title: 'Cess' },
+          { id: 'round_off', title: 'Round Off' },
           { id: 'cash_amt', title: 'Cash Amount' },
           { id: 'cheque_amt', title: 'Cheque Amount' },
           { id: 'digital_amt', title: 'Digital Amount' },
@@ -0,0 +1,697 @@
+const cron = require('node-cron');
+const { pool } = require('../config/database');
+const logger = require('./logger');
+const syncWatermark = require('./sync-watermark');
+const syncRun = require('./sync-run');
+const partyService = require('./party');
+const companyService = require('./company');
+const voucherStatus = require('./voucher-status');
+const tallyStaging = require('./tally-staging');
+const voucherTypeMap = require('./voucher-type-map');
+const receiptAllocation = require('./receipt-allocation');
+const partyMatch = require('./party-match');
+const mappingRule = require('./mapping-rule');
+const receiptMapping = require('./receipt-mapping');
+const partyAdvance = require('./party-advance');
+const syncHealth = require('./sync-health');
+const xmlConnector = require('./connectors/xml-connector');
+const odbcConnector = require('./connectors/odbc-connector');
+const fileConnector = require('./connectors/file-connector');
+
+// Synced entities with their watermark, staged document and connector fetch method; the
+// Tally voucher types read for each come from the voucher type map
+const ENTITIES = {
+  parties: { watermark: 'Ledger' },
+  bills: { watermark: 'Sales', document: 'bill', fetch: 'fetchBills' },
+  receipts: { watermark: 'Receipt', document: 'receipt', fetch: 'fetchReceipts' },
+  adjustments: { watermark: 'Adjustment', document: 'adjustment', fetch: 'fetchAdjustments' }
+};
+
+// Entities whose failure is logged without failing the cycle, so bills and receipts
+// keep syncing (adjustments need bill allocations, which only some connectors read)
+const OPTIONAL_ENTITIES = ['parties', 'adjustments'];
+
+// The one Tally sync: pulls each entity through its configured connectors (XML API,
+// ODBC or exported files), stages and promotes the rows, advances watermarks,
+// checks for deletions, auto-maps receipts and posts approved collections back.
+class SyncEngine {
+  constructor() {
+    this.connectors = { xml: xmlConnector, odbc: odbcConnector, file: fileConnector };
+    this.defaultOrder = this.parseOrder(process.env.TALLY_CONNECTORS || 'xml,odbc');
+    this.syncInterval = parseInt(process.env.SYNC_INTERVAL_SECONDS) || 30;
+    // A connector that failed is tried last until this much time has passed
+    this.failoverRetryMs = (parseInt(process.env.TALLY_FAILOVER_RETRY_MINUTES) || 15) * 60 * 1000;
+    // Days back from today checked for vouchers deleted in Tally
+    this.reconcileDays = parseInt(process.env.TALLY_RECONCILE_DAYS) || 7;
+    // Voucher types are read from Tally again after this long (per company)
+    this.voucherTypeRefreshMs = (parseInt(process.env.TALLY_VOUCHER_TYPE_REFRESH_MINUTES) || 60) * 60 * 1000;
+    this.voucherTypesReadAt = new Map();
+    // Last failure per entity and connector ("bills:xml" -> { failedAt, error })
+    this.failures = new Map();
+    this.isRunning = false;
+    this.lastSyncTime = null;
+    this.cycleStartedAt = null;
+    this.task = null;
+  }
+
+  get entities() {
+    return Object.keys(ENTITIES);
+  }
+
+  // Known connector names from a comma-separated list or array, in order
+  parseOrder(value) {
+    const names = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(names.map(name => String(name).trim().toLowerCase()))]
+      .filter(name => this.connectors[name]);
+  }
+
+  // Connector order per entity: the sync_connector table, else TALLY_CONNECTORS
+  async connectorOrders() {
+    const orders = {};
+    for (const entity of this.entities) {
+      orders[entity] = this.defaultOrder;
+    }
+
+    const result = await pool.query('SELECT entity, connectors FROM sync_connector');
+    for (const row of result.rows) {
+      const order = this.parseOrder(row.connectors);
+      if (order.length > 0) {
+        orders[row.entity] = order;
+      }
+    }
+    return orders;
+  }
+
+  // Set the connector order for one entity (first preferred, the rest failovers)
+  async setConnectorOrder(entity, connectors) {
+    if (!ENTITIES[entity]) {
+      throw new Error(`Unknown sync entity: ${entity}`);
+    }
+
+    const unknown = (connectors || []).filter(name => !this.connectors[name]);
+    const order = this.parseOrder(connectors || []);
+    if (unknown.length > 0 || order.length === 0) {
+      throw new Error(`Connectors must be one or more of: ${Object.keys(this.connectors).join(', ')}`);
+    }
+
+    await pool.query(`
+      INSERT INTO sync_connector (entity, connectors, updated_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (entity)
+      DO UPDATE SET connectors = EXCLUDED.connectors, updated_at = CURRENT_TIMESTAMP
+    `, [entity, order]);
+
+    logger.info(`Connector order for ${entity} set to ${order.join(', ')}`);
+    return order;
+  }
+
+  // Connectors to try for an entity and company: the configured order, with any that
+  // failed recently moved to the end so the next one takes over until the retry is due
+  candidates(entity, order, company) {
+    const usable = order.map(name => this.connectors[name])
+      .filter(connector => connector.serves(company) && connector.syncs(entity));
+    const healthy = usable.filter(connector => !this.isFailing(entity, connector.name));
+    const failing = usable.filter(connector => this.isFailing(entity, connector.name));
+    return [...healthy, ...failing];
+  }
+
+  isFailing(entity, name) {
+    const failure = this.failures.get(`${entity}:${name}`);
+    return Boolean(failure && Date.now() - failure.failedAt < this.failoverRetryMs);
+  }
+
+  // Sync one entity for a company; returns the number of promoted rows
+  async syncEntity(entity, counts = syncRun.newCounts(), company = null) {
+    const { count } = await this.pullEntity(entity, counts, company);
+    return count;
+  }
+
+  // Sync one entity, failing over through its connectors; returns the promoted
+  // count and the connector that served it (null when none of them reads the entity)
+  async pullEntity(entity, counts = syncRun.newCounts(), company = null, order = null) {
+    if (!ENTITIES[entity]) {
+      throw new Error(`Unknown sync entity: ${entity}`);
+    }
+
+    company = company || await companyService.getDefault();
+    order = order || (await this.connectorOrders())[entity];
+    const candidates = this.candidates(entity, order, company);
+
+    if (candidates.length === 0) {
+      // Such as adjustments over ODBC alone: skipped rather than failed every cycle, and
+      // left out of sync health so it raises no stale alert
+      if (!order.some(name => this.connectors[name].syncs(entity))) {
+        logger.info(`No configured connector (${order.join(', ')}) reads ${entity}; skipped (${company.code})`);
+        await syncHealth.forget(company.id, entity);
+        return { count: 0, connector: null };
+      }
+      throw new Error(`No configured connector (${order.join(', ')}) can sync ${entity} for ${company.code}`);
+    }
+
+    const errors = [];
+    for (const connector of candidates) {
+      const key = `${entity}:${connector.name}`;
+      try {
+        const count = await this.pull(connector, entity, company, counts);
+        if (this.failures.has(key)) {
+          logger.info(`The ${connector.name} connector is syncing ${entity} again`);
+          this.failures.delete(key);
+        }
+        await syncHealth.recordSuccess(company.id, entity);
+        return { count, connector: connector.name };
+      } catch (error) {
+        logger.error(`Syncing ${entity} via ${connector.name} failed (${company.code}):`, error);
+        this.failures.set(key, { failedAt: Date.now(), error: error.message });
+        errors.push(`${connector.name}: ${error.message}`);
+      }
+    }
+
+    const error = new Error(`Could not sync ${entity} for ${company.code} (${errors.join('; ')})`);
+    await syncHealth.recordFailure(company.id, entity, error);
+    throw error;
+  }
+
+  // Read the company's voucher types from Tally into the voucher type map, at most once
+  // per refresh interval unless forced; the types already stored are used when no
+  // connector can list them. Returns the types read, or null
+  async discoverVoucherTypes(company, orders = null, force = false) {
+    const readAt = this.voucherTypesReadAt.get(company.id);
+    if (!force && readAt && Date.now() - readAt < this.voucherTypeRefreshMs) {
+      return null;
+    }
+
+    orders = orders || await this.connectorOrders();
+    for (const connector of this.candidates('bills', orders.bills, company)) {
+      try {
+        const voucherTypes = await connector.fetchVoucherTypes(company);
+        const added = await voucherTypeMap.saveDiscovered(company.id, voucherTypes);
+        this.voucherTypesReadAt.set(company.id, Date.now());
+        if (added > 0) {
+          logger.info(`Found ${added} new voucher type(s) in Tally (${company.code})`);
+        }
+        return voucherTypes;
+      } catch (error) {
+        logger.warn(`Reading voucher types via ${connector.name} failed (${company.code}): ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  // Fetch an entity through one connector, page by page for connectors that page.
+  // With a period ({ fromDate, toDate, voucherTypes }) only vouchers dated in it are
+  // read, from the first AlterID, and the watermark is left to the regular sync
+  async pull(connector, entity, company, counts, period = null) {
+    const { watermark } = ENTITIES[entity];
+    let lastAlterId = period ? 0 : (await syncWatermark.get(watermark, company.code)).lastAlterId;
+
+    if (entity === 'parties') {
+      const { ledgers, groups } = await connector.fetchParties(company, { afterAlterId: lastAlterId });
+      if (ledgers.length === 0) {
+        logger.info(`No party ledger changes to sync from Tally (${company.code})`);
+        return 0;
+      }
+      return partyService.saveLedgers(ledgers, groups, counts, company);
+    }
+
+    const mapping = await voucherTypeMap.forCompany(company.id);
+    const voucherTypes = mapping.byEntity[entity];
+    if (voucherTypes.length === 0) {
+      logger.info(`No voucher types are mapped to ${entity} (${company.code})`);
+      return 0;
+    }
+
+    let syncedCount = 0;
+    while (true) {
+      const rows = await connector[ENTITIES[entity].fetch](company, {
+        afterAlterId: lastAlterId, voucherTypes, kinds: mapping.kinds, ...period
+      });
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      syncedCount += await this.load(entity, connector, company, rows, counts, { advanceWatermark: !period });
+
+      // Stop on a short page, or if the connector did not return AlterIDs to page by
+      const { alterId } = syncWatermark.highestIds(rows);
+      if (!connector.pageSize || rows.length < connector.pageSize || alterId === 0) {
+        break;
+      }
+      lastAlterId = Math.max(lastAlterId, alterId);
+    }
+
+    if (syncedCount === 0) {
+      logger.info(`No new ${entity} to sync from Tally (${company.code})`);
+    }
+    return syncedCount;
+  }
+
+  // Stage and promote one batch and advance the watermark in one transaction
+  async load(entity, connector, company, rows, counts, { advanceWatermark = true } = {}) {
+    const { document, watermark } = ENTITIES[entity];
+    const client = await pool.connect();
+    const batchCounts = syncRun.newCounts();
+
+    try {
+      await client.query('BEGIN');
+
+      // Rows are staged and validated; invalid ones are quarantined rather than failing the batch
+      const { promoted, quarantined } = await tallyStaging.load(client, {
+        companyId: company.id, companyCode: company.code, document, source: connector.name, rows, counts: batchCounts
+      });
+
+      if (advanceWatermark) {
+        const { alterId, masterId } = syncWatermark.highestIds(rows);
+        await syncWatermark.advance(client, watermark, alterId, masterId, company.code);
+      }
+
+      await client.query('COMMIT');
+      syncRun.mergeCounts(counts, batchCounts);
+      logger.info(`Synced ${promoted} ${entity} via ${connector.name} (${company.code})${quarantined > 0 ? `, ${quarantined} quarantined` : ''}`);
+      return promoted;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      counts.failed += rows.length;
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Find bills, receipts and adjustments deleted in Tally: list every voucher dated in the last
+  // reconcileDays and mark held documents that Tally no longer returns. Deletions
+  // never show up as altered vouchers, so this needs a connector that lists vouchers
+  async reconcileWindow(company = null, entities = {}, orders = null) {
+    let changedCount = 0;
+
+    try {
+      company = company || await companyService.getDefault();
+      orders = orders || await this.connectorOrders();
+      const to = new Date();
+      const from = new Date(to.getTime() - this.reconcileDays * 24 * 60 * 60 * 1000);
+      const fromDate = from.toISOString().split('T')[0];
+      const toDate = to.toISOString().split('T')[0];
+
+      const mapping = await voucherTypeMap.forCompany(company.id);
+
+      for (const entity of this.entities.filter(name => ENTITIES[name].document)) {
+        const { document } = ENTITIES[entity];
+        const connector = this.candidates(entity, orders[entity], company)
+          .find(candidate => candidate.capabilities.listsVouchers);
+        if (!connector) {
+          continue;
+        }
+
+        // Adjustments are held per voucher type; bills and receipts of every type mapped
+        // to them share one table, so their numbers are checked together
+        const voucherTypes = mapping.byEntity[entity];
+        const groups = document === 'adjustment' ? voucherTypes.map(type => [type]) : [voucherTypes];
+
+        for (const types of groups.filter(group => group.length > 0)) {
+          const seenNumbers = [];
+          for (const voucherType of types) {
+            seenNumbers.push(...await connector.listVoucherNumbers(company, voucherType, fromDate, toDate));
+          }
+          const typed = document === 'adjustment' ? types[0] : null;
+
+          // An empty answer for a window we hold documents in is more likely a wrong
+          // company or period in Tally than a mass deletion
+          if (seenNumbers.length === 0 && await voucherStatus.countActive(document, company.id, fromDate, toDate, typed) > 0) {
+            logger.warn(`Tally returned no ${types.join('/')} vouchers for ${fromDate}..${toDate} (${company.code}), skipping deletion check`);
+            continue;
+          }
+
+          const result = await voucherStatus.reconcileWindow(document, company.id, { fromDate, toDate, seenNumbers, voucherType: typed });
+          const changed = result.missing.length + result.revived.length;
+          if (entities[entity]) {
+            entities[entity].updated += changed;
+          }
+          changedCount += changed;
+        }
+      }
+
+      return changedCount;
+
+    } catch (error) {
+      logger.error('Voucher window check failed:', error);
+      return changedCount;
+    }
+  }
+
+  // Auto-map receipts to bills using FIFO logic (fallback for receipts Tally gave no bill
+  // allocation). A receipt that fits in the party's oldest due bill is mapped to it; a
+  // larger one is split across the due bills oldest-first, the remainder kept on account.
+  // The party is matched by name, learned alias or normalized name (see party-match); tied
+  // or unsure matches are left unmatched. A known party with nothing due, and no bills due
+  // under a similar name, gets the receipt on account. The company's mapping rules are
+  // tried first, and the rule that maps a receipt is recorded on it
+  async autoMapReceipts() {
+    const client = await pool.connect();
+
+    try {
+      const rules = new Map();
+      let mappedCount = 0;
+
+      for (const receipt of await mappingRule.unmapped(null, client)) {
+        if (!rules.has(receipt.company_id)) {
+          rules.set(receipt.company_id, await mappingRule.active(receipt.company_id, client));
+        }
+
+        const ruled = await mappingRule.evaluate(client, rules.get(receipt.company_id), receipt);
+        if (ruled) {
+          // What the receipt pays over the bill's due is kept on account, as FIFO does
+          const apply = parseFloat(receipt.amount) > ruled.remainingDue
+            ? () => receiptAllocation.split(
+              client, receipt.company_id, receipt.receipt_id,
+              receiptAllocation.fifo([{ bill_no: ruled.billNo, remaining_due: ruled.remainingDue }], parseFloat(receipt.amount)),
+              'RULE', null, ruled.rule.id
+            )
+            : () => client.query(`
+              UPDATE receipt
+              SET bill_reference = $1, mapping_rule_id = $4
+              WHERE company_id = $3 AND receipt_id = $2
+            `, [ruled.billNo, receipt.receipt_id, receipt.company_id, ruled.rule.id]);
+
+          const mapped = await this.recordMapping(client, receipt, 'RULE', ruled.rule.id, apply);
+          if (!mapped) continue;
+
+          logger.info(`Mapped receipt ${receipt.receipt_id} to bill ${ruled.billNo} by rule "${ruled.rule.name}"`);
+          mappedCount++;
+          continue;
+        }
+
+        const party = await partyMatch.matchParty(receipt.company_id, receipt.party_name, client);
+        if (!party) {
+          // A known party with nothing due: the receipt is kept on account as its advance.
+          // When any due bill is a candidate the match was tied or unsure, so it is left
+          // for manual mapping
+          const known = await client.query(`
+            SELECT 1 FROM bill WHERE company_id = $1 AND party_name = $2
+            UNION ALL
+            SELECT 1 FROM party WHERE company_id = $1 AND party_name = $2
+            LIMIT 1
+          `, [receipt.company_id, receipt.party_name]);
+
+          if (known.rows.length > 0 && (await partyMatch.candidates(receipt.company_id, receipt.party_name, { limit: 1 }, client)).length === 0) {
+            await this.recordMapping(client, receipt, 'FIFO', null, () =>
+              receiptAllocation.split(client, receipt.company_id, receipt.receipt_id, receiptAllocation.fifo([], parseFloat(receipt.amount)), 'FIFO')
+            );
+
+            logger.info(`Kept receipt ${receipt.receipt_id} on account for ${receipt.party_name}, nothing due`);
+            mappedCount++;
+          }
+          continue;
+        }
+
+        // Due bills of the same company and party, oldest first
+        const dueBills = await client.query(`
+          SELECT bs.bill_no, bs.remaining_due
+          FROM bill_status bs
+          WHERE bs.company_id = $2
+            AND bs.party_name = $1
+            AND bs.remaining_due > 0
+          ORDER BY bs.bill_date, bs.bill_no
+        `, [party.party_name, receipt.company_id]);
+
+        if (dueBills.rows.length === 0) {
+          continue;
+        }
+
+        const matchedBy = party.match === 'EXACT' ? '' : ` (party ${party.party_name}, ${party.match.toLowerCase()} match)`;
+        const oldest = dueBills.rows[0];
+        if (parseFloat(oldest.remaining_due) >= parseFloat(receipt.amount)) {
+          const mapped = await this.recordMapping(client, receipt, 'FIFO', null, () => client.query(`
+            UPDATE receipt
+            SET bill_reference = $1
+            WHERE company_id = $3 AND receipt_id = $2
+          `, [oldest.bill_no, receipt.receipt_id, receipt.company_id]));
+          if (!mapped) continue;
+
+          logger.info(`Auto-mapped receipt ${receipt.receipt_id} to bill ${oldest.bill_no}${matchedBy}`);
+        } else {
+          const allocations = receiptAllocation.fifo(dueBills.rows, parseFloat(receipt.amount));
+
+          const mapped = await this.recordMapping(client, receipt, 'FIFO', null, () =>
+            receiptAllocation.split(client, receipt.company_id, receipt.receipt_id, allocations, 'FIFO')
+          );
+          if (!mapped) continue;
+
+          const bills = allocations.filter(allocation => allocation.bill_no).map(allocation => allocation.bill_no);
+          logger.info(`Auto-allocated receipt ${receipt.receipt_id} across bills ${bills.join(', ')}${matchedBy}`);
+        }
+
+        mappedCount++;
+      }
+
+      return mappedCount;
+
+    } catch (error) {
+      logger.error('Auto-mapping error:', error);
+      return 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Map a receipt with apply() and store the change in the mapping history, together. A
+  // mapping that would spend money of the party's advance already settled on bills is
+  // rolled back and the receipt left as it was; returns whether the receipt was mapped
+  async recordMapping(client, receipt, method, ruleId, apply) {
+    await client.query('BEGIN');
+    try {
+      const before = await receiptMapping.snapshot(client, receipt.company_id, receipt.receipt_id);
+      const settled = await partyAdvance.withdraw(client, receipt.company_id, receipt.party_name, apply);
+      if (settled > 0) {
+        await client.query('ROLLBACK');
+        logger.warn(`Left receipt ${receipt.receipt_id} unmapped: ${partyAdvance.settledReason(receipt.party_name, settled)}`);
+        return false;
+      }
+      await receiptMapping.record(client, {
+        companyId: receipt.company_id,
+        receiptId: receipt.receipt_id,
+        method,
+        before,
+        after: await receiptMapping.snapshot(client, receipt.company_id, receipt.receipt_id),
+        ruleId
+      });
+      await client.query('COMMIT');
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Whether any configured connector can reach Tally; stops at the first that does
+  async reachable(orders) {
+    const names = [...new Set(this.entities.flatMap(entity => orders[entity]))];
+    for (const name of names) {
+      if (await this.connectors[name].connect()) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // One sync cycle over every active company (recorded in sync_run)
+  async runCycle(triggerSource = 'cron') {
+    if (this.isRunning) {
+      logger.warn('Sync already running, skipping this cycle');
+      return;
+    }
+
+    this.isRunning = true;
+    this.cycleStartedAt = new Date();
+    const startTime = Date.now();
+    const entities = Object.fromEntries(this.entities.map(entity => [entity, syncRun.newCounts()]));
+    // Connectors that served each entity this cycle
+    const served = Object.fromEntries(this.entities.map(entity => [entity, new Set()]));
+    const connectorNames = (servedBy) => Object.fromEntries(
+      Object.entries(servedBy).filter(([, names]) => names.size > 0).map(([entity, names]) => [entity, [...names].join(',')])
+    );
+    const connectors = () => connectorNames(served);
+    // The same per company, recorded with the run for the company's own history
+    const companyRuns = {};
+    const companies = () => Object.fromEntries(Object.entries(companyRuns).map(([companyId, companyRun]) =>
+      [companyId, { entities: companyRun.entities, connectors: connectorNames(companyRun.served) }]
+    ));
+    let run = null;
+    let mappedCount = 0;
+
+    try {
+      const orders = await this.connectorOrders();
+      logger.info(`Starting Tally sync (trigger: ${triggerSource})`);
+      run = await syncRun.start(triggerSource, orders.bills[0] || null);
+
+      if (!await this.reachable(orders)) {
+        logger.error('Could not connect to Tally, skipping sync cycle');
+        await syncRun.finish(run.id, { status: 'FAILED', error: 'Could not connect to Tally' });
+        for (const company of await companyService.list({ activeOnly: true })) {
+          for (const entity of this.entities) {
+            await syncHealth.recordFailure(company.id, entity, 'Could not connect to Tally');
+          }
+        }
+        return;
+      }
+
+      const totals = Object.fromEntries(this.entities.map(entity => [entity, 0]));
+
+      // Each active company is pulled separately; counts are aggregated into one run.
+      // Parties first so new bills and receipts link to their party straight away
+      const activeCompanies = await companyService.list({ activeOnly: true });
+      for (const company of activeCompanies) {
+        const used = new Set();
+        const companyRun = companyRuns[company.id] = {
+          entities: Object.fromEntries(this.entities.map(entity => [entity, syncRun.newCounts()])),
+          served: Object.fromEntries(this.entities.map(entity => [entity, new Set()]))
+        };
+        await this.discoverVoucherTypes(company, orders);
+
+        try {
+          for (const entity of this.entities) {
+            try {
+              const { count, connector } = await this.pullEntity(entity, companyRun.entities[entity], company, orders[entity]);
+              totals[entity] += count;
+              if (connector) {
+                served[entity].add(connector);
+                companyRun.served[entity].add(connector);
+                used.add(connector);
+              }
+            } catch (error) {
+              // Party and adjustment failures must not stop bills and receipts from syncing
+              if (!OPTIONAL_ENTITIES.includes(entity)) {
+                throw error;
+              }
+              logger.error(`Error syncing ${entity}:`, error);
+            }
+          }
+
+          await this.reconcileWindow(company, companyRun.entities, orders);
+        } finally {
+          for (const entity of this.entities) {
+            syncRun.mergeCounts(entities[entity], companyRun.entities[entity]);
+          }
+        }
+
+        for (const name of used) {
+          await this.connectors[name].complete(company);
+        }
+      }
+      mappedCount = await this.autoMapReceipts();
+      // Advances Tally took back (on-account receipts allocated or voided there) give up
+      // their newest settlements, then dues left once receipts are mapped are settled from
+      // the parties' advances
+      await partyAdvance.reclaim();
+      if (partyAdvance.autoSettle) {
+        await partyAdvance.settlePending();
+      }
+
+      // Write approved counter collections back to Tally as Receipt vouchers (XML Import API)
+      if (await xmlConnector.connect()) {
+        await require('./receipt-export').postPending();
+      }
+      await tallyStaging.purge();
+
+      const methods = new Set(Object.values(served).flatMap(names => [...names]));
+      const connectionMethod = methods.size > 1 ? 'hybrid' : [...methods][0] || null;
+
+      this.lastSyncTime = new Date();
+      await syncRun.finish(run.id, { status: 'SUCCESS', entities, mappedCount, connectors: connectors(), connectionMethod, companies: companies() });
+      logger.info(`Sync completed in ${Date.now() - startTime}ms: ${totals.parties} parties, ${totals.bills} bills, ${totals.receipts} receipts, ${totals.adjustments} adjustments, ${mappedCount} auto-mapped`);
+
+    } catch (error) {
+      logger.error('Sync cycle failed:', error);
+      if (run) {
+        await syncRun.finish(run.id, { status: 'FAILED', entities, mappedCount, error, connectors: connectors(), companies: companies() });
+      }
+    } finally {
+      this.isRunning = false;
+      this.cycleStartedAt = null;
+    }
+  }
+
+  // Check every connector and report which ones can reach Tally
+  async testConnections() {
+    const available = {};
+    for (const [name, connector] of Object.entries(this.connectors)) {
+      available[name] = await connector.connect();
+    }
+    return available;
+  }
+
+  // Start the scheduled sync (every SYNC_INTERVAL_SECONDS) with an initial cycle
+  start() {
+    if (this.task) {
+      return;
+    }
+
+    this.task = cron.schedule(`*/${this.syncInterval} * * * * *`, () => {
+      this.runCycle();
+    });
+
+    setTimeout(() => this.runCycle(), 2000);
+    logger.info(`Tally sync started (every ${this.syncInterval} seconds)`);
+  }
+
+  // Stop the scheduled sync and close open connections
+  async stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+
+    for (const connector of Object.values(this.connectors)) {
+      await connector.close();
+    }
+
+    logger.info('Tally sync stopped');
+  }
+
+  // Scheduler state and, per entity, the connector order and recent failures
+  async getStatus() {
+    const orders = await this.connectorOrders();
+    const entities = {};
+
+    for (const entity of this.entities) {
+      entities[entity] = {
+        connectors: orders[entity],
+        preferred: orders[entity].find(name => !this.isFailing(entity, name)) || orders[entity][0] || null,
+        failures: orders[entity]
+          .filter(name => this.isFailing(entity, name))
+          .map(name => {
+            const failure = this.failures.get(`${entity}:${name}`);
+            return { connector: name, error: failure.error, failedAt: new Date(failure.failedAt) };
+          })
+      };
+    }
+
+    return {
+      isRunning: this.isRunning,
+      // When the cycle under way started; a long-running one points to a hung connector
+      cycleStartedAt: this.cycleStartedAt,
+      isScheduled: Boolean(this.task),
+      lastSyncTime: this.lastSyncTime,
+      syncInterval: this.syncInterval,
+      xmlApiUrl: xmlConnector.tallyURL,
+      odbcDsn: odbcConnector.odbcDsn,
+      importDir: fileConnector.importDir,
+      entities
+    };
+  }
+}
+
+// Singleton instance
+const syncEngine = new SyncEngine();
+
+// Run a single cycle from the command line (npm run etl)
+if (require.main === module) {
+  syncEngine.runCycle('manual')
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Sync failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = syncEngine;
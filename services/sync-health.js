@@ -0,0 +1,172 @@
+const cron = require('node-cron');
+const { pool } = require('../config/database');
+const logger = require('./logger');
+const companyService = require('./company');
+
+// Entities whose dues releases depend on; while either is stale, releasing a bill with
+// a due needs a manager
+const BLOCKING_ENTITIES = ['bills', 'receipts'];
+
+// Watches the age of the last successful sync per company and entity. A sync that keeps
+// failing, or one stuck on a hung connector that never finishes, both show up as an
+// entity whose last success is older than TALLY_STALE_MINUTES; an alert is raised for
+// it and cleared once the entity syncs again.
+class SyncHealthService {
+  constructor() {
+    this.staleMinutes = parseInt(process.env.TALLY_STALE_MINUTES) || 15;
+    // Checked every minute unless set (node-cron expression)
+    this.schedule = process.env.TALLY_HEALTH_CRON || '* * * * *';
+    this.task = null;
+  }
+
+  get blockingEntities() {
+    return BLOCKING_ENTITIES;
+  }
+
+  async recordSuccess(companyId, entity) {
+    await pool.query(`
+      INSERT INTO sync_health (company_id, entity, last_success_at, last_attempt_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT (company_id, entity)
+      DO UPDATE SET
+        last_success_at = CURRENT_TIMESTAMP,
+        last_attempt_at = CURRENT_TIMESTAMP,
+        failing_since = NULL,
+        consecutive_failures = 0,
+        last_error = NULL
+    `, [companyId, entity]);
+  }
+
+  async recordFailure(companyId, entity, error) {
+    await pool.query(`
+      INSERT INTO sync_health (company_id, entity, last_attempt_at, failing_since, consecutive_failures, last_error)
+      VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1, $3)
+      ON CONFLICT (company_id, entity)
+      DO UPDATE SET
+        last_attempt_at = CURRENT_TIMESTAMP,
+        failing_since = COALESCE(sync_health.failing_since, CURRENT_TIMESTAMP),
+        consecutive_failures = sync_health.consecutive_failures + 1,
+        last_error = EXCLUDED.last_error
+    `, [companyId, entity, error ? (error.message || String(error)) : null]);
+  }
+
+  // Stop judging an entity for a company, e.g. one no configured connector reads
+  async forget(companyId, entity) {
+    await pool.query('DELETE FROM sync_health WHERE company_id = $1 AND entity = $2', [companyId, entity]);
+  }
+
+  // Health of each entity synced for a company. An entity is stale when its last
+  // success (or, if it never succeeded, its first failure) is older than the threshold;
+  // entities never attempted are not judged
+  async entities(companyId) {
+    const result = await pool.query(`
+      SELECT
+        entity,
+        last_success_at,
+        last_attempt_at,
+        failing_since,
+        consecutive_failures,
+        last_error,
+        ROUND(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - COALESCE(last_success_at, failing_since))) / 60) as age_minutes,
+        COALESCE(last_success_at, failing_since) < CURRENT_TIMESTAMP - make_interval(mins => $2) as stale
+      FROM sync_health
+      WHERE company_id = $1
+      ORDER BY entity
+    `, [companyId, this.staleMinutes]);
+
+    return result.rows.map(row => ({ ...row, age_minutes: row.age_minutes === null ? null : parseInt(row.age_minutes) }));
+  }
+
+  // Summary for banners and the dashboard: { stale, staleEntities, blocksReleases, ... }
+  async status(companyId) {
+    const entities = await this.entities(companyId);
+    const staleEntities = entities.filter(entity => entity.stale).map(entity => entity.entity);
+
+    return {
+      stale: staleEntities.length > 0,
+      staleEntities,
+      blocksReleases: staleEntities.some(entity => BLOCKING_ENTITIES.includes(entity)),
+      thresholdMinutes: this.staleMinutes,
+      entities
+    };
+  }
+
+  // Whether bills or receipts are stale, so dues shown for the company cannot be trusted
+  async blocksReleases(companyId) {
+    return (await this.status(companyId)).blocksReleases;
+  }
+
+  // Raise an alert for every entity that went stale and clear those that recovered;
+  // returns the alerts raised
+  async check() {
+    const raised = [];
+
+    for (const company of await companyService.list({ activeOnly: true })) {
+      for (const entity of await this.entities(company.id)) {
+        if (entity.stale) {
+          const alert = await pool.query(`
+            INSERT INTO sync_alert (company_id, entity, last_success_at, last_error)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (company_id, entity) WHERE cleared_at IS NULL
+            DO UPDATE SET last_error = EXCLUDED.last_error
+            RETURNING *, (xmax = 0) as inserted
+          `, [company.id, entity.entity, entity.last_success_at, entity.last_error]);
+
+          if (alert.rows[0].inserted) {
+            logger.warn(`Tally ${entity.entity} sync is stale for ${company.code}: last success ${entity.last_success_at || 'never'}${entity.last_error ? ` (${entity.last_error})` : ''}`);
+            raised.push(alert.rows[0]);
+          }
+        } else {
+          const cleared = await pool.query(`
+            UPDATE sync_alert SET cleared_at = CURRENT_TIMESTAMP
+            WHERE company_id = $1 AND entity = $2 AND cleared_at IS NULL
+            RETURNING id
+          `, [company.id, entity.entity]);
+
+          if (cleared.rows.length > 0) {
+            logger.info(`Tally ${entity.entity} sync recovered for ${company.code}`);
+          }
+        }
+      }
+    }
+
+    return raised;
+  }
+
+  // Alerts still open, and those raised on a business date (all companies when
+  // companyId is null)
+  async alerts(companyId, businessDate = null) {
+    const result = await pool.query(`
+      SELECT a.*, c.code as company_code,
+             ROUND(EXTRACT(EPOCH FROM (COALESCE(a.cleared_at, CURRENT_TIMESTAMP) - a.raised_at)) / 60) as open_minutes
+      FROM sync_alert a
+      JOIN company c ON a.company_id = c.id
+      WHERE ($1::uuid IS NULL OR a.company_id = $1)
+        AND (a.cleared_at IS NULL OR DATE(a.raised_at) = $2::date)
+      ORDER BY a.raised_at DESC
+    `, [companyId, businessDate]);
+
+    return result.rows;
+  }
+
+  // Schedule the stale sync check
+  start() {
+    if (this.task) {
+      return;
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.check().catch(error => logger.error('Sync health check failed:', error));
+    });
+    logger.info(`Sync health monitor started (stale after ${this.staleMinutes} minutes)`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+}
+
+module.exports = new SyncHealthService();
@@ -0,0 +1,209 @@
+const { pool } = require('../config/database');
+const logger = require('./logger');
+
+class SyncRunService {
+  // Empty per-entity row counters
+  newCounts() {
+    return { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
+  }
+
+  // Classify an upsert that returns `inserted` and `changed` flags
+  countUpsert(counts, result) {
+    const row = result.rows[0];
+    if (row && row.inserted) {
+      counts.inserted++;
+    } else if (row && row.changed) {
+      counts.updated++;
+    } else {
+      counts.unchanged++;
+    }
+  }
+
+  // Add one set of counters into another (used to commit batch counts)
+  mergeCounts(target, source) {
+    for (const key of Object.keys(source)) {
+      target[key] += source[key];
+    }
+    return target;
+  }
+
+  // Record the start of a sync cycle
+  async start(triggerSource, connectionMethod) {
+    const result = await pool.query(`
+      INSERT INTO sync_run (trigger_source, connection_method)
+      VALUES ($1, $2)
+      RETURNING *
+    `, [triggerSource, connectionMethod]);
+
+    return result.rows[0];
+  }
+
+  // Record the outcome of a sync cycle with its per-entity counts and the connector
+  // that served each entity (connectionMethod replaces the one recorded at start), and
+  // the same per company pulled: { [companyId]: { entities, connectors } }
+  async finish(runId, { status, entities = {}, mappedCount = 0, error = null, connectors = {}, connectionMethod = null, companies = {} }) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        UPDATE sync_run
+        SET finished_at = CURRENT_TIMESTAMP, status = $1, mapped_count = $2, error_text = $3,
+            connection_method = COALESCE($5, connection_method)
+        WHERE id = $4
+      `, [status, mappedCount, error ? (error.message || String(error)) : null, runId, connectionMethod]);
+
+      for (const [entity, counts] of Object.entries(entities)) {
+        await client.query(`
+          INSERT INTO sync_run_entity (run_id, entity, inserted_count, updated_count, unchanged_count, failed_count, connector)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (run_id, entity)
+          DO UPDATE SET
+            inserted_count = EXCLUDED.inserted_count,
+            updated_count = EXCLUDED.updated_count,
+            unchanged_count = EXCLUDED.unchanged_count,
+            failed_count = EXCLUDED.failed_count,
+            connector = EXCLUDED.connector
+        `, [runId, entity, counts.inserted, counts.updated, counts.unchanged, counts.failed, connectors[entity] || null]);
+      }
+
+      for (const [companyId, company] of Object.entries(companies)) {
+        for (const [entity, counts] of Object.entries(company.entities)) {
+          await client.query(`
+            INSERT INTO sync_run_company (run_id, company_id, entity, inserted_count, updated_count, unchanged_count, failed_count, connector)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (run_id, company_id, entity)
+            DO UPDATE SET
+              inserted_count = EXCLUDED.inserted_count,
+              updated_count = EXCLUDED.updated_count,
+              unchanged_count = EXCLUDED.unchanged_count,
+              failed_count = EXCLUDED.failed_count,
+              connector = EXCLUDED.connector
+          `, [runId, companyId, entity, counts.inserted, counts.updated, counts.unchanged, counts.failed, (company.connectors || {})[entity] || null]);
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (finishError) {
+      await client.query('ROLLBACK');
+      // History is best effort; never fail the sync because of it
+      logger.error('Failed to record sync run:', finishError);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Filter for the runs a company took part in, as well as those that failed before any
+  // company was pulled ($n is the company id)
+  companyRunFilter(n) {
+    return `
+      (EXISTS (SELECT 1 FROM sync_run_company src WHERE src.run_id = sr.id AND src.company_id = $${n})
+       OR NOT EXISTS (SELECT 1 FROM sync_run_company src WHERE src.run_id = sr.id))
+    `;
+  }
+
+  // List runs with totals, newest first; with companyId, its runs and its counts only
+  async list({ page = 1, limit = 20, status, triggerSource, companyId = null } = {}) {
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+    let countsJoin = 'LEFT JOIN sync_run_entity sre ON sr.id = sre.run_id';
+
+    if (companyId) {
+      whereClause += ` AND ${this.companyRunFilter(paramIndex)}`;
+      countsJoin = `LEFT JOIN sync_run_company sre ON sr.id = sre.run_id AND sre.company_id = $${paramIndex}`;
+      params.push(companyId);
+      paramIndex++;
+    }
+
+    if (status) {
+      whereClause += ` AND sr.status = $${paramIndex}`;
+      params.push(status);
+      paramIndex++;
+    }
+
+    if (triggerSource) {
+      whereClause += ` AND sr.trigger_source = $${paramIndex}`;
+      params.push(triggerSource);
+      paramIndex++;
+    }
+
+    const offset = (page - 1) * limit;
+
+    const runs = await pool.query(`
+      SELECT
+        sr.*,
+        EXTRACT(EPOCH FROM (sr.finished_at - sr.started_at)) * 1000 as duration_ms,
+        COALESCE(SUM(sre.inserted_count), 0) as inserted_count,
+        COALESCE(SUM(sre.updated_count), 0) as updated_count,
+        COALESCE(SUM(sre.unchanged_count), 0) as unchanged_count,
+        COALESCE(SUM(sre.failed_count), 0) as failed_count
+      FROM sync_run sr
+      ${countsJoin}
+      ${whereClause}
+      GROUP BY sr.id
+      ORDER BY sr.started_at DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...params, limit, offset]);
+
+    const count = await pool.query(`
+      SELECT COUNT(*) as total FROM sync_run sr ${whereClause}
+    `, params);
+    const total = parseInt(count.rows[0].total);
+
+    return {
+      runs: runs.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Get a single run with its per-entity counts (of one company with companyId)
+  async get(runId, companyId = null) {
+    const run = await pool.query(`
+      SELECT sr.*, EXTRACT(EPOCH FROM (sr.finished_at - sr.started_at)) * 1000 as duration_ms
+      FROM sync_run sr
+      WHERE sr.id = $1 AND ($2::uuid IS NULL OR ${this.companyRunFilter(2)})
+    `, [runId, companyId]);
+
+    if (run.rows.length === 0) {
+      return null;
+    }
+
+    const entities = companyId
+      ? await pool.query(`
+        SELECT entity, inserted_count, updated_count, unchanged_count, failed_count
+        FROM sync_run_company
+        WHERE run_id = $1 AND company_id = $2
+        ORDER BY entity
+      `, [runId, companyId])
+      : await pool.query(`
+        SELECT entity, inserted_count, updated_count, unchanged_count, failed_count
+        FROM sync_run_entity
+        WHERE run_id = $1
+        ORDER BY entity
+      `, [runId]);
+
+    return { ...run.rows[0], entities: entities.rows };
+  }
+
+  // Most recent finished run (optionally only successful ones, or those of one company)
+  async latest(status = null, companyId = null) {
+    const result = await pool.query(`
+      SELECT sr.* FROM sync_run sr
+      WHERE sr.finished_at IS NOT NULL AND ($1::varchar IS NULL OR sr.status = $1)
+        AND ($2::uuid IS NULL OR ${this.companyRunFilter(2)})
+      ORDER BY sr.started_at DESC
+      LIMIT 1
+    `, [status, companyId]);
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new SyncRunService();
@@ -0,0 +1,78 @@
+const { pool } = require('../config/database');
+const logger = require('./logger');
+
+class SyncWatermarkService {
+  constructor() {
+    this.defaultCompany = process.env.TALLY_COMPANY || 'DEFAULT';
+  }
+
+  // Get the last synced AlterID/MasterID for a voucher type (zero when never synced)
+  async get(voucherType, companyName = this.defaultCompany) {
+    const result = await pool.query(`
+      SELECT last_alter_id, last_master_id, last_success_ts
+      FROM sync_watermark
+      WHERE company_name = $1 AND voucher_type = $2
+    `, [companyName, voucherType]);
+
+    if (result.rows.length === 0) {
+      return { lastAlterId: 0, lastMasterId: 0, lastSuccessTs: null };
+    }
+
+    const row = result.rows[0];
+    return {
+      lastAlterId: parseInt(row.last_alter_id) || 0,
+      lastMasterId: parseInt(row.last_master_id) || 0,
+      lastSuccessTs: row.last_success_ts
+    };
+  }
+
+  // Move the watermark forward inside the caller's sync transaction (never moves it back)
+  async advance(client, voucherType, alterId, masterId, companyName = this.defaultCompany) {
+    await client.query(`
+      INSERT INTO sync_watermark (company_name, voucher_type, last_alter_id, last_master_id, last_success_ts, updated_at)
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT (company_name, voucher_type)
+      DO UPDATE SET
+        last_alter_id = GREATEST(sync_watermark.last_alter_id, EXCLUDED.last_alter_id),
+        last_master_id = GREATEST(sync_watermark.last_master_id, EXCLUDED.last_master_id),
+        last_success_ts = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    `, [companyName, voucherType, alterId || 0, masterId || 0]);
+  }
+
+  // Highest AlterID/MasterID in a batch of synced rows
+  highestIds(rows) {
+    return rows.reduce((max, row) => ({
+      alterId: Math.max(max.alterId, parseInt(row.alter_id) || 0),
+      masterId: Math.max(max.masterId, parseInt(row.master_id) || 0)
+    }), { alterId: 0, masterId: 0 });
+  }
+
+  // Reset watermarks so the next cycle does a full resync
+  async reset(voucherType = null, companyName = this.defaultCompany) {
+    const result = voucherType
+      ? await pool.query(
+          'DELETE FROM sync_watermark WHERE company_name = $1 AND voucher_type = $2',
+          [companyName, voucherType]
+        )
+      : await pool.query(
+          'DELETE FROM sync_watermark WHERE company_name = $1',
+          [companyName]
+        );
+
+    logger.info(`Reset ${result.rowCount} sync watermark(s) for ${companyName}${voucherType ? ` / ${voucherType}` : ''}`);
+    return result.rowCount;
+  }
+
+  // List stored watermarks, of one company when companyName is given
+  async list(companyName = null) {
+    const result = await pool.query(`
+      SELECT * FROM sync_watermark
+      WHERE $1::varchar IS NULL OR company_name = $1
+      ORDER BY company_name, voucher_type
+    `, [companyName]);
+    return result.rows;
+  }
+}
+
+module.exports = new SyncWatermarkService();
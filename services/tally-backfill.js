@@ -0,0 +1,296 @@
+const { pool } = require('../config/database');
+const logger = require('./logger');
+const syncRun = require('./sync-run');
+const companyService = require('./company');
+const voucherTypeMap = require('./voucher-type-map');
+
+const toISODate = (date) => date.toISOString().split('T')[0];
+
+// Historical import of Tally vouchers over a date range, for onboarding a branch with
+// its history. A job is split into one chunk per voucher type and calendar month, each
+// read with SVFROMDATE/SVTODATE through the regular staging and promotion. Chunks run
+// one at a time in the background between sync cycles and leave the AlterID watermarks
+// alone, so the real-time sync carries on as before. Finished chunks are recorded, so a
+// job interrupted by a crash or a failure picks up where it stopped.
+class TallyBackfillService {
+  constructor() {
+    // Pause between chunks so the regular sync gets Tally in between
+    this.pauseMs = parseInt(process.env.TALLY_BACKFILL_PAUSE_MS) || 2000;
+    // Jobs being processed in this process (job id -> promise)
+    this.active = new Map();
+  }
+
+  // Calendar months covering a date range, the first and last cut to the range
+  months(fromDate, toDate) {
+    const periods = [];
+    const end = new Date(`${toDate}T00:00:00Z`);
+    let start = new Date(`${fromDate}T00:00:00Z`);
+
+    while (start <= end) {
+      const monthEnd = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0));
+      periods.push({ fromDate: toISODate(start), toDate: toISODate(monthEnd < end ? monthEnd : end) });
+      start = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    }
+    return periods;
+  }
+
+  // Company with a backfill still queued or running (one at a time per company)
+  async activeJob(companyId) {
+    const result = await pool.query(`
+      SELECT id FROM backfill_job
+      WHERE company_id = $1 AND status IN ('QUEUED', 'RUNNING')
+      LIMIT 1
+    `, [companyId]);
+    return result.rows[0] || null;
+  }
+
+  // Queue a backfill job with its chunks; returns the job (not yet started)
+  async create(company, { fromDate, toDate, voucherTypes, requestedBy = null }) {
+    const months = this.months(fromDate, toDate);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const job = await client.query(`
+        INSERT INTO backfill_job (company_id, from_date, to_date, voucher_types, total_chunks, requested_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `, [company.id, fromDate, toDate, voucherTypes, months.length * voucherTypes.length, requestedBy]);
+      const jobId = job.rows[0].id;
+
+      // Oldest month first, every voucher type of a month before the next month
+      for (const month of months) {
+        for (const voucherType of voucherTypes) {
+          await client.query(`
+            INSERT INTO backfill_chunk (job_id, voucher_type, from_date, to_date)
+            VALUES ($1, $2, $3, $4)
+          `, [jobId, voucherType, month.fromDate, month.toDate]);
+        }
+      }
+
+      await client.query('COMMIT');
+      logger.info(`Backfill queued for ${company.code}: ${voucherTypes.join(', ')} from ${fromDate} to ${toDate} (${months.length} months)`);
+      return this.get(jobId);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Process a job in the background; returns the running promise
+  start(jobId) {
+    if (!this.active.has(jobId)) {
+      const running = this.process(jobId)
+        .catch(error => logger.error(`Backfill ${jobId} stopped:`, error))
+        .finally(() => this.active.delete(jobId));
+      this.active.set(jobId, running);
+    }
+    return this.active.get(jobId);
+  }
+
+  // Run the job's remaining chunks in order until it finishes, fails or is cancelled.
+  // A chunk left RUNNING by a crash is run again; promotion is an upsert, so repeating
+  // a month is harmless
+  async process(jobId) {
+    const syncEngine = require('./sync-engine');
+    const job = await this.get(jobId);
+    if (!job || !['QUEUED', 'RUNNING'].includes(job.status)) {
+      return job;
+    }
+
+    const company = await companyService.find(job.company_id);
+
+    while (true) {
+      // Queued again (resumed) while running is picked up here; cancelled stops
+      await pool.query(`
+        UPDATE backfill_job
+        SET status = 'RUNNING', started_at = COALESCE(started_at, CURRENT_TIMESTAMP), error_text = NULL
+        WHERE id = $1 AND status = 'QUEUED'
+      `, [jobId]);
+      const { status } = (await pool.query('SELECT status FROM backfill_job WHERE id = $1', [jobId])).rows[0];
+      if (status !== 'RUNNING') {
+        logger.info(`Backfill ${jobId} ${status.toLowerCase()}, stopping`);
+        return this.get(jobId);
+      }
+
+      const next = await pool.query(`
+        SELECT id, voucher_type, from_date::text as from_date, to_date::text as to_date
+        FROM backfill_chunk
+        WHERE job_id = $1 AND status IN ('PENDING', 'RUNNING')
+        ORDER BY from_date, id
+        LIMIT 1
+      `, [jobId]);
+
+      if (next.rows.length === 0) {
+        await pool.query(`
+          UPDATE backfill_job SET status = 'SUCCESS', finished_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND status = 'RUNNING'
+        `, [jobId]);
+        logger.info(`Backfill ${jobId} completed (${company.code})`);
+        return this.get(jobId);
+      }
+
+      // Let a sync cycle that is under way finish first
+      while (syncEngine.isRunning) {
+        await this.pause();
+      }
+
+      const chunk = next.rows[0];
+      await pool.query(`
+        UPDATE backfill_chunk SET status = 'RUNNING', started_at = CURRENT_TIMESTAMP, error_text = NULL
+        WHERE id = $1
+      `, [chunk.id]);
+
+      try {
+        const { connector, counts } = await this.runChunk(syncEngine, company, chunk);
+
+        await pool.query(`
+          UPDATE backfill_chunk
+          SET status = 'DONE', connector = $2, inserted_count = $3, updated_count = $4,
+              unchanged_count = $5, failed_count = $6, finished_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [chunk.id, connector, counts.inserted, counts.updated, counts.unchanged, counts.failed]);
+        await pool.query(`
+          UPDATE backfill_job
+          SET done_chunks = done_chunks + 1, inserted_count = inserted_count + $2, updated_count = updated_count + $3,
+              unchanged_count = unchanged_count + $4, failed_count = failed_count + $5
+          WHERE id = $1
+        `, [jobId, counts.inserted, counts.updated, counts.unchanged, counts.failed]);
+
+      } catch (error) {
+        logger.error(`Backfill ${jobId} failed on ${chunk.voucher_type} ${chunk.from_date}..${chunk.to_date}:`, error);
+        await pool.query(`
+          UPDATE backfill_chunk SET status = 'FAILED', error_text = $2, finished_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [chunk.id, error.message]);
+        await pool.query(`
+          UPDATE backfill_job SET status = 'FAILED', error_text = $2, finished_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [jobId, `${chunk.voucher_type} ${chunk.from_date}..${chunk.to_date}: ${error.message}`]);
+        return this.get(jobId);
+      }
+
+      await this.pause();
+    }
+  }
+
+  // Pull one voucher type for one month through the first connector that can read
+  // periods; returns the connector and the row counts
+  async runChunk(syncEngine, company, chunk) {
+    const entity = (await voucherTypeMap.forCompany(company.id)).entities[chunk.voucher_type];
+    if (!entity) {
+      throw new Error(`Voucher type ${chunk.voucher_type} is not mapped to bills, receipts or adjustments`);
+    }
+
+    const orders = await syncEngine.connectorOrders();
+    const connectors = syncEngine.candidates(entity, orders[entity], company)
+      .filter(connector => connector.capabilities.readsPeriods);
+    if (connectors.length === 0) {
+      throw new Error(`No configured connector (${orders[entity].join(', ')}) can backfill ${entity} for ${company.code}`);
+    }
+
+    const period = { fromDate: chunk.from_date, toDate: chunk.to_date, voucherTypes: [chunk.voucher_type] };
+    const errors = [];
+    for (const connector of connectors) {
+      const counts = syncRun.newCounts();
+      try {
+        await syncEngine.pull(connector, entity, company, counts, period);
+        return { connector: connector.name, counts };
+      } catch (error) {
+        errors.push(`${connector.name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(errors.join('; '));
+  }
+
+  pause() {
+    return new Promise(resolve => setTimeout(resolve, this.pauseMs));
+  }
+
+  // Queue a failed or cancelled job again; its finished chunks are not repeated.
+  // Returns null when the job is not found or cannot be resumed
+  async resume(jobId) {
+    const resumed = await pool.query(`
+      UPDATE backfill_job SET status = 'QUEUED', finished_at = NULL
+      WHERE id = $1 AND status IN ('FAILED', 'CANCELLED')
+      RETURNING id
+    `, [jobId]);
+    if (resumed.rows.length === 0) {
+      return null;
+    }
+
+    await pool.query("UPDATE backfill_chunk SET status = 'PENDING' WHERE job_id = $1 AND status = 'FAILED'", [jobId]);
+    this.start(jobId);
+    return this.get(jobId);
+  }
+
+  // Stop a queued or running job after its current chunk; returns null when it is not active
+  async cancel(jobId) {
+    const result = await pool.query(`
+      UPDATE backfill_job SET status = 'CANCELLED', finished_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status IN ('QUEUED', 'RUNNING')
+      RETURNING id
+    `, [jobId]);
+    return result.rows.length > 0 ? this.get(jobId) : null;
+  }
+
+  // Restart jobs that were queued or running when the server last stopped
+  async resumeInterrupted() {
+    const result = await pool.query("SELECT id FROM backfill_job WHERE status IN ('QUEUED', 'RUNNING') ORDER BY created_at");
+    for (const job of result.rows) {
+      logger.info(`Resuming backfill ${job.id}`);
+      this.start(job.id);
+    }
+    return result.rows.length;
+  }
+
+  // A job with its progress and chunks
+  async get(jobId) {
+    const job = await pool.query(`
+      SELECT j.*, c.code as company_code
+      FROM backfill_job j
+      JOIN company c ON j.company_id = c.id
+      WHERE j.id = $1
+    `, [jobId]);
+    if (job.rows.length === 0) {
+      return null;
+    }
+
+    const chunks = await pool.query(`
+      SELECT id, voucher_type, from_date::text as from_date, to_date::text as to_date, status, connector,
+             inserted_count, updated_count, unchanged_count, failed_count, error_text, started_at, finished_at
+      FROM backfill_chunk
+      WHERE job_id = $1
+      ORDER BY from_date, id
+    `, [jobId]);
+
+    return { ...this.withProgress(job.rows[0]), chunks: chunks.rows };
+  }
+
+  // Recent jobs of a company, newest first
+  async list(companyId, limit = 20) {
+    const result = await pool.query(`
+      SELECT j.*, c.code as company_code
+      FROM backfill_job j
+      JOIN company c ON j.company_id = c.id
+      WHERE j.company_id = $1
+      ORDER BY j.created_at DESC
+      LIMIT $2
+    `, [companyId, limit]);
+    return result.rows.map(job => this.withProgress(job));
+  }
+
+  withProgress(job) {
+    return {
+      ...job,
+      progress: job.total_chunks > 0 ? Math.round((job.done_chunks / job.total_chunks) * 100) : 0
+    };
+  }
+}
+
+module.exports = new TallyBackfillService();
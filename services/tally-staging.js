@@ -0,0 +1,525 @@
+const { pool } = require('../config/database');
+const logger = require('./logger');
+const syncRun = require('./sync-run');
+const voucherStatus = require('./voucher-status');
+const receiptAllocation = require('./receipt-allocation');
+const receiptMapping = require('./receipt-mapping');
+const billAdjustment = require('./bill-adjustment');
+const billItem = require('./bill-item');
+const billTax = require('./bill-tax');
+const tallyXMLParser = require('./tally-xml-parser');
+
+// Row fields per document type; adjustment numbers are qualified by their voucher type
+const DOCUMENTS = {
+  bill: { number: 'bill_no', date: 'bill_date', fields: ['bill_no', 'bill_date', 'party_name', 'amount'] },
+  receipt: { number: 'receipt_id', date: 'receipt_date', fields: ['receipt_id', 'receipt_date', 'party_name', 'amount', 'mode', 'ref_text', 'bill_reference'] },
+  adjustment: { number: 'voucher_no', type: 'voucher_type', date: 'voucher_date', fields: ['voucher_type', 'adjustment_kind', 'voucher_no', 'voucher_date', 'party_name', 'amount', 'narration'] }
+};
+
+const DUPLICATE_REASON = 'Duplicate voucher number with different data in the same batch';
+
+class TallyStagingService {
+  constructor() {
+    // Days promoted staging rows are kept for tracing a sync
+    this.retentionDays = parseInt(process.env.TALLY_STAGING_RETENTION_DAYS) || 7;
+  }
+
+  documentOf(document) {
+    const definition = DOCUMENTS[document];
+    if (!definition) {
+      throw new Error(`Unknown document type: ${document}`);
+    }
+    return definition;
+  }
+
+  // Voucher number a row is staged and quarantined under ("Credit Note CN-4" for adjustments)
+  numberOf(document, row) {
+    const definition = this.documentOf(document);
+    const number = row[definition.number];
+    if (!number) {
+      return null;
+    }
+    return definition.type ? `${row[definition.type]} ${number}` : number;
+  }
+
+  // Reasons a row cannot be promoted; empty when it is valid. Cancelled/deleted rows
+  // and journals not allocated to a bill only need their voucher number
+  validate(document, row) {
+    const definition = this.documentOf(document);
+    const reasons = [];
+
+    if (!row[definition.number]) {
+      reasons.push('Voucher number is missing');
+    }
+    if (definition.type && !billAdjustment.kinds.includes(row.adjustment_kind)) {
+      reasons.push(`Voucher type ${row[definition.type] || '(none)'} is not mapped to one of: ${billAdjustment.kinds.join(', ')}`);
+    }
+    if (row.tally_status && row.tally_status !== 'ACTIVE') {
+      return reasons;
+    }
+    if (definition.type && billAdjustment.isUnallocatedJournal(row)) {
+      return reasons;
+    }
+
+    if (!tallyXMLParser.parseDate(row[definition.date])) {
+      reasons.push('Date is missing or not a valid date');
+    }
+    if (typeof row.amount !== 'number' || !Number.isFinite(row.amount)) {
+      reasons.push('Amount is not numeric');
+    }
+    if (!row.party_name || !String(row.party_name).trim()) {
+      reasons.push('Party ledger is missing');
+    }
+
+    return reasons;
+  }
+
+  // Voucher numbers that appear more than once in a batch with different data
+  conflictingNumbers(document, rows) {
+    const definition = this.documentOf(document);
+    const seen = new Map();
+    const conflicts = new Set();
+
+    for (const row of rows) {
+      const number = this.numberOf(document, row);
+      if (!number) continue;
+
+      const signature = JSON.stringify(definition.fields.map(field => row[field] ?? null).concat(row.tally_status));
+      if (seen.has(number) && seen.get(number) !== signature) {
+        conflicts.add(number);
+      }
+      seen.set(number, signature);
+    }
+
+    return conflicts;
+  }
+
+  // Upsert one validated bill into bill (and its stock lines and GST breakdown when the
+  // row carries them)
+  async promoteBill(client, companyId, bill) {
+    // Cancelled/deleted vouchers only change the status of a bill we already hold
+    if (bill.tally_status && bill.tally_status !== 'ACTIVE') {
+      return voucherStatus.mark(client, 'bill', companyId, bill.bill_no, bill.tally_status);
+    }
+
+    const upsert = await client.query(`
+      WITH previous AS (
+        SELECT bill_date, party_name, amount, tally_status FROM bill WHERE company_id = $5 AND bill_no = $1
+      )
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount, party_id, last_sync_ts)
+      VALUES ($5, $1, $2, $3, $4, (SELECT id FROM party WHERE company_id = $5 AND party_name = $3::varchar), CURRENT_TIMESTAMP)
+      ON CONFLICT (company_id, bill_no)
+      DO UPDATE SET
+        bill_date = EXCLUDED.bill_date,
+        party_name = EXCLUDED.party_name,
+        amount = EXCLUDED.amount,
+        party_id = EXCLUDED.party_id,
+        tally_status = 'ACTIVE',
+        tally_status_ts = CASE WHEN bill.tally_status <> 'ACTIVE' THEN CURRENT_TIMESTAMP ELSE bill.tally_status_ts END,
+        last_sync_ts = CURRENT_TIMESTAMP
+      RETURNING
+        NOT EXISTS (SELECT 1 FROM previous) as inserted,
+        EXISTS (
+          SELECT 1 FROM previous p
+          WHERE (p.bill_date, p.party_name, p.amount, p.tally_status)
+            IS DISTINCT FROM (bill.bill_date, bill.party_name, bill.amount, bill.tally_status)
+        ) as changed
+    `, [bill.bill_no, tallyXMLParser.parseDate(bill.bill_date), bill.party_name, bill.amount, companyId]);
+
+    // Stock lines and ledger entries only come over the XML API
+    if (bill.items) {
+      const itemsChanged = await billItem.replace(client, companyId, bill.bill_no, bill.items);
+      if (itemsChanged && !upsert.rows[0].inserted) {
+        upsert.rows[0].changed = true;
+      }
+    }
+    if (bill.tax) {
+      const taxChanged = await billTax.replace(client, companyId, bill.bill_no, bill.tax);
+      if (taxChanged && !upsert.rows[0].inserted) {
+        upsert.rows[0].changed = true;
+      }
+    }
+
+    return upsert;
+  }
+
+  // Whether a receipt's current mapping was made here (manual, split, FIFO, rule or undo):
+  // the latest mapping history entry is not Tally's and left the bill reference it has
+  async mappedHere(client, companyId, receiptId, billReference) {
+    const latest = await client.query(`
+      SELECT method, new_bill_no FROM receipt_mapping_history
+      WHERE company_id = $1 AND receipt_id = $2
+      ORDER BY id DESC
+      LIMIT 1
+    `, [companyId, receiptId]);
+    return latest.rows.length > 0 && latest.rows[0].method !== 'TALLY' && latest.rows[0].new_bill_no === billReference;
+  }
+
+  // Upsert one validated receipt into receipt (and its bill allocations when the row carries
+  // them). A receipt Tally sends without a reference or allocations keeps a mapping made
+  // here; when Tally's reference or allocations change a mapping, the change is stored in
+  // the mapping history as TALLY
+  async promoteReceipt(client, companyId, receipt) {
+    if (receipt.tally_status && receipt.tally_status !== 'ACTIVE') {
+      return voucherStatus.mark(client, 'receipt', companyId, receipt.receipt_id, receipt.tally_status);
+    }
+
+    const before = await receiptMapping.snapshot(client, companyId, receipt.receipt_id);
+    const tallyMaps = Boolean(receipt.bill_reference) || (receipt.allocations || []).length > 0;
+    const keepMapping = !tallyMaps && before !== null &&
+      await this.mappedHere(client, companyId, receipt.receipt_id, before.bill_reference);
+
+    const upsert = await client.query(`
+      WITH previous AS (
+        SELECT receipt_date, party_name, amount, mode, ref_text, bill_reference, tally_status FROM receipt WHERE company_id = $8 AND receipt_id = $1
+      )
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode, ref_text, bill_reference, party_id, last_sync_ts)
+      VALUES ($8, $1, $2, $3, $4, $5, $6, $7, (SELECT id FROM party WHERE company_id = $8 AND party_name = $3::varchar), CURRENT_TIMESTAMP)
+      ON CONFLICT (company_id, receipt_id)
+      DO UPDATE SET
+        receipt_date = EXCLUDED.receipt_date,
+        party_name = EXCLUDED.party_name,
+        amount = EXCLUDED.amount,
+        mode = EXCLUDED.mode,
+        ref_text = EXCLUDED.ref_text,
+        bill_reference = CASE WHEN $9 THEN receipt.bill_reference ELSE EXCLUDED.bill_reference END,
+        -- A reference from Tally no longer comes from the mapping rule
+        mapping_rule_id = CASE
+          WHEN NOT $9 AND receipt.bill_reference IS DISTINCT FROM EXCLUDED.bill_reference THEN NULL
+          ELSE receipt.mapping_rule_id
+        END,
+        party_id = EXCLUDED.party_id,
+        tally_status = 'ACTIVE',
+        tally_status_ts = CASE WHEN receipt.tally_status <> 'ACTIVE' THEN CURRENT_TIMESTAMP ELSE receipt.tally_status_ts END,
+        last_sync_ts = CURRENT_TIMESTAMP
+      RETURNING
+        NOT EXISTS (SELECT 1 FROM previous) as inserted,
+        EXISTS (
+          SELECT 1 FROM previous p
+          WHERE (p.receipt_date, p.party_name, p.amount, p.mode, p.ref_text, p.bill_reference, p.tally_status)
+            IS DISTINCT FROM (receipt.receipt_date, receipt.party_name, receipt.amount, receipt.mode, receipt.ref_text, receipt.bill_reference, receipt.tally_status)
+        ) as changed
+    `, [
+      receipt.receipt_id,
+      tallyXMLParser.parseDate(receipt.receipt_date),
+      receipt.party_name,
+      receipt.amount,
+      receipt.mode || 'CASH',
+      receipt.ref_text || '',
+      receipt.bill_reference || null,
+      companyId,
+      keepMapping
+    ]);
+
+    // Bill allocations only come over the XML API; a re-allocation in Tally changes
+    // nothing on the receipt row itself
+    if (receipt.allocations) {
+      const allocationsChanged = await receiptAllocation.replace(client, companyId, receipt.receipt_id, receipt.allocations);
+      if (allocationsChanged && !upsert.rows[0].inserted) {
+        upsert.rows[0].changed = true;
+      }
+    }
+
+    if (before !== null && !keepMapping) {
+      // A split made here no longer stands once Tally points the receipt at another bill
+      if (receipt.bill_reference && receipt.bill_reference !== before.bill_reference) {
+        await client.query(`
+          DELETE FROM receipt_allocation WHERE company_id = $1 AND receipt_id = $2 AND source <> 'TALLY'
+        `, [companyId, receipt.receipt_id]);
+      }
+
+      const after = await receiptMapping.snapshot(client, companyId, receipt.receipt_id);
+      if (!receiptMapping.sameMapping(before, after)) {
+        await receiptMapping.record(client, { companyId, receiptId: receipt.receipt_id, method: 'TALLY', before, after });
+      }
+    }
+
+    return upsert;
+  }
+
+  // Upsert one validated credit note, debit note or journal into adjustment with its bill allocations
+  async promoteAdjustment(client, companyId, adjustment) {
+    if (adjustment.tally_status && adjustment.tally_status !== 'ACTIVE') {
+      return voucherStatus.mark(client, 'adjustment', companyId, adjustment.voucher_no, adjustment.tally_status, adjustment.voucher_type);
+    }
+
+    // A journal no longer allocated to any bill stops adjusting them
+    if (billAdjustment.isUnallocatedJournal(adjustment)) {
+      return client.query(`
+        DELETE FROM adjustment
+        WHERE company_id = $1 AND voucher_type = $2 AND voucher_no = $3
+        RETURNING false as inserted, true as changed
+      `, [companyId, adjustment.voucher_type, adjustment.voucher_no]);
+    }
+
+    const upsert = await client.query(`
+      WITH previous AS (
+        SELECT adjustment_kind, voucher_date, party_name, amount, narration, tally_status FROM adjustment
+        WHERE company_id = $7 AND voucher_type = $1 AND voucher_no = $2
+      )
+      INSERT INTO adjustment (company_id, voucher_type, adjustment_kind, voucher_no, voucher_date, party_name, amount, narration, party_id, last_sync_ts)
+      VALUES ($7, $1, $8, $2, $3, $4, $5, $6, (SELECT id FROM party WHERE company_id = $7 AND party_name = $4::varchar), CURRENT_TIMESTAMP)
+      ON CONFLICT (company_id, voucher_type, voucher_no)
+      DO UPDATE SET
+        adjustment_kind = EXCLUDED.adjustment_kind,
+        voucher_date = EXCLUDED.voucher_date,
+        party_name = EXCLUDED.party_name,
+        amount = EXCLUDED.amount,
+        narration = EXCLUDED.narration,
+        party_id = EXCLUDED.party_id,
+        tally_status = 'ACTIVE',
+        tally_status_ts = CASE WHEN adjustment.tally_status <> 'ACTIVE' THEN CURRENT_TIMESTAMP ELSE adjustment.tally_status_ts END,
+        last_sync_ts = CURRENT_TIMESTAMP
+      RETURNING
+        NOT EXISTS (SELECT 1 FROM previous) as inserted,
+        EXISTS (
+          SELECT 1 FROM previous p
+          WHERE (p.adjustment_kind, p.voucher_date, p.party_name, p.amount, p.narration, p.tally_status)
+            IS DISTINCT FROM (adjustment.adjustment_kind, adjustment.voucher_date, adjustment.party_name, adjustment.amount, adjustment.narration, adjustment.tally_status)
+        ) as changed
+    `, [
+      adjustment.voucher_type,
+      adjustment.voucher_no,
+      tallyXMLParser.parseDate(adjustment.voucher_date),
+      adjustment.party_name,
+      adjustment.amount,
+      adjustment.narration || null,
+      companyId,
+      adjustment.adjustment_kind
+    ]);
+
+    const allocationsChanged = await billAdjustment.replace(
+      client, companyId, adjustment.voucher_type, adjustment.voucher_no, adjustment.allocations || []
+    );
+    if (allocationsChanged && !upsert.rows[0].inserted) {
+      upsert.rows[0].changed = true;
+    }
+
+    return upsert;
+  }
+
+  promote(client, companyId, document, row) {
+    if (document === 'adjustment') {
+      return this.promoteAdjustment(client, companyId, row);
+    }
+    return document === 'bill'
+      ? this.promoteBill(client, companyId, row)
+      : this.promoteReceipt(client, companyId, row);
+  }
+
+  // Record a rejected row, replacing the open quarantine entry of the same voucher
+  async quarantine(client, { companyId, document, source, stagingId = null, row, reasons }) {
+    const number = this.numberOf(document, row);
+    const params = [companyId, document, number, source, stagingId, JSON.stringify(row), reasons];
+
+    if (number) {
+      const updated = await client.query(`
+        UPDATE tally_quarantine
+        SET source = $4, staging_id = $5, payload = $6, reasons = $7, quarantined_at = CURRENT_TIMESTAMP
+        WHERE company_id = $1 AND document = $2 AND voucher_number = $3 AND status = 'OPEN'
+        RETURNING id
+      `, params);
+      if (updated.rows.length > 0) {
+        return updated.rows[0].id;
+      }
+    }
+
+    const inserted = await client.query(`
+      INSERT INTO tally_quarantine (company_id, document, voucher_number, source, staging_id, payload, reasons)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, params);
+    return inserted.rows[0].id;
+  }
+
+  // Stage a batch of rows from Tally inside the caller's transaction: each row is stored
+  // raw in tally_staging, validated and promoted under its own savepoint, so a bad row is
+  // quarantined instead of aborting the batch. Returns { promoted, quarantined }
+  async load(client, { companyId, companyCode = '', document, source, rows, counts }) {
+    const conflicts = this.conflictingNumbers(document, rows);
+    const outcome = { promoted: 0, quarantined: 0 };
+
+    for (const row of rows) {
+      const number = this.numberOf(document, row);
+      const staged = await client.query(`
+        INSERT INTO tally_staging (company_id, document, voucher_number, source, payload)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `, [companyId, document, number, source, JSON.stringify(row)]);
+      const stagingId = staged.rows[0].id;
+
+      const reasons = this.validate(document, row);
+      if (conflicts.has(number)) {
+        reasons.push(DUPLICATE_REASON);
+      }
+
+      if (reasons.length === 0) {
+        await client.query('SAVEPOINT staged_row');
+        try {
+          syncRun.countUpsert(counts, await this.promote(client, companyId, document, row));
+          await client.query('RELEASE SAVEPOINT staged_row');
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT staged_row');
+          reasons.push(error.message);
+        }
+      }
+
+      if (reasons.length > 0) {
+        await this.quarantine(client, { companyId, document, source, stagingId, row, reasons });
+        counts.failed++;
+        outcome.quarantined++;
+        logger.warn(`Quarantined ${document} ${number || '(no number)'} (${companyCode}): ${reasons.join('; ')}`);
+      } else if (number) {
+        // A corrected voucher from Tally resolves its earlier quarantine entry
+        await client.query(`
+          UPDATE tally_quarantine
+          SET status = 'PROMOTED', resolved_at = CURRENT_TIMESTAMP
+          WHERE company_id = $1 AND document = $2 AND voucher_number = $3 AND status = 'OPEN'
+        `, [companyId, document, number]);
+        outcome.promoted++;
+      } else {
+        outcome.promoted++;
+      }
+
+      await client.query('UPDATE tally_staging SET status = $2 WHERE id = $1', [
+        stagingId, reasons.length > 0 ? 'QUARANTINED' : 'PROMOTED'
+      ]);
+    }
+
+    return outcome;
+  }
+
+  // Drop promoted staging rows past the retention period
+  async purge() {
+    const result = await pool.query(`
+      DELETE FROM tally_staging
+      WHERE status = 'PROMOTED' AND staged_at < CURRENT_TIMESTAMP - ($1::int * INTERVAL '1 day')
+    `, [this.retentionDays]);
+    return result.rowCount;
+  }
+
+  // Quarantined rows for the admin screen
+  async list({ companyId, status = 'OPEN', document = null }) {
+    const result = await pool.query(`
+      SELECT q.*, u.full_name as resolved_by_name
+      FROM tally_quarantine q
+      LEFT JOIN users u ON q.resolved_by = u.id
+      WHERE q.company_id = $1
+        AND ($2::varchar IS NULL OR q.status = $2)
+        AND ($3::varchar IS NULL OR q.document = $3)
+      ORDER BY q.quarantined_at DESC
+    `, [companyId, status, document]);
+
+    return result.rows;
+  }
+
+  async get(id) {
+    const result = await pool.query('SELECT * FROM tally_quarantine WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  // Apply corrections to an open quarantined row and re-validate it; returns the updated entry
+  async fix(id, changes) {
+    const entry = await this.get(id);
+    if (!entry || entry.status !== 'OPEN') {
+      return entry;
+    }
+
+    const definition = this.documentOf(entry.document);
+    const payload = { ...entry.payload };
+    for (const field of definition.fields) {
+      if (changes[field] !== undefined) {
+        payload[field] = changes[field];
+      }
+    }
+    if (changes.amount !== undefined && changes.amount !== null && changes.amount !== '') {
+      payload.amount = Number(changes.amount);
+    }
+    if (changes[definition.date]) {
+      payload[definition.date] = tallyXMLParser.parseDate(changes[definition.date]) || changes[definition.date];
+    }
+
+    const result = await pool.query(`
+      UPDATE tally_quarantine
+      SET payload = $2, reasons = $3, voucher_number = $4
+      WHERE id = $1
+      RETURNING *
+    `, [id, JSON.stringify(payload), this.validate(entry.document, payload), this.numberOf(entry.document, payload)]);
+
+    return result.rows[0];
+  }
+
+  // Promote an open quarantined row into the core tables; returns { entry, reasons }
+  // with the reasons it is still rejected for when it cannot be promoted
+  async repromote(id, userId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const found = await client.query('SELECT * FROM tally_quarantine WHERE id = $1 FOR UPDATE', [id]);
+      const entry = found.rows[0];
+      if (!entry || entry.status !== 'OPEN') {
+        await client.query('ROLLBACK');
+        return { entry: entry || null, reasons: entry ? [`Quarantined row is already ${entry.status.toLowerCase()}`] : [] };
+      }
+
+      let reasons = this.validate(entry.document, entry.payload);
+      if (reasons.length === 0) {
+        await client.query('SAVEPOINT repromote');
+        try {
+          await this.promote(client, entry.company_id, entry.document, entry.payload);
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT repromote');
+          reasons = [error.message];
+        }
+      }
+
+      const result = await client.query(`
+        UPDATE tally_quarantine
+        SET reasons = CASE WHEN $2 THEN reasons ELSE $3 END,
+            attempts = attempts + 1,
+            status = CASE WHEN $2 THEN 'PROMOTED' ELSE status END,
+            resolved_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP ELSE resolved_at END,
+            resolved_by = CASE WHEN $2 THEN $4::uuid ELSE resolved_by END
+        WHERE id = $1
+        RETURNING *
+      `, [id, reasons.length === 0, reasons, userId]);
+
+      await client.query('COMMIT');
+      return { entry: result.rows[0], reasons };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Close an open quarantined row without promoting it
+  async discard(id, userId, note = null) {
+    const result = await pool.query(`
+      UPDATE tally_quarantine
+      SET status = 'DISCARDED', resolved_at = CURRENT_TIMESTAMP, resolved_by = $2, note = $3
+      WHERE id = $1 AND status = 'OPEN'
+      RETURNING *
+    `, [id, userId, note]);
+
+    return result.rows[0] || null;
+  }
+
+  // Open quarantined rows per document type, for the exceptions report
+  async openCounts(companyId) {
+    const result = await pool.query(`
+      SELECT document, COUNT(*)::int as count
+      FROM tally_quarantine
+      WHERE company_id = $1 AND status = 'OPEN'
+      GROUP BY document
+    `, [companyId]);
+
+    return Object.fromEntries(result.rows.map(row => [row.document, row.count]));
+  }
+}
+
+module.exports = new TallyStagingService();
@@ -0,0 +1,396 @@
+const sax = require('sax');
+
+// Elements that are emitted as records once fully parsed
+const RECORD_TAGS = ['VOUCHER', 'LEDGER', 'GROUP', 'BILL', 'VOUCHERTYPE', 'IMPORTRESULT', 'RESPONSE'];
+
+class TallyXMLParser {
+  // Work out the text encoding of a Tally response from its first bytes
+  detectEncoding(buffer) {
+    if (buffer.length >= 2) {
+      if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+      if (buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+      // Tally sometimes sends UTF-16 without a BOM
+      if (buffer[0] === 0x3c && buffer[1] === 0x00) return 'utf-16le';
+      if (buffer[0] === 0x00 && buffer[1] === 0x3c) return 'utf-16be';
+    }
+    return 'utf-8';
+  }
+
+  // Decode a string, Buffer or readable stream into text chunks
+  async *decode(input) {
+    if (typeof input === 'string') {
+      yield input;
+      return;
+    }
+
+    const chunks = Buffer.isBuffer(input) || input instanceof Uint8Array ? [input] : input;
+    let decoder = null;
+
+    for await (const chunk of chunks) {
+      if (typeof chunk === 'string') {
+        yield chunk;
+        continue;
+      }
+      if (!decoder) {
+        decoder = new TextDecoder(this.detectEncoding(chunk));
+      }
+      yield decoder.decode(chunk, { stream: true });
+    }
+
+    if (decoder) {
+      yield decoder.decode();
+    }
+  }
+
+  // Stream-parse a Tally response, calling onVoucher/onLedger/onGroup/onBill/onVoucherType for
+  // each record (onImportResult for the counts of an Import Data response).
+  // Rejects when Tally reports a LINEERROR unless throwOnLineError is false.
+  async parse(input, { onVoucher, onLedger, onGroup, onBill, onVoucherType, onImportResult, throwOnLineError = true } = {}) {
+    const parser = sax.parser(false, { trim: false, normalize: false, position: false });
+    const stack = [];
+    const lineErrors = [];
+    const summary = { vouchers: 0, ledgers: 0, groups: 0, bills: 0, voucherTypes: 0, lineErrors };
+    let pending = [];
+    let lineError = null;
+    let parseError = null;
+
+    parser.onopentag = (tag) => {
+      if (tag.name === 'LINEERROR') {
+        lineError = '';
+        return;
+      }
+      if (stack.length > 0 || RECORD_TAGS.includes(tag.name)) {
+        stack.push({ name: tag.name, attributes: tag.attributes, text: '', children: [] });
+      }
+    };
+
+    parser.ontext = parser.oncdata = (text) => {
+      if (lineError !== null) {
+        lineError += text;
+      } else if (stack.length > 0) {
+        stack[stack.length - 1].text += text;
+      }
+    };
+
+    parser.onclosetag = (name) => {
+      if (name === 'LINEERROR' && lineError !== null) {
+        lineErrors.push(lineError.trim());
+        lineError = null;
+        return;
+      }
+      if (stack.length === 0) return;
+
+      const node = stack.pop();
+      if (stack.length > 0) {
+        stack[stack.length - 1].children.push(node);
+      } else {
+        pending.push(node);
+      }
+    };
+
+    parser.onerror = (error) => {
+      parseError = error;
+    };
+
+    const flush = async () => {
+      const records = pending;
+      pending = [];
+      for (const node of records) {
+        if (node.name === 'VOUCHER') {
+          summary.vouchers++;
+          if (onVoucher) await onVoucher(this.toVoucher(node));
+        } else if (node.name === 'LEDGER') {
+          summary.ledgers++;
+          if (onLedger) await onLedger(this.toLedger(node));
+        } else if (node.name === 'GROUP') {
+          summary.groups++;
+          if (onGroup) await onGroup(this.toGroup(node));
+        } else if (node.name === 'BILL') {
+          summary.bills++;
+          if (onBill) await onBill(this.toBill(node));
+        } else if (node.name === 'VOUCHERTYPE') {
+          summary.voucherTypes++;
+          if (onVoucherType) await onVoucherType(this.toVoucherType(node));
+        } else if (onImportResult && this.child(node, 'CREATED')) {
+          await onImportResult(this.toImportResult(node));
+        }
+      }
+    };
+
+    for await (const text of this.decode(input)) {
+      parser.write(text);
+      if (parseError) break;
+      await flush();
+    }
+
+    if (!parseError) {
+      parser.close();
+      await flush();
+    }
+
+    if (parseError) {
+      throw new Error(`Invalid XML from Tally: ${parseError.message.split('\n')[0]}`);
+    }
+
+    if (throwOnLineError && lineErrors.length > 0) {
+      const error = new Error(`Tally returned an error: ${lineErrors.join('; ')}`);
+      error.lineErrors = lineErrors;
+      throw error;
+    }
+
+    return summary;
+  }
+
+  // Collect all vouchers in a response
+  async parseVouchers(input) {
+    const vouchers = [];
+    await this.parse(input, { onVoucher: (voucher) => vouchers.push(voucher) });
+    return vouchers;
+  }
+
+  // Collect all ledgers in a response
+  async parseLedgers(input) {
+    const ledgers = [];
+    await this.parse(input, { onLedger: (ledger) => ledgers.push(ledger) });
+    return ledgers;
+  }
+
+  // Collect all groups in a response
+  async parseGroups(input) {
+    const groups = [];
+    await this.parse(input, { onGroup: (group) => groups.push(group) });
+    return groups;
+  }
+
+  // Collect all bills (Bills Outstanding) in a response
+  async parseBills(input) {
+    const bills = [];
+    await this.parse(input, { onBill: (bill) => bills.push(bill) });
+    return bills;
+  }
+
+  // Collect all voucher type masters in a response
+  async parseVoucherTypes(input) {
+    const voucherTypes = [];
+    await this.parse(input, { onVoucherType: (voucherType) => voucherTypes.push(voucherType) });
+    return voucherTypes;
+  }
+
+  // Counts and last voucher ID from an Import Data response; line errors are returned, not thrown
+  async parseImportResult(input) {
+    let result = this.toImportResult({ children: [] });
+    const summary = await this.parse(input, {
+      onImportResult: (importResult) => { result = importResult; },
+      throwOnLineError: false
+    });
+    return { ...result, lineErrors: summary.lineErrors };
+  }
+
+  // First direct child element with the given name
+  child(node, name) {
+    return node.children.find(child => child.name === name) || null;
+  }
+
+  // All direct child elements with the given name (Tally ".LIST" collections)
+  children(node, name) {
+    return node.children.filter(child => child.name === name);
+  }
+
+  // Trimmed text of a direct child element, '' when absent
+  value(node, name) {
+    const child = this.child(node, name);
+    return child ? child.text.trim() : '';
+  }
+
+  // Tally booleans are "Yes"/"No"
+  flag(node, name) {
+    return this.value(node, name).toLowerCase() === 'yes';
+  }
+
+  // Parse a Tally amount ("-1,180.00", "1180.00 Dr") keeping its sign; null when empty
+  parseAmount(text) {
+    const cleaned = (text || '').replace(/[^\d.-]/g, '');
+    if (!/\d/.test(cleaned)) return null;
+    const amount = parseFloat(cleaned);
+    return Number.isNaN(amount) ? null : amount;
+  }
+
+  // Parse a Tally balance in the XML sign convention (debit negative); "1180.00 Dr"
+  // and "1180.00 Cr" forms are signed accordingly. Null when empty
+  parseBalance(text) {
+    const amount = this.parseAmount(text);
+    if (amount === null) return null;
+    if (/\bDr\b/i.test(text)) return -Math.abs(amount);
+    if (/\bCr\b/i.test(text)) return Math.abs(amount);
+    return amount;
+  }
+
+  // Parse a Tally quantity ("10 Nos", "2.500 Kgs") into { quantity, unit }; quantity null when empty
+  parseQuantity(text) {
+    const match = (text || '').trim().match(/^(-?[\d,]*\.?\d+)\s*(.*)$/);
+    if (!match) return { quantity: null, unit: '' };
+    return { quantity: Math.abs(parseFloat(match[1].replace(/,/g, ''))), unit: match[2].trim() };
+  }
+
+  // Parse a Tally rate ("118.00/Nos") to a number; null when empty
+  parseRate(text) {
+    return this.parseAmount((text || '').split('/')[0]);
+  }
+
+  // Parse a Tally date (YYYYMMDD, DD-MM-YYYY, D-Mon-YYYY or ODBC's YYYY-MM-DD) to YYYY-MM-DD;
+  // null when unparseable
+  parseDate(text) {
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const value = String(text || '').trim();
+    let year, month, day;
+
+    let match = value.match(/^(\d{4})(\d{2})(\d{2})$/) || value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) {
+      [, year, month, day] = match;
+    } else if ((match = value.match(/^(\d{1,2})-(\d{1,2})-(\d{4})$/))) {
+      [, day, month, year] = match;
+    } else if ((match = value.match(/^(\d{1,2})-([A-Za-z]{3})-(\d{2}|\d{4})$/))) {
+      day = match[1];
+      month = String(months.indexOf(match[2].toLowerCase()) + 1);
+      year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    } else {
+      return null;
+    }
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCFullYear() !== Number(year) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+      return null;
+    }
+    return date.toISOString().split('T')[0];
+  }
+
+  // Map a parsed VOUCHER element to a plain voucher object
+  toVoucher(node) {
+    const ledgerEntries = [
+      ...this.children(node, 'ALLLEDGERENTRIES.LIST'),
+      ...this.children(node, 'LEDGERENTRIES.LIST')
+    ].map(entry => ({
+      ledgerName: this.value(entry, 'LEDGERNAME'),
+      amount: this.parseAmount(this.value(entry, 'AMOUNT')),
+      isPartyLedger: this.flag(entry, 'ISPARTYLEDGER'),
+      billAllocations: this.children(entry, 'BILLALLOCATIONS.LIST').map(allocation => ({
+        name: this.value(allocation, 'NAME'),
+        billType: this.value(allocation, 'BILLTYPE'),
+        amount: this.parseAmount(this.value(allocation, 'AMOUNT'))
+      }))
+    }));
+
+    const inventoryEntries = [
+      ...this.children(node, 'ALLINVENTORYENTRIES.LIST'),
+      ...this.children(node, 'INVENTORYENTRIES.LIST')
+    ].map(entry => ({
+      stockItem: this.value(entry, 'STOCKITEMNAME'),
+      ...this.parseQuantity(this.value(entry, 'BILLEDQTY') || this.value(entry, 'ACTUALQTY')),
+      rate: this.parseRate(this.value(entry, 'RATE')),
+      amount: this.parseAmount(this.value(entry, 'AMOUNT')),
+      batchAllocations: this.children(entry, 'BATCHALLOCATIONS.LIST').map(batch => ({
+        godown: this.value(batch, 'GODOWNNAME'),
+        batch: this.value(batch, 'BATCHNAME'),
+        ...this.parseQuantity(this.value(batch, 'BILLEDQTY') || this.value(batch, 'ACTUALQTY')),
+        amount: this.parseAmount(this.value(batch, 'AMOUNT'))
+      }))
+    }));
+
+    return {
+      voucherNumber: this.value(node, 'VOUCHERNUMBER'),
+      voucherType: this.value(node, 'VOUCHERTYPENAME') || node.attributes.VCHTYPE || '',
+      rawDate: this.value(node, 'DATE'),
+      date: this.parseDate(this.value(node, 'DATE')),
+      partyName: this.value(node, 'PARTYLEDGERNAME'),
+      partyGSTIN: this.value(node, 'PARTYGSTIN'),
+      placeOfSupply: this.value(node, 'PLACEOFSUPPLY') || this.value(node, 'STATENAME'),
+      amount: this.parseAmount(this.value(node, 'AMOUNT')),
+      reference: this.value(node, 'REFERENCE'),
+      narration: this.value(node, 'NARRATION'),
+      guid: this.value(node, 'GUID') || node.attributes.REMOTEID || '',
+      alterId: parseInt(this.value(node, 'ALTERID')) || 0,
+      masterId: parseInt(this.value(node, 'MASTERID')) || 0,
+      action: node.attributes.ACTION || '',
+      isCancelled: this.flag(node, 'ISCANCELLED'),
+      isDeleted: this.flag(node, 'ISDELETED') || node.attributes.ACTION === 'Delete',
+      ledgerEntries,
+      inventoryEntries
+    };
+  }
+
+  // Master name from the NAME attribute, NAME element or NAME.LIST
+  masterName(node) {
+    const nameList = this.child(node, 'NAME.LIST');
+    return node.attributes.NAME || this.value(node, 'NAME') || (nameList ? this.value(nameList, 'NAME') : '');
+  }
+
+  // Map a parsed LEDGER element to a plain ledger object
+  toLedger(node) {
+    const addressList = this.child(node, 'ADDRESS.LIST');
+    const address = addressList
+      ? this.children(addressList, 'ADDRESS').map(line => line.text.trim()).filter(Boolean)
+      : [];
+
+    return {
+      name: this.masterName(node),
+      parent: this.value(node, 'PARENT'),
+      openingBalance: this.parseAmount(this.value(node, 'OPENINGBALANCE')),
+      closingBalance: this.parseAmount(this.value(node, 'CLOSINGBALANCE')),
+      gstin: this.value(node, 'PARTYGSTIN'),
+      phone: this.value(node, 'LEDGERMOBILE') || this.value(node, 'LEDGERPHONE'),
+      email: this.value(node, 'EMAIL'),
+      address: address.join(', '),
+      state: this.value(node, 'LEDSTATENAME'),
+      pincode: this.value(node, 'PINCODE'),
+      creditLimit: this.parseAmount(this.value(node, 'CREDITLIMIT')),
+      creditPeriod: this.value(node, 'BILLCREDITPERIOD'),
+      guid: this.value(node, 'GUID'),
+      alterId: parseInt(this.value(node, 'ALTERID')) || 0,
+      masterId: parseInt(this.value(node, 'MASTERID')) || 0
+    };
+  }
+
+  // Map an IMPORTRESULT (or legacy RESPONSE) element to import counts
+  toImportResult(node) {
+    const count = (name) => parseInt(this.value(node, name)) || 0;
+    const lastVoucherId = this.value(node, 'LASTVCHID');
+    return {
+      created: count('CREATED'),
+      altered: count('ALTERED'),
+      errors: count('ERRORS'),
+      exceptions: count('EXCEPTIONS'),
+      lastVoucherId: lastVoucherId && lastVoucherId !== '0' ? lastVoucherId : null
+    };
+  }
+
+  // Map a parsed BILL element (bill-wise outstanding) to a plain bill object; the
+  // closing balance keeps Tally's sign, so a receivable is negative
+  toBill(node) {
+    return {
+      name: this.masterName(node),
+      billDate: this.parseDate(this.value(node, 'BILLDATE')),
+      partyName: this.value(node, 'PARTYLEDGERNAME') || this.value(node, 'PARENT'),
+      billAmount: this.parseBalance(this.value(node, 'BILLCREDITAMOUNT')),
+      closingBalance: this.parseBalance(this.value(node, 'CLOSINGBALANCE'))
+    };
+  }
+
+  // Map a parsed VOUCHERTYPE element to { name, parent }; the parent of a custom voucher
+  // type is the predefined type it is based on (Sales, Receipt, ...)
+  toVoucherType(node) {
+    return {
+      name: this.masterName(node),
+      parent: this.value(node, 'PARENT') || null
+    };
+  }
+
+  // Map a parsed GROUP element to { name, parent }
+  toGroup(node) {
+    return {
+      name: this.masterName(node),
+      parent: this.value(node, 'PARENT')
+    };
+  }
+}
+
+module.exports = new TallyXMLParser();
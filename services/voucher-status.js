@@ -0,0 +1,142 @@
+const { pool } = require('../config/database');
+const logger = require('./logger');
+
+// Synced document tables and their voucher number / date columns; adjustment
+// numbers are only unique within their voucher type
+const DOCUMENTS = {
+  bill: { key: 'bill_no', date: 'bill_date' },
+  receipt: { key: 'receipt_id', date: 'receipt_date' },
+  adjustment: { key: 'voucher_no', date: 'voucher_date', type: 'voucher_type' }
+};
+
+class VoucherStatusService {
+  // Tally flags arrive as "Yes"/"No" over XML and as booleans or 1/0 over ODBC
+  isSet(value) {
+    return value === true || value === 1 || /^(yes|true|1)$/i.test(String(value || '').trim());
+  }
+
+  // ACTIVE, CANCELLED or DELETED from a voucher's $IsCancelled/$IsDeleted flags
+  statusOf({ isCancelled, isDeleted }) {
+    if (this.isSet(isDeleted)) return 'DELETED';
+    if (this.isSet(isCancelled)) return 'CANCELLED';
+    return 'ACTIVE';
+  }
+
+  // Extra condition and parameter restricting a query to one voucher type, for
+  // documents keyed by type and number
+  typeFilter(document, voucherType, index) {
+    const { type } = DOCUMENTS[document];
+    return type ? { clause: `AND ${type} = $${index}`, params: [voucherType] } : { clause: '', params: [] };
+  }
+
+  // Set the Tally status of a synced bill, receipt or adjustment; returns an upsert-style
+  // result for sync_run counts (no row when the status did not change)
+  async mark(client, document, companyId, voucherNumber, status, voucherType = null) {
+    const { key } = DOCUMENTS[document];
+    const typed = this.typeFilter(document, voucherType, 4);
+
+    return client.query(`
+      UPDATE ${document}
+      SET tally_status = $3, tally_status_ts = CURRENT_TIMESTAMP, last_sync_ts = CURRENT_TIMESTAMP
+      WHERE company_id = $1 AND ${key} = $2 AND tally_status <> $3 ${typed.clause}
+      RETURNING false as inserted, true as changed
+    `, [companyId, voucherNumber, status, ...typed.params]);
+  }
+
+  // Compare the vouchers Tally returned for a date window with what we hold:
+  // rows no longer returned become MISSING, MISSING rows that came back are revived
+  async reconcileWindow(document, companyId, { fromDate, toDate, seenNumbers, voucherType = null }) {
+    const { key, date } = DOCUMENTS[document];
+    const missingType = this.typeFilter(document, voucherType, 5);
+    const revivedType = this.typeFilter(document, voucherType, 3);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const missing = await client.query(`
+        UPDATE ${document}
+        SET tally_status = 'MISSING', tally_status_ts = CURRENT_TIMESTAMP
+        WHERE company_id = $1 AND ${date} BETWEEN $2 AND $3
+          AND tally_status = 'ACTIVE'
+          AND NOT (${key} = ANY($4::varchar[]))
+          ${missingType.clause}
+        RETURNING ${key} as voucher_number
+      `, [companyId, fromDate, toDate, seenNumbers, ...missingType.params]);
+
+      const revived = await client.query(`
+        UPDATE ${document}
+        SET tally_status = 'ACTIVE', tally_status_ts = CURRENT_TIMESTAMP
+        WHERE company_id = $1 AND tally_status = 'MISSING' AND ${key} = ANY($2::varchar[])
+          ${revivedType.clause}
+        RETURNING ${key} as voucher_number
+      `, [companyId, seenNumbers, ...revivedType.params]);
+
+      await client.query('COMMIT');
+
+      for (const row of missing.rows) {
+        logger.warn(`${voucherType || document} ${row.voucher_number} no longer found in Tally, marked MISSING`);
+      }
+
+      return {
+        missing: missing.rows.map(row => row.voucher_number),
+        revived: revived.rows.map(row => row.voucher_number)
+      };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Active rows held for a window (used to refuse a reconcile against an empty Tally answer)
+  async countActive(document, companyId, fromDate, toDate, voucherType = null) {
+    const { date } = DOCUMENTS[document];
+    const typed = this.typeFilter(document, voucherType, 4);
+    const result = await pool.query(`
+      SELECT COUNT(*) as total FROM ${document}
+      WHERE company_id = $1 AND ${date} BETWEEN $2 AND $3 AND tally_status = 'ACTIVE' ${typed.clause}
+    `, [companyId, fromDate, toDate, ...typed.params]);
+    return parseInt(result.rows[0].total);
+  }
+
+  // Bills voided in Tally on a date that already have collections, mapped receipts or a release
+  // (all companies when companyId is null)
+  async voidedWithActivity(companyId, date) {
+    const result = await pool.query(`
+      SELECT
+        b.bill_no,
+        b.bill_date,
+        b.party_name,
+        b.amount,
+        b.tally_status,
+        b.tally_status_ts,
+        COALESCE(ph.collected, 0) as collected,
+        COALESCE(r.receipt_total, 0) as receipt_total,
+        rs.release_status
+      FROM bill b
+      LEFT JOIN (
+        SELECT company_id, bill_no, SUM(cash_amt + cheque_amt + digital_amt) as collected
+        FROM payment_hint
+        GROUP BY company_id, bill_no
+      ) ph ON b.company_id = ph.company_id AND b.bill_no = ph.bill_no
+      LEFT JOIN (
+        SELECT company_id, bill_no, SUM(amount) as receipt_total
+        FROM receipt_applied
+        GROUP BY company_id, bill_no
+      ) r ON b.company_id = r.company_id AND b.bill_no = r.bill_no
+      LEFT JOIN release_status rs ON b.company_id = rs.company_id AND b.bill_no = rs.bill_no
+      WHERE ($1::uuid IS NULL OR b.company_id = $1)
+        AND b.tally_status <> 'ACTIVE'
+        AND DATE(b.tally_status_ts) = $2
+        AND (ph.collected > 0 OR r.receipt_total > 0 OR rs.release_status <> 'READY')
+      ORDER BY b.tally_status_ts DESC
+    `, [companyId, date]);
+
+    return result.rows;
+  }
+}
+
+module.exports = new VoucherStatusService();
@@ -0,0 +1,148 @@
+const { pool } = require('../config/database');
+
+// What a voucher type can be synced as: the sync entity and, for adjustments, the kind stored
+const TARGETS = {
+  bill: { entity: 'bills' },
+  receipt: { entity: 'receipts' },
+  credit_note: { entity: 'adjustments', kind: 'Credit Note' },
+  debit_note: { entity: 'adjustments', kind: 'Debit Note' },
+  journal: { entity: 'adjustments', kind: 'Journal' },
+  ignore: null
+};
+
+// Predefined Tally voucher types and what they, and the types based on them, sync as
+// when no rule says otherwise
+const PREDEFINED = {
+  Sales: 'bill',
+  Receipt: 'receipt',
+  'Credit Note': 'credit_note',
+  'Debit Note': 'debit_note',
+  Journal: 'journal'
+};
+
+// Maps Tally voucher types, including custom ones such as "Sales - Counter", to what the
+// sync reads them as. Rules match a type by name or by the predefined type it is based
+// on; the voucher types themselves are discovered from Tally by the sync engine.
+class VoucherTypeMapService {
+  get targets() {
+    return Object.keys(TARGETS);
+  }
+
+  // What one voucher type syncs as: { maps_to, rule } where rule is NAME or PARENT for an
+  // admin rule and DEFAULT otherwise
+  resolve(voucherType, rules) {
+    const base = voucherType.parent || voucherType.name;
+
+    const byName = rules.find(rule => rule.match_on === 'NAME' && rule.voucher_type === voucherType.name);
+    if (byName) {
+      return { maps_to: byName.maps_to, rule: 'NAME' };
+    }
+
+    const byParent = rules.find(rule => rule.match_on === 'PARENT' && rule.voucher_type === base);
+    if (byParent) {
+      return { maps_to: byParent.maps_to, rule: 'PARENT' };
+    }
+
+    return { maps_to: PREDEFINED[base] || 'ignore', rule: 'DEFAULT' };
+  }
+
+  // Admin rules of a company
+  async rules(companyId) {
+    const result = await pool.query(`
+      SELECT * FROM voucher_type_map
+      WHERE company_id = $1
+      ORDER BY match_on, voucher_type
+    `, [companyId]);
+    return result.rows;
+  }
+
+  // The predefined voucher types and those discovered in the company, each with what it
+  // syncs as
+  async list(companyId) {
+    const discovered = await pool.query(`
+      SELECT name, parent, first_seen_at, last_seen_at
+      FROM tally_voucher_type
+      WHERE company_id = $1
+      ORDER BY parent NULLS FIRST, name
+    `, [companyId]);
+    const rules = await this.rules(companyId);
+
+    const types = new Map(Object.keys(PREDEFINED).map(name => [name, { name, parent: null, discovered: false }]));
+    for (const row of discovered.rows) {
+      types.set(row.name, { ...row, discovered: true });
+    }
+
+    return [...types.values()].map(voucherType => ({ ...voucherType, ...this.resolve(voucherType, rules) }));
+  }
+
+  // Voucher type names synced per entity, the entity of each name and the adjustment
+  // kind of each adjustment type
+  async forCompany(companyId) {
+    const mapping = { byEntity: { bills: [], receipts: [], adjustments: [] }, entities: {}, kinds: {} };
+
+    for (const voucherType of await this.list(companyId)) {
+      const target = TARGETS[voucherType.maps_to];
+      if (!target) continue;
+
+      mapping.byEntity[target.entity].push(voucherType.name);
+      mapping.entities[voucherType.name] = target.entity;
+      if (target.kind) {
+        mapping.kinds[voucherType.name] = target.kind;
+      }
+    }
+
+    return mapping;
+  }
+
+  // Record the voucher types read from Tally; returns how many were new
+  async saveDiscovered(companyId, voucherTypes) {
+    let added = 0;
+
+    for (const voucherType of voucherTypes.filter(item => item.name)) {
+      const result = await pool.query(`
+        INSERT INTO tally_voucher_type (company_id, name, parent)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (company_id, name)
+        DO UPDATE SET parent = EXCLUDED.parent, last_seen_at = CURRENT_TIMESTAMP
+        RETURNING (xmax = 0) as inserted
+      `, [companyId, voucherType.name, voucherType.parent && voucherType.parent !== voucherType.name ? voucherType.parent : null]);
+      if (result.rows[0].inserted) added++;
+    }
+
+    return added;
+  }
+
+  // Add or change the rule for a voucher type name or predefined (parent) type
+  async setRule(companyId, { matchOn, voucherType, mapsTo, userId = null }) {
+    const result = await pool.query(`
+      INSERT INTO voucher_type_map (company_id, match_on, voucher_type, maps_to, updated_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (company_id, match_on, voucher_type)
+      DO UPDATE SET maps_to = EXCLUDED.maps_to, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [companyId, matchOn, voucherType, mapsTo, userId]);
+    return result.rows[0];
+  }
+
+  // Names of the synced voucher types a rule decides, i.e. those whose vouchers it now
+  // brings in
+  async syncedBy(companyId, rule) {
+    return (await this.list(companyId))
+      .filter(voucherType => voucherType.rule === rule.match_on && TARGETS[voucherType.maps_to])
+      .filter(voucherType => rule.match_on === 'NAME'
+        ? voucherType.name === rule.voucher_type
+        : (voucherType.parent || voucherType.name) === rule.voucher_type)
+      .map(voucherType => voucherType.name);
+  }
+
+  // Remove a rule so the voucher type falls back to the next rule or its predefined type
+  async deleteRule(companyId, id) {
+    const result = await pool.query(
+      'DELETE FROM voucher_type_map WHERE company_id = $1 AND id = $2 RETURNING *',
+      [companyId, id]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new VoucherTypeMapService();
@@ -7,7 +7,7 @@
 
 const axios = require('axios');
 const { pool } = require('./config/database');
-const tallyODBCService = require('./services/tally-odbc');
+const syncEngine = require('./services/sync-engine');
 const logger = require('./services/logger');
 
 class TallyIntegrationTester {
@@ -58,17 +58,17 @@ class TallyIntegrationTester {
     try {
       // Test ODBC Connection
       console.log('  → Testing ODBC connection...');
-      const odbcResult = await tallyODBCService.testODBCConnection();
+      const odbcResult = await syncEngine.connectors.odbc.connect();
       this.results.connection_tests.odbc = {
-        success: !!odbcResult,
-        connectionString: odbcResult || null,
+        success: odbcResult,
+        connectionString: odbcResult ? syncEngine.connectors.odbc.odbcDsn : null,
         error: odbcResult ? null : 'No ODBC connection available'
       };
       console.log(`    ODBC: ${odbcResult ? '✅ Available' : '❌ Not Available'}`);
 
       // Test XML API Connection
       console.log('  → Testing XML API connection...');
-      const xmlResult = await tallyODBCService.testXMLConnection();
+      const xmlResult = await syncEngine.connectors.xml.connect();
       this.results.connection_tests.xml = {
         success: xmlResult,
         error: xmlResult ? null : 'XML API not available'
@@ -78,7 +78,11 @@ class TallyIntegrationTester {
       // Test Service Initialization
       console.log('  → Testing service initialization...');
       try {
-        const connectionMethod = await tallyODBCService.initialize();
+        const connectors = await syncEngine.testConnections();
+        const connectionMethod = Object.keys(connectors).filter(name => connectors[name]).join(', ');
+        if (!connectionMethod) {
+          throw new Error('No Tally connector available');
+        }
         this.results.connection_tests.initialization = {
           success: true,
           method: connectionMethod
@@ -105,10 +109,7 @@ class TallyIntegrationTester {
       if (this.results.connection_tests.initialization?.success) {
         console.log('  → Testing bills synchronization...');
         try {
-          let billsCount = 0;
-          if (tallyODBCService.connectionMethod === 'odbc' || tallyODBCService.connectionMethod === 'hybrid') {
-            billsCount = await tallyODBCService.syncBillsODBC();
-          }
+          const billsCount = await syncEngine.syncEntity('bills');
           
           this.results.data_sync_tests.bills = {
             success: true,
@@ -126,10 +127,7 @@ class TallyIntegrationTester {
         // Test Receipts Sync
         console.log('  → Testing receipts synchronization...');
         try {
-          let receiptsCount = 0;
-          if (tallyODBCService.connectionMethod === 'odbc' || tallyODBCService.connectionMethod === 'hybrid') {
-            receiptsCount = await tallyODBCService.syncReceiptsODBC();
-          }
+          const receiptsCount = await syncEngine.syncEntity('receipts');
           
           this.results.data_sync_tests.receipts = {
             success: true,
@@ -147,7 +145,7 @@ class TallyIntegrationTester {
         // Test Auto-Mapping
         console.log('  → Testing auto-mapping...');
         try {
-          const mappedCount = await tallyODBCService.autoMapReceipts();
+          const mappedCount = await syncEngine.autoMapReceipts();
           this.results.data_sync_tests.autoMapping = {
             success: true,
             count: mappedCount
@@ -195,9 +193,9 @@ class TallyIntegrationTester {
     // Test Invalid Data Handling
     console.log('  → Testing invalid data handling...');
     try {
-      // Simulate invalid date formatting
-      const testDate = tallyODBCService.formatTallyDate('invalid-date');
-      const isValidDate = !isNaN(Date.parse(testDate));
+      // Invalid dates come back as null so staging quarantines the voucher
+      const testDate = syncEngine.connectors.xml.formatTallyDate('invalid-date');
+      const isValidDate = testDate === null;
       
       this.results.error_handling_tests.dataValidation = {
         success: isValidDate,
@@ -215,8 +213,8 @@ class TallyIntegrationTester {
     // Test Concurrent Sync Prevention
     console.log('  → Testing concurrent sync prevention...');
     try {
-      tallyODBCService.isRunning = true;
-      await tallyODBCService.runSync(); // Should skip
+      syncEngine.isRunning = true;
+      await syncEngine.runCycle('manual'); // Should skip
       
       this.results.error_handling_tests.concurrency = {
         success: true,
@@ -224,7 +222,7 @@ class TallyIntegrationTester {
       };
       console.log(`    Concurrency Control: ✅ Working`);
       
-      tallyODBCService.isRunning = false;
+      syncEngine.isRunning = false;
     } catch (error) {
       this.results.error_handling_tests.concurrency = {
         success: false,
@@ -241,7 +239,7 @@ class TallyIntegrationTester {
     console.log('  → Testing sync performance...');
     try {
       const startTime = Date.now();
-      await tallyODBCService.runSync();
+      await syncEngine.runCycle('manual');
       const duration = Date.now() - startTime;
       
       this.results.performance_tests.syncDuration = {
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const xmlConnector = require('../services/connectors/xml-connector');
+const syncEngine = require('../services/sync-engine');
+const billAdjustment = require('../services/bill-adjustment');
+const companyService = require('../services/company');
+const syncRun = require('../services/sync-run');
+const { pool } = require('../config/database');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'tally', name));
+
+describe('Bill adjustments', () => {
+  let company;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM adjustment WHERE voucher_no IN ($1, $2, $3)', ['ADJ-1', 'JV-1', 'JV-2']);
+    await pool.query('DELETE FROM receipt WHERE receipt_id = $1', ['ADJ-RCP-1']);
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['ADJ-BILL-%']);
+    await pool.query("DELETE FROM tally_staging WHERE document = 'adjustment'");
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1 AND voucher_type = $2', ['DEFAULT', 'Adjustment']);
+  };
+
+  const billStatus = async (billNo) => {
+    const result = await pool.query(
+      'SELECT receipt_total, adjustment_total, remaining_due, status FROM bill_status WHERE company_id = $1 AND bill_no = $2',
+      [company.id, billNo]
+    );
+    return result.rows[0];
+  };
+
+  const syncAdjustments = async (xml) => {
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockResolvedValue(xml);
+    const counts = syncRun.newCounts();
+    await syncEngine.syncEntity('adjustments', counts, company);
+    return counts;
+  };
+
+  beforeAll(async () => {
+    await cleanup();
+    company = await companyService.getDefault();
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'ADJ-BILL-1', '2024-02-01', 'Sharma & Sons', 1000.00),
+             ($1, 'ADJ-BILL-2', '2024-02-02', 'Sharma & Sons', 200.00)
+    `, [company.id]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(cleanup);
+
+  test('should read signed allocations from credit notes, debit notes and journals', async () => {
+    const rows = await xmlConnector.parseAdjustmentsFromXML(fixture('adjustments.xml'));
+
+    expect(rows.map(row => [row.voucher_type, row.voucher_no, row.party_name, row.amount])).toEqual([
+      ['Credit Note', 'ADJ-1', 'Sharma & Sons', 500],
+      ['Debit Note', 'ADJ-1', 'Sharma & Sons', -100],
+      ['Journal', 'JV-1', 'Sharma & Sons', 200],
+      ['Journal', 'JV-2', null, null]
+    ]);
+    expect(rows[1].allocations).toEqual([{ bill_no: 'ADJ-BILL-1', bill_type: 'Agst Ref', amount: -100 }]);
+    expect(rows[3].allocations).toEqual([]);
+  });
+
+  test('should apply adjustments to bill balances and skip journals that touch no bill', async () => {
+    const counts = await syncAdjustments(fixture('adjustments.xml'));
+    expect(counts).toMatchObject({ inserted: 3, failed: 0 });
+
+    // Credit note of 500 less a debit note of 100
+    expect(await billStatus('ADJ-BILL-1')).toMatchObject({
+      receipt_total: '0', adjustment_total: '400.00', remaining_due: '600.00', status: 'PART-PAID'
+    });
+    expect(await billStatus('ADJ-BILL-2')).toMatchObject({ adjustment_total: '200.00', remaining_due: '0.00', status: 'PAID' });
+
+    const journals = await pool.query('SELECT voucher_no FROM adjustment WHERE company_id = $1 AND voucher_type = $2', [company.id, 'Journal']);
+    expect(journals.rows.map(row => row.voucher_no)).toEqual(['JV-1']);
+
+    // Receipts and adjustments settle the bill together
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode, bill_reference)
+      VALUES ($1, 'ADJ-RCP-1', '2024-02-10', 'Sharma & Sons', 600.00, 'CASH', 'ADJ-BILL-1')
+    `, [company.id]);
+    expect(await billStatus('ADJ-BILL-1')).toMatchObject({ receipt_total: '600.00', remaining_due: '0.00', status: 'PAID' });
+
+    const lines = await billAdjustment.forBill(company.id, 'ADJ-BILL-1');
+    expect(lines.map(line => [line.voucher_type, line.voucher_no, line.applied_amount])).toEqual([
+      ['Credit Note', 'ADJ-1', '500.00'],
+      ['Debit Note', 'ADJ-1', '-100.00']
+    ]);
+  });
+
+  test('should stop applying a credit note once it is cancelled in Tally', async () => {
+    const cancelled = `<ENVELOPE><BODY><DATA><COLLECTION>
+      <VOUCHER VCHTYPE="Credit Note">
+       <VOUCHERTYPENAME>Credit Note</VOUCHERTYPENAME>
+       <VOUCHERNUMBER>ADJ-1</VOUCHERNUMBER>
+       <ISCANCELLED>Yes</ISCANCELLED>
+       <ALTERID>410</ALTERID>
+       <MASTERID>140</MASTERID>
+      </VOUCHER>
+    </COLLECTION></DATA></BODY></ENVELOPE>`;
+
+    const counts = await syncAdjustments(cancelled);
+    expect(counts.updated).toBe(1);
+
+    // Only the debit note is left on the bill
+    expect(await billStatus('ADJ-BILL-1')).toMatchObject({ adjustment_total: '-100.00', remaining_due: '500.00', status: 'PART-PAID' });
+    const debitNote = await pool.query(
+      'SELECT tally_status FROM adjustment WHERE company_id = $1 AND voucher_type = $2 AND voucher_no = $3',
+      [company.id, 'Debit Note', 'ADJ-1']
+    );
+    expect(debitNote.rows[0].tally_status).toBe('ACTIVE');
+  });
+});
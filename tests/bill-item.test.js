@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const xmlConnector = require('../services/connectors/xml-connector');
+const syncEngine = require('../services/sync-engine');
+const billItem = require('../services/bill-item');
+const companyService = require('../services/company');
+const syncRun = require('../services/sync-run');
+const { pool } = require('../config/database');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'tally', name));
+
+describe('Bill stock items', () => {
+  let company;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['ITEM-BILL-%']);
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1 AND voucher_type = $2', ['DEFAULT', 'Sales']);
+  };
+
+  beforeAll(async () => {
+    await cleanup();
+    company = await companyService.getDefault();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(cleanup);
+
+  test('should split inventory entries by godown and batch', async () => {
+    const [bill] = await xmlConnector.parseVouchersFromXML(fixture('sales-inventory.xml'));
+
+    expect(bill.items).toEqual([
+      { line_no: 1, stock_item: 'Cement 50kg', godown: 'Main Location', batch: 'JAN-24', quantity: 4, unit: 'Bag', rate: 350, amount: 1400 },
+      { line_no: 2, stock_item: 'Cement 50kg', godown: 'Yard 2', batch: 'DEC-23', quantity: 2, unit: 'Bag', rate: 350, amount: 700 },
+      { line_no: 3, stock_item: 'TMT Bar 12mm', godown: null, batch: null, quantity: 10, unit: 'Kg', rate: 85, amount: 850 }
+    ]);
+  });
+
+  test('should store stock lines with the bill and build a picking list per godown', async () => {
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockImplementation(async () => fixture('sales-inventory.xml'));
+    await syncEngine.syncEntity('bills', syncRun.newCounts(), company);
+
+    const items = await billItem.forBill(company.id, 'ITEM-BILL-1');
+    expect(items.map(item => [item.stock_item, item.godown, item.quantity])).toEqual([
+      ['Cement 50kg', 'Main Location', '4.000'],
+      ['Cement 50kg', 'Yard 2', '2.000'],
+      ['TMT Bar 12mm', null, '10.000']
+    ]);
+
+    const godowns = await billItem.pickingList(company.id, { date: '2024-02-01' });
+    expect(godowns.map(group => group.godown)).toEqual(['Main Location', 'Yard 2', null]);
+    expect(godowns[0].items).toEqual([
+      { stock_item: 'Cement 50kg', batch: 'JAN-24', quantity: '6.000', unit: 'Bag', bills: ['ITEM-BILL-1', 'ITEM-BILL-2'] }
+    ]);
+
+    const single = await billItem.pickingList(company.id, { billNo: 'ITEM-BILL-2' });
+    expect(single).toEqual([
+      { godown: 'Main Location', items: [{ stock_item: 'Cement 50kg', batch: 'JAN-24', quantity: '2.000', unit: 'Bag', bills: ['ITEM-BILL-2'] }] }
+    ]);
+  });
+
+  test('should only rewrite lines when they change', async () => {
+    const client = await pool.connect();
+    try {
+      const items = (await xmlConnector.parseVouchersFromXML(fixture('sales-inventory.xml')))[1].items;
+      expect(await billItem.replace(client, company.id, 'ITEM-BILL-2', items)).toBe(false);
+      expect(await billItem.replace(client, company.id, 'ITEM-BILL-2', [{ ...items[0], quantity: 3 }])).toBe(true);
+    } finally {
+      client.release();
+    }
+  });
+});
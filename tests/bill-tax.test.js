@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const xmlConnector = require('../services/connectors/xml-connector');
+const syncEngine = require('../services/sync-engine');
+const billTax = require('../services/bill-tax');
+const companyService = require('../services/company');
+const syncRun = require('../services/sync-run');
+const { pool } = require('../config/database');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'tally', name));
+
+describe('Bill GST breakdown', () => {
+  let company;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['GST-BILL-%']);
+    await pool.query('DELETE FROM party WHERE party_name = $1', ['Patel Hardware']);
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1 AND voucher_type = $2', ['DEFAULT', 'Sales']);
+  };
+
+  beforeAll(async () => {
+    await cleanup();
+    company = await companyService.getDefault();
+    await pool.query(`
+      INSERT INTO party (company_id, party_name, party_type, gstin)
+      VALUES ($1, 'Patel Hardware', 'DEBTOR', '27AAPFP1234K1Z5')
+    `, [company.id]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(cleanup);
+
+  test('should split duty, cess and round-off ledgers from the taxable value', async () => {
+    const [intraState, interState] = await xmlConnector.parseVouchersFromXML(fixture('sales-gst.xml'));
+
+    // Stock lines carry the taxable value of an item invoice
+    expect(intraState.tax).toEqual({
+      taxable_value: 2100, cgst_amount: 189, sgst_amount: 189, igst_amount: 0, cess_amount: 0, round_off: 0,
+      place_of_supply: 'Maharashtra', party_gstin: null
+    });
+    // Sales and freight ledgers are taxable; a negative round-off reduces the bill
+    expect(interState.tax).toEqual({
+      taxable_value: 1050, cgst_amount: 0, sgst_amount: 0, igst_amount: 189, cess_amount: 61.4, round_off: -0.4,
+      place_of_supply: 'Gujarat', party_gstin: '24AABCG5678M1Z2'
+    });
+
+    expect(billTax.headOf('Output UTGST 9%')).toBe('sgst_amount');
+    expect(billTax.headOf('Integrated Tax')).toBe('igst_amount');
+    expect(billTax.headOf('Sales @ 18%')).toBeNull();
+  });
+
+  test('should store the breakdown with the bill and total it by place of supply', async () => {
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockImplementation(async () => fixture('sales-gst.xml'));
+    await syncEngine.syncEntity('bills', syncRun.newCounts(), company);
+
+    // The party master's GSTIN stands in when the voucher has none
+    expect(await billTax.forBill(company.id, 'GST-BILL-1')).toMatchObject({
+      taxable_value: '2100.00', cgst_amount: '189.00', sgst_amount: '189.00', total_tax: '378.00',
+      place_of_supply: 'Maharashtra', party_gstin: '27AAPFP1234K1Z5'
+    });
+
+    const summary = await billTax.summary(company.id, '2024-03-01');
+    expect(summary.totals).toMatchObject({
+      bill_count: 2, taxable_value: 3150, cgst_amount: 189, sgst_amount: 189, igst_amount: 189,
+      cess_amount: 61.4, round_off: -0.4, bill_amount: 3778
+    });
+    expect(summary.byPlaceOfSupply.map(row => [row.place_of_supply, row.bill_count, row.b2b_count])).toEqual([
+      ['Gujarat', '1', '1'],
+      ['Maharashtra', '1', '1']
+    ]);
+    expect(summary.withoutBreakdown).toBe(0);
+  });
+
+  test('should only count a voucher as changed when its breakdown changes', async () => {
+    const client = await pool.connect();
+    try {
+      const [bill] = await xmlConnector.parseVouchersFromXML(fixture('sales-gst.xml'));
+      expect(await billTax.replace(client, company.id, 'GST-BILL-1', bill.tax)).toBe(false);
+      expect(await billTax.replace(client, company.id, 'GST-BILL-1', { ...bill.tax, round_off: 0.5 })).toBe(true);
+    } finally {
+      client.release();
+    }
+  });
+});
@@ -21,7 +21,7 @@ describe('Bills Routes', () => {
     await pool.query(`
       INSERT INTO bill (bill_no, bill_date, party_name, amount)
       VALUES ($1, CURRENT_DATE, 'Test Party', 1000.00)
-      ON CONFLICT (bill_no) DO NOTHING
+      ON CONFLICT (company_id, bill_no) DO NOTHING
     `, [testBillNo]);
   });
 
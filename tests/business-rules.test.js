@@ -42,7 +42,7 @@ describe('Business Rules Tests', () => {
     await pool.query(`
       INSERT INTO bill (bill_no, bill_date, party_name, amount)
       VALUES ($1, CURRENT_DATE, 'Rule Test Party', 2000.00)
-      ON CONFLICT (bill_no) DO UPDATE SET
+      ON CONFLICT (company_id, bill_no) DO UPDATE SET
         party_name = EXCLUDED.party_name,
         amount = EXCLUDED.amount
     `, [testBillNo]);
@@ -170,7 +170,7 @@ describe('Business Rules Tests', () => {
       await pool.query(`
         INSERT INTO bill (bill_no, bill_date, party_name, amount)
         VALUES ($1, CURRENT_DATE, 'Rule Test Party 2', 1000.00)
-        ON CONFLICT (bill_no) DO NOTHING
+        ON CONFLICT (company_id, bill_no) DO NOTHING
       `, [testBillNo2]);
 
       const response = await request(app)
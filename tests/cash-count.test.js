@@ -0,0 +1,127 @@
+const request = require('supertest');
+const app = require('../server');
+const cashCount = require('../services/cash-count');
+const { pool } = require('../config/database');
+const { createUsers, removeUsers } = require('./users');
+
+const USERS = ['countcashier', 'countmanager'];
+
+describe('Denomination-wise cash count', () => {
+  let tokens;
+  let cashierId;
+  let sessionId;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM cashier_session WHERE cashier_id IN (SELECT id FROM users WHERE username = ANY($1))', [USERS]);
+    await removeUsers(USERS);
+  };
+
+  beforeAll(async () => {
+    await cleanup();
+
+    const users = await createUsers([
+      { username: 'countcashier', fullName: 'Count Cashier', role: 'CASHIER' },
+      { username: 'countmanager', fullName: 'Count Manager', role: 'MANAGER', pin: true }
+    ]);
+    tokens = users.tokens;
+    cashierId = users.ids.countcashier;
+  });
+
+  afterAll(cleanup);
+
+  test('should read notes by number and coins by value, checked against the total', () => {
+    expect(cashCount.parse({ 500: 2, 100: '3', coins: 12.5 }, '1312.50', 'counted cash')).toEqual({
+      reasons: [],
+      counts: [
+        { denomination: '500', quantity: 2, amount: 1000 },
+        { denomination: '100', quantity: 3, amount: 300 },
+        { denomination: 'COINS', quantity: null, amount: 12.5 }
+      ],
+      amount: 1312.5
+    });
+
+    expect(cashCount.parse({ 5: 1, 200: 1.5, coins: -1 }, 100, 'counted cash').reasons).toEqual([
+      'Unknown denomination 5; use 2000, 500, 200, 100, 50, 20, 10 or coins',
+      'Count of ₹200 notes must be a whole number',
+      'Coins must be an amount in rupees and paise'
+    ]);
+    expect(cashCount.parse({ 2000: 1 }, 1500, 'start float').reasons).toEqual([
+      'Denominations add up to 2000.00, not the start float of 1500.00'
+    ]);
+  });
+
+  test('should store the opening float by denomination when it matches the start float', async () => {
+    const open = (body) => request(app)
+      .post('/api/cashier/session/open')
+      .set('Authorization', `Bearer ${tokens.countcashier}`)
+      .send(body);
+
+    const mismatch = await open({ start_float: 1500, denominations: { 500: 2, 100: 4 } });
+    expect(mismatch.status).toBe(422);
+    expect(mismatch.body.reasons).toEqual(['Denominations add up to 1400.00, not the start float of 1500.00']);
+
+    const opened = await open({ start_float: 1500, denominations: { 500: 2, 100: 5 } });
+    expect(opened.status).toBe(200);
+    sessionId = opened.body.session.id;
+    expect(opened.body.denominations.map(row => [row.count_type, row.denomination, row.quantity])).toEqual([
+      ['OPEN', '500', 2],
+      ['OPEN', '100', 5]
+    ]);
+
+    const current = await request(app)
+      .get('/api/cashier/session/current')
+      .set('Authorization', `Bearer ${tokens.countcashier}`);
+    expect(current.body.denominations.open.map(row => [row.denomination, parseFloat(row.amount)])).toEqual([
+      ['500', 1000],
+      ['100', 500]
+    ]);
+    expect(current.body.denominations.close).toEqual([]);
+  });
+
+  test('should close on a count that adds up and show the change by denomination', async () => {
+    const close = (body) => request(app)
+      .post(`/api/cashier/session/${sessionId}/close`)
+      .set('Authorization', `Bearer ${tokens.countcashier}`)
+      .send(body);
+
+    const mismatch = await close({ counted_cash: 1480, denominations: { 500: 2, 100: 4, 50: 1 } });
+    expect(mismatch.status).toBe(422);
+    expect(mismatch.body.reasons).toEqual(['Denominations add up to 1450.00, not the counted cash of 1480.00']);
+
+    const status = await pool.query('SELECT status FROM cashier_session WHERE id = $1', [sessionId]);
+    expect(status.rows[0].status).toBe('ACTIVE');
+
+    // A ₹100 note short, with ₹50 and coins in its place: 20 less than the float
+    const closed = await close({ counted_cash: 1480, denominations: { 500: 2, 100: 4, 50: 1, coins: 30 } });
+    expect(closed.status).toBe(200);
+    expect(closed.body.variance).toBe(-20);
+    expect(closed.body.denominations).toHaveLength(4);
+
+    const audit = await pool.query(
+      "SELECT new_values FROM audit_log WHERE table_name = 'cashier_session' AND record_id = $1 AND action = 'CLOSE'",
+      [sessionId]
+    );
+    expect(audit.rows[0].new_values.denominations).toHaveLength(4);
+
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const variance = await request(app)
+      .get('/api/admin/cash-denominations')
+      .query({ from_date: yesterday, to_date: tomorrow, cashier_id: cashierId })
+      .set('Authorization', `Bearer ${tokens.countmanager}`);
+    expect(variance.status).toBe(200);
+    expect(variance.body.sessions.map(row => [row.denomination, row.quantity_change, parseFloat(row.amount_change)])).toEqual([
+      ['500', 0, 0],
+      ['100', -1, -100],
+      ['50', 1, 50],
+      ['COINS', null, 30]
+    ]);
+    expect(variance.body.byDenomination[1]).toMatchObject({
+      denomination: '100',
+      sessions: 1,
+      short_sessions: 1,
+      amount_change: -100,
+      amount_change_when_short: -100
+    });
+  });
+});
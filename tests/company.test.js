@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const companyService = require('../services/company');
+const xmlConnector = require('../services/connectors/xml-connector');
+const syncEngine = require('../services/sync-engine');
+const syncRun = require('../services/sync-run');
+const { resolveCompany } = require('../middleware/company');
+const { pool } = require('../config/database');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'tally', name));
+
+describe('Multi-company', () => {
+  let defaultCompany;
+  let branch;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['INV/2024/%']);
+    await pool.query('DELETE FROM sync_watermark WHERE company_name IN ($1, $2)', ['DEFAULT', 'BRANCH2']);
+    await pool.query('DELETE FROM company WHERE code = $1', ['BRANCH2']);
+  };
+
+  beforeAll(async () => {
+    await cleanup();
+    defaultCompany = await companyService.getDefault();
+    branch = await companyService.create({ code: 'BRANCH2', name: 'Branch Two', tallyName: 'Demo & Branch' });
+  });
+
+  afterAll(cleanup);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should seed a default company', () => {
+    expect(defaultCompany).toMatchObject({ code: 'DEFAULT', is_default: true, active: true });
+  });
+
+  test('should select the Tally company in XML requests', () => {
+    expect(xmlConnector.companyVariable(branch)).toBe('<SVCURRENTCOMPANY>Demo &amp; Branch</SVCURRENTCOMPANY>');
+    expect(xmlConnector.companyVariable(defaultCompany)).toBe('');
+  });
+
+  test('should keep the same bill number separately per company', async () => {
+    const request = jest.spyOn(xmlConnector, 'sendTallyRequest')
+      .mockImplementation(async () => fixture('sales-vouchers.xml'));
+
+    await syncEngine.syncEntity('bills', syncRun.newCounts(), defaultCompany);
+    const counts = syncRun.newCounts();
+    await syncEngine.syncEntity('bills', counts, branch);
+
+    expect(counts.inserted).toBe(2);
+    expect(request.mock.calls[1][0]).toContain('<SVCURRENTCOMPANY>Demo &amp; Branch</SVCURRENTCOMPANY>');
+
+    const bills = await pool.query(
+      'SELECT company_id FROM bill WHERE bill_no = $1 ORDER BY company_id',
+      ['INV/2024/001']
+    );
+    expect(bills.rows.map(row => row.company_id).sort()).toEqual([defaultCompany.id, branch.id].sort());
+
+    const watermarks = await pool.query(
+      'SELECT company_name FROM sync_watermark WHERE voucher_type = $1 AND company_name IN ($2, $3)',
+      ['Sales', 'DEFAULT', 'BRANCH2']
+    );
+    expect(watermarks.rows).toHaveLength(2);
+  });
+
+  test('should resolve the request company from header, query or default', async () => {
+    const run = async (overrides) => {
+      const req = { query: {}, body: {}, headers: {}, ...overrides };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await resolveCompany(req, res, next);
+      return { req, res, next };
+    };
+
+    let result = await run({});
+    expect(result.next).toHaveBeenCalled();
+    expect(result.req.company.code).toBe('DEFAULT');
+
+    result = await run({ headers: { 'x-company': 'BRANCH2' } });
+    expect(result.req.company.id).toBe(branch.id);
+
+    result = await run({ query: { company: branch.id } });
+    expect(result.req.company.code).toBe('BRANCH2');
+
+    result = await run({ query: { company: 'NOPE' } });
+    expect(result.next).not.toHaveBeenCalled();
+    expect(result.res.status).toHaveBeenCalledWith(404);
+
+    await companyService.update(branch.id, { active: false });
+    result = await run({ headers: { 'x-company': 'BRANCH2' } });
+    expect(result.res.status).toHaveBeenCalledWith(400);
+    await companyService.update(branch.id, { active: true });
+  });
+});
@@ -0,0 +1,232 @@
+const request = require('supertest');
+const app = require('../server');
+const syncEngine = require('../services/sync-engine');
+const companyService = require('../services/company');
+const { pool } = require('../config/database');
+const { createUsers, removeUsers } = require('./users');
+
+describe('Receipt mapping rules', () => {
+  let company;
+  let token;
+  const ruleIds = {};
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM receipt WHERE receipt_id LIKE $1', ['RULE-RCP-%']);
+    await pool.query('DELETE FROM mapping_rule WHERE name LIKE $1', ['Test rule%']);
+    await pool.query('DELETE FROM cheque_register WHERE bill_no LIKE $1', ['RULE-%']);
+    await pool.query('DELETE FROM digital_payment_ref WHERE bill_no LIKE $1', ['RULE-%']);
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['RULE-%']);
+    await removeUsers(['ruleadmin']);
+  };
+
+  const receipt = async (receiptId) => {
+    const result = await pool.query('SELECT bill_reference, mapping_rule_id FROM receipt WHERE receipt_id = $1', [receiptId]);
+    return result.rows[0];
+  };
+
+  const addRule = (rule) => request(app)
+    .post('/api/tally-sync/mapping-rules')
+    .set('Authorization', `Bearer ${token}`)
+    .send(rule);
+
+  beforeAll(async () => {
+    await cleanup();
+    company = await companyService.getDefault();
+
+    const { tokens } = await createUsers([
+      { username: 'ruleadmin', fullName: 'Rule Admin', role: 'ADMIN' }
+    ]);
+    token = tokens.ruleadmin;
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'RULE-SB/1234', '2024-04-01', 'Rule Party A', 1000.00),
+             ($1, 'RULE-BILL-2', '2024-04-02', 'Rule Party B', 2500.00),
+             ($1, 'RULE-BILL-3', '2024-04-03', 'Rule Party C', 800.00),
+             ($1, 'RULE-BILL-4', '2024-03-01', 'Rule Party D', 1200.00),
+             ($1, 'RULE-BILL-5', '2024-04-05', 'Rule Party D', 500.00)
+    `, [company.id]);
+    await pool.query(`
+      INSERT INTO cheque_register (company_id, bill_no, cheque_no, bank, amount)
+      VALUES ($1, 'RULE-BILL-2', '004512', 'HDFC', 2500.00)
+    `, [company.id]);
+    await pool.query(`
+      INSERT INTO digital_payment_ref (company_id, bill_no, method, reference_no, amount)
+      VALUES ($1, 'RULE-BILL-3', 'UPI', '412398765432', 800.00)
+    `, [company.id]);
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode, ref_text)
+      VALUES ($1, 'RULE-RCP-1', '2024-04-10', 'Rule Party A', 1000.00, 'CASH', 'Received against inv no: 1234'),
+             ($1, 'RULE-RCP-5', '2024-04-10', 'Walk-in Customer', 300.00, 'CASH', 'Against invoice 1234'),
+             ($1, 'RULE-RCP-2', '2024-04-10', 'Rule Party B', 2500.00, 'CHEQUE', 'Chq 004512 HDFC'),
+             ($1, 'RULE-RCP-3', '2024-04-10', 'Rule Party C', 800.00, 'DIGITAL', 'UPI/412398765432/payment'),
+             ($1, 'RULE-RCP-4', '2024-04-10', 'Rule Party D', 498.00, 'CASH', 'Cash')
+    `, [company.id]);
+  });
+
+  afterAll(cleanup);
+
+  test('should refuse rules that cannot work', async () => {
+    const noGroup = await addRule({ name: 'Test rule bad', rule_type: 'NARRATION', pattern: 'inv\\s*\\d+' });
+    expect(noGroup.status).toBe(422);
+    expect(noGroup.body.reasons).toEqual(['Pattern needs a capture group around the bill number, e.g. inv\\s*(\\d+)']);
+
+    const invalid = await addRule({ name: 'Test rule bad', rule_type: 'NARRATION', pattern: 'inv(\\d+' });
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.reasons[0]).toMatch(/^Pattern is not a valid regular expression/);
+
+    const unknown = await addRule({ name: 'Test rule bad', rule_type: 'GUESS', amount_tolerance: -1 });
+    expect(unknown.body.reasons).toEqual([
+      'rule_type must be one of: NARRATION, PARTY_AMOUNT, CHEQUE, DIGITAL_REF',
+      'Amount tolerance must be zero or more'
+    ]);
+  });
+
+  test('should preview what each rule would map without mapping', async () => {
+    const rules = [
+      { name: 'Test rule invoice', rule_type: 'NARRATION', pattern: 'inv(?:oice)?\\s*(?:no)?[:.\\s]*(\\d+)', bill_prefix: 'RULE-SB/', priority: 10 },
+      { name: 'Test rule cheque', rule_type: 'CHEQUE', priority: 20 },
+      { name: 'Test rule upi', rule_type: 'DIGITAL_REF', priority: 30 },
+      { name: 'Test rule party D', rule_type: 'PARTY_AMOUNT', party_name: 'Rule Party D', amount_tolerance: 5, priority: 40 }
+    ];
+    for (const rule of rules) {
+      const created = await addRule(rule);
+      expect(created.status).toBe(201);
+      ruleIds[rule.rule_type] = created.body.rule.id;
+    }
+
+    const preview = await request(app)
+      .post('/api/tally-sync/mapping-rules/dry-run')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+    expect(preview.status).toBe(200);
+
+    const mine = preview.body.rules
+      .filter(entry => entry.rule.name.startsWith('Test rule'))
+      .map(entry => [entry.rule.name, entry.receipts.filter(r => r.receipt_id.startsWith('RULE-RCP-')).map(r => [r.receipt_id, r.bill_no])]);
+    expect(mine).toEqual([
+      ['Test rule invoice', [['RULE-RCP-1', 'RULE-SB/1234']]],
+      ['Test rule cheque', [['RULE-RCP-2', 'RULE-BILL-2']]],
+      ['Test rule upi', [['RULE-RCP-3', 'RULE-BILL-3']]],
+      ['Test rule party D', [['RULE-RCP-4', 'RULE-BILL-5']]]
+    ]);
+    expect(await receipt('RULE-RCP-1')).toEqual({ bill_reference: null, mapping_rule_id: null });
+
+    // The narration names a bill of another party
+    const invoice = preview.body.rules.find(entry => entry.rule.name === 'Test rule invoice');
+    expect(invoice.rejected.map(r => [r.receipt_id, r.bill_no, r.reason])).toEqual([
+      ['RULE-RCP-5', 'RULE-SB/1234', 'Bill RULE-SB/1234 is of Rule Party A, not Walk-in Customer']
+    ]);
+
+    // An unsaved rule is previewed on its own
+    const single = await request(app)
+      .post('/api/tally-sync/mapping-rules/dry-run')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ rule: { name: 'Test rule draft', rule_type: 'CHEQUE', amount_tolerance: 0 } });
+    expect(single.body.rules).toHaveLength(1);
+    expect(single.body.rules[0].receipts.map(r => r.receipt_id)).toContain('RULE-RCP-2');
+  });
+
+  test('should map receipts by rule before FIFO and record the rule', async () => {
+    await syncEngine.autoMapReceipts();
+
+    expect(await receipt('RULE-RCP-1')).toEqual({ bill_reference: 'RULE-SB/1234', mapping_rule_id: ruleIds.NARRATION });
+    expect(await receipt('RULE-RCP-2')).toEqual({ bill_reference: 'RULE-BILL-2', mapping_rule_id: ruleIds.CHEQUE });
+    expect(await receipt('RULE-RCP-3')).toEqual({ bill_reference: 'RULE-BILL-3', mapping_rule_id: ruleIds.DIGITAL_REF });
+    // FIFO alone would have picked the older RULE-BILL-4
+    expect(await receipt('RULE-RCP-4')).toEqual({ bill_reference: 'RULE-BILL-5', mapping_rule_id: ruleIds.PARTY_AMOUNT });
+    expect(await receipt('RULE-RCP-5')).toEqual({ bill_reference: null, mapping_rule_id: null });
+
+    const listed = await request(app)
+      .get('/api/tally-sync/mapping-rules')
+      .set('Authorization', `Bearer ${token}`);
+    const counts = listed.body.rules
+      .filter(rule => rule.name.startsWith('Test rule'))
+      .map(rule => [rule.name, rule.receipts_mapped]);
+    expect(counts).toEqual([
+      ['Test rule invoice', 1],
+      ['Test rule cheque', 1],
+      ['Test rule upi', 1],
+      ['Test rule party D', 1]
+    ]);
+  });
+
+  test('should not map a narration onto a bill with nothing due', async () => {
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode, ref_text)
+      VALUES ($1, 'RULE-RCP-6', '2024-04-12', 'Rule Party A', 1000.00, 'CASH', 'inv 1234 again')
+    `, [company.id]);
+
+    const preview = await request(app)
+      .post('/api/tally-sync/mapping-rules/dry-run')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+    const invoice = preview.body.rules.find(entry => entry.rule.name === 'Test rule invoice');
+    expect(invoice.receipts).toEqual([]);
+    expect(invoice.rejected.find(r => r.receipt_id === 'RULE-RCP-6').reason).toBe('Bill RULE-SB/1234 has nothing due');
+
+    await syncEngine.autoMapReceipts();
+    expect((await receipt('RULE-RCP-6')).mapping_rule_id).toBeNull();
+  });
+
+  test('should not map a cheque or payment reference onto another party\'s or a paid bill', async () => {
+    await pool.query(`
+      INSERT INTO cheque_register (company_id, bill_no, cheque_no, bank, amount)
+      VALUES ($1, 'RULE-BILL-4', '778899', 'SBI', 1200.00)
+    `, [company.id]);
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode, ref_text)
+      VALUES ($1, 'RULE-RCP-7', '2024-04-12', 'Rule Party B', 1200.00, 'CHEQUE', 'Chq 778899 SBI'),
+             ($1, 'RULE-RCP-8', '2024-04-12', 'Rule Party B', 2500.00, 'CHEQUE', 'Chq 004512 HDFC re-deposited')
+    `, [company.id]);
+
+    const preview = await request(app)
+      .post('/api/tally-sync/mapping-rules/dry-run')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+    const cheque = preview.body.rules.find(entry => entry.rule.name === 'Test rule cheque');
+    expect(cheque.receipts).toEqual([]);
+    expect(cheque.rejected.map(r => [r.receipt_id, r.bill_no, r.reason])).toEqual([
+      ['RULE-RCP-7', 'RULE-BILL-4', 'Bill RULE-BILL-4 is of Rule Party D, not Rule Party B'],
+      ['RULE-RCP-8', 'RULE-BILL-2', 'Bill RULE-BILL-2 has nothing due']
+    ]);
+
+    await syncEngine.autoMapReceipts();
+    expect((await receipt('RULE-RCP-7')).mapping_rule_id).toBeNull();
+    expect((await receipt('RULE-RCP-8')).mapping_rule_id).toBeNull();
+    const bill = await pool.query("SELECT remaining_due FROM bill_status WHERE bill_no = 'RULE-BILL-4'");
+    expect(parseFloat(bill.rows[0].remaining_due)).toBe(1200);
+  });
+
+  test('should keep what a rule mapping pays over the due on account', async () => {
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'RULE-SB/5678', '2024-04-15', 'Rule Party E', 600.00)
+    `, [company.id]);
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode, ref_text)
+      VALUES ($1, 'RULE-RCP-9', '2024-04-16', 'Rule Party E', 1000.00, 'CASH', 'inv 5678 with advance')
+    `, [company.id]);
+
+    const preview = await request(app)
+      .post('/api/tally-sync/mapping-rules/dry-run')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+    const invoice = preview.body.rules.find(entry => entry.rule.name === 'Test rule invoice');
+    expect(invoice.receipts.map(r => [r.receipt_id, r.bill_no, r.on_account])).toEqual([['RULE-RCP-9', 'RULE-SB/5678', 400]]);
+
+    await syncEngine.autoMapReceipts();
+
+    expect(await receipt('RULE-RCP-9')).toEqual({ bill_reference: 'RULE-SB/5678', mapping_rule_id: ruleIds.NARRATION });
+    const allocations = await pool.query(`
+      SELECT bill_no, bill_type, amount::float, source FROM receipt_allocation
+      WHERE receipt_id = 'RULE-RCP-9'
+      ORDER BY bill_no NULLS LAST
+    `);
+    expect(allocations.rows).toEqual([
+      { bill_no: 'RULE-SB/5678', bill_type: 'Agst Ref', amount: 600, source: 'RULE' },
+      { bill_no: null, bill_type: 'On Account', amount: 400, source: 'RULE' }
+    ]);
+    const bill = await pool.query("SELECT remaining_due FROM bill_status WHERE bill_no = 'RULE-SB/5678'");
+    expect(parseFloat(bill.rows[0].remaining_due)).toBe(0);
+  });
+});
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const { splitStatements } = require('../scripts/migrate');
+
+const script = (name) => fs.readFileSync(path.join(__dirname, '..', 'scripts', name), 'utf8');
+
+describe('Migration SQL splitting', () => {
+  test('should split only on semicolons that end statements', () => {
+    const statements = splitStatements(`
+      -- Comment; with a semicolon and a $$ sign
+      CREATE TABLE a (id INT); /* block; comment */
+      INSERT INTO a VALUES (1); INSERT INTO b (note) VALUES ('it''s; fine');
+      CREATE FUNCTION f() RETURNS INT AS $$
+      BEGIN
+          RETURN 1;
+      END;
+      $$ LANGUAGE plpgsql;
+      SELECT $tag$ ; $$ ; $tag$ as "odd;name";
+      -- Trailing comment only;
+    `);
+
+    expect(statements).toHaveLength(5);
+    expect(statements[0]).toMatch(/^-- Comment; with a semicolon.*\n\s*CREATE TABLE a \(id INT\)$/);
+    expect(statements[2]).toBe("INSERT INTO b (note) VALUES ('it''s; fine')");
+    expect(statements[3]).toMatch(/RETURN 1;\s*END;\s*\$\$ LANGUAGE plpgsql$/);
+    expect(statements[4]).toBe('SELECT $tag$ ; $$ ; $tag$ as "odd;name"');
+  });
+
+  test('should read the schema and every migration as whole statements', () => {
+    const migrations = fs.readdirSync(path.join(__dirname, '..', 'scripts', 'migrations'))
+      .map(name => script(path.join('migrations', name)));
+
+    for (const sql of [script('schema.sql'), ...migrations]) {
+      const statements = splitStatements(sql);
+      const functions = statements.filter(statement => /CREATE OR REPLACE FUNCTION/.test(statement));
+
+      expect(statements.length).toBeGreaterThan(0);
+      for (const statement of functions) {
+        expect(statement).toMatch(/\$\$ LANGUAGE \w+( \w+)?$/);
+      }
+    }
+  });
+});
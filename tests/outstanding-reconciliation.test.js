@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const xmlConnector = require('../services/connectors/xml-connector');
+const outstandingReconciliation = require('../services/outstanding-reconciliation');
+const companyService = require('../services/company');
+const { pool } = require('../config/database');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'tally', name));
+
+describe('Outstanding reconciliation', () => {
+  let company;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM outstanding_reconciliation WHERE company_id = $1', [company.id]);
+    await pool.query('DELETE FROM receipt WHERE receipt_id LIKE $1', ['REC-RCP-%']);
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['REC-BILL-%']);
+  };
+
+  // Mismatches of this test's bills only; the database holds other suites' bills too
+  const ownMismatches = async (runId) => {
+    const result = await pool.query(`
+      SELECT bill_no, mismatch_type, tally_pending, dashboard_due, difference
+      FROM outstanding_mismatch
+      WHERE reconciliation_id = $1 AND bill_no LIKE 'REC-BILL-%'
+      ORDER BY bill_no
+    `, [runId]);
+    return result.rows;
+  };
+
+  beforeAll(async () => {
+    company = await companyService.getDefault();
+    await cleanup();
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'REC-BILL-1', '2024-03-01', 'Sharma & Sons', 1000.00),
+             ($1, 'REC-BILL-2', '2024-03-02', 'Sharma & Sons', 1000.00),
+             ($1, 'REC-BILL-3', '2024-03-03', 'Gupta Traders', 500.00),
+             ($1, 'REC-BILL-4', '2024-03-04', 'Gupta Traders', 800.00)
+    `, [company.id]);
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode, bill_reference)
+      VALUES ($1, 'REC-RCP-1', '2024-03-10', 'Sharma & Sons', 400.00, 'CASH', 'REC-BILL-1'),
+             ($1, 'REC-RCP-4', '2024-03-10', 'Gupta Traders', 800.00, 'CASH', 'REC-BILL-4')
+    `, [company.id]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(cleanup);
+
+  test('should read pending amounts from Tally bills outstanding as receivables', async () => {
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockResolvedValue(fixture('outstanding-bills.xml'));
+
+    const bills = await xmlConnector.fetchOutstandingBills(company);
+
+    expect(bills.slice(0, 2)).toEqual([
+      { bill_no: 'REC-BILL-1', bill_date: '2024-03-01', party_name: 'Sharma & Sons', bill_amount: 1000, pending_amount: 600 },
+      { bill_no: 'REC-BILL-2', bill_date: '2024-03-02', party_name: 'Sharma & Sons', bill_amount: 1000, pending_amount: 700 }
+    ]);
+  });
+
+  test('should store every bill where Tally and the dashboard disagree', async () => {
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockResolvedValue(fixture('outstanding-bills.xml'));
+
+    const run = await outstandingReconciliation.run(company, 'manual');
+
+    expect(run).toMatchObject({ status: 'SUCCESS', connector: 'xml', tally_bill_count: 5 });
+    // REC-BILL-1 agrees and REC-BILL-6 is within the rounding tolerance
+    expect(await ownMismatches(run.id)).toEqual([
+      { bill_no: 'REC-BILL-2', mismatch_type: 'AMOUNT_DIFFERS', tally_pending: '700.00', dashboard_due: '1000.00', difference: '-300.00' },
+      { bill_no: 'REC-BILL-3', mismatch_type: 'PAID_IN_TALLY', tally_pending: null, dashboard_due: '500.00', difference: '-500.00' },
+      { bill_no: 'REC-BILL-4', mismatch_type: 'DUE_IN_TALLY', tally_pending: '800.00', dashboard_due: '0.00', difference: '800.00' },
+      { bill_no: 'REC-BILL-5', mismatch_type: 'MISSING_BILL', tally_pending: '250.00', dashboard_due: null, difference: '250.00' }
+    ]);
+
+    const report = await outstandingReconciliation.report(company.id, run.business_date);
+    expect(report.runs.map(item => item.id)).toEqual([run.id]);
+    expect(report.byType).toMatchObject({ AMOUNT_DIFFERS: 1, DUE_IN_TALLY: 1, MISSING_BILL: 1 });
+  });
+
+  test('should record a failed run when Tally cannot be read', async () => {
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const run = await outstandingReconciliation.run(company, 'manual');
+
+    expect(run).toMatchObject({ status: 'FAILED', mismatch_count: 0 });
+    expect(run.error_text).toContain('ECONNREFUSED');
+  });
+});
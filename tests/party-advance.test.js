@@ -0,0 +1,288 @@
+const request = require('supertest');
+const app = require('../server');
+const syncEngine = require('../services/sync-engine');
+const partyAdvance = require('../services/party-advance');
+const receiptAllocation = require('../services/receipt-allocation');
+const syncHealth = require('../services/sync-health');
+const companyService = require('../services/company');
+const { pool } = require('../config/database');
+const { PASSWORD, createUsers, removeUsers } = require('./users');
+
+const USERS = ['advcashier', 'advmanager', 'advdispatch', 'advsyncop'];
+
+describe('Party advance ledger', () => {
+  let company;
+  let tokens;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM advance_settlement WHERE bill_no LIKE $1', ['ADV-%']);
+    await pool.query('DELETE FROM release_self WHERE bill_no LIKE $1', ['ADV-%']);
+    await pool.query('DELETE FROM payment_hint WHERE bill_no LIKE $1', ['ADV-%']);
+    await pool.query('DELETE FROM cashier_session WHERE cashier_id IN (SELECT id FROM users WHERE username = ANY($1))', [USERS]);
+    await pool.query('DELETE FROM receipt WHERE receipt_id LIKE $1', ['ADV-RCP-%']);
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['ADV-%']);
+    // Rows deleted above are audited by trigger
+    await pool.query(`
+      DELETE FROM audit_log
+      WHERE table_name IN ('advance_settlement', 'release_self', 'payment_hint')
+        AND COALESCE(new_values, old_values)->>'bill_no' LIKE $1
+    `, ['ADV-%']);
+    await removeUsers(USERS);
+  };
+
+  const billStatus = async (billNo) => {
+    const result = await pool.query('SELECT advance_total, remaining_due, status FROM bill_status WHERE bill_no = $1', [billNo]);
+    const bill = result.rows[0];
+    return [parseFloat(bill.advance_total), parseFloat(bill.remaining_due), bill.status];
+  };
+
+  const settle = (body) => request(app)
+    .post('/api/parties/advances/settle')
+    .set('Authorization', `Bearer ${tokens.advcashier}`)
+    .send(body);
+
+  beforeAll(async () => {
+    await cleanup();
+    company = await companyService.getDefault();
+
+    ({ tokens } = await createUsers([
+      { username: 'advcashier', fullName: 'Advance Cashier', role: 'CASHIER' },
+      { username: 'advmanager', fullName: 'Advance Manager', role: 'MANAGER', pin: true },
+      { username: 'advdispatch', fullName: 'Advance Dispatcher', role: 'DISPATCHER' },
+      { username: 'advsyncop', fullName: 'Advance Sync Operator', role: 'MANAGER', syncOperator: true }
+    ]));
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'ADV-BILL-1', '2024-06-01', 'Advance Party', 1000.00)
+    `, [company.id]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(cleanup);
+
+  test('should keep what receipts leave over on account as the party advance', async () => {
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode)
+      VALUES ($1, 'ADV-RCP-1', '2024-06-02', 'Advance Party', 1500.00, 'CASH')
+    `, [company.id]);
+    await syncEngine.autoMapReceipts();
+
+    // Nothing is due any more, so a second receipt goes on account whole
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode)
+      VALUES ($1, 'ADV-RCP-2', '2024-06-03', 'Advance Party', 300.00, 'CASH')
+    `, [company.id]);
+    await syncEngine.autoMapReceipts();
+
+    const balances = await pool.query(`
+      SELECT receipt_id, on_account_amount, unallocated_amount FROM receipt_balance
+      WHERE receipt_id LIKE 'ADV-RCP-%' ORDER BY receipt_id
+    `);
+    expect(balances.rows.map(row => [row.receipt_id, parseFloat(row.on_account_amount), parseFloat(row.unallocated_amount)])).toEqual([
+      ['ADV-RCP-1', 500, 0],
+      ['ADV-RCP-2', 300, 0]
+    ]);
+
+    expect(await partyAdvance.balance(company.id, 'Advance Party')).toMatchObject({
+      credit_total: 800,
+      available: 800,
+      outstanding: 0,
+      net_due: -800
+    });
+  });
+
+  test('should settle later bills from the advance by hand and automatically', async () => {
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'ADV-BILL-2', '2024-06-05', 'Advance Party', 600.00),
+             ($1, 'ADV-BILL-3', '2024-06-06', 'Advance Party', 700.00)
+    `, [company.id]);
+
+    const tooMuch = await settle({ bill_no: 'ADV-BILL-3', amount: 900 });
+    expect(tooMuch.status).toBe(422);
+    expect(tooMuch.body.reasons).toEqual(['Bill has only 700.00 due', 'Advance Party has only 800.00 in advance']);
+
+    const manual = await settle({ bill_no: 'ADV-BILL-3', amount: 100 });
+    expect(manual.status).toBe(200);
+    expect(manual.body.settlement).toMatchObject({ method: 'MANUAL', party_name: 'Advance Party' });
+    expect(manual.body.advance.available).toBe(700);
+
+    // Oldest due first, until the advance runs out
+    await partyAdvance.settlePending(company.id);
+    expect(await billStatus('ADV-BILL-2')).toEqual([600, 0, 'PAID']);
+    expect(await billStatus('ADV-BILL-3')).toEqual([200, 500, 'PART-PAID']);
+
+    const reversed = await request(app)
+      .post(`/api/parties/advances/settlements/${manual.body.settlement.id}/reverse`)
+      .set('Authorization', `Bearer ${tokens.advmanager}`);
+    expect(reversed.status).toBe(200);
+    expect(reversed.body.advance).toMatchObject({ available: 100, outstanding: 600, net_due: 500 });
+
+    const ledger = await request(app)
+      .get('/api/parties/advances/ledger')
+      .query({ party_name: 'Advance Party' })
+      .set('Authorization', `Bearer ${tokens.advcashier}`);
+    expect(ledger.body.credits.map(credit => [credit.source, credit.reference])).toEqual([
+      ['RECEIPT', 'ADV-RCP-1'],
+      ['RECEIPT', 'ADV-RCP-2']
+    ]);
+    expect(ledger.body.settlements.map(s => [s.bill_no, s.method, parseFloat(s.amount), s.reversed_at !== null])).toEqual([
+      ['ADV-BILL-3', 'MANUAL', 100, true],
+      ['ADV-BILL-2', 'AUTO', 600, false],
+      ['ADV-BILL-3', 'AUTO', 100, false]
+    ]);
+  });
+
+  test('should settle the advance at release before asking for a manager PIN', async () => {
+    const before = await request(app)
+      .get('/api/dispatch/bill/ADV-BILL-3')
+      .set('Authorization', `Bearer ${tokens.advdispatch}`);
+    expect(before.body).toMatchObject({ requiresApproval: true, advanceAvailable: 100, dueAfterAdvance: 500 });
+
+    const refused = await request(app)
+      .post('/api/dispatch/release/self')
+      .set('Authorization', `Bearer ${tokens.advdispatch}`)
+      .send({ bill_no: 'ADV-BILL-3', gatepass_id: 'ADV-GP-1', receiver_name: 'Advance Receiver' });
+    expect(refused.status).toBe(400);
+    expect(refused.body).toMatchObject({ advanceAvailable: 100, dueAfterAdvance: 500 });
+
+    // A counter collection of 500 on the 1000 bill a receipt already paid, not yet posted
+    // to Tally, covers the rest once approved
+    await request(app)
+      .post('/api/cashier/session/open')
+      .set('Authorization', `Bearer ${tokens.advcashier}`)
+      .send({ start_float: 0 });
+    const hint = await request(app)
+      .post('/api/cashier/payment-hint')
+      .set('Authorization', `Bearer ${tokens.advcashier}`)
+      .send({ bill_no: 'ADV-BILL-1', cash_amt: 500 });
+    expect(hint.body.remainingDue).toBe(-500);
+
+    const advanceOf = async () => (await request(app)
+      .get('/api/bills/ADV-BILL-3')
+      .set('Authorization', `Bearer ${tokens.advcashier}`)).body.advance;
+    expect(await advanceOf()).toMatchObject({ available: 100, due_after_advance: 500 });
+
+    await pool.query('UPDATE payment_hint SET approved_at = CURRENT_TIMESTAMP WHERE id = $1', [hint.body.paymentHint.id]);
+    const advance = await advanceOf();
+    expect(advance).toMatchObject({ available: 600, due_after_advance: 0 });
+    expect(advance.settlements.map(s => parseFloat(s.amount))).toEqual([100]);
+
+    const released = await request(app)
+      .post('/api/dispatch/release/self')
+      .set('Authorization', `Bearer ${tokens.advdispatch}`)
+      .send({ bill_no: 'ADV-BILL-3', gatepass_id: 'ADV-GP-1', receiver_name: 'Advance Receiver' });
+    expect(released.status).toBe(200);
+    expect(released.body.advanceSettled).toBe(600);
+    expect(released.body.release.approved_by_manager_id).toBeNull();
+
+    expect(await billStatus('ADV-BILL-3')).toEqual([700, 0, 'PAID']);
+    expect(await partyAdvance.balance(company.id, 'Advance Party')).toMatchObject({ available: 0, outstanding: 0, net_due: 0 });
+  });
+
+  test('should verify the manager PIN while the sync is stale even when the advance covers the due', async () => {
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode)
+      VALUES ($1, 'ADV-RCP-3', '2024-06-10', 'Advance Party', 300.00, 'CASH')
+    `, [company.id]);
+    await syncEngine.autoMapReceipts();
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'ADV-BILL-4', '2024-06-11', 'Advance Party', 200.00)
+    `, [company.id]);
+    const manager = await pool.query("SELECT id FROM users WHERE username = 'advmanager'");
+    jest.spyOn(syncHealth, 'blocksReleases').mockResolvedValue(true);
+
+    const release = (manager_pin) => request(app)
+      .post('/api/dispatch/release/self')
+      .set('Authorization', `Bearer ${tokens.advdispatch}`)
+      .send({ bill_no: 'ADV-BILL-4', gatepass_id: 'ADV-GP-4', receiver_name: 'Advance Receiver', manager_pin });
+
+    const madeUp = await release('0000');
+    expect(madeUp.status).toBe(400);
+    expect(madeUp.body.error).toBe('Invalid manager PIN');
+    expect(await billStatus('ADV-BILL-4')).toEqual([0, 200, 'DUE']);
+
+    const released = await release(PASSWORD);
+    expect(released.status).toBe(200);
+    expect(released.body.advanceSettled).toBe(200);
+    expect(released.body.release).toMatchObject({ approved_by_manager_id: manager.rows[0].id, sync_stale: true });
+  });
+
+  test('should not spend on-account money twice and reclaim what Tally takes back', async () => {
+    const party = 'Overdrawn Party';
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'ADV-OD-1', '2024-07-01', $2, 500.00),
+             ($1, 'ADV-OD-2', '2024-07-02', $2, 800.00)
+    `, [company.id, party]);
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode)
+      VALUES ($1, 'ADV-RCP-OD-1', '2024-06-20', $2, 1000.00, 'CASH'),
+             ($1, 'ADV-RCP-OD-2', '2024-06-21', $2, 300.00, 'CASH')
+    `, [company.id, party]);
+    await pool.query(`
+      INSERT INTO receipt_allocation (company_id, receipt_id, bill_no, bill_type, amount, source)
+      VALUES ($1, 'ADV-RCP-OD-1', NULL, 'On Account', 1000.00, 'MANUAL')
+    `, [company.id]);
+
+    // A receipt still waiting to be mapped is not an advance
+    expect(await partyAdvance.balance(company.id, party)).toMatchObject({ credit_total: 1000, available: 1000 });
+
+    expect((await settle({ bill_no: 'ADV-OD-1', amount: 200 })).status).toBe(200);
+    expect((await settle({ bill_no: 'ADV-OD-1', amount: 300 })).status).toBe(200);
+
+    const asSyncOperator = (path, body) => request(app)
+      .post(`/api/tally-sync/${path}`)
+      .set('Authorization', `Bearer ${tokens.advsyncop}`)
+      .send(body);
+    const refusal = '300.00 of the receipt\'s money on account already settled bills from the advance of Overdrawn Party; reverse those settlements first';
+
+    const split = await asSyncOperator('allocate-receipt', { receiptId: 'ADV-RCP-OD-1', allocations: [{ billNo: 'ADV-OD-2', amount: 800 }] });
+    expect(split.status).toBe(422);
+    expect(split.body.reasons).toEqual([refusal]);
+
+    const mapped = await asSyncOperator('map-receipt', { receiptId: 'ADV-RCP-OD-1', billNo: 'ADV-OD-2' });
+    expect(mapped.status).toBe(409);
+    expect(mapped.body.error).toBe(refusal);
+
+    // What the settlements did not use may still go to a bill
+    expect((await asSyncOperator('allocate-receipt', { receiptId: 'ADV-RCP-OD-1', allocations: [{ billNo: 'ADV-OD-2', amount: 500 }] })).status).toBe(200);
+    expect(await billStatus('ADV-OD-1')).toEqual([500, 0, 'PAID']);
+    expect(await partyAdvance.balance(company.id, party)).toMatchObject({ credit_total: 500, available: 0 });
+
+    // Tally then allocates 700 of the receipt to the later bill
+    await receiptAllocation.replace(pool, company.id, 'ADV-RCP-OD-1', [
+      { bill_no: 'ADV-OD-2', bill_type: 'Agst Ref', amount: 700 },
+      { bill_no: null, bill_type: 'On Account', amount: 300 }
+    ]);
+    expect(await partyAdvance.balance(company.id, party)).toMatchObject({ available: -200 });
+
+    const exceptions = await request(app)
+      .get('/api/admin/exceptions')
+      .set('Authorization', `Bearer ${tokens.advmanager}`);
+    expect(exceptions.body.exceptions.overdrawnAdvances.map(row => [row.party_name, parseFloat(row.available)]))
+      .toContainEqual([party, -200]);
+
+    // The newest settlement gives back enough on its own
+    expect(await partyAdvance.reclaim(company.id)).toBe(1);
+    expect(await billStatus('ADV-OD-1')).toEqual([200, 300, 'PART-PAID']);
+    expect(await partyAdvance.balance(company.id, party)).toMatchObject({ available: 100 });
+    const settlements = await pool.query(
+      'SELECT amount, reversed_at IS NOT NULL as reversed, reversed_by FROM advance_settlement WHERE bill_no = $1 ORDER BY id',
+      ['ADV-OD-1']
+    );
+    expect(settlements.rows.map(row => [parseFloat(row.amount), row.reversed, row.reversed_by])).toEqual([
+      [200, false, null],
+      [300, true, null]
+    ]);
+
+    const after = await request(app)
+      .get('/api/admin/exceptions')
+      .set('Authorization', `Bearer ${tokens.advmanager}`);
+    expect(after.body.exceptions.overdrawnAdvances.map(row => row.party_name)).not.toContain(party);
+  });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../server');
+const syncEngine = require('../services/sync-engine');
+const partyMatch = require('../services/party-match');
+const companyService = require('../services/company');
+const { pool } = require('../config/database');
+const { createUsers, removeUsers } = require('./users');
+
+describe('Fuzzy party matching', () => {
+  let company;
+  let token;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM party_alias WHERE party_name IN ($1, $2)', ['SHARMA TRADERS ', 'Verma Textiles']);
+    await pool.query('DELETE FROM receipt WHERE receipt_id LIKE $1', ['PM-RCP-%']);
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['PM-BILL-%']);
+    await pool.query('DELETE FROM party WHERE party_name = $1', ['Sharma Tradng']);
+    await removeUsers(['matchop']);
+    await pool.query('DELETE FROM company WHERE code = $1', ['PMBRANCH']);
+  };
+
+  const addReceipt = (receiptId, partyName, amount) => pool.query(`
+    INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode)
+    VALUES ($1, $2, '2024-03-10', $3, $4, 'CASH')
+  `, [company.id, receiptId, partyName, amount]);
+
+  const billReference = async (receiptId) => {
+    const result = await pool.query('SELECT bill_reference FROM receipt WHERE receipt_id = $1', [receiptId]);
+    return result.rows[0].bill_reference;
+  };
+
+  beforeAll(async () => {
+    await cleanup();
+    company = await companyService.getDefault();
+
+    const { tokens } = await createUsers([
+      { username: 'matchop', fullName: 'Match Operator', role: 'CASHIER', syncOperator: true }
+    ]);
+    token = tokens.matchop;
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'PM-BILL-1', '2024-03-01', 'SHARMA TRADERS ', 1000.00),
+             ($1, 'PM-BILL-2', '2024-03-02', 'Verma Textiles', 500.00),
+             ($1, 'PM-BILL-3', '2024-03-03', 'Sharma Trading Co', 700.00)
+    `, [company.id]);
+  });
+
+  afterAll(cleanup);
+
+  test('should rank candidate bills by how well the party name matches', async () => {
+    const candidates = (await partyMatch.candidates(company.id, 'Sharma Traders Pvt. Ltd.'))
+      .filter(candidate => candidate.bill_no.startsWith('PM-BILL-'));
+
+    expect(candidates.map(candidate => [candidate.bill_no, candidate.match])).toEqual([
+      ['PM-BILL-1', 'NORMALIZED'],
+      ['PM-BILL-3', 'FUZZY']
+    ]);
+    expect(candidates[0].confidence).toBe(0.9);
+    expect(candidates[1].confidence).toBeLessThan(0.9);
+  });
+
+  test('should auto-map receipts whose party differs only in case, punctuation or suffix', async () => {
+    // A party of its own with nothing due, yet close to parties that have dues
+    await pool.query(`
+      INSERT INTO party (company_id, party_name, party_type) VALUES ($1, 'Sharma Tradng', 'DEBTOR')
+    `, [company.id]);
+    await addReceipt('PM-RCP-1', 'M/s. Sharma Traders', 600.00);
+    await addReceipt('PM-RCP-2', 'Sharma Tradng', 300.00);
+
+    await syncEngine.autoMapReceipts();
+
+    expect(await billReference('PM-RCP-1')).toBe('PM-BILL-1');
+    // A fuzzy match alone is offered to the user, not mapped nor kept on account
+    expect(await billReference('PM-RCP-2')).toBeNull();
+    const balance = await pool.query('SELECT on_account_amount FROM receipt_balance WHERE receipt_id = $1', ['PM-RCP-2']);
+    expect(parseFloat(balance.rows[0].on_account_amount)).toBe(0);
+  });
+
+  test('should learn an alias from a manual mapping and use it afterwards', async () => {
+    await addReceipt('PM-RCP-3', 'VT Exports', 200.00);
+
+    const unmatched = await request(app)
+      .get('/api/tally-sync/unmatched-receipts')
+      .set('Authorization', `Bearer ${token}`);
+    const before = unmatched.body.find(receipt => receipt.receipt_id === 'PM-RCP-3');
+    expect(before.candidates.map(candidate => candidate.bill_no)).not.toContain('PM-BILL-2');
+
+    const mapped = await request(app)
+      .post('/api/tally-sync/map-receipt')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ receiptId: 'PM-RCP-3', billNo: 'PM-BILL-2' });
+    expect(mapped.status).toBe(200);
+    expect(mapped.body.alias).toMatchObject({ alias_name: 'VT Exports', party_name: 'Verma Textiles', times_used: 1 });
+
+    // Names that already match once normalized need no alias
+    const same = await request(app)
+      .post('/api/tally-sync/map-receipt')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ receiptId: 'PM-RCP-1', billNo: 'PM-BILL-1' });
+    expect(same.body.alias).toBeNull();
+
+    const [candidate] = await partyMatch.candidates(company.id, 'VT EXPORTS');
+    expect(candidate).toMatchObject({ bill_no: 'PM-BILL-2', match: 'ALIAS', confidence: 0.95 });
+
+    await addReceipt('PM-RCP-4', 'vt exports', 150.00);
+    await syncEngine.autoMapReceipts();
+    expect(await billReference('PM-RCP-4')).toBe('PM-BILL-2');
+  });
+
+  test('should list the unmatched receipts of the requested company only, a page at a time', async () => {
+    const branch = await companyService.create({ code: 'PMBRANCH', name: 'Match Branch', tallyName: 'Match Branch' });
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode)
+      VALUES ($1, 'PM-RCP-9', '2024-03-10', 'Verma Textiles', 100.00, 'CASH')
+    `, [branch.id]);
+
+    const unmatched = (query) => request(app)
+      .get('/api/tally-sync/unmatched-receipts')
+      .query(query)
+      .set('Authorization', `Bearer ${token}`);
+
+    const own = await unmatched({ limit: 200 });
+    expect(own.body.map(receipt => receipt.receipt_id)).not.toContain('PM-RCP-9');
+
+    const other = await unmatched({ company: 'PMBRANCH' });
+    expect(other.body.map(receipt => [receipt.receipt_id, receipt.potential_matches])).toEqual([['PM-RCP-9', 0]]);
+
+    const page = await unmatched({ limit: 1, candidates: 1 });
+    expect(page.body).toHaveLength(1);
+    expect(page.body[0].candidates.length).toBeLessThanOrEqual(1);
+  });
+});
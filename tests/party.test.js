@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const partyService = require('../services/party');
+const xmlConnector = require('../services/connectors/xml-connector');
+const syncEngine = require('../services/sync-engine');
+const syncRun = require('../services/sync-run');
+const { pool } = require('../config/database');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'tally', name));
+
+describe('Party Master', () => {
+  const cleanup = async () => {
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['PARTY-TEST%']);
+    await pool.query('DELETE FROM party WHERE party_name IN ($1, $2)', ['Sharma & Sons', 'Patel Suppliers']);
+    await pool.query('DELETE FROM sync_watermark WHERE voucher_type = $1', ['Ledger']);
+  };
+
+  beforeAll(cleanup);
+  afterAll(cleanup);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should build group hierarchy paths and classify party type', () => {
+    const paths = partyService.buildGroupPaths([
+      { name: 'Sundry Debtors', parent: 'Current Assets' },
+      { name: 'Current Assets', parent: 'Primary' },
+      { name: 'North Zone', parent: 'Sundry Debtors' },
+      { name: 'Retail', parent: 'North Zone' }
+    ]);
+
+    expect(paths.get('Retail')).toBe('Current Assets > Sundry Debtors > North Zone > Retail');
+    expect(partyService.partyType(paths.get('Retail'))).toBe('DEBTOR');
+    expect(partyService.partyType('Sundry Creditors')).toBe('CREDITOR');
+    expect(partyService.partyType('Current Assets > Bank Accounts')).toBeNull();
+  });
+
+  test('should normalize phone numbers for OTP', () => {
+    expect(partyService.normalizePhone('+91 98765 43210')).toBe('9876543210');
+    expect(partyService.normalizePhone('020-2567')).toBeNull();
+    expect(partyService.normalizePhone(null)).toBeNull();
+  });
+
+  test('should sync party ledgers from Tally and link existing bills', async () => {
+    await pool.query(`
+      INSERT INTO bill (bill_no, bill_date, party_name, amount)
+      VALUES ('PARTY-TEST-001', CURRENT_DATE, 'Sharma & Sons', 1180)
+    `);
+
+    jest.spyOn(xmlConnector, 'sendTallyRequest')
+      .mockResolvedValueOnce(fixture('ledgers.xml'))
+      .mockResolvedValueOnce(fixture('groups.xml'));
+
+    const counts = syncRun.newCounts();
+    const synced = await syncEngine.syncEntity('parties', counts);
+
+    expect(synced).toBe(2);
+    expect(counts).toEqual({ inserted: 2, updated: 0, unchanged: 0, failed: 0 });
+
+    const party = (await pool.query('SELECT * FROM party WHERE party_name = $1', ['Sharma & Sons'])).rows[0];
+    expect(party).toMatchObject({
+      party_type: 'DEBTOR',
+      parent_group: 'North Zone',
+      group_path: 'Current Assets > Sundry Debtors > North Zone',
+      gstin: '27AAPFS1234K1Z5',
+      phone: '9876543210',
+      address: '12 Market Road, Pune',
+      state: 'Maharashtra',
+      credit_period_days: 30
+    });
+    expect(parseFloat(party.credit_limit)).toBe(50000);
+
+    const creditor = (await pool.query('SELECT * FROM party WHERE party_name = $1', ['Patel Suppliers'])).rows[0];
+    expect(creditor.party_type).toBe('CREDITOR');
+    expect(creditor.phone).toBeNull();
+
+    const bill = (await pool.query('SELECT party_id FROM bill WHERE bill_no = $1', ['PARTY-TEST-001'])).rows[0];
+    expect(bill.party_id).toBe(party.id);
+
+    const watermark = (await pool.query(
+      'SELECT last_alter_id FROM sync_watermark WHERE voucher_type = $1', ['Ledger']
+    )).rows[0];
+    expect(parseInt(watermark.last_alter_id)).toBe(310);
+  });
+
+  test('should skip the group export when no ledgers changed', async () => {
+    const request = jest.spyOn(xmlConnector, 'sendTallyRequest')
+      .mockResolvedValueOnce('<ENVELOPE><BODY><DATA><COLLECTION></COLLECTION></DATA></BODY></ENVELOPE>');
+
+    const synced = await syncEngine.syncEntity('parties');
+
+    expect(synced).toBe(0);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  test('should search parties by name, GSTIN or phone', async () => {
+    const byName = await partyService.search({ q: 'sharma' });
+    const byGstin = await partyService.search({ q: '27AAPFS' });
+    const creditors = await partyService.search({ q: 'patel', type: 'CREDITOR' });
+
+    expect(byName.parties.map(p => p.party_name)).toContain('Sharma & Sons');
+    expect(byGstin.parties).toHaveLength(1);
+    expect(creditors.parties[0].party_name).toBe('Patel Suppliers');
+    expect(creditors.pagination.total).toBe(1);
+  });
+
+  test('should return party detail with outstanding summary', async () => {
+    const party = (await pool.query('SELECT id FROM party WHERE party_name = $1', ['Sharma & Sons'])).rows[0];
+
+    const detail = await partyService.getDetail(party.id);
+
+    expect(detail.party.party_name).toBe('Sharma & Sons');
+    expect(parseFloat(detail.outstanding.outstanding)).toBe(1180);
+    expect(detail.recentBills.map(b => b.bill_no)).toContain('PARTY-TEST-001');
+    expect(await partyService.getDetail('00000000-0000-0000-0000-000000000000')).toBeNull();
+  });
+});
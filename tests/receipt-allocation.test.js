@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const xmlConnector = require('../services/connectors/xml-connector');
+const syncEngine = require('../services/sync-engine');
+const receiptAllocation = require('../services/receipt-allocation');
+const companyService = require('../services/company');
+const syncRun = require('../services/sync-run');
+const { pool } = require('../config/database');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'tally', name));
+
+describe('Receipt bill allocations', () => {
+  let company;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM receipt WHERE receipt_id LIKE $1', ['ALLOC-RCP-%']);
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['ALLOC-BILL-%']);
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1 AND voucher_type = $2', ['DEFAULT', 'Receipt']);
+  };
+
+  const billStatus = async (billNo) => {
+    const result = await pool.query(
+      'SELECT receipt_total, remaining_due, status FROM bill_status WHERE company_id = $1 AND bill_no = $2',
+      [company.id, billNo]
+    );
+    return result.rows[0];
+  };
+
+  beforeAll(async () => {
+    await cleanup();
+    company = await companyService.getDefault();
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'ALLOC-BILL-1', '2024-01-10', 'Sharma & Sons', 1180.00),
+             ($1, 'ALLOC-BILL-2', '2024-01-12', 'Sharma & Sons', 1000.00),
+             ($1, 'ALLOC-BILL-3', '2024-01-14', 'Sharma & Sons', 300.00)
+    `, [company.id]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(cleanup);
+
+  test('should read allocations from the party ledger line', async () => {
+    const [receipt] = await xmlConnector.parseReceiptsFromXML(fixture('receipts-allocated.xml'));
+
+    expect(receipt.allocations).toEqual([
+      { bill_no: 'ALLOC-BILL-1', bill_type: 'Agst Ref', amount: 1180 },
+      { bill_no: 'ALLOC-BILL-2', bill_type: 'Agst Ref', amount: 700 },
+      { bill_no: null, bill_type: 'On Account', amount: 120 }
+    ]);
+    // Allocations win over the bill number in the narration
+    expect(receipt.bill_reference).toBe('ALLOC-BILL-1');
+  });
+
+  test('should split a receipt across bills and leave FIFO to unallocated receipts', async () => {
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockImplementation(async () => fixture('receipts-allocated.xml'));
+    const counts = syncRun.newCounts();
+    await syncEngine.syncEntity('receipts', counts, company);
+    expect(counts.inserted).toBe(2);
+
+    expect(await billStatus('ALLOC-BILL-1')).toMatchObject({ receipt_total: '1180.00', status: 'PAID' });
+    expect(await billStatus('ALLOC-BILL-2')).toMatchObject({ receipt_total: '700.00', remaining_due: '300.00', status: 'PART-PAID' });
+
+    await syncEngine.autoMapReceipts();
+    const fallback = await pool.query(
+      'SELECT bill_reference FROM receipt WHERE company_id = $1 AND receipt_id = $2',
+      [company.id, 'ALLOC-RCP-2']
+    );
+    expect(fallback.rows[0].bill_reference).toBe('ALLOC-BILL-2');
+    expect((await billStatus('ALLOC-BILL-2')).status).toBe('PAID');
+
+    const applied = await receiptAllocation.forBill(company.id, 'ALLOC-BILL-2');
+    expect(applied.map(row => [row.receipt_id, row.applied_amount, row.applied_from])).toEqual([
+      ['ALLOC-RCP-1', '700.00', 'ALLOCATION'],
+      ['ALLOC-RCP-2', '300.00', 'REFERENCE']
+    ]);
+  });
+
+  test('should count a re-allocation in Tally as an update', async () => {
+    const client = await pool.connect();
+    try {
+      const moved = [{ bill_no: 'ALLOC-BILL-3', bill_type: 'Agst Ref', amount: 300 }];
+      expect(await receiptAllocation.replace(client, company.id, 'ALLOC-RCP-2', moved)).toBe(true);
+      expect(await receiptAllocation.replace(client, company.id, 'ALLOC-RCP-2', moved)).toBe(false);
+    } finally {
+      client.release();
+    }
+
+    // Tally's allocation now decides, whatever bill_reference FIFO chose
+    expect((await billStatus('ALLOC-BILL-3')).status).toBe('PAID');
+    expect((await billStatus('ALLOC-BILL-2')).status).toBe('PART-PAID');
+  });
+});
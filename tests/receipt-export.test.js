@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const receiptExport = require('../services/receipt-export');
+const xmlConnector = require('../services/connectors/xml-connector');
+const tallyXMLParser = require('../services/tally-xml-parser');
+const companyService = require('../services/company');
+const { pool } = require('../config/database');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'tally', name));
+
+describe('Receipt write-back to Tally', () => {
+  let company;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM payment_hint WHERE bill_no LIKE $1', ['WB-TEST%']);
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['WB-TEST%']);
+  };
+
+  const createHint = async (billNo, { approved = true, cash = 0, cheque = 0, chequeNo = null, remainingDue = 0 } = {}) => {
+    const result = await pool.query(`
+      INSERT INTO payment_hint (company_id, bill_no, cash_amt, cheque_amt, cheque_no, approved_at, remaining_due)
+      VALUES ($1, $2, $3, $4, $5, CASE WHEN $6 THEN CURRENT_TIMESTAMP END, $7)
+      RETURNING id
+    `, [company.id, billNo, cash, cheque, chequeNo, approved, remainingDue]);
+    return result.rows[0].id;
+  };
+
+  beforeAll(async () => {
+    await cleanup();
+    company = await companyService.getDefault();
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'WB-TEST-001', CURRENT_DATE, 'Sharma & Sons', 1180.00),
+             ($1, 'WB-TEST-002', CURRENT_DATE, 'Gupta Traders', 500.00)
+    `, [company.id]);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await pool.query('DELETE FROM payment_hint WHERE bill_no LIKE $1', ['WB-TEST%']);
+  });
+
+  afterAll(cleanup);
+
+  test('should parse import counts and line errors', async () => {
+    expect(await tallyXMLParser.parseImportResult(fixture('import-created.xml'))).toEqual({
+      created: 1, altered: 0, errors: 0, exceptions: 0, lastVoucherId: '4821', lineErrors: []
+    });
+
+    const rejected = await tallyXMLParser.parseImportResult(fixture('import-error.xml'));
+    expect(rejected).toMatchObject({ created: 0, errors: 1, lastVoucherId: null });
+    expect(rejected.lineErrors).toEqual(["Ledger 'Sharma & Sons' does not exist!"]);
+  });
+
+  test('should allocate the receipt against the bill with one debit per mode', async () => {
+    const request = jest.spyOn(xmlConnector, 'sendTallyRequest').mockImplementation(async () => fixture('import-created.xml'));
+    const hintId = await createHint('WB-TEST-001', { cash: 700, cheque: 480, chequeNo: '004512' });
+
+    const posting = await receiptExport.post(hintId);
+    const xml = request.mock.calls[0][0];
+
+    expect(xml).toContain('<TALLYREQUEST>Import Data</TALLYREQUEST>');
+    expect(xml).toContain(`REMOTEID="dashboard-hint-${hintId}" VCHTYPE="Receipt" ACTION="Create"`);
+    expect(xml).toContain('<PARTYLEDGERNAME>Sharma &amp; Sons</PARTYLEDGERNAME>');
+    expect(xml).toMatch(/<BILLALLOCATIONS\.LIST>\s*<NAME>WB-TEST-001<\/NAME>\s*<BILLTYPE>Agst Ref<\/BILLTYPE>\s*<AMOUNT>1180\.00<\/AMOUNT>/);
+    expect(xml).toMatch(/<LEDGERNAME>Cash<\/LEDGERNAME>\s*<ISDEEMEDPOSITIVE>Yes<\/ISDEEMEDPOSITIVE>\s*<AMOUNT>-700\.00<\/AMOUNT>/);
+    expect(xml).toContain('Chq 004512');
+
+    expect(posting).toMatchObject({ tally_post_status: 'POSTED', tally_voucher_id: '4821', tally_post_attempts: 1, tally_post_error: null });
+    expect(posting.tally_posted_at).not.toBeNull();
+  });
+
+  test('should put what a receipt pays over the due on account', async () => {
+    const request = jest.spyOn(xmlConnector, 'sendTallyRequest').mockImplementation(async () => fixture('import-created.xml'));
+    const hintId = await createHint('WB-TEST-002', { cash: 650, remainingDue: -150 });
+
+    await receiptExport.post(hintId);
+    const xml = request.mock.calls[0][0];
+    const allocations = xml.match(/<BILLALLOCATIONS\.LIST>[\s\S]*?<\/BILLALLOCATIONS\.LIST>/g);
+
+    expect(xml).toMatch(/<ISPARTYLEDGER>Yes<\/ISPARTYLEDGER>\s*<AMOUNT>650\.00<\/AMOUNT>/);
+    expect(allocations).toHaveLength(2);
+    expect(allocations[0]).toMatch(/<NAME>WB-TEST-002<\/NAME>\s*<BILLTYPE>Agst Ref<\/BILLTYPE>\s*<AMOUNT>500\.00<\/AMOUNT>/);
+    expect(allocations[1]).toMatch(/^<BILLALLOCATIONS\.LIST>\s*<BILLTYPE>On Account<\/BILLTYPE>\s*<AMOUNT>150\.00<\/AMOUNT>/);
+
+    // A collection on a bill already paid goes on account whole
+    const paidId = await createHint('WB-TEST-002', { cash: 200, remainingDue: -350 });
+    await receiptExport.post(paidId);
+    const paid = request.mock.calls[1][0].match(/<BILLALLOCATIONS\.LIST>[\s\S]*?<\/BILLALLOCATIONS\.LIST>/g);
+
+    expect(paid).toHaveLength(1);
+    expect(paid[0]).toMatch(/<BILLTYPE>On Account<\/BILLTYPE>\s*<AMOUNT>200\.00<\/AMOUNT>/);
+  });
+
+  test('should record import errors and post only approved pending hints', async () => {
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockImplementation(async () => fixture('import-error.xml'));
+    const approvedId = await createHint('WB-TEST-002', { cash: 500 });
+    const unapprovedId = await createHint('WB-TEST-002', { cash: 100, approved: false });
+
+    const outcome = await receiptExport.postPending({ companyId: company.id });
+    expect(outcome).toEqual({ posted: 0, failed: 1, pending: 0 });
+
+    const hints = await pool.query(
+      'SELECT id, tally_post_status, tally_post_error, tally_post_attempts FROM payment_hint WHERE id = ANY($1::uuid[])',
+      [[approvedId, unapprovedId]]
+    );
+    const byId = Object.fromEntries(hints.rows.map(row => [row.id, row]));
+
+    expect(byId[approvedId]).toMatchObject({ tally_post_status: 'FAILED', tally_post_attempts: 1 });
+    expect(byId[approvedId].tally_post_error).toContain('does not exist');
+    expect(byId[unapprovedId]).toMatchObject({ tally_post_status: 'PENDING', tally_post_attempts: 0 });
+
+    // A retry of failed postings succeeds once Tally accepts the voucher
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockImplementation(async () => fixture('import-created.xml'));
+    expect(await receiptExport.postPending({ statuses: ['FAILED'], companyId: company.id })).toEqual({ posted: 1, failed: 0, pending: 0 });
+  });
+
+  test('should keep hints pending when Tally cannot be reached and alter on the retry', async () => {
+    await pool.query("UPDATE payment_hint SET tally_post_status = 'POSTED' WHERE bill_no LIKE $1", ['WB-TEST%']);
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockRejectedValue(new Error('timeout of 30000ms exceeded'));
+    const hintId = await createHint('WB-TEST-001', { cash: 200 });
+
+    expect(await receiptExport.postPending({ companyId: company.id })).toEqual({ posted: 0, failed: 0, pending: 1 });
+    const waiting = await pool.query('SELECT tally_post_status, tally_post_attempts, tally_post_error FROM payment_hint WHERE id = $1', [hintId]);
+    expect(waiting.rows[0]).toEqual({ tally_post_status: 'PENDING', tally_post_attempts: 1, tally_post_error: 'timeout of 30000ms exceeded' });
+
+    // Tally took the voucher before timing out: the retry alters it instead of creating a second one
+    jest.restoreAllMocks();
+    const request = jest.spyOn(xmlConnector, 'sendTallyRequest').mockImplementation(async () => fixture('import-altered.xml'));
+    expect(await receiptExport.postPending({ companyId: company.id })).toEqual({ posted: 1, failed: 0, pending: 0 });
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(request.mock.calls[0][0]).toContain(`<VOUCHER REMOTEID="dashboard-hint-${hintId}" VCHTYPE="Receipt" ACTION="Alter"`);
+
+    const posting = await pool.query('SELECT tally_post_status, tally_post_attempts FROM payment_hint WHERE id = $1', [hintId]);
+    expect(posting.rows[0]).toEqual({ tally_post_status: 'POSTED', tally_post_attempts: 2 });
+  });
+});
@@ -0,0 +1,256 @@
+const request = require('supertest');
+const app = require('../server');
+const syncEngine = require('../services/sync-engine');
+const receiptMapping = require('../services/receipt-mapping');
+const partyMatch = require('../services/party-match');
+const tallyStaging = require('../services/tally-staging');
+const companyService = require('../services/company');
+const { pool } = require('../config/database');
+const { createUsers, removeUsers } = require('./users');
+
+describe('Receipt mapping history and undo', () => {
+  let company;
+  let token;
+  let userId;
+
+  const cleanup = async () => {
+    await pool.query("DELETE FROM audit_log WHERE table_name = 'release_self' AND COALESCE(new_values, old_values)->>'bill_no' LIKE $1", ['UNDO-%']);
+    await pool.query('DELETE FROM receipt WHERE receipt_id LIKE $1', ['UNDO-RCP-%']);
+    await pool.query('DELETE FROM release_self WHERE bill_no LIKE $1', ['UNDO-%']);
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['UNDO-%']);
+    await pool.query('DELETE FROM party_alias WHERE alias_name LIKE $1', ['Undo Alias%']);
+    await removeUsers(['undoop']);
+  };
+
+  const billReference = async (receiptId) => {
+    const result = await pool.query('SELECT bill_reference FROM receipt WHERE receipt_id = $1', [receiptId]);
+    return result.rows[0].bill_reference;
+  };
+
+  const history = async (receiptId) => {
+    const result = await request(app)
+      .get(`/api/tally-sync/receipts/${receiptId}/history`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(result.status).toBe(200);
+    return result.body.history;
+  };
+
+  const unmap = (receiptId, reason) => request(app)
+    .post(`/api/tally-sync/receipts/${receiptId}/unmap`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ reason });
+
+  beforeAll(async () => {
+    await cleanup();
+    company = await companyService.getDefault();
+
+    const { tokens, ids } = await createUsers([
+      { username: 'undoop', fullName: 'Undo Operator', role: 'CASHIER', syncOperator: true }
+    ]);
+    token = tokens.undoop;
+    userId = ids.undoop;
+
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'UNDO-BILL-1', '2024-05-01', 'Undo Party', 1000.00),
+             ($1, 'UNDO-BILL-2', '2024-05-02', 'Undo Party', 1000.00)
+    `, [company.id]);
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode)
+      VALUES ($1, 'UNDO-RCP-1', '2024-05-10', 'Undo Party', 1000.00, 'CASH')
+    `, [company.id]);
+  });
+
+  afterAll(cleanup);
+
+  test('should record automatic and manual mappings with who made them', async () => {
+    await syncEngine.autoMapReceipts();
+    expect(await billReference('UNDO-RCP-1')).toBe('UNDO-BILL-1');
+
+    const mapped = await request(app)
+      .post('/api/tally-sync/map-receipt')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ receiptId: 'UNDO-RCP-1', billNo: 'UNDO-BILL-2' });
+    expect(mapped.status).toBe(200);
+
+    const entries = await history('UNDO-RCP-1');
+    expect(entries.map(entry => [entry.method, entry.old_bill_no, entry.new_bill_no, entry.username])).toEqual([
+      ['MANUAL', 'UNDO-BILL-1', 'UNDO-BILL-2', 'undoop'],
+      ['FIFO', null, 'UNDO-BILL-1', null]
+    ]);
+  });
+
+  test('should undo a mapping with a reason and flag the bill released on it', async () => {
+    await pool.query(`
+      INSERT INTO release_self (company_id, bill_no, gatepass_id, dispatcher_id, receiver_name)
+      VALUES ($1, 'UNDO-BILL-2', 'UNDO-GP-1', $2, 'Undo Receiver')
+    `, [company.id, userId]);
+
+    const noReason = await unmap('UNDO-RCP-1', ' ');
+    expect(noReason.status).toBe(422);
+    expect(noReason.body.reasons).toEqual(['A reason is required to undo a mapping']);
+
+    const undone = await unmap('UNDO-RCP-1', 'Paid against the older bill');
+    expect(undone.status).toBe(200);
+    expect(undone.body.undone).toMatchObject({ method: 'UNDO', old_bill_no: 'UNDO-BILL-2', new_bill_no: 'UNDO-BILL-1' });
+    expect(undone.body.releasedBills.map(bill => [bill.bill_no, parseFloat(bill.remaining_due)])).toEqual([['UNDO-BILL-2', 1000]]);
+    expect(await billReference('UNDO-RCP-1')).toBe('UNDO-BILL-1');
+
+    const entries = await history('UNDO-RCP-1');
+    expect(entries[0]).toMatchObject({ method: 'UNDO', reason: 'Paid against the older bill', username: 'undoop' });
+    expect(entries[1].undone_at).not.toBeNull();
+
+    const today = new Date().toISOString().split('T')[0];
+    const flagged = (await receiptMapping.releasedAfterUndo(company.id, today))
+      .filter(release => release.bill_no.startsWith('UNDO-'));
+    expect(flagged.map(release => [release.receipt_id, release.bill_no, release.release_status])).toEqual([
+      ['UNDO-RCP-1', 'UNDO-BILL-2', 'RELEASED_SELF']
+    ]);
+
+    const audit = await pool.query(
+      "SELECT new_values FROM audit_log WHERE table_name = 'receipt' AND record_id = $1 AND action = 'UNMAP'",
+      ['UNDO-RCP-1']
+    );
+    expect(audit.rows[0].new_values).toMatchObject({ bill_reference: 'UNDO-BILL-1', reason: 'Paid against the older bill' });
+  });
+
+  test('should walk back to unmapped and leave the receipt for manual mapping', async () => {
+    const undone = await unmap('UNDO-RCP-1', 'Party disputes the bill');
+    expect(undone.status).toBe(200);
+    expect(await billReference('UNDO-RCP-1')).toBeNull();
+
+    // Auto-mapping does not make the mapping the user just undid again
+    await syncEngine.autoMapReceipts();
+    expect(await billReference('UNDO-RCP-1')).toBeNull();
+
+    const nothing = await unmap('UNDO-RCP-1', 'Again');
+    expect(nothing.status).toBe(422);
+    expect(nothing.body.reasons).toEqual(['Receipt has no mapping to undo']);
+
+    const missing = await unmap('UNDO-RCP-404', 'Gone');
+    expect(missing.status).toBe(404);
+  });
+
+  test('should refuse manual mapping of receipts allocated in Tally and onto bills voided there', async () => {
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount, tally_status)
+      VALUES ($1, 'UNDO-BILL-3', '2024-05-03', 'Undo Party', 1000.00, 'CANCELLED')
+    `, [company.id]);
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode)
+      VALUES ($1, 'UNDO-RCP-2', '2024-05-11', 'Undo Party', 400.00, 'CASH')
+    `, [company.id]);
+    await pool.query(`
+      INSERT INTO receipt_allocation (company_id, receipt_id, bill_no, amount, source)
+      VALUES ($1, 'UNDO-RCP-2', 'UNDO-BILL-1', 400.00, 'TALLY')
+    `, [company.id]);
+
+    const map = (receiptId, billNo) => request(app)
+      .post('/api/tally-sync/map-receipt')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ receiptId, billNo });
+
+    const allocated = await map('UNDO-RCP-2', 'UNDO-BILL-2');
+    expect(allocated.status).toBe(409);
+    expect(allocated.body.error).toBe('Receipt is allocated in Tally; change the allocation there');
+    expect(await history('UNDO-RCP-2')).toEqual([]);
+
+    const cancelled = await map('UNDO-RCP-1', 'UNDO-BILL-3');
+    expect(cancelled.status).toBe(409);
+    expect(cancelled.body.error).toBe('Bill is cancelled in Tally; it cannot take receipts');
+    expect(await billReference('UNDO-RCP-1')).toBeNull();
+  });
+
+  test('should take back the alias a manual mapping learned when it is undone', async () => {
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'UNDO-BILL-4', '2024-05-04', 'Undo Party', 5000.00)
+    `, [company.id]);
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode)
+      VALUES ($1, 'UNDO-RCP-3', '2024-05-12', 'Undo Alias One', 100.00, 'CASH'),
+             ($1, 'UNDO-RCP-4', '2024-05-12', 'Undo Alias One', 100.00, 'CASH'),
+             ($1, 'UNDO-RCP-5', '2024-05-12', 'Undo Alias Two', 100.00, 'CASH')
+    `, [company.id]);
+    // Undo Alias Two was taught for another party twice before
+    await partyMatch.learn(company.id, 'Undo Alias Two', 'Other Undo Party', userId);
+    await partyMatch.learn(company.id, 'Undo Alias Two', 'Other Undo Party', userId);
+
+    for (const receiptId of ['UNDO-RCP-3', 'UNDO-RCP-4', 'UNDO-RCP-5']) {
+      const mapped = await request(app)
+        .post('/api/tally-sync/map-receipt')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ receiptId, billNo: 'UNDO-BILL-4' });
+      expect(mapped.status).toBe(200);
+    }
+
+    const alias = async (aliasName) => {
+      const result = await pool.query(
+        'SELECT party_name, times_used FROM party_alias WHERE company_id = $1 AND alias_name = $2',
+        [company.id, aliasName]
+      );
+      return result.rows[0];
+    };
+    expect(await alias('Undo Alias One')).toEqual({ party_name: 'Undo Party', times_used: 2 });
+    expect(await alias('Undo Alias Two')).toEqual({ party_name: 'Undo Party', times_used: 1 });
+
+    const aliasUndone = async (receiptId) => {
+      expect((await unmap(receiptId, 'Wrong party')).status).toBe(200);
+      const [undo] = await history(receiptId);
+      return undo.party_alias;
+    };
+
+    // Another mapping still uses it, so one use less
+    expect(await aliasUndone('UNDO-RCP-4')).toMatchObject({ alias_name: 'Undo Alias One', action: 'DECREMENTED', times_used: 1 });
+    expect(await alias('Undo Alias One')).toEqual({ party_name: 'Undo Party', times_used: 1 });
+
+    expect(await aliasUndone('UNDO-RCP-3')).toMatchObject({ alias_name: 'Undo Alias One', action: 'REMOVED' });
+    expect(await alias('Undo Alias One')).toBeUndefined();
+
+    // Pointed back at the party it named before the mapping
+    expect(await aliasUndone('UNDO-RCP-5')).toMatchObject({ action: 'RESTORED', party_name: 'Other Undo Party', times_used: 2 });
+    expect(await alias('Undo Alias Two')).toEqual({ party_name: 'Other Undo Party', times_used: 2 });
+  });
+
+  test('should keep a mapping made here when Tally sends no reference and record one Tally changes', async () => {
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'UNDO-BILL-6', '2024-05-06', 'Undo Tally Party', 500.00),
+             ($1, 'UNDO-BILL-7', '2024-05-07', 'Undo Tally Party', 500.00)
+    `, [company.id]);
+    const fromTally = (billRef) => ({
+      receipt_id: 'UNDO-RCP-6',
+      receipt_date: '20240513',
+      party_name: 'Undo Tally Party',
+      amount: 300.00,
+      mode: 'CASH',
+      ref_text: 'Cash',
+      bill_reference: billRef,
+      allocations: []
+    });
+    await tallyStaging.promote(pool, company.id, 'receipt', fromTally(null));
+
+    const mapped = await request(app)
+      .post('/api/tally-sync/map-receipt')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ receiptId: 'UNDO-RCP-6', billNo: 'UNDO-BILL-7' });
+    expect(mapped.status).toBe(200);
+
+    // The next sync of the receipt, still without a reference in Tally
+    await tallyStaging.promote(pool, company.id, 'receipt', fromTally(null));
+    expect(await billReference('UNDO-RCP-6')).toBe('UNDO-BILL-7');
+    expect((await history('UNDO-RCP-6')).map(entry => entry.method)).toEqual(['MANUAL']);
+
+    // The receipt is pointed at another bill in Tally
+    await tallyStaging.promote(pool, company.id, 'receipt', fromTally('UNDO-BILL-6'));
+    expect(await billReference('UNDO-RCP-6')).toBe('UNDO-BILL-6');
+    const [changed] = await history('UNDO-RCP-6');
+    expect(changed).toMatchObject({ method: 'TALLY', old_bill_no: 'UNDO-BILL-7', new_bill_no: 'UNDO-BILL-6', user_id: null });
+
+    // Undo would put back a mapping Tally has since replaced
+    const undone = await unmap('UNDO-RCP-6', 'Wrong bill');
+    expect(undone.status).toBe(422);
+    expect(undone.body.reasons).toEqual(["Receipt's mapping has changed in Tally since the manual mapping; map it again instead of undoing"]);
+    expect(await billReference('UNDO-RCP-6')).toBe('UNDO-BILL-6');
+  });
+});
@@ -0,0 +1,187 @@
+const request = require('supertest');
+const app = require('../server');
+const syncEngine = require('../services/sync-engine');
+const receiptAllocation = require('../services/receipt-allocation');
+const companyService = require('../services/company');
+const { pool } = require('../config/database');
+const { createUsers, removeUsers } = require('./users');
+
+describe('Receipt split allocation', () => {
+  let company;
+  let token;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM receipt WHERE receipt_id LIKE $1', ['SPLIT-RCP-%']);
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['SPLIT-BILL-%']);
+    await removeUsers(['splitop']);
+  };
+
+  const billStatus = async (billNo) => {
+    const result = await pool.query(
+      'SELECT remaining_due, status FROM bill_status WHERE company_id = $1 AND bill_no = $2',
+      [company.id, billNo]
+    );
+    return result.rows[0];
+  };
+
+  const allocate = (receiptId, allocations) => request(app)
+    .post('/api/tally-sync/allocate-receipt')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ receiptId, allocations });
+
+  beforeAll(async () => {
+    await cleanup();
+    company = await companyService.getDefault();
+
+    const { tokens } = await createUsers([
+      { username: 'splitop', fullName: 'Split Operator', role: 'CASHIER', syncOperator: true }
+    ]);
+    token = tokens.splitop;
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'SPLIT-BILL-1', '2024-02-01', 'Split Test Party', 1000.00),
+             ($1, 'SPLIT-BILL-2', '2024-02-05', 'Split Test Party', 1500.00),
+             ($1, 'SPLIT-BILL-3', '2024-02-10', 'Split Test Party', 800.00)
+    `, [company.id]);
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode)
+      VALUES ($1, 'SPLIT-RCP-1', '2024-02-12', 'Split Test Party', 3000.00, 'CHEQUE')
+    `, [company.id]);
+  });
+
+  afterAll(cleanup);
+
+  test('should split a cheque across bills by hand and keep the rest on account', async () => {
+    const unmatched = await request(app)
+      .get('/api/tally-sync/unmatched-receipts')
+      .set('Authorization', `Bearer ${token}`);
+    expect(unmatched.body.find(receipt => receipt.receipt_id === 'SPLIT-RCP-1')).toMatchObject({
+      allocated_amount: '0', unallocated_amount: '3000.00'
+    });
+
+    const overDue = await allocate('SPLIT-RCP-1', [{ billNo: 'SPLIT-BILL-1', amount: 1200 }]);
+    expect(overDue.status).toBe(422);
+    expect(overDue.body.reasons).toEqual(['Bill SPLIT-BILL-1 has only 1000.00 due']);
+
+    const overReceipt = await allocate('SPLIT-RCP-1', [
+      { billNo: 'SPLIT-BILL-1', amount: 1000 },
+      { billNo: 'SPLIT-BILL-2', amount: 1500 },
+      { billNo: 'SPLIT-BILL-3', amount: 800 }
+    ]);
+    expect(overReceipt.status).toBe(422);
+    expect(overReceipt.body.reasons).toEqual(['Allocations total 3300.00, more than the receipt amount 3000.00']);
+
+    const split = await allocate('SPLIT-RCP-1', [
+      { billNo: 'SPLIT-BILL-1', amount: 1000 },
+      { billNo: 'SPLIT-BILL-2', amount: 1200 }
+    ]);
+    expect(split.status).toBe(200);
+    expect(split.body.receipt).toMatchObject({
+      bill_reference: 'SPLIT-BILL-2',
+      allocated_amount: '2200.00',
+      on_account_amount: '800.00',
+      unallocated_amount: '0.00'
+    });
+    expect(split.body.receipt.allocations.map(row => [row.bill_no, row.amount, row.source])).toEqual([
+      ['SPLIT-BILL-1', '1000.00', 'MANUAL'],
+      ['SPLIT-BILL-2', '1200.00', 'MANUAL'],
+      [null, '800.00', 'MANUAL']
+    ]);
+
+    expect(await billStatus('SPLIT-BILL-1')).toMatchObject({ remaining_due: '0.00', status: 'PAID' });
+    expect(await billStatus('SPLIT-BILL-2')).toMatchObject({ remaining_due: '300.00', status: 'PART-PAID' });
+
+    const after = await request(app)
+      .get('/api/tally-sync/unmatched-receipts')
+      .set('Authorization', `Bearer ${token}`);
+    expect(after.body.find(receipt => receipt.receipt_id === 'SPLIT-RCP-1')).toBeUndefined();
+
+    const audit = await pool.query(
+      "SELECT new_values FROM audit_log WHERE table_name = 'receipt' AND record_id = $1 AND action = 'MAP'",
+      ['SPLIT-RCP-1']
+    );
+    expect(audit.rows).toHaveLength(1);
+    expect(audit.rows[0].new_values.method).toBe('split');
+  });
+
+  test('should fill due bills oldest-first when auto-mapping a large receipt', async () => {
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode)
+      VALUES ($1, 'SPLIT-RCP-2', '2024-02-15', 'Split Test Party', 2000.00, 'CASH')
+    `, [company.id]);
+
+    await syncEngine.autoMapReceipts();
+
+    const receipt = await receiptAllocation.forReceipt(company.id, 'SPLIT-RCP-2');
+    expect(receipt.allocations.map(row => [row.bill_no, row.amount, row.source])).toEqual([
+      ['SPLIT-BILL-2', '300.00', 'FIFO'],
+      ['SPLIT-BILL-3', '800.00', 'FIFO'],
+      [null, '900.00', 'FIFO']
+    ]);
+    expect(receipt.bill_reference).toBe('SPLIT-BILL-3');
+    expect((await billStatus('SPLIT-BILL-2')).status).toBe('PAID');
+    expect((await billStatus('SPLIT-BILL-3')).status).toBe('PAID');
+  });
+
+  test('should let allocations from Tally replace a split made here', async () => {
+    const client = await pool.connect();
+    try {
+      const fromTally = [
+        { bill_no: 'SPLIT-BILL-3', bill_type: 'Agst Ref', amount: 800 },
+        { bill_no: null, bill_type: 'On Account', amount: 1200 }
+      ];
+      expect(await receiptAllocation.replace(client, company.id, 'SPLIT-RCP-2', fromTally)).toBe(true);
+    } finally {
+      client.release();
+    }
+
+    const receipt = await receiptAllocation.forReceipt(company.id, 'SPLIT-RCP-2');
+    expect(receipt.allocations.map(row => [row.bill_no, row.source])).toEqual([
+      ['SPLIT-BILL-3', 'TALLY'],
+      [null, 'TALLY']
+    ]);
+    expect((await billStatus('SPLIT-BILL-2')).status).toBe('PART-PAID');
+
+    const refused = await allocate('SPLIT-RCP-2', [{ billNo: 'SPLIT-BILL-2', amount: 300 }]);
+    expect(refused.status).toBe(422);
+    expect(refused.body.reasons).toEqual(['Receipt is allocated in Tally; change the allocation there']);
+  });
+
+  test('should keep what a manual mapping puts above the bill\'s due on account', async () => {
+    await pool.query(`
+      INSERT INTO receipt (company_id, receipt_id, receipt_date, party_name, amount, mode, tally_status)
+      VALUES ($1, 'SPLIT-RCP-3', '2024-02-20', 'Split Test Party', 500.00, 'CASH', 'ACTIVE'),
+             ($1, 'SPLIT-RCP-4', '2024-02-20', 'Split Test Party', 100.00, 'CASH', 'CANCELLED')
+    `, [company.id]);
+
+    const map = (receiptId, billNo) => request(app)
+      .post('/api/tally-sync/map-receipt')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ receiptId, billNo });
+    const statistics = async () => (await request(app)
+      .get('/api/tally-sync/status')
+      .set('Authorization', `Bearer ${token}`)).body.statistics;
+
+    expect((await map('SPLIT-RCP-4', 'SPLIT-BILL-2')).status).toBe(404);
+    const paid = await map('SPLIT-RCP-3', 'SPLIT-BILL-1');
+    expect(paid.status).toBe(409);
+    expect(paid.body.error).toBe('Bill has nothing due');
+
+    const before = await statistics();
+    const mapped = await map('SPLIT-RCP-3', 'SPLIT-BILL-2');
+    expect(mapped.status).toBe(200);
+    expect(mapped.body.receipt.bill_reference).toBe('SPLIT-BILL-2');
+
+    const receipt = await receiptAllocation.forReceipt(company.id, 'SPLIT-RCP-3');
+    expect(receipt.allocations.map(row => [row.bill_no, row.amount, row.source])).toEqual([
+      ['SPLIT-BILL-2', '300.00', 'MANUAL'],
+      [null, '200.00', 'MANUAL']
+    ]);
+    expect(await billStatus('SPLIT-BILL-2')).toMatchObject({ remaining_due: '0.00', status: 'PAID' });
+
+    // Receipts kept on account in part count as mapped, cancelled ones as neither
+    const after = await statistics();
+    expect(after.mapped_receipts).toBe(before.mapped_receipts + 1);
+    expect(after.unmapped_receipts).toBe(before.unmapped_receipts - 1);
+  });
+});
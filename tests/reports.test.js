@@ -19,7 +19,7 @@ describe('Reports Service', () => {
       VALUES 
         ('RPT-TEST-001', $1, 'Report Test Party 1', 1500.00),
         ('RPT-TEST-002', $1, 'Report Test Party 2', 2500.00)
-      ON CONFLICT (bill_no) DO NOTHING
+      ON CONFLICT (company_id, bill_no) DO NOTHING
     `, [testDate]);
 
     await pool.query(`
@@ -27,7 +27,7 @@ describe('Reports Service', () => {
       VALUES 
         ('RPT-REC-001', $1, 'Report Test Party 1', 1500.00, 'CASH', 'RPT-TEST-001'),
         ('RPT-REC-002', $1, 'Report Test Party 2', 1000.00, 'CHEQUE', 'RPT-TEST-002')
-      ON CONFLICT (receipt_id) DO NOTHING
+      ON CONFLICT (company_id, receipt_id) DO NOTHING
     `, [testDate]);
 
     // Create test user for sessions
@@ -136,6 +136,7 @@ describe('Reports Service', () => {
         'Party Name',
         'Bill Amount',
         'Receipt Total',
+        'Adjustments',
         'Remaining Due',
         'Status',
         'Cash Amount',
@@ -229,7 +230,7 @@ describe('Reports Service', () => {
       await pool.query(`
         INSERT INTO bill (bill_no, bill_date, party_name, amount)
         VALUES ($1, $2, 'Null Test Party', 500.00)
-        ON CONFLICT (bill_no) DO NOTHING
+        ON CONFLICT (company_id, bill_no) DO NOTHING
       `, [testBillNoNull, testDate]);
 
       // This should not throw error
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const syncEngine = require('../services/sync-engine');
+const xmlConnector = require('../services/connectors/xml-connector');
+const fileConnector = require('../services/connectors/file-connector');
+const companyService = require('../services/company');
+const syncRun = require('../services/sync-run');
+const syncHealth = require('../services/sync-health');
+const { pool } = require('../config/database');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', 'tally', name);
+
+describe('Sync engine connectors', () => {
+  let company;
+  let importDir;
+  let originalImportDir;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM tally_quarantine WHERE company_id = $1', [company.id]);
+    await pool.query('DELETE FROM tally_staging WHERE company_id = $1', [company.id]);
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['INV/2024/%']);
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1', ['DEFAULT']);
+    await pool.query('DELETE FROM sync_connector');
+    await pool.query("DELETE FROM sync_health WHERE company_id = $1 AND entity = 'adjustments'", [company.id]);
+  };
+
+  // Drop a Tally export into the company's import folder
+  const dropExport = (name) => {
+    const dir = path.join(importDir, company.code);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.copyFileSync(fixture(name), path.join(dir, name));
+  };
+
+  beforeAll(async () => {
+    company = await companyService.getDefault();
+    originalImportDir = fileConnector.importDir;
+  });
+
+  beforeEach(async () => {
+    importDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tally-import-'));
+    fileConnector.importDir = importDir;
+    await cleanup();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    syncEngine.failures.clear();
+    fs.rmSync(importDir, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    fileConnector.importDir = originalImportDir;
+    await cleanup();
+  });
+
+  test('should pull each entity through the connector configured for it', async () => {
+    for (const entity of syncEngine.entities) {
+      await syncEngine.setConnectorOrder(entity, ['file']);
+    }
+    dropExport('sales-vouchers.xml');
+    const request = jest.spyOn(xmlConnector, 'sendTallyRequest');
+
+    await syncEngine.runCycle('manual');
+
+    const run = await syncRun.latest();
+    expect(run).toMatchObject({ status: 'SUCCESS', connection_method: 'file' });
+    expect(request).not.toHaveBeenCalled();
+
+    const entities = await pool.query('SELECT entity, connector FROM sync_run_entity WHERE run_id = $1 ORDER BY entity', [run.id]);
+    expect(entities.rows).toEqual([
+      { entity: 'adjustments', connector: 'file' },
+      { entity: 'bills', connector: 'file' },
+      { entity: 'parties', connector: 'file' },
+      { entity: 'receipts', connector: 'file' }
+    ]);
+
+    const bills = await pool.query('SELECT bill_no FROM bill WHERE company_id = $1 AND bill_no LIKE $2 ORDER BY bill_no', [company.id, 'INV/2024/%']);
+    expect(bills.rows.map(bill => bill.bill_no)).toEqual(['INV/2024/001', 'INV/2024/002']);
+
+    // Imported files are archived so the next cycle does not read them again
+    const companyDir = path.join(importDir, company.code);
+    expect(fs.readdirSync(companyDir)).toEqual(['processed']);
+    expect(fs.readdirSync(path.join(companyDir, 'processed'))[0]).toMatch(/sales-vouchers\.xml$/);
+  });
+
+  test('should fail over when the preferred connector fails and prefer it again after the retry window', async () => {
+    await syncEngine.setConnectorOrder('bills', ['xml', 'file']);
+    dropExport('sales-vouchers.xml');
+    const request = jest.spyOn(xmlConnector, 'sendTallyRequest').mockRejectedValue(new Error('socket hang up'));
+
+    expect(await syncEngine.syncEntity('bills', syncRun.newCounts(), company)).toBe(2);
+    expect(request).toHaveBeenCalledTimes(1);
+
+    let status = await syncEngine.getStatus();
+    expect(status.entities.bills).toMatchObject({
+      connectors: ['xml', 'file'],
+      preferred: 'file',
+      failures: [{ connector: 'xml', error: 'socket hang up' }]
+    });
+
+    // The failed connector is tried last while it is failing
+    expect(syncEngine.candidates('bills', ['xml', 'file'], company).map(connector => connector.name)).toEqual(['file', 'xml']);
+    await syncEngine.syncEntity('bills', syncRun.newCounts(), company);
+    expect(request).toHaveBeenCalledTimes(1);
+
+    syncEngine.failures.get('bills:xml').failedAt -= syncEngine.failoverRetryMs;
+    status = await syncEngine.getStatus();
+    expect(status.entities.bills).toMatchObject({ preferred: 'xml', failures: [] });
+  });
+
+  test('should report every connector error when none can sync the entity', async () => {
+    await syncEngine.setConnectorOrder('bills', ['xml', 'file']);
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockRejectedValue(new Error('socket hang up'));
+    jest.spyOn(fileConnector, 'fetchBills').mockRejectedValue(new Error('Invalid XML from Tally: Unexpected end'));
+
+    await expect(syncEngine.syncEntity('bills', syncRun.newCounts(), company))
+      .rejects.toThrow('Could not sync bills for DEFAULT (xml: socket hang up; file: Invalid XML from Tally: Unexpected end)');
+  });
+
+  test('should leave named Tally companies to connectors that can select them', async () => {
+    const names = (order, target) => syncEngine.candidates('bills', order, target).map(connector => connector.name);
+
+    expect(names(['odbc', 'xml'], { ...company, tally_name: 'Demo & Branch' })).toEqual(['xml']);
+    expect(names(['odbc', 'xml'], company)).toEqual(['odbc', 'xml']);
+  });
+
+  test('should skip entities no configured connector reads instead of failing them', async () => {
+    const names = (entity, order) => syncEngine.candidates(entity, order, company).map(connector => connector.name);
+    expect(names('adjustments', ['odbc', 'xml'])).toEqual(['xml']);
+    expect(names('bills', ['odbc', 'xml'])).toEqual(['odbc', 'xml']);
+
+    // An alert left from the cycles that failed adjustments over ODBC goes away
+    await syncEngine.setConnectorOrder('adjustments', ['odbc']);
+    await syncHealth.recordFailure(company.id, 'adjustments', new Error('The odbc connector cannot sync bill adjustments'));
+
+    expect(await syncEngine.pullEntity('adjustments', syncRun.newCounts(), company))
+      .toEqual({ count: 0, connector: null });
+    expect((await syncHealth.entities(company.id)).map(entity => entity.entity)).not.toContain('adjustments');
+  });
+
+  test('should reject unknown connectors and entities', async () => {
+    await expect(syncEngine.setConnectorOrder('bills', ['ftp'])).rejects.toThrow('Connectors must be one or more of: xml, odbc, file');
+    await expect(syncEngine.setConnectorOrder('stock', ['xml'])).rejects.toThrow('Unknown sync entity: stock');
+
+    expect(await syncEngine.setConnectorOrder('receipts', ['odbc', 'xml'])).toEqual(['odbc', 'xml']);
+    expect((await syncEngine.connectorOrders()).receipts).toEqual(['odbc', 'xml']);
+  });
+});
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const app = require('../server');
+const syncHealth = require('../services/sync-health');
+const syncEngine = require('../services/sync-engine');
+const xmlConnector = require('../services/connectors/xml-connector');
+const companyService = require('../services/company');
+const { validateRelease } = require('../middleware/businessRules');
+const { pool } = require('../config/database');
+const { createUsers, removeUsers } = require('./users');
+
+const today = new Date().toISOString().split('T')[0];
+const BILL_NO = 'STALE-TEST-001';
+const RECEIPT_ID = 'STALE-RCP-001';
+
+describe('Sync health', () => {
+  let company;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM sync_alert WHERE company_id = $1', [company.id]);
+    await pool.query('DELETE FROM sync_health WHERE company_id = $1', [company.id]);
+    await pool.query('DELETE FROM receipt WHERE receipt_id = $1', [RECEIPT_ID]);
+    await pool.query('DELETE FROM bill WHERE bill_no = $1', [BILL_NO]);
+  };
+
+  // Move an entity's last success and first failure back in time
+  const age = async (entity, minutes) => {
+    await pool.query(`
+      UPDATE sync_health
+      SET last_success_at = last_success_at - make_interval(mins => $3),
+          failing_since = failing_since - make_interval(mins => $3)
+      WHERE company_id = $1 AND entity = $2
+    `, [company.id, entity, minutes]);
+  };
+
+  // Run validateRelease for the test bill; resolves with the response or 'next'
+  const release = (body) => new Promise((resolve, reject) => {
+    const req = { params: { bill_no: BILL_NO }, body, company };
+    const res = {
+      status(code) {
+        return { json: (payload) => resolve({ status: code, body: payload, req }) };
+      }
+    };
+    validateRelease(req, res, () => resolve({ status: 'next', req })).catch(reject);
+  });
+
+  beforeAll(async () => {
+    company = await companyService.getDefault();
+  });
+
+  beforeEach(async () => {
+    await cleanup();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await pool.query('DELETE FROM sync_run');
+    await removeUsers(['staledispatch']);
+  });
+
+  test('should judge an entity stale by the age of its last success', async () => {
+    await syncHealth.recordSuccess(company.id, 'bills');
+    await syncHealth.recordSuccess(company.id, 'parties');
+    expect(await syncHealth.status(company.id)).toMatchObject({ stale: false, blocksReleases: false });
+
+    await age('bills', 30);
+    await syncHealth.recordFailure(company.id, 'bills', new Error('Tally is not running'));
+
+    const status = await syncHealth.status(company.id);
+    expect(status).toMatchObject({ stale: true, staleEntities: ['bills'], blocksReleases: true, thresholdMinutes: 15 });
+    expect(status.entities.find(entity => entity.entity === 'bills')).toMatchObject({
+      age_minutes: 30,
+      consecutive_failures: 1,
+      last_error: 'Tally is not running'
+    });
+
+    // A stale party master alone does not make dues untrustworthy
+    await syncHealth.recordSuccess(company.id, 'bills');
+    await age('parties', 30);
+    expect(await syncHealth.status(company.id)).toMatchObject({ stale: true, staleEntities: ['parties'], blocksReleases: false });
+  });
+
+  test('should raise one alert while stale and clear it once the entity syncs again', async () => {
+    await syncHealth.recordFailure(company.id, 'receipts', 'Could not connect to Tally');
+    await age('receipts', 20);
+
+    const raised = await syncHealth.check();
+    expect(raised).toHaveLength(1);
+    expect(raised[0]).toMatchObject({ entity: 'receipts', last_success_at: null, last_error: 'Could not connect to Tally' });
+    expect(await syncHealth.check()).toEqual([]);
+    expect(await syncHealth.alerts(company.id)).toHaveLength(1);
+
+    await syncHealth.recordSuccess(company.id, 'receipts');
+    await syncHealth.check();
+
+    expect(await syncHealth.alerts(company.id)).toEqual([]);
+    const alerts = await syncHealth.alerts(company.id, today);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].cleared_at).not.toBeNull();
+  });
+
+  test('should record a failure for every entity when Tally cannot be reached', async () => {
+    jest.spyOn(xmlConnector, 'connect').mockResolvedValue(false);
+
+    await syncEngine.runCycle('manual');
+
+    const entities = await syncHealth.entities(company.id);
+    expect(entities.map(entity => entity.entity).sort()).toEqual([...syncEngine.entities].sort());
+    for (const entity of entities) {
+      expect(entity).toMatchObject({ last_success_at: null, consecutive_failures: 1, last_error: 'Could not connect to Tally', stale: false });
+    }
+  });
+
+  test('should block releases with dues while stale unless a manager overrides', async () => {
+    await pool.query(`
+      INSERT INTO bill (bill_no, bill_date, party_name, amount)
+      VALUES ($1, CURRENT_DATE, 'Stale Test Party', 1500.00)
+    `, [BILL_NO]);
+    await syncHealth.recordSuccess(company.id, 'receipts');
+
+    const fresh = await release({ otp_verified: true });
+    expect(fresh.status).toBe('next');
+    expect(fresh.req.syncStale).toBe(false);
+
+    await age('receipts', 60);
+
+    const blocked = await release({ otp_verified: true });
+    expect(blocked.status).toBe(409);
+    expect(blocked.body).toMatchObject({ syncStale: true });
+
+    const overridden = await release({ manager_pin: '1234' });
+    expect(overridden.status).toBe('next');
+    expect(overridden.req.syncStale).toBe(true);
+  });
+
+  test('should tell the dispatcher a manager is needed for a due bill while stale, advance or not', async () => {
+    await pool.query(`
+      INSERT INTO bill (bill_no, bill_date, party_name, amount)
+      VALUES ($1, CURRENT_DATE, 'Stale Test Party', 1500.00)
+    `, [BILL_NO]);
+    // Held on account in Tally, enough to settle the bill at release
+    await pool.query(`
+      INSERT INTO receipt (receipt_id, receipt_date, party_name, amount, mode)
+      VALUES ($1, CURRENT_DATE, 'Stale Test Party', 1500.00, 'CASH')
+    `, [RECEIPT_ID]);
+    await pool.query(`
+      INSERT INTO receipt_allocation (company_id, receipt_id, bill_no, bill_type, amount)
+      VALUES ($1, $2, NULL, 'On Account', 1500.00)
+    `, [company.id, RECEIPT_ID]);
+    await syncHealth.recordSuccess(company.id, 'bills');
+    const { tokens } = await createUsers([{ username: 'staledispatch', role: 'DISPATCHER' }]);
+
+    const details = async () => (await request(app)
+      .get(`/api/dispatch/bill/${BILL_NO}`)
+      .set('Authorization', `Bearer ${tokens.staledispatch}`)).body;
+
+    expect(await details()).toMatchObject({ requiresApproval: false, dueAfterAdvance: 0, syncStale: false });
+
+    await age('bills', 60);
+    expect(await details()).toMatchObject({ requiresApproval: true, dueAfterAdvance: 0, syncStale: true });
+  });
+});
@@ -0,0 +1,127 @@
+const syncRun = require('../services/sync-run');
+const xmlConnector = require('../services/connectors/xml-connector');
+const syncEngine = require('../services/sync-engine');
+const companyService = require('../services/company');
+const { pool } = require('../config/database');
+
+describe('Sync Run History', () => {
+  const voucherXML = (amount) => `<ENVELOPE>
+    <VOUCHER>
+      <VOUCHERNUMBER>RUN-TEST-001</VOUCHERNUMBER>
+      <DATE>20240115</DATE>
+      <PARTYLEDGERNAME>Run Test Party</PARTYLEDGERNAME>
+      <AMOUNT>${amount}</AMOUNT>
+      <ALTERID>7</ALTERID>
+      <MASTERID>3</MASTERID>
+    </VOUCHER>
+  </ENVELOPE>`;
+
+  beforeAll(async () => {
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['RUN-TEST%']);
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1', ['DEFAULT']);
+    await pool.query('DELETE FROM company WHERE code = ANY($1)', [['RUNBRANCH']]);
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['RUN-TEST%']);
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1', ['DEFAULT']);
+    await pool.query('DELETE FROM sync_run');
+    await pool.query('DELETE FROM company WHERE code = ANY($1)', [['RUNBRANCH']]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should record a run with per-entity counts', async () => {
+    const run = await syncRun.start('manual', 'odbc');
+    expect(run.status).toBe('RUNNING');
+
+    await syncRun.finish(run.id, {
+      status: 'SUCCESS',
+      mappedCount: 2,
+      entities: {
+        bills: { inserted: 3, updated: 1, unchanged: 5, failed: 0 },
+        receipts: { inserted: 1, updated: 0, unchanged: 0, failed: 2 }
+      }
+    });
+
+    const detail = await syncRun.get(run.id);
+
+    expect(detail.status).toBe('SUCCESS');
+    expect(detail.trigger_source).toBe('manual');
+    expect(detail.mapped_count).toBe(2);
+    expect(detail.finished_at).not.toBeNull();
+    expect(detail.entities).toHaveLength(2);
+    expect(detail.entities.find(e => e.entity === 'bills').unchanged_count).toBe(5);
+  });
+
+  test('should record failures with error text', async () => {
+    const run = await syncRun.start('cron', 'xml');
+    await syncRun.finish(run.id, { status: 'FAILED', error: new Error('Tally not reachable') });
+
+    const detail = await syncRun.get(run.id);
+
+    expect(detail.status).toBe('FAILED');
+    expect(detail.error_text).toBe('Tally not reachable');
+  });
+
+  test('should paginate and filter run history', async () => {
+    const result = await syncRun.list({ page: 1, limit: 1, status: 'FAILED' });
+
+    expect(result.runs).toHaveLength(1);
+    expect(result.runs[0].status).toBe('FAILED');
+    expect(result.pagination.total).toBeGreaterThanOrEqual(1);
+  });
+
+  test('should list runs and counts of one company only', async () => {
+    const branch = await companyService.create({ code: 'RUNBRANCH', name: 'Run Branch', tallyName: 'Run Branch' });
+    const defaultCompany = await companyService.getDefault();
+
+    const run = await syncRun.start('manual', 'xml');
+    await syncRun.finish(run.id, {
+      status: 'SUCCESS',
+      entities: { bills: { inserted: 4, updated: 0, unchanged: 0, failed: 0 } },
+      companies: {
+        [branch.id]: { entities: { bills: { inserted: 4, updated: 0, unchanged: 0, failed: 0 } }, connectors: { bills: 'xml' } }
+      }
+    });
+
+    const branchRuns = await syncRun.list({ companyId: branch.id });
+    expect(branchRuns.runs.find(r => r.id === run.id).inserted_count).toBe('4');
+
+    const defaultRuns = await syncRun.list({ companyId: defaultCompany.id });
+    expect(defaultRuns.runs.find(r => r.id === run.id)).toBeUndefined();
+    // Runs that failed before any company was pulled stay visible to every company
+    expect(defaultRuns.runs.some(r => r.status === 'FAILED')).toBe(true);
+
+    expect((await syncRun.get(run.id, branch.id)).entities[0].inserted_count).toBe(4);
+    expect(await syncRun.get(run.id, defaultCompany.id)).toBeNull();
+    expect((await syncRun.latest('SUCCESS', defaultCompany.id) || {}).id).not.toBe(run.id);
+  });
+
+  test('should classify inserted, updated and unchanged bill upserts', async () => {
+    jest.spyOn(xmlConnector, 'sendTallyRequest')
+      .mockResolvedValueOnce(voucherXML('1000.00'))
+      .mockResolvedValueOnce(voucherXML('1000.00'))
+      .mockResolvedValueOnce(voucherXML('1200.00'));
+
+    const counts = syncRun.newCounts();
+    await syncEngine.syncEntity('bills', counts);
+    await syncEngine.syncEntity('bills', counts);
+    await syncEngine.syncEntity('bills', counts);
+
+    expect(counts).toEqual({ inserted: 1, updated: 1, unchanged: 1, failed: 0 });
+  });
+
+  test('should record a failed ETL cycle when Tally is unreachable', async () => {
+    jest.spyOn(xmlConnector, 'connect').mockResolvedValueOnce(false);
+
+    await syncEngine.runCycle('admin');
+
+    const latest = await syncRun.latest();
+    expect(latest.trigger_source).toBe('admin');
+    expect(latest.connection_method).toBe('xml');
+    expect(latest.status).toBe('FAILED');
+  });
+});
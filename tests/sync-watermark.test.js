@@ -0,0 +1,71 @@
+const syncWatermark = require('../services/sync-watermark');
+const { pool } = require('../config/database');
+
+describe('Sync Watermark Service', () => {
+  const company = 'WM Test Company';
+
+  beforeEach(async () => {
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1', [company]);
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1', [company]);
+  });
+
+  test('should start at zero when never synced', async () => {
+    const watermark = await syncWatermark.get('Sales', company);
+
+    expect(watermark.lastAlterId).toBe(0);
+    expect(watermark.lastMasterId).toBe(0);
+    expect(watermark.lastSuccessTs).toBeNull();
+  });
+
+  test('should advance watermark and never move it backwards', async () => {
+    await syncWatermark.advance(pool, 'Sales', 150, 40, company);
+    await syncWatermark.advance(pool, 'Sales', 120, 35, company);
+
+    const watermark = await syncWatermark.get('Sales', company);
+
+    expect(watermark.lastAlterId).toBe(150);
+    expect(watermark.lastMasterId).toBe(40);
+    expect(watermark.lastSuccessTs).not.toBeNull();
+  });
+
+  test('should keep watermarks separate per voucher type', async () => {
+    await syncWatermark.advance(pool, 'Sales', 150, 40, company);
+    await syncWatermark.advance(pool, 'Receipt', 90, 12, company);
+
+    expect((await syncWatermark.get('Sales', company)).lastAlterId).toBe(150);
+    expect((await syncWatermark.get('Receipt', company)).lastAlterId).toBe(90);
+  });
+
+  test('should find the highest ids in a batch', () => {
+    const ids = syncWatermark.highestIds([
+      { alter_id: '12', master_id: '5' },
+      { alter_id: 30, master_id: 2 },
+      { alter_id: null, master_id: undefined }
+    ]);
+
+    expect(ids).toEqual({ alterId: 30, masterId: 5 });
+  });
+
+  test('should reset a single voucher type', async () => {
+    await syncWatermark.advance(pool, 'Sales', 150, 40, company);
+    await syncWatermark.advance(pool, 'Receipt', 90, 12, company);
+
+    const resetCount = await syncWatermark.reset('Sales', company);
+
+    expect(resetCount).toBe(1);
+    expect((await syncWatermark.get('Sales', company)).lastAlterId).toBe(0);
+    expect((await syncWatermark.get('Receipt', company)).lastAlterId).toBe(90);
+  });
+
+  test('should reset all voucher types for a company', async () => {
+    await syncWatermark.advance(pool, 'Sales', 150, 40, company);
+    await syncWatermark.advance(pool, 'Receipt', 90, 12, company);
+
+    const resetCount = await syncWatermark.reset(null, company);
+
+    expect(resetCount).toBe(2);
+  });
+});
@@ -0,0 +1,116 @@
+const TallySimulator = require('../scripts/tally-simulator');
+const xmlConnector = require('../services/connectors/xml-connector');
+const tallyBackfill = require('../services/tally-backfill');
+const syncWatermark = require('../services/sync-watermark');
+const companyService = require('../services/company');
+const { pool } = require('../config/database');
+
+const PARTY = 'Backfill Traders';
+
+// Three months of history and one voucher after the backfilled range
+const simulatorFixture = () => ({
+  companies: [{
+    name: 'Backfill Co',
+    groups: [{ name: 'Sundry Debtors', parent: 'Current Assets' }],
+    ledgers: [{ name: PARTY, parent: 'Sundry Debtors' }],
+    vouchers: [
+      { type: 'Sales', number: 'BF/001', date: '2024-01-10', party: PARTY, amount: 1000 },
+      { type: 'Sales', number: 'BF/002', date: '2024-02-05', party: PARTY, amount: 600 },
+      {
+        type: 'Receipt', number: 'BF/R001', date: '2024-02-20', party: PARTY, amount: 400,
+        allocations: [{ bill: 'BF/001', type: 'Agst Ref', amount: 400 }]
+      },
+      { type: 'Sales', number: 'BF/003', date: '2024-04-01', party: PARTY, amount: 900 }
+    ]
+  }]
+});
+
+describe('Historical backfill', () => {
+  const simulator = new TallySimulator({ fixture: simulatorFixture() });
+  let company;
+  let originalURL;
+  let originalPause;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM backfill_job WHERE company_id = $1', [company.id]);
+    await pool.query('DELETE FROM receipt WHERE party_name = $1', [PARTY]);
+    await pool.query('DELETE FROM bill WHERE party_name = $1', [PARTY]);
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1', ['DEFAULT']);
+  };
+
+  const backfill = async (voucherTypes = ['Sales', 'Receipt']) => {
+    const job = await tallyBackfill.create(company, { fromDate: '2024-01-01', toDate: '2024-03-31', voucherTypes });
+    return tallyBackfill.process(job.id);
+  };
+
+  beforeAll(async () => {
+    company = await companyService.getDefault();
+    originalURL = xmlConnector.tallyURL;
+    originalPause = tallyBackfill.pauseMs;
+    tallyBackfill.pauseMs = 0;
+    await simulator.start(0);
+    xmlConnector.tallyURL = simulator.url;
+  });
+
+  beforeEach(async () => {
+    simulator.load(simulatorFixture());
+    await cleanup();
+  });
+
+  afterAll(async () => {
+    xmlConnector.tallyURL = originalURL;
+    tallyBackfill.pauseMs = originalPause;
+    await simulator.stop();
+    await cleanup();
+  });
+
+  test('should split a range into calendar months', () => {
+    expect(tallyBackfill.months('2023-12-15', '2024-02-10')).toEqual([
+      { fromDate: '2023-12-15', toDate: '2023-12-31' },
+      { fromDate: '2024-01-01', toDate: '2024-01-31' },
+      { fromDate: '2024-02-01', toDate: '2024-02-10' }
+    ]);
+  });
+
+  test('should load the vouchers dated in the range month by month without moving the watermark', async () => {
+    const job = await backfill();
+
+    expect(job).toMatchObject({ status: 'SUCCESS', total_chunks: 6, done_chunks: 6, progress: 100, inserted_count: 3 });
+    expect(job.chunks.map(chunk => [chunk.voucher_type, chunk.from_date, chunk.status, chunk.inserted_count])).toEqual([
+      ['Sales', '2024-01-01', 'DONE', 1],
+      ['Receipt', '2024-01-01', 'DONE', 0],
+      ['Sales', '2024-02-01', 'DONE', 1],
+      ['Receipt', '2024-02-01', 'DONE', 1],
+      ['Sales', '2024-03-01', 'DONE', 0],
+      ['Receipt', '2024-03-01', 'DONE', 0]
+    ]);
+
+    const bills = await pool.query('SELECT bill_no FROM bill WHERE company_id = $1 AND party_name = $2 ORDER BY bill_no', [company.id, PARTY]);
+    expect(bills.rows.map(row => row.bill_no)).toEqual(['BF/001', 'BF/002']);
+
+    const status = await pool.query('SELECT remaining_due FROM bill_status WHERE company_id = $1 AND bill_no = $2', [company.id, 'BF/001']);
+    expect(status.rows[0].remaining_due).toBe('600.00');
+
+    // The regular sync still starts from the beginning and picks up BF/003
+    expect((await syncWatermark.get('Sales', company.code)).lastAlterId).toBe(0);
+  });
+
+  test('should stop at a failed month and resume from it', async () => {
+    simulator.injectError({ request: 'Receipt Vouchers', status: 500 });
+
+    const failed = await backfill();
+
+    expect(failed).toMatchObject({ status: 'FAILED', done_chunks: 1 });
+    expect(failed.error_text).toContain('Receipt 2024-01-01..2024-01-31');
+    expect(failed.chunks.map(chunk => chunk.status)).toEqual(['DONE', 'FAILED', 'PENDING', 'PENDING', 'PENDING', 'PENDING']);
+    const firstDone = failed.chunks[0].finished_at;
+
+    await tallyBackfill.resume(failed.id);
+    const resumed = await tallyBackfill.start(failed.id);
+
+    expect(resumed).toMatchObject({ status: 'SUCCESS', done_chunks: 6, error_text: null });
+    // The month that had finished is not fetched again
+    expect(resumed.chunks[0].finished_at).toEqual(firstDone);
+    expect(resumed.chunks[1]).toMatchObject({ status: 'DONE', error_text: null });
+  });
+});
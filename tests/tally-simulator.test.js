@@ -0,0 +1,185 @@
+const TallySimulator = require('../scripts/tally-simulator');
+const xmlConnector = require('../services/connectors/xml-connector');
+const syncEngine = require('../services/sync-engine');
+const outstandingReconciliation = require('../services/outstanding-reconciliation');
+const companyService = require('../services/company');
+const { pool } = require('../config/database');
+
+const today = new Date().toISOString().split('T')[0];
+const PARTY = 'Sim Hardware Co';
+
+// Company served to the default (unnamed) company, with today's vouchers so the
+// deletion window covers them
+const simulatorFixture = () => ({
+  companies: [{
+    name: 'Sim Traders',
+    groups: [
+      { name: 'Sundry Debtors', parent: 'Current Assets' },
+      { name: 'Cash-in-Hand', parent: 'Current Assets' }
+    ],
+    ledgers: [
+      { name: 'Cash', parent: 'Cash-in-Hand' },
+      { name: PARTY, parent: 'Sundry Debtors', phone: '9800000001', state: 'Maharashtra' }
+    ],
+    vouchers: [
+      {
+        type: 'Sales', number: 'SIM/001', date: today, party: PARTY, amount: 1500,
+        items: [{ stockItem: 'Sim Cement', quantity: 30, unit: 'Bag', rate: 50, godown: 'Sim Godown' }]
+      },
+      { type: 'Sales', number: 'SIM/002', date: today, party: PARTY, amount: 800 },
+      {
+        type: 'Receipt', number: 'SIM/R001', date: today, party: PARTY, amount: 1200,
+        allocations: [
+          { bill: 'SIM/001', type: 'Agst Ref', amount: 1000 },
+          { bill: 'SIM/002', type: 'Agst Ref', amount: 200 }
+        ]
+      },
+      {
+        type: 'Receipt', number: 'SIM/R002', date: today, party: PARTY, amount: 100,
+        allocations: [{ bill: 'SIM/002', type: 'Agst Ref', amount: 100 }]
+      }
+    ]
+  }]
+});
+
+describe('Sync against the Tally simulator', () => {
+  const simulator = new TallySimulator({ fixture: simulatorFixture() });
+  let company;
+  let originalURL;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM outstanding_reconciliation WHERE trigger_source = $1', ['manual']);
+    await pool.query('DELETE FROM payment_hint WHERE bill_no LIKE $1', ['SIM/%']);
+    await pool.query('DELETE FROM receipt WHERE party_name = $1', [PARTY]);
+    await pool.query('DELETE FROM bill WHERE party_name = $1', [PARTY]);
+    await pool.query('DELETE FROM party WHERE party_name = $1', [PARTY]);
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1', ['DEFAULT']);
+  };
+
+  const lastRun = async () => {
+    const result = await pool.query('SELECT status, error_text FROM sync_run ORDER BY started_at DESC LIMIT 1');
+    return result.rows[0];
+  };
+
+  const bill = async (billNo) => {
+    const result = await pool.query(
+      'SELECT bill_amount, status, remaining_due, tally_status FROM bill_status WHERE company_id = $1 AND bill_no = $2',
+      [company.id, billNo]
+    );
+    return result.rows[0];
+  };
+
+  beforeAll(async () => {
+    company = await companyService.getDefault();
+    originalURL = xmlConnector.tallyURL;
+    await simulator.start(0);
+    xmlConnector.tallyURL = simulator.url;
+  });
+
+  beforeEach(async () => {
+    simulator.load(simulatorFixture());
+    await cleanup();
+  });
+
+  afterAll(async () => {
+    xmlConnector.tallyURL = originalURL;
+    await simulator.stop();
+    await cleanup();
+  });
+
+  test('should pull parties, bills, stock lines and allocated receipts', async () => {
+    await syncEngine.runCycle('manual');
+
+    expect(await lastRun()).toEqual({ status: 'SUCCESS', error_text: null });
+
+    const party = await pool.query('SELECT party_type, phone FROM party WHERE company_id = $1 AND party_name = $2', [company.id, PARTY]);
+    expect(party.rows).toEqual([{ party_type: 'DEBTOR', phone: '9800000001' }]);
+
+    expect(await bill('SIM/001')).toMatchObject({ status: 'PART-PAID', tally_status: 'ACTIVE' });
+    expect(parseFloat((await bill('SIM/001')).remaining_due)).toBe(500);
+    expect(parseFloat((await bill('SIM/002')).remaining_due)).toBe(500);
+
+    const items = await pool.query('SELECT stock_item, godown, quantity FROM bill_item WHERE company_id = $1 AND bill_no = $2', [company.id, 'SIM/001']);
+    expect(items.rows).toEqual([{ stock_item: 'Sim Cement', godown: 'Sim Godown', quantity: '30.000' }]);
+  });
+
+  test('should follow alterations, cancellations and deletions', async () => {
+    await syncEngine.runCycle('manual');
+
+    simulator.alterVoucher('SIM/002', { amount: 900 });
+    simulator.cancelVoucher('SIM/001');
+    simulator.deleteVoucher('SIM/R001');
+    await syncEngine.runCycle('manual');
+
+    expect(await lastRun()).toMatchObject({ status: 'SUCCESS' });
+    expect(parseFloat((await bill('SIM/002')).bill_amount)).toBe(900);
+    expect(await bill('SIM/001')).toMatchObject({ tally_status: 'CANCELLED' });
+
+    const receipt = await pool.query('SELECT tally_status FROM receipt WHERE company_id = $1 AND receipt_id = $2', [company.id, 'SIM/R001']);
+    expect(receipt.rows[0].tally_status).toBe('MISSING');
+  });
+
+  test('should post approved collections and sync the imported receipt back', async () => {
+    await syncEngine.runCycle('manual');
+    const hint = await pool.query(`
+      INSERT INTO payment_hint (company_id, bill_no, cash_amt, approved_at)
+      VALUES ($1, 'SIM/002', 500, CURRENT_TIMESTAMP)
+      RETURNING id
+    `, [company.id]);
+
+    await syncEngine.runCycle('manual');
+
+    const posted = await pool.query('SELECT tally_post_status, tally_voucher_id FROM payment_hint WHERE id = $1', [hint.rows[0].id]);
+    expect(posted.rows[0].tally_post_status).toBe('POSTED');
+    expect(simulator.imports).toHaveLength(1);
+    expect(posted.rows[0].tally_voucher_id).toBe(String(simulator.imports[0].masterId));
+
+    await syncEngine.runCycle('manual');
+
+    const allocation = await pool.query(
+      'SELECT bill_no, amount FROM receipt_allocation WHERE company_id = $1 AND receipt_id = $2',
+      [company.id, simulator.imports[0].number]
+    );
+    expect(allocation.rows).toEqual([{ bill_no: 'SIM/002', amount: '500.00' }]);
+    expect(await bill('SIM/002')).toMatchObject({ status: 'PAID' });
+  });
+
+  test('should agree with Tally\'s bills outstanding after a sync', async () => {
+    await syncEngine.runCycle('manual');
+    simulator.alterVoucher('SIM/R002', { amount: 300, allocations: [{ bill: 'SIM/002', type: 'Agst Ref', amount: 300 }] });
+
+    const run = await outstandingReconciliation.run(company, 'manual');
+
+    expect(run).toMatchObject({ status: 'SUCCESS', connector: 'xml' });
+    const mismatches = await pool.query(
+      'SELECT bill_no, mismatch_type, difference FROM outstanding_mismatch WHERE reconciliation_id = $1 AND bill_no LIKE $2',
+      [run.id, 'SIM/%']
+    );
+    // Only the receipt altered after the sync differs
+    expect(mismatches.rows).toEqual([{ bill_no: 'SIM/002', mismatch_type: 'AMOUNT_DIFFERS', difference: '-200.00' }]);
+  });
+
+  test('should fail the run when Tally reports an error', async () => {
+    simulator.injectError({ request: 'Sales Vouchers', lineError: 'Could not find Report \'Sales Vouchers\'!' });
+
+    await syncEngine.runCycle('manual');
+
+    expect(await lastRun()).toEqual({ status: 'FAILED', error_text: expect.stringContaining('Could not find Report') });
+    expect(await bill('SIM/001')).toBeUndefined();
+  });
+
+  test('should give up on a slow Tally after the request timeout', async () => {
+    const originalTimeout = xmlConnector.requestTimeout;
+    xmlConnector.requestTimeout = 200;
+    simulator.setLatency(500);
+
+    try {
+      await syncEngine.runCycle('manual');
+    } finally {
+      xmlConnector.requestTimeout = originalTimeout;
+      simulator.setLatency(0);
+    }
+
+    expect(await lastRun()).toEqual({ status: 'FAILED', error_text: expect.stringContaining('timeout') });
+  });
+});
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const xmlConnector = require('../services/connectors/xml-connector');
+const syncEngine = require('../services/sync-engine');
+const tallyStaging = require('../services/tally-staging');
+const companyService = require('../services/company');
+const syncRun = require('../services/sync-run');
+const { pool } = require('../config/database');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'tally', name));
+
+describe('Staging and quarantine of Tally rows', () => {
+  let company;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM tally_quarantine WHERE company_id = $1', [company.id]);
+    await pool.query('DELETE FROM tally_staging WHERE company_id = $1', [company.id]);
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1 OR bill_no LIKE $2', ['INV/2024/%', 'STG-%']);
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1', ['DEFAULT']);
+  };
+
+  const load = async (rows, counts = syncRun.newCounts()) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const outcome = await tallyStaging.load(client, { companyId: company.id, document: 'bill', source: 'xml', rows, counts });
+      await client.query('COMMIT');
+      return outcome;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  const bill = (billNo, changes = {}) => ({
+    bill_no: billNo, bill_date: '2024-01-15', party_name: 'Sharma & Sons', amount: 1180, tally_status: 'ACTIVE', ...changes
+  });
+
+  const openEntries = async () => {
+    const result = await pool.query(
+      'SELECT id, voucher_number, reasons FROM tally_quarantine WHERE company_id = $1 AND status = $2 ORDER BY voucher_number',
+      [company.id, 'OPEN']
+    );
+    return result.rows;
+  };
+
+  beforeAll(async () => {
+    company = await companyService.getDefault();
+  });
+
+  beforeEach(cleanup);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(cleanup);
+
+  test('should stop guessing dates Tally did not send', () => {
+    expect(xmlConnector.formatTallyDate('20240115')).toBe('2024-01-15');
+    expect(xmlConnector.formatTallyDate('15-01-2024')).toBe('2024-01-15');
+    expect(xmlConnector.formatTallyDate('31-02-2024')).toBeNull();
+    expect(xmlConnector.formatTallyDate('')).toBeNull();
+  });
+
+  test('should quarantine invalid rows without aborting the batch', async () => {
+    const counts = syncRun.newCounts();
+    const outcome = await load([
+      bill('STG-001'),
+      bill('STG-002', { bill_date: null }),
+      bill('STG-003', { party_name: null, amount: null }),
+      bill('STG-004'),
+      bill('STG-004', { amount: 990 }),
+      // Passes validation but is too long for bill.bill_no, so the insert itself fails
+      bill(`STG-${'9'.repeat(60)}`)
+    ], counts);
+
+    expect(outcome).toEqual({ promoted: 1, quarantined: 5 });
+    expect(counts).toMatchObject({ inserted: 1, failed: 5 });
+
+    const promoted = await pool.query('SELECT bill_no FROM bill WHERE company_id = $1 AND bill_no LIKE $2', [company.id, 'STG-%']);
+    expect(promoted.rows).toEqual([{ bill_no: 'STG-001' }]);
+
+    const entries = await openEntries();
+    expect(entries.map(entry => entry.voucher_number)).toEqual([
+      'STG-002', 'STG-003', 'STG-004', `STG-${'9'.repeat(60)}`
+    ]);
+    expect(entries[0].reasons).toEqual(['Date is missing or not a valid date']);
+    expect(entries[1].reasons).toEqual(['Amount is not numeric', 'Party ledger is missing']);
+    expect(entries[2].reasons).toEqual(['Duplicate voucher number with different data in the same batch']);
+    expect(entries[3].reasons[0]).toMatch(/too long/);
+
+    const staged = await pool.query(
+      'SELECT status, COUNT(*)::int as count FROM tally_staging WHERE company_id = $1 GROUP BY status ORDER BY status',
+      [company.id]
+    );
+    expect(staged.rows).toEqual([{ status: 'PROMOTED', count: 1 }, { status: 'QUARANTINED', count: 5 }]);
+  });
+
+  test('should quarantine incomplete vouchers during a sync and resolve them when Tally corrects them', async () => {
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockImplementationOnce(async () => fixture('sales-vouchers.xml'));
+    const counts = syncRun.newCounts();
+
+    expect(await syncEngine.syncEntity('bills', counts, company)).toBe(2);
+    expect(counts).toMatchObject({ inserted: 2, failed: 1 });
+    expect((await openEntries()).map(entry => entry.voucher_number)).toEqual(['INV/2024/003']);
+
+    await load([bill('INV/2024/003', { party_name: 'Gupta "Wholesale" Mart', amount: 500 })]);
+
+    expect(await openEntries()).toEqual([]);
+    const resolved = await pool.query('SELECT status FROM tally_quarantine WHERE company_id = $1 AND voucher_number = $2', [company.id, 'INV/2024/003']);
+    expect(resolved.rows).toEqual([{ status: 'PROMOTED' }]);
+  });
+
+  test('should fix and re-promote a quarantined row', async () => {
+    await load([bill('STG-010', { bill_date: null })]);
+    const [entry] = await openEntries();
+
+    let result = await tallyStaging.repromote(entry.id, null);
+    expect(result.reasons).toEqual(['Date is missing or not a valid date']);
+    expect(result.entry).toMatchObject({ status: 'OPEN', attempts: 1 });
+
+    const fixed = await tallyStaging.fix(entry.id, { bill_date: '16-01-2024' });
+    expect(fixed.payload.bill_date).toBe('2024-01-16');
+    expect(fixed.reasons).toEqual([]);
+
+    result = await tallyStaging.repromote(entry.id, null);
+    expect(result.reasons).toEqual([]);
+    expect(result.entry).toMatchObject({ status: 'PROMOTED', attempts: 2 });
+
+    const promoted = await pool.query('SELECT bill_date::text, amount FROM bill WHERE company_id = $1 AND bill_no = $2', [company.id, 'STG-010']);
+    expect(promoted.rows).toEqual([{ bill_date: '2024-01-16', amount: '1180.00' }]);
+  });
+});
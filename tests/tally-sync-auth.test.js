@@ -0,0 +1,144 @@
+const request = require('supertest');
+const app = require('../server');
+const companyService = require('../services/company');
+const { pool } = require('../config/database');
+const { createUsers, removeUsers } = require('./users');
+
+describe('Tally sync access control', () => {
+  let adminToken;
+  let cashierToken;
+  let cashierId;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM receipt WHERE receipt_id = $1', ['AUTH-RCP-1']);
+    await pool.query('DELETE FROM bill WHERE bill_no = $1', ['AUTH-BILL-1']);
+    await removeUsers(['syncadmin', 'synccashier']);
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1', ['SYNCBRANCH']);
+    await pool.query('DELETE FROM company WHERE code = $1', ['SYNCBRANCH']);
+  };
+
+  beforeAll(async () => {
+    await cleanup();
+    const { tokens, ids } = await createUsers([
+      { username: 'syncadmin', fullName: 'Sync Admin', role: 'ADMIN' },
+      { username: 'synccashier', fullName: 'Sync Cashier', role: 'CASHIER' }
+    ]);
+    adminToken = tokens.syncadmin;
+    cashierToken = tokens.synccashier;
+    cashierId = ids.synccashier;
+
+    await pool.query(`
+      INSERT INTO bill (bill_no, bill_date, party_name, amount)
+      VALUES ('AUTH-BILL-1', CURRENT_DATE, 'Auth Test Party', 800.00)
+    `);
+    await pool.query(`
+      INSERT INTO receipt (receipt_id, receipt_date, party_name, amount, mode, bill_reference)
+      VALUES ('AUTH-RCP-1', CURRENT_DATE, 'Auth Test Party', 800.00, 'CASH', NULL)
+    `);  });
+
+  afterAll(async () => {
+    await cleanup();
+  });
+
+  test('should require a token for every sync route', async () => {
+    expect((await request(app).get('/api/tally-sync/status')).status).toBe(401);
+    expect((await request(app).post('/api/tally-sync/stop')).status).toBe(401);
+    expect((await request(app).post('/api/tally-sync/map-receipt').send({ receiptId: 'AUTH-RCP-1', billNo: 'AUTH-BILL-1' })).status).toBe(401);
+  });
+
+  test('should let any user view the sync but only sync operators control it', async () => {
+    const status = await request(app)
+      .get('/api/tally-sync/status')
+      .set('Authorization', `Bearer ${cashierToken}`);
+    expect(status.status).toBe(200);
+
+    const mapped = await request(app)
+      .post('/api/tally-sync/map-receipt')
+      .set('Authorization', `Bearer ${cashierToken}`)
+      .send({ receiptId: 'AUTH-RCP-1', billNo: 'AUTH-BILL-1' });
+    expect(mapped.status).toBe(403);
+    expect(mapped.body.error).toBe('Sync operator permission required');
+
+    const granted = await request(app)
+      .put(`/api/admin/users/${cashierId}/sync-operator`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ sync_operator: true });
+    expect(granted.status).toBe(200);
+    expect(granted.body.user).toMatchObject({ username: 'synccashier', sync_operator: true });
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${cashierToken}`);
+    expect(me.body.user.syncOperator).toBe(true);
+  });
+
+  test('should record manual mappings and sync control with the user', async () => {
+    const mapped = await request(app)
+      .post('/api/tally-sync/map-receipt')
+      .set('Authorization', `Bearer ${cashierToken}`)
+      .send({ receiptId: 'AUTH-RCP-1', billNo: 'AUTH-BILL-1' });
+    expect(mapped.status).toBe(200);
+    expect(mapped.body.receipt).toMatchObject({ receipt_id: 'AUTH-RCP-1', bill_reference: 'AUTH-BILL-1' });
+    expect(mapped.body.receipt).not.toHaveProperty('previous_reference');
+
+    const stopped = await request(app)
+      .post('/api/tally-sync/stop')
+      .set('Authorization', `Bearer ${cashierToken}`);
+    expect(stopped.status).toBe(200);
+
+    const audit = await request(app)
+      .get('/api/tally-sync/audit')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(audit.status).toBe(200);
+
+    const entries = audit.body.entries.filter(entry => entry.username === 'synccashier');
+    expect(entries.map(entry => [entry.table_name, entry.action])).toEqual([
+      ['tally_sync', 'STOP'],
+      ['receipt', 'MAP']
+    ]);
+    expect(entries[1]).toMatchObject({
+      record_id: 'AUTH-RCP-1',
+      old_values: { bill_reference: null },
+      new_values: { bill_reference: 'AUTH-BILL-1', method: 'manual' }
+    });
+
+    // The permission change itself is recorded against the admin
+    const grant = await pool.query(`
+      SELECT a.old_values, a.new_values, u.username
+      FROM audit_log a JOIN users u ON a.user_id = u.id
+      WHERE a.table_name = 'users' AND a.record_id = $1
+    `, [cashierId]);
+    expect(grant.rows).toEqual([{ old_values: { sync_operator: false }, new_values: { sync_operator: true }, username: 'syncadmin' }]);
+  });
+
+  test('should show the status and watermarks of the selected company only', async () => {
+    const branch = await companyService.create({ code: 'SYNCBRANCH', name: 'Sync Branch', tallyName: 'Sync Branch' });
+    await pool.query(`
+      INSERT INTO bill (company_id, bill_no, bill_date, party_name, amount)
+      VALUES ($1, 'AUTH-BILL-1', CURRENT_DATE, 'Auth Test Party', 300.00)
+    `, [branch.id]);
+    await pool.query(`
+      INSERT INTO sync_watermark (company_name, voucher_type, last_alter_id)
+      VALUES ('SYNCBRANCH', 'Sales', 42)
+    `);
+
+    const status = await request(app)
+      .get('/api/tally-sync/status?company=SYNCBRANCH')
+      .set('Authorization', `Bearer ${cashierToken}`);
+    expect(status.status).toBe(200);
+    expect(status.body.statistics).toMatchObject({ total_bills: 1, total_receipts: 0 });
+
+    const watermarks = await request(app)
+      .get('/api/tally-sync/watermarks')
+      .set('X-Company', 'SYNCBRANCH')
+      .set('Authorization', `Bearer ${cashierToken}`);
+    expect(watermarks.body.watermarks.map(w => [w.company_name, w.voucher_type])).toEqual([['SYNCBRANCH', 'Sales']]);
+
+    const statistics = await request(app)
+      .get('/api/admin/statistics?company=SYNCBRANCH')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(statistics.status).toBe(200);
+    expect(statistics.body.company).toBe('SYNCBRANCH');
+    expect(statistics.body.summary.totalBills).toBe(1);
+  });
+});
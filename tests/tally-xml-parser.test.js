@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const tallyXMLParser = require('../services/tally-xml-parser');
+const xmlConnector = require('../services/connectors/xml-connector');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'tally', name));
+
+describe('Tally XML Parser', () => {
+  test('should parse vouchers with entities, CDATA and attributes', async () => {
+    const vouchers = await tallyXMLParser.parseVouchers(fixture('sales-vouchers.xml'));
+
+    expect(vouchers).toHaveLength(3);
+    expect(vouchers[0]).toMatchObject({
+      voucherNumber: 'INV/2024/001',
+      voucherType: 'Sales',
+      date: '2024-01-15',
+      partyName: 'Sharma & Sons',
+      amount: 1180,
+      narration: 'Delivered to <Godown 2> & loaded',
+      guid: 'a1b2c3d4-0001',
+      alterId: 101,
+      masterId: 55,
+      action: 'Create'
+    });
+    expect(vouchers[1].partyName).toBe('Gupta "Wholesale" Mart');
+    expect(vouchers[1].amount).toBe(2500.5);
+    expect(vouchers[1].guid).toBe('a1b2c3d4-0002');
+  });
+
+  test('should keep nested ledger entry amounts separate from the voucher amount', async () => {
+    const [voucher] = await tallyXMLParser.parseVouchers(fixture('sales-vouchers.xml'));
+
+    expect(voucher.ledgerEntries).toHaveLength(2);
+    expect(voucher.ledgerEntries[0]).toMatchObject({ ledgerName: 'Sharma & Sons', amount: -1180, isPartyLedger: true });
+    expect(voucher.ledgerEntries[0].billAllocations).toEqual([
+      { name: 'INV/2024/001', billType: 'New Ref', amount: -1180 }
+    ]);
+    expect(voucher.ledgerEntries[1].billAllocations).toEqual([]);
+  });
+
+  test('should decode UTF-16 responses with a BOM', async () => {
+    const vouchers = await tallyXMLParser.parseVouchers(fixture('receipts-utf16.xml'));
+
+    expect(vouchers).toHaveLength(2);
+    expect(vouchers[0].partyName).toBe('Müller & Söhne ₹ Traders');
+    expect(vouchers[1].reference).toBe('CHQ 004512');
+  });
+
+  test('should decode UTF-16 streams split across odd chunk boundaries', async () => {
+    const buffer = fixture('receipts-utf16.xml');
+    const chunks = [];
+    for (let offset = 0; offset < buffer.length; offset += 37) {
+      chunks.push(buffer.subarray(offset, offset + 37));
+    }
+
+    const vouchers = await tallyXMLParser.parseVouchers(Readable.from(chunks));
+
+    expect(vouchers.map(v => v.voucherNumber)).toEqual(['RCP-001', 'RCP-002']);
+    expect(vouchers[0].partyName).toBe('Müller & Söhne ₹ Traders');
+  });
+
+  test('should reject responses containing LINEERROR', async () => {
+    await expect(tallyXMLParser.parseVouchers(fixture('line-error.xml')))
+      .rejects.toThrow("Tally returned an error: Could not find Report 'Sales Vouchers'!");
+  });
+
+  test('should report LINEERROR without throwing when asked', async () => {
+    const summary = await tallyXMLParser.parse(fixture('line-error.xml'), { throwOnLineError: false });
+
+    expect(summary.vouchers).toBe(0);
+    expect(summary.lineErrors).toEqual(["Could not find Report 'Sales Vouchers'!"]);
+  });
+
+  test('should reject malformed XML', async () => {
+    await expect(tallyXMLParser.parseVouchers('<ENVELOPE><VOUCHER><DATE>2024</VOUCHER'))
+      .rejects.toThrow('Invalid XML from Tally');
+  });
+
+  test('should parse ledgers using the NAME attribute', async () => {
+    const ledgers = await tallyXMLParser.parseLedgers(fixture('ledgers.xml'));
+
+    expect(ledgers).toEqual([
+      expect.objectContaining({ name: 'Sharma & Sons', parent: 'North Zone', openingBalance: -15000, closingBalance: -1180 }),
+      expect.objectContaining({ name: 'Patel Suppliers', parent: 'Sundry Creditors', openingBalance: null, closingBalance: 4200 })
+    ]);
+  });
+
+  test('should parse Tally date formats and reject invalid dates', () => {
+    expect(tallyXMLParser.parseDate('20240229')).toBe('2024-02-29');
+    expect(tallyXMLParser.parseDate('5-1-2024')).toBe('2024-01-05');
+    expect(tallyXMLParser.parseDate('1-Apr-24')).toBe('2024-04-01');
+    expect(tallyXMLParser.parseDate('20230229')).toBeNull();
+    expect(tallyXMLParser.parseDate('')).toBeNull();
+  });
+
+  test('should map vouchers to bills and keep incomplete ones for staging in the ETL', async () => {
+    const bills = await xmlConnector.parseVouchersFromXML(fixture('sales-vouchers.xml'));
+
+    expect(bills).toEqual([
+      {
+        bill_no: 'INV/2024/001', bill_date: '2024-01-15', party_name: 'Sharma & Sons', amount: 1180, alter_id: 101, master_id: 55, items: [], tally_status: 'ACTIVE',
+        tax: { taxable_value: 1000, cgst_amount: 0, sgst_amount: 0, igst_amount: 0, cess_amount: 0, round_off: 0, place_of_supply: null, party_gstin: null }
+      },
+      { bill_no: 'INV/2024/002', bill_date: '2024-01-16', party_name: 'Gupta "Wholesale" Mart', amount: 2500.5, alter_id: 102, master_id: 56, items: [], tax: null, tally_status: 'ACTIVE' },
+      { bill_no: 'INV/2024/003', bill_date: '2024-01-17', party_name: null, amount: 500, alter_id: 103, master_id: 0, items: [], tax: null, tally_status: 'ACTIVE' }
+    ]);
+  });
+
+  test('should derive receipt mode and bill reference in the ETL', async () => {
+    const receipts = await xmlConnector.parseReceiptsFromXML(fixture('receipts-utf16.xml'));
+
+    expect(receipts[0]).toMatchObject({ receipt_id: 'RCP-001', mode: 'DIGITAL', bill_reference: 'INV-2024-001' });
+    expect(receipts[1]).toMatchObject({ receipt_id: 'RCP-002', mode: 'CHEQUE', bill_reference: null });
+  });
+});
@@ -0,0 +1,51 @@
+const request = require('supertest');
+const app = require('../server');
+const { pool } = require('../config/database');
+
+// Users the suites create for themselves, all with the password admin123 (and, with pin,
+// the same manager PIN)
+const PASSWORD = 'admin123';
+// bcrypt hash of admin123
+const PASSWORD_HASH = '$2a$12$9QAb2ZXzOzBuUm23v.UU4OYVrml1vmE8J6z3y0ZZI0aKhUIdB6mF2';
+
+const login = async (username, password = PASSWORD) => {
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ username, password });
+  return response.body.token;
+};
+
+// Create users ([{ username, role, fullName, syncOperator, pin }]) and log each in;
+// returns { tokens, ids } by username
+const createUsers = async (users) => {
+  const tokens = {};
+  const ids = {};
+
+  for (const user of users) {
+    const result = await pool.query(`
+      INSERT INTO users (username, password_hash, pin_hash, full_name, role, sync_operator, active)
+      VALUES ($1, $2, $3, $4, $5, $6, true)
+      RETURNING id
+    `, [
+      user.username,
+      PASSWORD_HASH,
+      user.pin ? PASSWORD_HASH : null,
+      user.fullName || user.username,
+      user.role,
+      Boolean(user.syncOperator)
+    ]);
+    ids[user.username] = result.rows[0].id;
+    tokens[user.username] = await login(user.username);
+  }
+
+  return { tokens, ids };
+};
+
+// Remove users and what they wrote to the audit log; other rows pointing at them are the
+// suite's to delete first
+const removeUsers = async (usernames) => {
+  await pool.query('DELETE FROM audit_log WHERE user_id IN (SELECT id FROM users WHERE username = ANY($1))', [usernames]);
+  await pool.query('DELETE FROM users WHERE username = ANY($1)', [usernames]);
+};
+
+module.exports = { PASSWORD, login, createUsers, removeUsers };
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const xmlConnector = require('../services/connectors/xml-connector');
+const syncEngine = require('../services/sync-engine');
+const voucherStatus = require('../services/voucher-status');
+const companyService = require('../services/company');
+const syncRun = require('../services/sync-run');
+const { pool } = require('../config/database');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'tally', name));
+
+describe('Cancelled and deleted vouchers', () => {
+  let company;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM payment_hint WHERE bill_no LIKE $1', ['INV/2024/%']);
+    await pool.query('DELETE FROM bill WHERE bill_no LIKE $1', ['INV/2024/%']);
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1', ['DEFAULT']);
+  };
+
+  beforeAll(async () => {
+    company = await companyService.getDefault();
+  });
+
+  beforeEach(async () => {
+    await cleanup();
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockImplementationOnce(async () => fixture('sales-vouchers.xml'));
+    await syncEngine.syncEntity('bills', syncRun.newCounts(), company);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(cleanup);
+
+  const billStatus = async (billNo) => {
+    const result = await pool.query(
+      'SELECT status, remaining_due, tally_status FROM bill_status WHERE company_id = $1 AND bill_no = $2',
+      [company.id, billNo]
+    );
+    return result.rows[0];
+  };
+
+  test('should read status from Tally flags', () => {
+    expect(voucherStatus.statusOf({ isCancelled: 'Yes', isDeleted: 'No' })).toBe('CANCELLED');
+    expect(voucherStatus.statusOf({ isCancelled: 1, isDeleted: true })).toBe('DELETED');
+    expect(voucherStatus.statusOf({ isCancelled: 'No', isDeleted: null })).toBe('ACTIVE');
+  });
+
+  test('should void synced bills and clear their outstanding', async () => {
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockImplementationOnce(async () => fixture('cancelled-vouchers.xml'));
+    const counts = syncRun.newCounts();
+    await syncEngine.syncEntity('bills', counts, company);
+
+    expect(counts.updated).toBe(2);
+    expect(await billStatus('INV/2024/001')).toMatchObject({ status: 'CANCELLED', tally_status: 'CANCELLED' });
+    expect(parseFloat((await billStatus('INV/2024/001')).remaining_due)).toBe(0);
+    expect((await billStatus('INV/2024/002')).status).toBe('DELETED');
+  });
+
+  test('should mark bills missing from the Tally window and revive them', async () => {
+    const window = { fromDate: '2024-01-15', toDate: '2024-01-17' };
+
+    let result = await voucherStatus.reconcileWindow('bill', company.id, {
+      ...window, seenNumbers: ['INV/2024/001', 'INV/2024/003']
+    });
+    expect(result.missing).toEqual(['INV/2024/002']);
+    expect((await billStatus('INV/2024/002')).tally_status).toBe('MISSING');
+
+    result = await voucherStatus.reconcileWindow('bill', company.id, {
+      ...window, seenNumbers: ['INV/2024/001', 'INV/2024/002', 'INV/2024/003']
+    });
+    expect(result).toEqual({ missing: [], revived: ['INV/2024/002'] });
+    expect((await billStatus('INV/2024/002')).tally_status).toBe('ACTIVE');
+  });
+
+  test('should report voided bills that already took payment', async () => {
+    await pool.query(`
+      INSERT INTO payment_hint (company_id, bill_no, cash_amt, cheque_amt, digital_amt, remaining_due)
+      VALUES ($1, 'INV/2024/001', 500, 0, 0, 680)
+    `, [company.id]);
+
+    jest.spyOn(xmlConnector, 'sendTallyRequest').mockImplementationOnce(async () => fixture('cancelled-vouchers.xml'));
+    await syncEngine.syncEntity('bills', syncRun.newCounts(), company);
+
+    const today = new Date().toISOString().split('T')[0];
+    const voided = await voucherStatus.voidedWithActivity(company.id, today);
+
+    expect(voided.map(bill => bill.bill_no)).toEqual(['INV/2024/001']);
+    expect(parseFloat(voided[0].collected)).toBe(500);
+  });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const app = require('../server');
+const TallySimulator = require('../scripts/tally-simulator');
+const xmlConnector = require('../services/connectors/xml-connector');
+const syncEngine = require('../services/sync-engine');
+const voucherTypeMap = require('../services/voucher-type-map');
+const companyService = require('../services/company');
+const { pool } = require('../config/database');
+const { createUsers, removeUsers } = require('./users');
+
+const today = new Date().toISOString().split('T')[0];
+const PARTY = 'Custom Type Traders';
+
+// Vouchers of custom types based on the predefined ones
+const simulatorFixture = () => ({
+  companies: [{
+    name: 'Custom Types Co',
+    groups: [{ name: 'Sundry Debtors', parent: 'Current Assets' }],
+    voucherTypes: [
+      { name: 'Sales - Counter', parent: 'Sales' },
+      { name: 'Sales - Sample', parent: 'Sales' },
+      { name: 'Receipt - Bank', parent: 'Receipt' },
+      { name: 'Credit Note - GST', parent: 'Credit Note' }
+    ],
+    ledgers: [{ name: PARTY, parent: 'Sundry Debtors' }],
+    vouchers: [
+      { type: 'Sales', number: 'VT/001', date: today, party: PARTY, amount: 1000 },
+      { type: 'Sales - Counter', number: 'VT/C001', date: today, party: PARTY, amount: 600 },
+      { type: 'Sales - Sample', number: 'VT/S001', date: today, party: PARTY, amount: 50 },
+      {
+        type: 'Receipt - Bank', number: 'VT/R001', date: today, party: PARTY, amount: 400,
+        allocations: [{ bill: 'VT/001', type: 'Agst Ref', amount: 400 }]
+      },
+      {
+        type: 'Credit Note - GST', number: 'VT/CN001', date: today, party: PARTY, amount: 100,
+        allocations: [{ bill: 'VT/C001', type: 'Agst Ref', amount: 100 }]
+      }
+    ]
+  }]
+});
+
+describe('Voucher type mapping', () => {
+  const simulator = new TallySimulator({ fixture: simulatorFixture() });
+  let company;
+  let originalURL;
+  let token;
+
+  const cleanup = async () => {
+    await pool.query('DELETE FROM voucher_type_map WHERE company_id = $1', [company.id]);
+    await pool.query('DELETE FROM tally_voucher_type WHERE company_id = $1', [company.id]);
+    await pool.query('DELETE FROM adjustment WHERE party_name = $1', [PARTY]);
+    await pool.query('DELETE FROM receipt WHERE party_name = $1', [PARTY]);
+    await pool.query('DELETE FROM bill WHERE party_name = $1', [PARTY]);
+    await pool.query('DELETE FROM party WHERE party_name = $1', [PARTY]);
+    await pool.query('DELETE FROM sync_watermark WHERE company_name = $1', ['DEFAULT']);
+  };
+
+  const billStatus = async (billNo) => {
+    const result = await pool.query(
+      'SELECT remaining_due, status FROM bill_status WHERE company_id = $1 AND bill_no = $2',
+      [company.id, billNo]
+    );
+    return result.rows[0];
+  };
+
+  beforeAll(async () => {
+    company = await companyService.getDefault();
+    originalURL = xmlConnector.tallyURL;
+    await simulator.start(0);
+    xmlConnector.tallyURL = simulator.url;
+    const { tokens } = await createUsers([{ username: 'vtmapper', fullName: 'Voucher Type Mapper', role: 'MANAGER', syncOperator: true }]);
+    token = tokens.vtmapper;
+  });
+
+  beforeEach(async () => {
+    simulator.load(simulatorFixture());
+    syncEngine.voucherTypesReadAt.clear();
+    await cleanup();
+  });
+
+  afterAll(async () => {
+    xmlConnector.tallyURL = originalURL;
+    await simulator.stop();
+    await cleanup();
+    await removeUsers(['vtmapper']);
+  });
+
+  test('should prefer a name rule, then a parent rule, then the predefined type', () => {
+    const rules = [
+      { match_on: 'PARENT', voucher_type: 'Sales', maps_to: 'ignore' },
+      { match_on: 'NAME', voucher_type: 'Sales - Counter', maps_to: 'bill' }
+    ];
+
+    expect(voucherTypeMap.resolve({ name: 'Sales - Counter', parent: 'Sales' }, rules)).toEqual({ maps_to: 'bill', rule: 'NAME' });
+    expect(voucherTypeMap.resolve({ name: 'Sales GST', parent: 'Sales' }, rules)).toEqual({ maps_to: 'ignore', rule: 'PARENT' });
+    expect(voucherTypeMap.resolve({ name: 'Receipt - Bank', parent: 'Receipt' }, rules)).toEqual({ maps_to: 'receipt', rule: 'DEFAULT' });
+    expect(voucherTypeMap.resolve({ name: 'Stock Journal', parent: null }, rules)).toEqual({ maps_to: 'ignore', rule: 'DEFAULT' });
+  });
+
+  test('should discover custom types and sync them as the type they are based on', async () => {
+    await syncEngine.runCycle('manual');
+
+    const types = await voucherTypeMap.list(company.id);
+    expect(types.find(type => type.name === 'Sales - Counter')).toMatchObject({ parent: 'Sales', discovered: true, maps_to: 'bill' });
+    expect(types.find(type => type.name === 'Credit Note - GST')).toMatchObject({ maps_to: 'credit_note', rule: 'DEFAULT' });
+
+    // Receipt - Bank settles 400 of VT/001; Credit Note - GST takes 100 off VT/C001
+    expect(await billStatus('VT/001')).toMatchObject({ remaining_due: '600.00', status: 'PART-PAID' });
+    expect(await billStatus('VT/C001')).toMatchObject({ remaining_due: '500.00', status: 'PART-PAID' });
+    expect(await billStatus('VT/S001')).toMatchObject({ remaining_due: '50.00' });
+
+    const creditNote = await pool.query(
+      'SELECT voucher_type, adjustment_kind FROM adjustment WHERE company_id = $1 AND voucher_no = $2',
+      [company.id, 'VT/CN001']
+    );
+    expect(creditNote.rows).toEqual([{ voucher_type: 'Credit Note - GST', adjustment_kind: 'Credit Note' }]);
+  });
+
+  test('should leave out voucher types mapped to ignore', async () => {
+    await voucherTypeMap.setRule(company.id, { matchOn: 'NAME', voucherType: 'Sales - Sample', mapsTo: 'ignore' });
+    await voucherTypeMap.setRule(company.id, { matchOn: 'PARENT', voucherType: 'Credit Note', mapsTo: 'ignore' });
+
+    await syncEngine.runCycle('manual');
+
+    expect(await billStatus('VT/C001')).toMatchObject({ remaining_due: '600.00', status: 'DUE' });
+    expect(await billStatus('VT/S001')).toBeUndefined();
+
+    const adjustments = await pool.query('SELECT voucher_no FROM adjustment WHERE party_name = $1', [PARTY]);
+    expect(adjustments.rows).toEqual([]);
+  });
+
+  test('should tell the admin to backfill the vouchers a new rule brings in', async () => {
+    await syncEngine.runCycle('manual');
+
+    const response = await request(app)
+      .put('/api/tally-sync/voucher-types/map')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ voucher_type: 'Sales', match_on: 'PARENT', maps_to: 'bill' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.backfill.voucher_types.sort()).toEqual(['Sales', 'Sales - Counter', 'Sales - Sample']);
+    expect(response.body.message).toMatch(/run a backfill/);
+
+    // A name rule keeps its type out of the parent rule, and ignoring brings nothing in
+    await voucherTypeMap.setRule(company.id, { matchOn: 'NAME', voucherType: 'Sales - Sample', mapsTo: 'ignore' });
+    expect((await voucherTypeMap.syncedBy(company.id, { match_on: 'PARENT', voucher_type: 'Sales' })).sort())
+      .toEqual(['Sales', 'Sales - Counter']);
+
+    const ignored = await request(app)
+      .put('/api/tally-sync/voucher-types/map')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ voucher_type: 'Sales - Counter', match_on: 'NAME', maps_to: 'ignore' });
+
+    expect(ignored.status).toBe(200);
+    expect(ignored.body.backfill).toBeNull();
+    expect(ignored.body.message).toBe('Sales - Counter now syncs as ignore');
+  });
+});